@@ -0,0 +1,25 @@
+const path = require('path');
+require('dotenv').config();
+
+// Where uploads are kept: STORAGE_DRIVER is `local`, `s3` or `cloudinary`.
+// Without it, Cloudinary is used when it is configured and the local disk
+// otherwise, so development works offline.
+const driver = process.env.STORAGE_DRIVER
+  || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+module.exports = {
+  driver,
+  local: {
+    directory: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../storage')
+  },
+  // Any S3-compatible service (AWS, MinIO, Cloudflare R2, ...); path-style
+  // URLs for services that don't serve buckets as subdomains
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  }
+};
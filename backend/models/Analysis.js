@@ -1,5 +1,41 @@
 const mongoose = require('mongoose');
 
+// A filter is either a condition (column, operator, value) or a group of
+// conditions combined with AND/OR; `negate` turns either into NOT
+const filterSchema = new mongoose.Schema({
+  column: String,
+  operator: {
+    type: String,
+    enum: [
+      'equals', 'not_equals', 'contains', 'not_contains', 'greater_than', 'less_than', 'between', 'in', 'not_in',
+      'is_null', 'is_not_null', 'starts_with', 'ends_with', 'regex',
+      'before', 'after', 'in_last',
+      'top_n', 'bottom_n'
+    ]
+  },
+  value: mongoose.Schema.Types.Mixed,
+  logic: {
+    type: String,
+    enum: ['and', 'or']
+  },
+  negate: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+filterSchema.add({ conditions: [filterSchema] });
+
+// A selected column. `type` is spelled out so Mongoose doesn't read the
+// subdocument as a string array; `series` splits charts into one series per value
+const columnSchema = new mongoose.Schema({
+  name: String,
+  type: { type: String },
+  role: {
+    type: String,
+    enum: ['x', 'y', 'z', 'category', 'series', 'value', 'label']
+  }
+}, { _id: false });
+
 const analysisSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +47,34 @@ const analysisSchema = new mongoose.Schema({
     ref: 'File',
     required: true
   },
+  // Version of the file the analysis is pinned to; it follows the latest when empty
+  fileVersion: {
+    type: Number,
+    default: null
+  },
+  // Version of the file its data was read from
+  sourceVersion: Number,
+  // When `data` was last computed; set at creation and by every refresh
+  refreshedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the file changed after `data` was computed, until the background
+  // refresh (see analysisRefreshService) computes it again
+  stale: {
+    type: Boolean,
+    default: false
+  },
+  staleReason: {
+    type: String,
+    enum: ['version', 'recipe', 'columnTypes', 'reprocessed']
+  },
+  // Why the last refresh failed, e.g. a column the analysis uses is gone
+  refreshError: {
+    message: String,
+    code: String,
+    timestamp: Date
+  },
   name: {
     type: String,
     required: true,
@@ -38,7 +102,10 @@ const analysisSchema = new mongoose.Schema({
       // Legacy 3D naming for backward compatibility
       '3d-bar', '3d-line', '3d-scatter'
     ],
-    required: true
+    // Only chart analyses render a chart; pivot, statistics etc. have no chart type
+    required: function() {
+      return this.type === 'chart';
+    }
   },
   dimensions: {
     type: String,
@@ -61,22 +128,52 @@ const analysisSchema = new mongoose.Schema({
       sheet: String,
       xAxisColumn: String,
       yAxisColumn: String,
-      columns: [{
-        name: String,
-        type: String,
-        role: {
+      // Depth/series column for 3D charts
+      zAxisColumn: String,
+      // Value/weight column for heatmap, bubble and sankey charts
+      valueColumn: String,
+      // Columns with the role they play; plain names are accepted and stored as `{ name }`
+      columns: {
+        type: [columnSchema],
+        set: (columns) => (Array.isArray(columns)
+          ? columns.map(column => (typeof column === 'string' ? { name: column } : column))
+          : columns)
+      },
+      // Same-shaped sheets appended to the selected sheet (this file when fileId is empty)
+      unions: [{
+        fileId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'File'
+        },
+        sheet: String
+      }],
+      // Sheets joined on key columns, applied in order after the unions
+      joins: [{
+        fileId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'File'
+        },
+        sheet: String,
+        type: {
           type: String,
-          enum: ['x', 'y', 'z', 'category', 'series', 'value', 'label']
-        }
+          enum: ['inner', 'left', 'full'],
+          default: 'inner'
+        },
+        on: [{
+          left: String,
+          right: String
+        }]
       }],
-      filters: [{
-        column: String,
-        operator: {
+      // Derived columns defined by Excel-like formulas, evaluated before filters
+      calculatedColumns: [{
+        name: {
           type: String,
-          enum: ['equals', 'not_equals', 'contains', 'not_contains', 'greater_than', 'less_than', 'between', 'in', 'not_in']
+          trim: true
         },
-        value: mongoose.Schema.Types.Mixed
+        formula: String
       }],
+      // Conditions and nested AND/OR groups, ANDed together
+      filters: [filterSchema],
       aggregations: [{
         column: String,
         function: {
@@ -94,6 +191,46 @@ const analysisSchema = new mongoose.Schema({
         }
       }]
     },
+    // Pivot table layout
+    pivotConfig: {
+      rows: [String],
+      columns: [String],
+      values: [{
+        column: String,
+        function: {
+          type: String,
+          enum: ['sum', 'avg', 'count', 'min', 'max', 'median', 'mode', 'std_dev'],
+          default: 'sum'
+        }
+      }],
+      showSubtotals: {
+        type: Boolean,
+        default: true
+      },
+      showGrandTotals: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Regression model (regression analyses and scatter-chart trendlines)
+    regressionConfig: {
+      model: {
+        type: String,
+        enum: ['linear', 'multiple', 'polynomial', 'logarithmic', 'exponential']
+      },
+      // Predictor columns; defaults to the X-axis column
+      predictors: [String],
+      degree: {
+        type: Number,
+        min: 1,
+        max: 6,
+        default: 2
+      },
+      confidenceLevel: {
+        type: Number,
+        default: 0.95
+      }
+    },
     // Styling options
     styling: {
       theme: {
@@ -128,6 +265,18 @@ const analysisSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.Mixed,
       default: {}
     },
+    // Pivot table (column entries, row tree with subtotals, grand total row)
+    pivotTable: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    // Correlation matrices per method (coefficients, p-values, pairwise counts)
+    correlation: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    // Fitted regression (coefficients, goodness of fit, residuals, fitted curve with confidence band)
+    regression: {
+      type: mongoose.Schema.Types.Mixed
+    },
     // Raw data subset used
     rawData: {
       type: mongoose.Schema.Types.Mixed,
@@ -136,6 +285,8 @@ const analysisSchema = new mongoose.Schema({
     // Statistical information
     statistics: {
       rowCount: Number,
+      // Whether processedData holds only the first of rowCount rows
+      truncated: Boolean,
       columnCount: Number,
       nullValues: Number,
       uniqueValues: {
@@ -145,6 +296,10 @@ const analysisSchema = new mongoose.Schema({
       dataTypes: {
         type: Map,
         of: String
+      },
+      // Per-column profiles of statistics analyses (count, nulls, moments, quartiles, histogram)
+      columns: {
+        type: mongoose.Schema.Types.Mixed
       }
     }
   },
@@ -191,7 +346,14 @@ const analysisSchema = new mongoose.Schema({
       enum: ['png', 'jpg', 'pdf', 'svg', 'json']
     },
     fileName: String,
-    filePath: String,
+    // Where the export is kept (see storageService)
+    storage: {
+      driver: {
+        type: String,
+        enum: ['local', 's3', 'cloudinary']
+      },
+      key: String
+    },
     fileSize: Number,
     exportedAt: {
       type: Date,
@@ -245,6 +407,14 @@ const analysisSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Analyses saved before columns became subdocuments stored plain column names
+analysisSchema.pre('init', function(raw) {
+  const columns = raw?.config?.dataSelection?.columns;
+  if (Array.isArray(columns)) {
+    raw.config.dataSelection.columns = columns.map(column => (typeof column === 'string' ? { name: column } : column));
+  }
+});
+
 // Virtual for formatted processing time
 analysisSchema.virtual('processingTimeFormatted').get(function() {
   if (this.processingTime < 1000) {
@@ -293,7 +463,20 @@ analysisSchema.methods.addUserAnnotation = async function(annotation) {
 // Instance method to record export
 analysisSchema.methods.recordExport = async function(exportData) {
   this.exports.push(exportData);
-  return this.save({ validateBeforeSave: false });
+  await this.save({ validateBeforeSave: false });
+  return this.exports[this.exports.length - 1];
+};
+
+// Instance method to count a download of a stored export
+analysisSchema.methods.incrementExportDownload = async function(exportId) {
+  const exportEntry = this.exports.id(exportId);
+  if (!exportEntry) return null;
+  await this.constructor.updateOne(
+    { _id: this._id, 'exports._id': exportEntry._id },
+    { $inc: { 'exports.$.downloadCount': 1 } }
+  );
+  exportEntry.downloadCount += 1;
+  return exportEntry;
 };
 
 // Static method to get analysis statistics
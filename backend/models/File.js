@@ -1,4 +1,123 @@
 const mongoose = require('mongoose');
+const { CLEANING_OPERATIONS, CASE_MODES, FILL_METHODS } = require('../services/cleaningService');
+
+// Column types; 'number' is left over from files processed before numbers
+// were told apart
+const columnTypes = [
+  'integer', 'float', 'currency', 'percent', 'date', 'datetime', 'boolean',
+  'categorical', 'id', 'string', 'mixed', 'number'
+];
+
+// Profile of one column, as worked out when the file is processed. `type` is
+// what values are read as, and may have been set by the user; `detectedType`
+// is what processing made of the column.
+const columnInfoFields = {
+  name: String,
+  type: {
+    type: String,
+    enum: columnTypes
+  },
+  detectedType: {
+    type: String,
+    enum: columnTypes
+  },
+  sampleValues: [String],
+  nullCount: Number,
+  uniqueCount: Number
+};
+
+// Where a sheet's table sits: its first header row, how many header rows are
+// merged into one and the A1 range it covers (open-ended ranges like "B3:F"
+// run to the end of the sheet)
+const layoutFields = {
+  headerRow: Number,
+  headerRows: Number,
+  range: String
+};
+
+// One step of a sheet's cleaning recipe (see cleaningService); which fields
+// are used depends on the operation
+const cleaningStepSchema = new mongoose.Schema({
+  sheet: {
+    type: String,
+    required: true
+  },
+  operation: {
+    type: String,
+    enum: CLEANING_OPERATIONS,
+    required: true
+  },
+  // Columns worked on; all of them when empty (trim, changeCase, replace,
+  // fillNulls, dropDuplicates), or those joined (merge)
+  columns: [String],
+  // Column split, renamed or retyped
+  column: String,
+  mode: {
+    type: String,
+    enum: CASE_MODES
+  },
+  find: String,
+  replace: String,
+  matchCase: Boolean,
+  wholeCell: Boolean,
+  method: {
+    type: String,
+    enum: FILL_METHODS
+  },
+  value: mongoose.Schema.Types.Mixed,
+  delimiter: String,
+  separator: String,
+  // Names of the columns a split makes
+  into: [String],
+  // Name of a renamed or merged column
+  to: String,
+  type: {
+    type: String,
+    enum: columnTypes
+  },
+  keepOriginal: Boolean,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Where an upload is stored (see services/storageService.js); uploads from
+// before this was recorded are on Cloudinary under cloudinaryPublicId
+const storageLocationSchema = new mongoose.Schema({
+  driver: {
+    type: String,
+    enum: ['local', 's3', 'cloudinary']
+  },
+  key: String
+}, { _id: false });
+
+// An earlier upload of the file, kept when a new version replaces it: where it
+// is stored and enough of how it was profiled to read it as it was read then
+const fileVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  originalName: String,
+  fileName: String,
+  filePath: String,
+  storage: storageLocationSchema,
+  cloudinaryPublicId: String,
+  cloudinaryUrl: String,
+  fileSize: Number,
+  mimeType: String,
+  fileType: String,
+  uploadedAt: Date,
+  processedAt: Date,
+  sheetNames: [String],
+  totalRows: Number,
+  totalColumns: Number,
+  locale: mongoose.Schema.Types.Mixed,
+  csvDialect: mongoose.Schema.Types.Mixed,
+  // Entries of metadata.sheets, without their preview rows
+  sheets: mongoose.Schema.Types.Mixed
+}, { _id: false });
 
 const fileSchema = new mongoose.Schema({
   userId: {
@@ -18,6 +137,7 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  storage: storageLocationSchema,
   cloudinaryPublicId: {
     type: String,
     required: false // Not required for backward compatibility
@@ -33,11 +153,25 @@ const fileSchema = new mongoose.Schema({
   mimeType: {
     type: String,
     required: true,
-    enum: ['application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'text/csv', 'application/csv']
+    enum: [
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel.sheet.binary.macroenabled.12',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'text/csv',
+      'application/csv',
+      'text/tab-separated-values',
+      'text/plain',
+      'application/json',
+      'application/x-ndjson',
+      'application/jsonl',
+      'application/vnd.apache.parquet',
+      'application/x-parquet'
+    ]
   },
   fileType: {
     type: String,
-    enum: ['xls', 'xlsx', 'csv'],
+    enum: ['xls', 'xlsx', 'xlsb', 'ods', 'csv', 'tsv', 'json', 'parquet'],
     required: true
   },
   uploadedAt: {
@@ -50,6 +184,14 @@ const fileSchema = new mongoose.Schema({
     default: 'uploading'
   },
   processedAt: Date,
+  // Set by the background job while status is 'processing'
+  processingProgress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  processingStage: String,
   sheetNames: [{
     type: String
   }],
@@ -61,32 +203,100 @@ const fileSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  columnInfo: [{
-    name: String,
-    type: {
-      type: String,
-      enum: ['string', 'number', 'date', 'boolean', 'mixed']
-    },
-    sampleValues: [String],
-    nullCount: Number,
-    uniqueCount: Number
-  }],
+  // Column profiles and preview rows of the first sheet; every sheet's own
+  // are kept in metadata.sheets
+  columnInfo: [columnInfoFields],
   dataPreview: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // How text cells write numbers and dates, e.g. "1.234,56" and 31/12/2024;
+  // detected when the file is processed unless the user set it
+  locale: {
+    decimalSeparator: {
+      type: String,
+      enum: ['.', ',']
+    },
+    thousandsSeparator: {
+      type: String,
+      enum: [',', '.', ' ', "'", '']
+    },
+    dateOrder: {
+      type: String,
+      enum: ['MDY', 'DMY', 'YMD']
+    },
+    source: {
+      type: String,
+      enum: ['detected', 'user']
+    }
+  },
+  // How a CSV or TSV file is written, detected when it is processed unless
+  // the uploader picked some of it
+  csvDialect: {
+    delimiter: {
+      type: String,
+      enum: [',', ';', '\t', '|']
+    },
+    quote: {
+      type: String,
+      enum: ['"', "'", '']
+    },
+    encoding: {
+      type: String,
+      enum: ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252', 'iso-8859-1']
+    },
+    // Whether the file starts with a byte order mark
+    bom: Boolean,
+    source: {
+      type: String,
+      enum: ['detected', 'user']
+    }
+  },
   metadata: {
     author: String,
     lastModified: Date,
     application: String,
     version: String,
+    // Text encoding of CSV and TSV files
+    encoding: String,
     sheets: [{
       name: String,
       rows: Number,
       columns: Number,
-      range: String
+      range: String,
+      columnInfo: [columnInfoFields],
+      dataPreview: mongoose.Schema.Types.Mixed,
+      // Every read of the sheet goes through its layout
+      layout: {
+        ...layoutFields,
+        source: {
+          type: String,
+          enum: ['detected', 'user']
+        }
+      },
+      // Tables found on the sheet, offered when reviewing the layout
+      regions: [{ _id: false, ...layoutFields }]
     }]
   },
+  // Number of the upload the fields above describe; POST /api/files/:id/versions
+  // moves it into `versions` and replaces it
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [fileVersionSchema],
+  // Cleaning steps applied, in order, whenever a sheet's rows are read; the
+  // upload itself is left as it is
+  cleaningRecipe: [cleaningStepSchema],
+  // Data quality report over every row (see dataQualityService); cleared when
+  // column types change, and built again when next asked for
+  qualityReport: {
+    generatedAt: Date,
+    // Percentage of cells without issues
+    score: Number,
+    issueCount: Number,
+    sheets: mongoose.Schema.Types.Mixed
+  },
   tags: [{
     type: String,
     trim: true
@@ -204,7 +414,7 @@ fileSchema.statics.getRecentFiles = async function(userId, limit = 10) {
     .sort({ uploadedAt: -1 })
     .limit(limit)
     .populate('userId', 'name email')
-    .select('-dataPreview -processingError');
+    .select('-dataPreview -metadata.sheets.dataPreview -qualityReport.sheets -versions -processingError');
 };
 
 // Static method to search files
@@ -223,7 +433,17 @@ fileSchema.statics.searchFiles = async function(userId, query, options = {}) {
     .sort({ uploadedAt: -1 })
     .limit(options.limit || 20)
     .skip(options.skip || 0)
-    .select('-dataPreview -processingError');
+    .select('-dataPreview -metadata.sheets.dataPreview -qualityReport.sheets -versions -processingError');
+};
+
+// Static method to check whether another file (or a version of one) reads
+// the same stored upload, as duplicates do
+fileSchema.statics.sharesUpload = async function({ driver, key }, exceptId) {
+  const matches = [{ 'storage.key': key }, { 'versions.storage.key': key }];
+  if (driver === 'cloudinary') {
+    matches.push({ cloudinaryPublicId: key }, { 'versions.cloudinaryPublicId': key });
+  }
+  return Boolean(await this.exists({ _id: { $ne: exceptId }, $or: matches }));
 };
 
 // Indexes for better performance
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A unit of background work. Workers claim queued jobs whose `runAt` has
+// passed; failed attempts are re-queued with a later `runAt` until
+// `maxAttempts` is reached.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['process-file', 'refresh-analysis']
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  completedAt: Date,
+  lastError: {
+    message: String,
+    stack: String,
+    timestamp: Date
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ fileId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', jobSchema);
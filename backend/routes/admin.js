@@ -4,6 +4,7 @@ const User = require('../models/User');
 const File = require('../models/File');
 const Analysis = require('../models/Analysis');
 const { auth, adminAuth } = require('../middleware/auth');
+const { fileLocation, deleteStoredFile } = require('../services/storageService');
 
 const router = express.Router();
 
@@ -195,7 +196,7 @@ router.get('/files', async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate('userId', 'name email')
-      .select('-dataPreview -processingError');
+      .select('-dataPreview -qualityReport.sheets -versions -processingError');
 
     const total = await File.countDocuments(query);
 
@@ -226,18 +227,24 @@ router.delete('/files/:id', async (req, res) => {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Delete the physical file
-    try {
-      await fs.unlink(file.filePath);
-    } catch (unlinkError) {
-      console.error('Failed to delete physical file:', unlinkError);
+    // Delete the stored uploads of every version, except those a duplicate still reads
+    const uploads = [...file.versions, file];
+    for (const entry of uploads) {
+      const location = fileLocation(entry);
+      if (!location) continue;
+      try {
+        if (await File.sharesUpload(location, file._id)) continue;
+        await deleteStoredFile(entry);
+      } catch (storageError) {
+        console.error('Failed to delete stored file:', storageError);
+      }
     }
 
     // Update user usage statistics
     await User.findByIdAndUpdate(file.userId, {
       $inc: {
         'usage.filesUploaded': -1,
-        'usage.storageUsed': -file.fileSize
+        'usage.storageUsed': -uploads.reduce((total, entry) => total + (entry.fileSize || 0), 0)
       }
     });
 
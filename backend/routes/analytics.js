@@ -1,137 +1,40 @@
 const express = require('express');
+const { pipeline } = require('stream/promises');
 const { body, validationResult } = require('express-validator');
-const XLSX = require('xlsx');
 const OpenAI = require('openai');
 const Analysis = require('../models/Analysis');
 const File = require('../models/File');
 const User = require('../models/User');
 const { auth, ownerOrAdmin } = require('../middleware/auth');
+const { REGRESSION_MODELS } = require('../services/regressionService');
+const { AGGREGATION_FUNCTIONS } = require('../services/aggregationService');
+const { validateFilters } = require('../services/filterService');
+const { JOIN_TYPES } = require('../services/joinService');
+const { fileAtVersion } = require('../services/fileVersionService');
+const { computeAnalysis, regressionResiduals } = require('../services/analysisService');
+const exportService = require('../services/exportService');
+const { statStoredFile, openStoredFile } = require('../services/storageService');
 
 const router = express.Router();
 
+// Checks of an analysis's pivot configuration, when it is created or updated
+const pivotConfigValidators = [
+  body('config.pivotConfig.rows').optional().isArray().withMessage('Pivot row fields must be an array'),
+  body('config.pivotConfig.rows.*').isString().notEmpty().withMessage('Pivot row fields must be column names'),
+  body('config.pivotConfig.columns').optional().isArray().withMessage('Pivot column fields must be an array'),
+  body('config.pivotConfig.columns.*').isString().notEmpty().withMessage('Pivot column fields must be column names'),
+  body('config.pivotConfig.values').optional().isArray().withMessage('Pivot value fields must be an array'),
+  body('config.pivotConfig.values.*.column').isString().notEmpty().withMessage('Pivot value fields need a column'),
+  body('config.pivotConfig.values.*.function').optional().isIn(AGGREGATION_FUNCTIONS).withMessage('Invalid pivot aggregation function'),
+  body('config.pivotConfig.showSubtotals').optional().isBoolean().withMessage('showSubtotals must be a boolean'),
+  body('config.pivotConfig.showGrandTotals').optional().isBoolean().withMessage('showGrandTotals must be a boolean')
+];
+
 // Initialize OpenAI (if API key is provided)
 const openai = process.env.OPENAI_API_KEY ? new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 }) : null;
 
-// Helper function to process data based on configuration
-const processData = (rawData, config) => {
-  let processedData = [...rawData];
-
-  // Apply filters
-  if (config.dataSelection?.filters?.length > 0) {
-    config.dataSelection.filters.forEach(filter => {
-      const { column, operator, value } = filter;
-      processedData = processedData.filter(row => {
-        const cellValue = row[column];
-        
-        switch (operator) {
-          case 'equals':
-            return cellValue == value;
-          case 'not_equals':
-            return cellValue != value;
-          case 'contains':
-            return String(cellValue).toLowerCase().includes(String(value).toLowerCase());
-          case 'not_contains':
-            return !String(cellValue).toLowerCase().includes(String(value).toLowerCase());
-          case 'greater_than':
-            return Number(cellValue) > Number(value);
-          case 'less_than':
-            return Number(cellValue) < Number(value);
-          case 'between':
-            return Number(cellValue) >= Number(value[0]) && Number(cellValue) <= Number(value[1]);
-          case 'in':
-            return Array.isArray(value) && value.includes(cellValue);
-          case 'not_in':
-            return Array.isArray(value) && !value.includes(cellValue);
-          default:
-            return true;
-        }
-      });
-    });
-  }
-
-  // Apply groupBy and aggregations
-  if (config.dataSelection?.groupBy?.length > 0) {
-    const grouped = {};
-    
-    processedData.forEach(row => {
-      const groupKey = config.dataSelection.groupBy.map(col => row[col]).join('|');
-      if (!grouped[groupKey]) {
-        grouped[groupKey] = [];
-      }
-      grouped[groupKey].push(row);
-    });
-
-    // Apply aggregations
-    processedData = Object.entries(grouped).map(([groupKey, rows]) => {
-      const result = {};
-      
-      // Add group by columns
-      config.dataSelection.groupBy.forEach((col, index) => {
-        result[col] = groupKey.split('|')[index];
-      });
-
-      // Apply aggregation functions
-      if (config.dataSelection?.aggregations?.length > 0) {
-        config.dataSelection.aggregations.forEach(agg => {
-          const { column, function: aggFunc } = agg;
-          const values = rows.map(row => Number(row[column])).filter(val => !isNaN(val));
-          
-          switch (aggFunc) {
-            case 'sum':
-              result[`${column}_sum`] = values.reduce((a, b) => a + b, 0);
-              break;
-            case 'avg':
-              result[`${column}_avg`] = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
-              break;
-            case 'count':
-              result[`${column}_count`] = values.length;
-              break;
-            case 'min':
-              result[`${column}_min`] = values.length > 0 ? Math.min(...values) : 0;
-              break;
-            case 'max':
-              result[`${column}_max`] = values.length > 0 ? Math.max(...values) : 0;
-              break;
-            case 'median':
-              const sorted = [...values].sort((a, b) => a - b);
-              const mid = Math.floor(sorted.length / 2);
-              result[`${column}_median`] = sorted.length % 2 === 0 
-                ? (sorted[mid - 1] + sorted[mid]) / 2 
-                : sorted[mid];
-              break;
-            case 'std_dev':
-              const mean = values.reduce((a, b) => a + b, 0) / values.length;
-              const variance = values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / values.length;
-              result[`${column}_std_dev`] = Math.sqrt(variance);
-              break;
-          }
-        });
-      }
-
-      return result;
-    });
-  }
-
-  // Apply orderBy
-  if (config.dataSelection?.orderBy?.length > 0) {
-    processedData.sort((a, b) => {
-      for (const sort of config.dataSelection.orderBy) {
-        const { column, direction } = sort;
-        const aVal = a[column];
-        const bVal = b[column];
-        
-        if (aVal < bVal) return direction === 'asc' ? -1 : 1;
-        if (aVal > bVal) return direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-  }
-
-  return processedData;
-};
-
 // Helper function to generate AI insights
 const generateAIInsights = async (data, config) => {
   if (!openai) {
@@ -204,15 +107,41 @@ router.post('/create',
   auth,
   [
     body('fileId').isMongoId().withMessage('Valid file ID is required'),
+    body('fileVersion').optional({ values: 'null' }).custom(value => value === 'latest' || (Number.isInteger(Number(value)) && Number(value) >= 1)).withMessage('File version must be "latest" or a version number'),
     body('name').notEmpty().trim().isLength({ min: 1, max: 100 }).withMessage('Analysis name is required and must be between 1-100 characters'),
     body('type').isIn(['chart', 'pivot', 'statistics', 'correlation', 'regression', 'custom']).withMessage('Invalid analysis type'),
     body('chartType').optional().isIn([
       // 2D Charts
       'bar', 'column', 'line', 'area', 'pie', 'doughnut', 'scatter', 'bubble', 'radar', 'polar', 'heatmap', 'histogram', 'box', 'violin', 'waterfall', 'funnel', 'gauge', 'treemap', 'sunburst', 'sankey',
       // 3D Charts
-      'bar3d', 'column3d', 'line3d', 'area3d', 'pie3d', 'scatter3d', 'surface3d', 'wireframe3d', 'cylinder3d', 'cone3d', 'pyramid3d', 'bubble3d', 'mesh3d', 'contour3d', 'volume3d'
+      'bar3d', 'column3d', 'line3d', 'area3d', 'pie3d', 'scatter3d', 'surface3d', 'wireframe3d', 'cylinder3d', 'cone3d', 'pyramid3d', 'bubble3d', 'mesh3d', 'contour3d', 'volume3d',
+      // Legacy 3D naming for backward compatibility
+      '3d-bar', '3d-line', '3d-scatter'
     ]).withMessage('Invalid chart type'),
-    body('config').isObject().withMessage('Configuration object is required')
+    body('chartType').if(body('type').equals('chart')).notEmpty().withMessage('Chart type is required for chart analyses'),
+    body('config').isObject().withMessage('Configuration object is required'),
+    body('config.pivotConfig.values').if(body('type').equals('pivot')).isArray({ min: 1 }).withMessage('Pivot tables need at least one value field'),
+    ...pivotConfigValidators,
+    body('config.regressionConfig.model').optional().isIn(REGRESSION_MODELS).withMessage('Invalid regression model'),
+    body('config.regressionConfig.degree').optional().isInt({ min: 1, max: 6 }).withMessage('Polynomial degree must be between 1-6'),
+    body('config.regressionConfig.confidenceLevel').optional().isFloat({ gt: 0, lt: 1 }).withMessage('Confidence level must be between 0 and 1'),
+    body('config.dataSelection.yAxisColumn').if(body('type').equals('regression')).notEmpty().withMessage('Regression needs a dependent (Y) column'),
+    body('config.dataSelection.columns').optional().isArray().withMessage('Columns must be an array'),
+    body('config.dataSelection.columns.*.role').optional().isIn(['x', 'y', 'z', 'category', 'series', 'value', 'label']).withMessage('Invalid column role'),
+    body('config.chartConfig.stacked').optional().isBoolean().withMessage('Stacked must be true or false'),
+    body('config.dataSelection.filters').optional().isArray().withMessage('Filters must be an array'),
+    body('config.dataSelection.filters').optional().custom(filters => validateFilters(filters)),
+    body('config.dataSelection.unions').optional().isArray({ max: 10 }).withMessage('Unions must be an array of at most 10 sheets'),
+    body('config.dataSelection.unions.*.fileId').optional().isMongoId().withMessage('Invalid union file ID'),
+    body('config.dataSelection.joins').optional().isArray({ max: 5 }).withMessage('Joins must be an array of at most 5 sheets'),
+    body('config.dataSelection.joins.*.fileId').optional().isMongoId().withMessage('Invalid join file ID'),
+    body('config.dataSelection.joins.*.type').optional().isIn(JOIN_TYPES).withMessage('Join type must be inner, left or full'),
+    body('config.dataSelection.joins.*.on').isArray({ min: 1 }).withMessage('Joins need at least one key column pair'),
+    body('config.dataSelection.joins.*.on.*.left').isString().notEmpty().withMessage('Join keys need a left column'),
+    body('config.dataSelection.joins.*.on.*.right').isString().notEmpty().withMessage('Join keys need a right column'),
+    body('config.dataSelection.calculatedColumns').optional().isArray({ max: 50 }).withMessage('Calculated columns must be an array of at most 50 columns'),
+    body('config.dataSelection.calculatedColumns.*.name').isString().trim().notEmpty().withMessage('Calculated columns need a name'),
+    body('config.dataSelection.calculatedColumns.*.formula').isString().isLength({ min: 1, max: 2000 }).withMessage('Calculated column formulas must be 1-2000 characters')
   ],
   async (req, res) => {
     try {
@@ -224,7 +153,7 @@ router.post('/create',
         });
       }
 
-      const { fileId, name, description, type, chartType, dimensions, config } = req.body;
+      const { fileId, fileVersion, name, description, type, chartType, dimensions, config } = req.body;
       const startTime = Date.now();
 
       // Debug: Log the incoming request body
@@ -241,70 +170,48 @@ router.post('/create',
         return res.status(403).json({ message: 'Access denied' });
       }
 
-      if (file.status !== 'processed') {
-        return res.status(400).json({ message: 'File is not processed yet' });
+      // Analyses pinned to a version keep reading it after newer ones are uploaded
+      const pinnedVersion = fileVersion === undefined || fileVersion === null || fileVersion === 'latest'
+        ? null
+        : Number(fileVersion);
+      let source;
+      try {
+        source = fileAtVersion(file, pinnedVersion);
+      } catch (versionError) {
+        return res.status(versionError.status).json({ message: versionError.message, error: versionError.code });
       }
 
-      // Read Excel data - handle both local and Cloudinary files
-      let workbook;
-      
-      if (file.cloudinaryUrl) {
-        // Download from Cloudinary if available
-        const axios = require('axios');
-        const response = await axios({
-          method: 'GET',
-          url: file.cloudinaryUrl,
-          responseType: 'arraybuffer'
-        });
-        workbook = XLSX.read(response.data, { type: 'buffer' });
-      } else {
-        // Fallback to local file (check if file exists)
-        const fs = require('fs');
-        if (!fs.existsSync(file.filePath)) {
-          return res.status(400).json({ 
-            message: 'File not found. Please re-upload the file.',
-            error: 'FILE_NOT_FOUND'
-          });
-        }
-        workbook = XLSX.readFile(file.filePath);
+      if (source.status !== 'processed') {
+        return res.status(400).json({ message: 'File is not processed yet' });
       }
-      
-      const sheetName = config.dataSelection?.sheet || workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const rawData = XLSX.utils.sheet_to_json(worksheet);
 
-      if (rawData.length === 0) {
-        return res.status(400).json({ message: 'No data found in the selected sheet' });
+      // Read the selected sheet plus any sheets it is joined or unioned with, and analyse it
+      let data;
+      try {
+        data = await computeAnalysis(source, { type, chartType, config }, req.user);
+      } catch (analysisError) {
+        // Download failures are server errors, not problems with the request
+        if (!analysisError.code || analysisError.isAxiosError) throw analysisError;
+        return res.status(analysisError.status || 400).json({
+          message: analysisError.message,
+          error: analysisError.code
+        });
       }
-
-      // Process data based on configuration
-      const processedData = processData(rawData, config);
+      const { processedData } = data;
 
       // Create analysis record
       const analysis = new Analysis({
         userId: req.user.id,
         fileId,
+        fileVersion: pinnedVersion,
+        sourceVersion: source.version || 1,
         name,
         description: description || '',
         type,
         chartType: type === 'chart' ? chartType : undefined,
         dimensions: dimensions || '2d',
         config,
-        data: {
-          processedData,
-          rawData: rawData.slice(0, 1000), // Store sample of raw data
-          statistics: {
-            rowCount: processedData.length,
-            columnCount: Object.keys(processedData[0] || {}).length,
-            nullValues: processedData.reduce((count, row) => {
-              return count + Object.values(row).filter(val => val === null || val === undefined || val === '').length;
-            }, 0),
-            uniqueValues: Object.keys(processedData[0] || {}).reduce((acc, key) => {
-              acc[key] = new Set(processedData.map(row => row[key])).size;
-              return acc;
-            }, {})
-          }
-        },
+        data,
         status: 'processing',
         processingTime: Date.now() - startTime
       });
@@ -340,7 +247,7 @@ router.post('/create',
           chartType: analysis.chartType,
           status: analysis.status,
           processingTime: analysis.processingTimeFormatted,
-          dataPoints: processedData.length,
+          dataPoints: data.statistics.rowCount,
           insights: analysis.insights.aiInsights?.length || 0,
           createdAt: analysis.createdAt
         }
@@ -379,7 +286,7 @@ router.get('/', auth, async (req, res) => {
       .sort({ updatedAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .populate('fileId', 'originalName fileType')
+      .populate('fileId', 'originalName fileType version')
       .select('-data.rawData -errors');
 
     const total = await Analysis.countDocuments(query);
@@ -448,7 +355,9 @@ router.put('/:id',
     body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1-100 characters'),
     body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
     body('tags').optional().isArray().withMessage('Tags must be an array'),
-    body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean')
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
+    body('config').optional().isObject().withMessage('Configuration must be an object'),
+    ...pivotConfigValidators
   ],
   async (req, res) => {
     try {
@@ -528,6 +437,13 @@ router.delete('/:id', auth, ownerOrAdmin(Analysis), async (req, res) => {
     
     console.log('Deletion verified - analysis no longer exists in database');
 
+    // Remove stored export files
+    try {
+      await exportService.deleteExports(analysis);
+    } catch (exportCleanupError) {
+      console.error('Error deleting analysis exports:', exportCleanupError);
+    }
+
     // Update user analytics count
     try {
       await User.findByIdAndUpdate(analysis.userId, {
@@ -579,7 +495,7 @@ router.post('/:id/favorite', auth, ownerOrAdmin(Analysis), async (req, res) => {
 });
 
 // @route   POST /api/analytics/:id/export
-// @desc    Export analysis (placeholder for chart export functionality)
+// @desc    Render analysis to a file and store it for download
 // @access  Private
 router.post('/:id/export',
   auth,
@@ -600,21 +516,31 @@ router.post('/:id/export',
       const analysis = req.resource;
       const { format } = req.body;
 
-      // In a real implementation, you would generate the chart image/file here
-      // For now, we'll just record the export request
-      const exportData = {
-        format,
-        fileName: `${analysis.name.replace(/\s+/g, '_')}_${Date.now()}.${format}`,
-        filePath: '', // Would be the actual file path
-        fileSize: 0, // Would be the actual file size
-        exportedAt: new Date()
-      };
+      // The analysis keeps a sample of its regression's observations; JSON exports have all of them
+      let residuals;
+      if (format === 'json' && analysis.data?.regression?.coefficients) {
+        try {
+          residuals = await regressionResiduals(analysis, req.user);
+        } catch (sourceError) {
+          if (!sourceError.code || sourceError.isAxiosError) throw sourceError;
+          return res.status(sourceError.status || 400).json({ message: sourceError.message, error: sourceError.code });
+        }
+      }
 
-      await analysis.recordExport(exportData);
+      const exportData = await exportService.createExport(analysis, format, { residuals });
+      const exportEntry = await analysis.recordExport(exportData);
 
-      res.json({
-        message: 'Export request recorded',
-        export: exportData
+      res.status(201).json({
+        message: 'Analysis exported successfully',
+        export: {
+          id: exportEntry._id,
+          format: exportEntry.format,
+          fileName: exportEntry.fileName,
+          fileSize: exportEntry.fileSize,
+          exportedAt: exportEntry.exportedAt,
+          downloadCount: exportEntry.downloadCount,
+          downloadUrl: `/api/analytics/${analysis._id}/exports/${exportEntry._id}/download`
+        }
       });
     } catch (error) {
       console.error('Export analysis error:', error);
@@ -623,6 +549,71 @@ router.post('/:id/export',
   }
 );
 
+// @route   GET /api/analytics/:id/exports
+// @desc    List stored exports of an analysis
+// @access  Private
+router.get('/:id/exports', auth, ownerOrAdmin(Analysis), async (req, res) => {
+  try {
+    const analysis = req.resource;
+
+    res.json({
+      exports: analysis.exports.map(exportEntry => ({
+        id: exportEntry._id,
+        format: exportEntry.format,
+        fileName: exportEntry.fileName,
+        fileSize: exportEntry.fileSize,
+        exportedAt: exportEntry.exportedAt,
+        downloadCount: exportEntry.downloadCount,
+        downloadUrl: `/api/analytics/${analysis._id}/exports/${exportEntry._id}/download`
+      }))
+    });
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({ message: 'Server error fetching exports' });
+  }
+});
+
+// @route   GET /api/analytics/:id/exports/:exportId/download
+// @desc    Download a stored export
+// @access  Private
+router.get('/:id/exports/:exportId/download', auth, ownerOrAdmin(Analysis), async (req, res) => {
+  try {
+    const analysis = req.resource;
+    const exportEntry = analysis.exports.id(req.params.exportId);
+
+    if (!exportEntry) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    let contents = null;
+    try {
+      if (await statStoredFile(exportEntry)) {
+        contents = await openStoredFile(exportEntry);
+      }
+    } catch (storageError) {
+      if (!storageError.status || storageError.isAxiosError) throw storageError;
+      return res.status(storageError.status).json({ message: storageError.message, error: storageError.code });
+    }
+    if (!contents) {
+      return res.status(410).json({
+        message: 'Export file is no longer available. Please export the analysis again.',
+        error: 'EXPORT_FILE_MISSING'
+      });
+    }
+
+    await analysis.incrementExportDownload(exportEntry._id);
+
+    res.set('Content-Type', exportService.getContentType(exportEntry.format));
+    res.attachment(exportEntry.fileName);
+    await pipeline(contents, res);
+  } catch (error) {
+    console.error('Download export error:', error);
+    // Failed partway through sending the file
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ message: 'Server error downloading export' });
+  }
+});
+
 // @route   POST /api/analytics/:id/insights
 // @desc    Generate new AI insights
 // @access  Private
@@ -2,16 +2,72 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const XLSX = require('xlsx');
-const { body, validationResult } = require('express-validator');
+const { pipeline } = require('stream/promises');
+const { body, query, validationResult } = require('express-validator');
 const File = require('../models/File');
 const User = require('../models/User');
 const Analysis = require('../models/Analysis');
+const Job = require('../models/Job');
 const { auth, ownerOrAdmin } = require('../middleware/auth');
-const cloudinaryService = require('../services/cloudinaryService');
+const { fileLocation, storeUpload, openStoredFile, deleteStoredFile, storedFileUrl } = require('../services/storageService');
+const { readRowWindow, withLocalCopy } = require('../services/sheetStreamService');
+const { SORT_DIRECTIONS, readCleanedTable, queryRows } = require('../services/rowQueryService');
+const { readSheetView } = require('../services/sheetViewService');
+const { queueFileProcessing } = require('../services/fileProcessingService');
+const { headerNames, normalizeLayout, sheetLayout } = require('../services/sheetLayoutService');
+const { COLUMN_TYPES, coerceCells, fileLocale, sheetColumnInfo } = require('../services/typeInferenceService');
+const { DELIMITERS, QUOTES, ENCODINGS, parseDialectOptions, fileDialect } = require('../services/csvDialectService');
+const { SUPPORTED_EXTENSIONS, fileTypeOf, mimeTypeFor } = require('../services/fileFormatService');
+const { assessFile } = require('../services/dataQualityService');
+const { CLEANING_OPERATIONS, CASE_MODES, FILL_METHODS, recipeColumns, sheetRecipe } = require('../services/cleaningService');
+const { validateFilters } = require('../services/filterService');
+const { snapshotVersion, listVersions, fileAtVersion, diffVersions } = require('../services/fileVersionService');
+const { refreshDependentAnalyses } = require('../services/analysisRefreshService');
 
 const router = express.Router();
 
+// Helper function to store an upload with the configured storage driver; the
+// Cloudinary fields are kept for files stored there, which older clients read
+const storeFile = async (req) => {
+  const { originalname, filename, path: filePath, mimetype } = req.file;
+  const stored = await storeUpload(filePath, {
+    userId: req.user.id,
+    fileName: filename,
+    originalName: originalname,
+    contentType: mimeTypeFor(fileTypeOf(originalname), mimetype)
+  });
+  const onCloudinary = stored.driver === 'cloudinary';
+  return {
+    storage: { driver: stored.driver, key: stored.key },
+    cloudinaryPublicId: onCloudinary ? stored.key : undefined,
+    cloudinaryUrl: onCloudinary ? stored.url : undefined
+  };
+};
+
+// Helper function to delete an upload from storage, unless another file reads
+// it too (duplicates share their original's); failures are only logged
+const deleteUpload = async (file, entry) => {
+  const location = fileLocation(entry);
+  if (!location) return;
+  try {
+    if (await File.sharesUpload(location, file._id)) return;
+    await deleteStoredFile(entry);
+  } catch (storageError) {
+    console.error('Failed to delete stored file:', storageError);
+  }
+};
+
+// Helper function to parse a JSON-encoded query parameter, left as it is when it
+// isn't JSON so the validators report it
+const parseJsonParam = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (parseError) {
+    return value;
+  }
+};
+
 // Configure multer for temporary file storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -26,18 +82,13 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  // Check file type
-  const allowedTypes = [
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'text/csv',
-    'application/csv'
-  ];
+  // Check file type: a supported extension, sent as a type that fits it
+  const fileType = fileTypeOf(file.originalname);
   
-  if (allowedTypes.includes(file.mimetype)) {
+  if (fileType && mimeTypeFor(fileType, file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only .xls, .xlsx, and .csv files are allowed.'), false);
+    cb(new Error(`Invalid file type. Only ${SUPPORTED_EXTENSIONS.join(', ')} files are allowed.`), false);
   }
 };
 
@@ -49,99 +100,19 @@ const upload = multer({
   }
 });
 
-// Helper function to analyze Excel file
-const analyzeExcelFile = async (filePath) => {
-  try {
-    const workbook = XLSX.readFile(filePath);
-    const analysis = {
-      sheetNames: workbook.SheetNames,
-      sheets: {},
-      metadata: {
-        application: workbook.Props?.Application || 'Unknown',
-        author: workbook.Props?.Author || 'Unknown',
-        lastModified: workbook.Props?.ModifiedDate || null,
-        version: workbook.Props?.Version || 'Unknown'
-      }
-    };
-
-    let totalRows = 0;
-    let totalColumns = 0;
-
-    // Analyze each sheet
-    for (const sheetName of workbook.SheetNames) {
-      const worksheet = workbook.Sheets[sheetName];
-      const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1:A1');
-      
-      const sheetRows = range.e.r + 1;
-      const sheetColumns = range.e.c + 1;
-      
-      totalRows += sheetRows;
-      totalColumns = Math.max(totalColumns, sheetColumns);
-
-      // Get column headers (first row)
-      const headers = [];
-      for (let c = range.s.c; c <= range.e.c; c++) {
-        const cellAddress = XLSX.utils.encode_cell({ r: 0, c });
-        const cell = worksheet[cellAddress];
-        headers.push(cell ? cell.v : `Column_${c + 1}`);
-      }
-
-      // Sample some data for analysis
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: headers, range: 0 });
-      const sampleData = jsonData.slice(0, 100); // First 100 rows for analysis
-
-      // Analyze column types
-      const columnInfo = headers.map(header => {
-        const values = sampleData.map(row => row[header]).filter(val => val !== undefined && val !== null);
-        const uniqueValues = [...new Set(values)];
-        
-        // Determine data type
-        let type = 'string';
-        if (values.length > 0) {
-          const numberCount = values.filter(val => typeof val === 'number' || !isNaN(Number(val))).length;
-          const dateCount = values.filter(val => val instanceof Date || !isNaN(Date.parse(val))).length;
-          const booleanCount = values.filter(val => typeof val === 'boolean' || val === 'true' || val === 'false').length;
-          
-          if (numberCount / values.length > 0.8) type = 'number';
-          else if (dateCount / values.length > 0.8) type = 'date';
-          else if (booleanCount / values.length > 0.8) type = 'boolean';
-          else if (uniqueValues.length < values.length * 0.5) type = 'mixed';
-        }
-
-        return {
-          name: header,
-          type,
-          sampleValues: uniqueValues.slice(0, 5).map(val => String(val)),
-          nullCount: sampleData.length - values.length,
-          uniqueCount: uniqueValues.length
-        };
-      });
-
-      analysis.sheets[sheetName] = {
-        name: sheetName,
-        rows: sheetRows,
-        columns: sheetColumns,
-        range: worksheet['!ref'],
-        columnInfo,
-        sampleData: sampleData.slice(0, 10) // Store first 10 rows as preview
-      };
-    }
-
-    analysis.totalRows = totalRows;
-    analysis.totalColumns = totalColumns;
-    
-    return analysis;
-  } catch (error) {
-    throw new Error(`Failed to analyze Excel file: ${error.message}`);
-  }
-};
-
 // @route   POST /api/files/upload
-// @desc    Upload Excel file
+// @desc    Upload a spreadsheet (Excel, OpenDocument, CSV/TSV, JSON/NDJSON or Parquet); for
+//          CSV files `delimiter` (comma, semicolon, tab, pipe), `quote` (double, single, none)
+//          and `encoding` override what is detected, and for TSV files `quote` and `encoding`
 // @access  Private
 router.post('/upload', 
   auth, 
   upload.single('file'),
+  [
+    body('delimiter').optional({ values: 'falsy' }).isIn(Object.keys(DELIMITERS)).withMessage(`Delimiter must be one of: ${Object.keys(DELIMITERS).join(', ')}`),
+    body('quote').optional({ values: 'falsy' }).isIn(Object.keys(QUOTES)).withMessage(`Quote must be one of: ${Object.keys(QUOTES).join(', ')}`),
+    body('encoding').optional({ values: 'falsy' }).toLowerCase().isIn(ENCODINGS).withMessage(`Encoding must be one of: ${ENCODINGS.join(', ')}`)
+  ],
   async (req, res) => {
     let tempFilePath = null;
     
@@ -154,14 +125,26 @@ router.post('/upload',
       const { description, tags, isPublic = false } = req.body;
       tempFilePath = filePath;
 
-      // Determine file type
-      const extension = path.extname(originalname).toLowerCase();
-      let fileType = 'xlsx';
-      if (extension === '.xls') fileType = 'xls';
-      else if (extension === '.csv') fileType = 'csv';
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await fs.unlink(filePath).catch(() => {});
+        tempFilePath = null;
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      // Determine file type (the upload filter only lets supported ones through)
+      const fileType = fileTypeOf(originalname);
+
+      // Dialect settings picked by the uploader; the rest are detected when processing
+      const csvOptions = ['csv', 'tsv'].includes(fileType) ? parseDialectOptions(req.body) : {};
+      // TSV files are tab-separated by definition
+      if (fileType === 'tsv') delete csvOptions.delimiter;
 
-      // Upload to Cloudinary
-      const cloudinaryResult = await cloudinaryService.uploadExcelFile(filePath, originalname);
+      // Keep the upload in storage
+      const stored = await storeFile(req);
 
       // Create file record
       const fileRecord = new File({
@@ -169,71 +152,23 @@ router.post('/upload',
         originalName: originalname,
         fileName: filename,
         filePath,
-        cloudinaryPublicId: cloudinaryResult.public_id,
-        cloudinaryUrl: cloudinaryResult.url,
+        ...stored,
         fileSize: size,
-        mimeType: mimetype,
+        mimeType: mimeTypeFor(fileType, mimetype),
         fileType,
         description: description || '',
         tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim())) : [],
         isPublic: Boolean(isPublic),
+        ...(Object.keys(csvOptions).length > 0 && { csvDialect: { ...csvOptions, source: 'user' } }),
         status: 'processing'
       });
 
       await fileRecord.save();
 
-      // Analyze the file in the background
-      try {
-        const analysis = await analyzeExcelFile(filePath);
-        
-        // Update file record with analysis results
-        fileRecord.sheetNames = analysis.sheetNames;
-        fileRecord.totalRows = analysis.totalRows;
-        fileRecord.totalColumns = analysis.totalColumns;
-        fileRecord.metadata = {
-          ...analysis.metadata,
-          processedAt: new Date(),
-          fileFormat: fileType,
-          encoding: 'UTF-8'
-        };
-        
-        // Store column info from the first sheet
-        if (analysis.sheetNames.length > 0) {
-          const firstSheet = analysis.sheets[analysis.sheetNames[0]];
-          fileRecord.columnInfo = firstSheet.columnInfo;
-          fileRecord.dataPreview = firstSheet.sampleData;
-        }
-        
-        fileRecord.status = 'processed';
-        fileRecord.processedAt = new Date();
-        
-        await fileRecord.save();
-
-        // Update user usage statistics
-        await User.findByIdAndUpdate(req.user.id, {
-          $inc: {
-            'usage.filesUploaded': 1,
-            'usage.storageUsed': size
-          }
-        });
-
-      } catch (analysisError) {
-        console.error('File analysis error:', analysisError);
-        fileRecord.status = 'failed';
-        fileRecord.processingError = {
-          message: analysisError.message,
-          stack: analysisError.stack,
-          timestamp: new Date()
-        };
-        await fileRecord.save();
-      }
-
-      // Clean up temporary file
-      try {
-        await fs.unlink(tempFilePath);
-      } catch (unlinkError) {
-        console.error('Failed to delete temporary file:', unlinkError);
-      }
+      // Profiling runs in the background job queue, which removes the
+      // temporary file once it's done; clients poll GET /api/files/:id/status
+      await queueFileProcessing(fileRecord);
+      tempFilePath = null;
 
       res.status(201).json({
         message: 'File uploaded successfully',
@@ -243,10 +178,8 @@ router.post('/upload',
           fileSize: fileRecord.fileSize,
           fileType: fileRecord.fileType,
           status: fileRecord.status,
+          processingProgress: fileRecord.processingProgress,
           uploadedAt: fileRecord.uploadedAt,
-          sheetNames: fileRecord.sheetNames,
-          totalRows: fileRecord.totalRows,
-          totalColumns: fileRecord.totalColumns,
           cloudinaryUrl: fileRecord.cloudinaryUrl,
           isPublic: fileRecord.isPublic,
           tags: fileRecord.tags
@@ -300,7 +233,7 @@ router.get('/', auth, async (req, res) => {
       .sort({ uploadedAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .select('-dataPreview -processingError');
+      .select('-dataPreview -metadata.sheets.dataPreview -qualityReport.sheets -versions -processingError');
 
     const total = await File.countDocuments(query);
 
@@ -423,6 +356,7 @@ router.get('/dashboard-stats', auth, async (req, res) => {
       dashboardStats,
       userStoredUsage: user.usage,
       filesDetails: userFiles.map(f => ({
+        id: f._id,
         name: f.originalName,
         size: f.fileSize,
         rows: f.totalRows,
@@ -461,37 +395,571 @@ router.get('/:id', auth, ownerOrAdmin(File), async (req, res) => {
   }
 });
 
+// @route   GET /api/files/:id/status
+// @desc    Get the processing status and progress of a file
+// @access  Private
+router.get('/:id/status', auth, ownerOrAdmin(File), async (req, res) => {
+  try {
+    const file = req.resource;
+    const job = await Job.findOne({ fileId: file._id, type: 'process-file' })
+      .sort({ createdAt: -1 })
+      .select('status attempts maxAttempts runAt');
+
+    res.json({
+      id: file._id,
+      originalName: file.originalName,
+      status: file.status,
+      progress: file.status === 'processed' ? 100 : file.processingProgress || 0,
+      stage: file.processingStage || null,
+      error: file.status === 'failed' ? file.processingError?.message || 'Processing failed' : null,
+      processedAt: file.processedAt || null,
+      job: job ? {
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === 'queued' ? job.runAt : null
+      } : null
+    });
+  } catch (error) {
+    console.error('Get file status error:', error);
+    res.status(500).json({ message: 'Server error fetching file status' });
+  }
+});
+
+// @route   GET /api/files/:id/quality
+// @desc    Get the data quality report of a file: duplicate rows, and per column missing values,
+//          outliers, mixed-type cells, stray whitespace, inconsistent casing and invalid dates
+// @access  Private
+router.get('/:id/quality', auth, ownerOrAdmin(File), async (req, res) => {
+  try {
+    const file = req.resource;
+
+    if (file.status !== 'processed') {
+      return res.status(400).json({ message: 'File is not processed yet' });
+    }
+
+    // Files processed before reports were made, or whose column types changed since
+    if (!file.qualityReport?.generatedAt) {
+      try {
+        file.qualityReport = await assessFile(file);
+      } catch (qualityError) {
+        if (!qualityError.status) throw qualityError;
+        return res.status(qualityError.status).json({ message: qualityError.message, error: qualityError.code });
+      }
+      await file.save();
+    }
+
+    const { sheet } = req.query;
+    const sheets = file.qualityReport.sheets || [];
+    if (sheet && !sheets.some(entry => entry.name === sheet)) {
+      return res.status(404).json({ message: `Sheet "${sheet}" not found`, error: 'SHEET_NOT_FOUND' });
+    }
+
+    res.json({
+      report: {
+        generatedAt: file.qualityReport.generatedAt,
+        score: file.qualityReport.score,
+        issueCount: file.qualityReport.issueCount,
+        sheets: sheet ? sheets.filter(entry => entry.name === sheet) : sheets
+      }
+    });
+  } catch (error) {
+    console.error('Get file quality error:', error);
+    res.status(500).json({ message: 'Server error fetching data quality report' });
+  }
+});
+
+// Fields a cleaning step may have besides its sheet and operation
+const CLEANING_STEP_FIELDS = [
+  'columns', 'column', 'mode', 'find', 'replace', 'matchCase', 'wholeCell', 'method', 'value',
+  'delimiter', 'separator', 'into', 'to', 'type', 'keepOriginal'
+];
+
+// Helper function to describe a sheet's recipe: its steps, and the columns they leave
+const describeRecipe = (file, sheetName) => {
+  const steps = sheetRecipe(file, sheetName);
+  const recipe = { sheet: sheetName, steps, columns: null };
+  try {
+    recipe.columns = recipeColumns(sheetColumnInfo(file, sheetName), steps);
+  } catch (stepError) {
+    // The sheet's columns changed under the recipe, e.g. after a new layout
+    recipe.error = { message: stepError.message, code: stepError.code };
+  }
+  return recipe;
+};
+
+// @route   GET /api/files/:id/recipe
+// @desc    Get the cleaning recipe of a sheet (the first sheet unless `sheet` is given)
+// @access  Private
+router.get('/:id/recipe', auth, ownerOrAdmin(File), async (req, res) => {
+  try {
+    const file = req.resource;
+
+    if (file.status !== 'processed') {
+      return res.status(400).json({ message: 'File is not processed yet' });
+    }
+
+    const sheetName = req.query.sheet || file.sheetNames?.[0];
+    if (!file.sheetNames?.includes(sheetName)) {
+      return res.status(404).json({ message: `Sheet "${sheetName}" not found`, error: 'SHEET_NOT_FOUND' });
+    }
+
+    res.json({ recipe: describeRecipe(file, sheetName) });
+  } catch (error) {
+    console.error('Get cleaning recipe error:', error);
+    res.status(500).json({ message: 'Server error fetching cleaning recipe' });
+  }
+});
+
+// @route   POST /api/files/:id/recipe
+// @desc    Add a step to the end of a sheet's cleaning recipe
+// @access  Private
+router.post('/:id/recipe',
+  auth,
+  ownerOrAdmin(File),
+  [
+    body('sheet').optional().isString().notEmpty().withMessage('Sheet must be a sheet name'),
+    body('operation').isIn(CLEANING_OPERATIONS).withMessage(`Operation must be one of: ${CLEANING_OPERATIONS.join(', ')}`),
+    body('columns').optional().isArray().withMessage('Columns must be an array'),
+    body('columns.*').isString().withMessage('Columns must be column names'),
+    body('column').optional().isString().withMessage('Column must be a column name'),
+    body('mode').optional().isIn(CASE_MODES).withMessage(`Case must be one of: ${CASE_MODES.join(', ')}`),
+    body('find').optional().isString().withMessage('Text to find must be a string'),
+    body('replace').optional().isString().withMessage('Replacement must be a string'),
+    body('matchCase').optional().isBoolean().withMessage('matchCase must be a boolean'),
+    body('wholeCell').optional().isBoolean().withMessage('wholeCell must be a boolean'),
+    body('method').optional().isIn(FILL_METHODS).withMessage(`Fill method must be one of: ${FILL_METHODS.join(', ')}`),
+    body('delimiter').optional().isString().withMessage('Delimiter must be a string'),
+    body('separator').optional().isString().withMessage('Separator must be a string'),
+    body('into').optional().isArray().withMessage('into must be an array of column names'),
+    body('into.*').isString().withMessage('into must be an array of column names'),
+    body('to').optional().isString().withMessage('New column name must be a string'),
+    body('type').optional().isIn(COLUMN_TYPES).withMessage(`Column type must be one of: ${COLUMN_TYPES.join(', ')}`),
+    body('keepOriginal').optional().isBoolean().withMessage('keepOriginal must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const file = req.resource;
+      if (file.status !== 'processed') {
+        return res.status(400).json({ message: 'File is not processed yet' });
+      }
+
+      const sheetName = req.body.sheet || file.sheetNames?.[0];
+      if (!file.sheetNames?.includes(sheetName)) {
+        return res.status(404).json({ message: `Sheet "${sheetName}" not found`, error: 'SHEET_NOT_FOUND' });
+      }
+
+      const step = { sheet: sheetName, operation: req.body.operation };
+      CLEANING_STEP_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) step[field] = req.body[field];
+      });
+
+      try {
+        recipeColumns(sheetColumnInfo(file, sheetName), [...sheetRecipe(file, sheetName), step]);
+      } catch (stepError) {
+        return res.status(400).json({ message: stepError.message, error: stepError.code });
+      }
+
+      file.cleaningRecipe.push(step);
+      await file.save();
+      await refreshDependentAnalyses(file, 'recipe');
+
+      const recipe = describeRecipe(file, sheetName);
+      res.status(201).json({
+        message: 'Cleaning step added',
+        step: recipe.steps[recipe.steps.length - 1],
+        recipe
+      });
+    } catch (error) {
+      console.error('Add cleaning step error:', error);
+      res.status(500).json({ message: 'Server error adding cleaning step' });
+    }
+  }
+);
+
+// @route   DELETE /api/files/:id/recipe/:stepId
+// @desc    Undo one step of a cleaning recipe; the steps after it must still apply without it
+//          (unless the recipe no longer fits the sheet anyway)
+// @access  Private
+router.delete('/:id/recipe/:stepId', auth, ownerOrAdmin(File), async (req, res) => {
+  try {
+    const file = req.resource;
+    const step = file.cleaningRecipe.id(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({ message: 'Cleaning step not found', error: 'STEP_NOT_FOUND' });
+    }
+
+    const remaining = sheetRecipe(file, step.sheet).filter(entry => !entry._id.equals(step._id));
+    if (!describeRecipe(file, step.sheet).error) {
+      try {
+        recipeColumns(sheetColumnInfo(file, step.sheet), remaining);
+      } catch (stepError) {
+        return res.status(409).json({
+          message: `A later step depends on this one: ${stepError.message}`,
+          error: 'STEP_IN_USE'
+        });
+      }
+    }
+
+    file.cleaningRecipe.pull(step._id);
+    await file.save();
+    await refreshDependentAnalyses(file, 'recipe');
+
+    res.json({ message: 'Cleaning step removed', recipe: describeRecipe(file, step.sheet) });
+  } catch (error) {
+    console.error('Remove cleaning step error:', error);
+    res.status(500).json({ message: 'Server error removing cleaning step' });
+  }
+});
+
+// @route   GET /api/files/:id/versions
+// @desc    List the versions of a file, oldest first
+// @access  Private
+router.get('/:id/versions', auth, ownerOrAdmin(File), async (req, res) => {
+  try {
+    const file = req.resource;
+
+    res.json({
+      current: file.version || 1,
+      versions: listVersions(file)
+    });
+  } catch (error) {
+    console.error('Get file versions error:', error);
+    res.status(500).json({ message: 'Server error fetching file versions' });
+  }
+});
+
+// @route   POST /api/files/:id/versions
+// @desc    Upload a new version of a file. The current upload is kept in the file's history,
+//          and analyses that follow the latest version read the new one; CSV and TSV
+//          settings are taken as in POST /api/files/upload
+// @access  Private
+router.post('/:id/versions',
+  auth,
+  ownerOrAdmin(File),
+  upload.single('file'),
+  [
+    body('delimiter').optional({ values: 'falsy' }).isIn(Object.keys(DELIMITERS)).withMessage(`Delimiter must be one of: ${Object.keys(DELIMITERS).join(', ')}`),
+    body('quote').optional({ values: 'falsy' }).isIn(Object.keys(QUOTES)).withMessage(`Quote must be one of: ${Object.keys(QUOTES).join(', ')}`),
+    body('encoding').optional({ values: 'falsy' }).toLowerCase().isIn(ENCODINGS).withMessage(`Encoding must be one of: ${ENCODINGS.join(', ')}`)
+  ],
+  async (req, res) => {
+    let tempFilePath = null;
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+
+      const file = req.resource;
+      const { originalname, filename, path: filePath, size, mimetype } = req.file;
+      tempFilePath = filePath;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await fs.unlink(filePath).catch(() => {});
+        tempFilePath = null;
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (file.status === 'processing') {
+        await fs.unlink(filePath).catch(() => {});
+        tempFilePath = null;
+        return res.status(409).json({ message: 'File is still being processed', error: 'FILE_PROCESSING' });
+      }
+
+      const fileType = fileTypeOf(originalname);
+      const csvOptions = ['csv', 'tsv'].includes(fileType) ? parseDialectOptions(req.body) : {};
+      if (fileType === 'tsv') delete csvOptions.delimiter;
+
+      const stored = await storeFile(req);
+
+      // The current upload joins the history; one that failed to process can't be
+      // read, so the new upload takes its place and its number
+      if (file.status === 'processed') {
+        file.versions.push(snapshotVersion(file));
+        file.version = (file.version || 1) + 1;
+      } else {
+        await deleteUpload(file, file);
+      }
+
+      // CSV settings the uploader picked win; earlier ones still apply to a file of the same type
+      let csvDialect = fileType === file.fileType ? file.csvDialect : undefined;
+      if (Object.keys(csvOptions).length > 0) csvDialect = { ...csvOptions, source: 'user' };
+
+      file.set({
+        originalName: originalname,
+        fileName: filename,
+        filePath,
+        ...stored,
+        fileSize: size,
+        mimeType: mimeTypeFor(fileType, mimetype),
+        fileType,
+        uploadedAt: new Date(),
+        csvDialect,
+        status: 'processing',
+        processingProgress: 0,
+        processingStage: undefined,
+        processingError: undefined,
+        qualityReport: undefined
+      });
+
+      await file.save();
+
+      await queueFileProcessing(file, { newVersion: true });
+      tempFilePath = null;
+
+      res.status(201).json({
+        message: 'New version uploaded successfully',
+        file: {
+          id: file._id,
+          originalName: file.originalName,
+          version: file.version,
+          fileSize: file.fileSize,
+          fileType: file.fileType,
+          status: file.status,
+          processingProgress: file.processingProgress,
+          uploadedAt: file.uploadedAt
+        }
+      });
+    } catch (error) {
+      console.error('Upload version error:', error);
+
+      if (tempFilePath) {
+        try {
+          await fs.unlink(tempFilePath);
+        } catch (unlinkError) {
+          console.error('Failed to delete temporary file:', unlinkError);
+        }
+      }
+
+      res.status(500).json({ message: 'Server error uploading new version' });
+    }
+  }
+);
+
+// @route   GET /api/files/:id/versions/diff
+// @desc    Compare a sheet (the first one both have unless `sheet` is given) of two versions:
+//          `to` defaults to the current version and `from` to the one before it. Reports
+//          sheets and columns added, removed or retyped, and rows added, removed or changed;
+//          rows are matched on the `key` columns (repeat it for several), else on a unique
+//          ID column both versions have, else on their values
+// @access  Private
+router.get('/:id/versions/diff', auth, ownerOrAdmin(File), async (req, res) => {
+  try {
+    const file = req.resource;
+    const to = parseInt(req.query.to, 10) || file.version || 1;
+    const from = parseInt(req.query.from, 10) || to - 1;
+
+    if (from < 1 || from === to) {
+      return res.status(400).json({ message: 'Pick two different versions to compare', error: 'INVALID_VERSIONS' });
+    }
+
+    // The current upload can only be read once it is processed
+    if ([from, to].includes(file.version || 1) && file.status !== 'processed') {
+      return res.status(400).json({ message: 'File is not processed yet' });
+    }
+
+    let diff;
+    try {
+      diff = await diffVersions(fileAtVersion(file, from), fileAtVersion(file, to), {
+        sheet: req.query.sheet,
+        key: [].concat(req.query.key || []).filter(Boolean)
+      });
+    } catch (diffError) {
+      if (!diffError.status || diffError.isAxiosError) throw diffError;
+      return res.status(diffError.status).json({ message: diffError.message, error: diffError.code });
+    }
+
+    const versions = listVersions(file);
+    res.json({
+      diff: {
+        from: versions.find(entry => entry.version === from),
+        to: versions.find(entry => entry.version === to),
+        ...diff
+      }
+    });
+  } catch (error) {
+    console.error('Diff file versions error:', error);
+    res.status(500).json({ message: 'Server error comparing file versions' });
+  }
+});
+
+// @route   GET /api/files/:id/layout
+// @desc    Get the header row and table range of each sheet, with the tables detected on it
+// @access  Private
+router.get('/:id/layout', auth, ownerOrAdmin(File), async (req, res) => {
+  try {
+    const file = req.resource;
+
+    if (file.status !== 'processed') {
+      return res.status(400).json({ message: 'File is not processed yet' });
+    }
+
+    res.json({
+      sheets: (file.metadata?.sheets || []).map(sheet => ({
+        name: sheet.name,
+        rows: sheet.rows,
+        layout: sheet.layout?.headerRow ? sheet.layout : null,
+        regions: sheet.regions || []
+      }))
+    });
+  } catch (error) {
+    console.error('Get file layout error:', error);
+    res.status(500).json({ message: 'Server error fetching file layout' });
+  }
+});
+
+// @route   PUT /api/files/:id/layout
+// @desc    Override the header row and table range of a sheet; the file is processed again
+// @access  Private
+router.put('/:id/layout',
+  auth,
+  ownerOrAdmin(File),
+  [
+    body('sheet').isString().notEmpty().withMessage('Sheet is required'),
+    body('headerRow').isInt({ min: 1 }).withMessage('Header row must be a positive row number'),
+    body('headerRows').optional().isInt({ min: 1, max: 5 }).withMessage('A header can span 1 to 5 rows'),
+    body('range').isString().notEmpty().withMessage('Range is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const file = req.resource;
+      if (file.status !== 'processed') {
+        return res.status(400).json({ message: 'File is not processed yet' });
+      }
+
+      const sheetEntry = file.metadata?.sheets?.find(entry => entry.name === req.body.sheet);
+      if (!sheetEntry) {
+        return res.status(404).json({ message: `Sheet "${req.body.sheet}" not found`, error: 'SHEET_NOT_FOUND' });
+      }
+
+      let layout;
+      try {
+        layout = normalizeLayout({
+          headerRow: Number(req.body.headerRow),
+          headerRows: req.body.headerRows === undefined ? 1 : Number(req.body.headerRows),
+          range: req.body.range
+        });
+      } catch (layoutError) {
+        return res.status(400).json({ message: layoutError.message, error: layoutError.code });
+      }
+
+      sheetEntry.layout = { ...layout, source: 'user' };
+      file.status = 'processing';
+      file.processingProgress = 0;
+      file.processingStage = 'Queued';
+      await file.save();
+      await queueFileProcessing(file, { reprocess: true });
+
+      res.json({
+        message: 'Layout saved; the file is being processed again',
+        file: {
+          id: file._id,
+          status: file.status,
+          processingProgress: file.processingProgress
+        },
+        layout
+      });
+    } catch (error) {
+      console.error('Update file layout error:', error);
+      res.status(500).json({ message: 'Server error updating file layout' });
+    }
+  }
+);
+
 // @route   GET /api/files/:id/data
-// @desc    Get Excel file data for specific sheet
+// @desc    Get a window of rows (header row first) from a sheet's table, read without loading
+//          the whole workbook, and cleaned by the sheet's recipe if it has one; `raw=true`
+//          reads the sheet as it is, ignoring its layout and recipe; GET /api/files/:id/rows
+//          sorts, filters and picks columns
 // @access  Private
 router.get('/:id/data', auth, ownerOrAdmin(File), async (req, res) => {
   try {
     const file = req.resource;
-    const { sheet, limit = 1000 } = req.query;
+    const { sheet } = req.query;
+    const raw = req.query.raw === 'true';
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 1000, 1), 10000);
     
     if (file.status !== 'processed') {
       return res.status(400).json({ message: 'File is not processed yet' });
     }
 
-    // Read the Excel file
-    const workbook = XLSX.readFile(file.filePath);
-    const sheetName = sheet || workbook.SheetNames[0];
-    
-    if (!workbook.Sheets[sheetName]) {
-      return res.status(400).json({ message: 'Sheet not found' });
+    // Row counts are recorded at upload; older files are counted while streaming
+    const sheetName = sheet || file.sheetNames?.[0];
+    const knownSheet = file.metadata?.sheets?.find(entry => entry.name === sheetName);
+
+    // A recipe may drop rows or fill them from others, so the whole table is cleaned first
+    const steps = raw ? [] : sheetRecipe(file, sheetName);
+    if (steps.length > 0) {
+      let table;
+      try {
+        table = await readCleanedTable(file, sheetName, steps);
+      } catch (readError) {
+        if (!readError.status) throw readError;
+        return res.status(readError.status).json({ message: readError.message, error: readError.code });
+      }
+      return res.json({
+        sheetName: table.sheetName,
+        data: table.rows.slice(offset, offset + limit),
+        rowNumbers: table.rowNumbers.slice(offset, offset + limit),
+        offset,
+        totalRows: table.rows.length,
+        availableSheets: table.sheetNames
+      });
     }
 
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-    
-    // Limit the data returned
-    const limitedData = jsonData.slice(0, parseInt(limit));
+    let window;
+    try {
+      window = await withLocalCopy(file, filePath => readRowWindow(filePath, file.fileType, {
+        sheet,
+        offset,
+        limit,
+        layout: raw ? null : sheetLayout(file, sheetName),
+        countRows: !raw && !knownSheet,
+        dialect: fileDialect(file),
+        locale: fileLocale(file)
+      }));
+    } catch (readError) {
+      if (!readError.status) throw readError;
+      return res.status(readError.status).json({ message: readError.message, error: readError.code });
+    }
     
+    // Cells are read as their columns' types; the header row and raw reads are left as they are
+    let data = window.rows;
+    if (!raw) {
+      const types = sheetColumnInfo(file, sheetName).map(column => column.type);
+      const locale = fileLocale(file);
+      data = data.map((values, index) => (offset === 0 && index === 0 ? values : coerceCells(values, types, locale)));
+    }
+
     res.json({
-      sheetName,
-      data: limitedData,
-      totalRows: jsonData.length,
-      availableSheets: workbook.SheetNames
+      sheetName: window.sheetName,
+      data,
+      rowNumbers: window.rowNumbers,
+      offset,
+      totalRows: raw ? null : (knownSheet ? knownSheet.rows : window.totalRows),
+      availableSheets: window.sheetNames
     });
   } catch (error) {
     console.error('Get file data error:', error);
@@ -499,8 +967,129 @@ router.get('/:id/data', auth, ownerOrAdmin(File), async (req, res) => {
   }
 });
 
+// @route   GET /api/files/:id/rows
+// @desc    Query a page of a sheet's rows, cleaned by its recipe: `columns` (JSON array of
+//          names) picks and orders the columns returned, `sort` (JSON array of
+//          `{ column, direction }`) sorts by any columns, `filters` (JSON) takes the filters
+//          analyses use, and pages are read by `offset` or by the `cursor` of the previous
+//          page, which stays as cheap deep into large sheets
+// @access  Private
+router.get('/:id/rows',
+  auth,
+  ownerOrAdmin(File),
+  [
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000').toInt(),
+    query(['columns', 'sort', 'filters']).optional().customSanitizer(parseJsonParam),
+    query('columns').optional().custom(columns => {
+      if (!Array.isArray(columns) || columns.some(name => typeof name !== 'string')) {
+        throw new Error('Columns must be a JSON array of column names');
+      }
+      return true;
+    }),
+    query('sort').optional().custom(sort => {
+      if (!Array.isArray(sort) || sort.some(entry => !entry || typeof entry.column !== 'string'
+        || (entry.direction && !SORT_DIRECTIONS.includes(entry.direction)))) {
+        throw new Error(`Sort must be a JSON array of { column, direction } with direction ${SORT_DIRECTIONS.join(' or ')}`);
+      }
+      return true;
+    }),
+    query('filters').optional().custom(filters => {
+      if (!Array.isArray(filters)) throw new Error('Filters must be a JSON array');
+      return validateFilters(filters);
+    })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const file = req.resource;
+      if (file.status !== 'processed') {
+        return res.status(400).json({ message: 'File is not processed yet' });
+      }
+
+      const { sheet, columns, sort = [], filters, offset = 0, limit = 100, cursor } = req.query;
+      let page;
+      try {
+        page = await queryRows(file, {
+          sheet,
+          columns,
+          sort: sort.map(({ column, direction = 'asc' }) => ({ column, direction })),
+          filters,
+          offset,
+          limit,
+          cursor
+        });
+      } catch (queryError) {
+        // Filters that can't be applied, such as a bad regular expression, are the request's fault
+        const isFilterError = queryError.code?.startsWith('FILTER_');
+        if ((!queryError.status && !isFilterError) || queryError.isAxiosError) throw queryError;
+        return res.status(queryError.status || 400).json({ message: queryError.message, error: queryError.code });
+      }
+
+      res.json(page);
+    } catch (error) {
+      console.error('Query file rows error:', error);
+      res.status(500).json({ message: 'Server error querying file rows' });
+    }
+  }
+);
+
+// @route   GET /api/files/:id/sheet
+// @desc    Read a window of a sheet as the workbook shows it, for the spreadsheet viewer:
+//          cell text in its number format, formulas, styles, merged ranges, frozen panes,
+//          column widths and row heights, from `startRow` for `limit` rows, of the
+//          current version or of `version`
+// @access  Private
+router.get('/:id/sheet',
+  auth,
+  ownerOrAdmin(File),
+  [
+    query('startRow').optional().isInt({ min: 1 }).withMessage('Start row must be a positive integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500').toInt(),
+    query('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (req.resource.status !== 'processed') {
+        return res.status(400).json({ message: 'File is not processed yet' });
+      }
+
+      const { sheet, startRow = 1, limit = 100, version } = req.query;
+      let view;
+      try {
+        view = await readSheetView(fileAtVersion(req.resource, version), { sheet, startRow, limit });
+      } catch (viewError) {
+        if (!viewError.status || viewError.isAxiosError) throw viewError;
+        return res.status(viewError.status).json({ message: viewError.message, error: viewError.code });
+      }
+
+      res.json(view);
+    } catch (error) {
+      console.error('Get sheet view error:', error);
+      res.status(500).json({ message: 'Server error reading sheet' });
+    }
+  }
+);
+
 // @route   PUT /api/files/:id
-// @desc    Update file metadata
+// @desc    Update file metadata, the types of a sheet's columns (`columnInfo: [{ name, type }]`,
+//          type 'auto' going back to the detected one) or the locale its text cells are read
+//          in; a new locale has the file processed again
 // @access  Private
 router.put('/:id', 
   auth, 
@@ -508,7 +1097,15 @@ router.put('/:id',
   [
     body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
     body('tags').optional().isArray().withMessage('Tags must be an array'),
-    body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean')
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
+    body('sheet').optional().isString().notEmpty().withMessage('Sheet must be a sheet name'),
+    body('columnInfo').optional().isArray({ min: 1 }).withMessage('columnInfo must be a non-empty array'),
+    body('columnInfo.*.name').isString().notEmpty().withMessage('Each column needs a name'),
+    body('columnInfo.*.type').isIn([...COLUMN_TYPES, 'auto']).withMessage(`Column type must be one of: ${COLUMN_TYPES.join(', ')}, auto`),
+    body('locale').optional().isObject().withMessage('Locale must be an object'),
+    body('locale.decimalSeparator').optional().isIn(['.', ',']).withMessage('Decimal separator must be "." or ","'),
+    body('locale.thousandsSeparator').optional().isIn([',', '.', ' ', "'", '']).withMessage('Thousands separator must be ",", ".", " ", "\'" or empty'),
+    body('locale.dateOrder').optional().isIn(['MDY', 'DMY', 'YMD']).withMessage('Date order must be MDY, DMY or YMD')
   ],
   async (req, res) => {
     try {
@@ -521,22 +1118,73 @@ router.put('/:id',
       }
 
       const file = req.resource;
-      const { description, tags, isPublic } = req.body;
+      const { description, tags, isPublic, columnInfo, locale } = req.body;
+
+      if ((columnInfo || locale) && file.status !== 'processed') {
+        return res.status(400).json({ message: 'File is not processed yet' });
+      }
+
+      let columns = file.columnInfo;
+      if (columnInfo) {
+        const sheetName = req.body.sheet || file.sheetNames?.[0];
+        const sheetIndex = (file.metadata?.sheets || []).findIndex(entry => entry.name === sheetName);
+        if (req.body.sheet && sheetIndex === -1) {
+          return res.status(404).json({ message: `Sheet "${sheetName}" not found`, error: 'SHEET_NOT_FOUND' });
+        }
+        // Files processed before per-sheet profiles only have the first sheet's, at the top level
+        columns = sheetIndex === -1 ? file.columnInfo : file.metadata.sheets[sheetIndex].columnInfo;
+
+        for (const { name, type } of columnInfo) {
+          const column = columns.find(item => item.name === name);
+          if (!column) {
+            return res.status(400).json({ message: `Column "${name}" not found in sheet "${sheetName}"`, error: 'UNKNOWN_COLUMN' });
+          }
+          column.detectedType = column.detectedType || column.type;
+          column.type = type === 'auto' ? column.detectedType : type;
+        }
+        // The top level mirrors the first sheet
+        if (sheetIndex === 0) file.columnInfo = columns.map(column => column.toObject());
+        // Which cells fit their column depends on its type
+        file.qualityReport = undefined;
+      }
+
+      let reprocess = false;
+      if (locale) {
+        const current = fileLocale(file);
+        const next = { ...current, ...locale };
+        if (next.decimalSeparator === next.thousandsSeparator) {
+          return res.status(400).json({ message: 'The decimal and thousands separators must differ', error: 'INVALID_LOCALE' });
+        }
+        reprocess = ['decimalSeparator', 'thousandsSeparator', 'dateOrder'].some(key => next[key] !== current[key]);
+        file.locale = { ...next, source: 'user' };
+      }
 
       if (description !== undefined) file.description = description;
       if (tags !== undefined) file.tags = tags;
       if (isPublic !== undefined) file.isPublic = isPublic;
 
+      // Column types are worked out again under the new locale
+      if (reprocess) {
+        file.status = 'processing';
+        file.processingProgress = 0;
+        file.processingStage = 'Queued';
+      }
       await file.save();
+      if (reprocess) await queueFileProcessing(file, { reprocess: true });
+      // Analyses read cells as their columns' types
+      if (columnInfo) await refreshDependentAnalyses(file, 'columnTypes');
 
       res.json({
-        message: 'File updated successfully',
+        message: reprocess ? 'File updated; it is being processed again' : 'File updated successfully',
         file: {
           id: file._id,
           originalName: file.originalName,
           description: file.description,
           tags: file.tags,
           isPublic: file.isPublic,
+          status: file.status,
+          locale: file.locale,
+          columnInfo: columns,
           updatedAt: file.updatedAt
         }
       });
@@ -554,24 +1202,27 @@ router.delete('/:id', auth, ownerOrAdmin(File), async (req, res) => {
   try {
     const file = req.resource;
 
-    // Delete from Cloudinary if exists
-    if (file.cloudinaryPublicId) {
-      try {
-        await cloudinaryService.deleteFile(file.cloudinaryPublicId);
-      } catch (cloudinaryError) {
-        console.error('Failed to delete file from Cloudinary:', cloudinaryError);
-        // Continue with database deletion even if Cloudinary deletion fails
-      }
+    // Delete from storage, along with earlier versions; the database entry
+    // goes even if that fails
+    const uploads = [...file.versions, file];
+    for (const entry of uploads) {
+      await deleteUpload(file, entry);
     }
 
     // Update user usage statistics
     await User.findByIdAndUpdate(file.userId, {
       $inc: {
         'usage.filesUploaded': -1,
-        'usage.storageUsed': -file.fileSize
+        'usage.storageUsed': -uploads.reduce((total, entry) => total + (entry.fileSize || 0), 0)
       }
     });
 
+    // Drop processing that hasn't started, along with the upload's temporary copy
+    if (file.status === 'processing') {
+      await Job.deleteMany({ fileId: file._id, status: 'queued' });
+      await fs.unlink(file.filePath).catch(() => {});
+    }
+
     // Delete from database
     await File.findByIdAndDelete(file._id);
 
@@ -629,8 +1280,8 @@ router.get('/:id/download', auth, ownerOrAdmin(File), async (req, res) => {
     // Increment download count
     await file.incrementDownloadCount();
     
-    // Get Cloudinary URL for download
-    const downloadUrl = file.cloudinaryUrl;
+    // Storage the browser can read from directly, otherwise through the API
+    const downloadUrl = storedFileUrl(file) || `${req.baseUrl}/${file._id}/content`;
     
     res.json({
       downloadUrl,
@@ -644,6 +1295,38 @@ router.get('/:id/download', auth, ownerOrAdmin(File), async (req, res) => {
   }
 });
 
+// @route   GET /api/files/:id/content
+// @desc    The uploaded file itself (`version` for an earlier one), for storage drivers
+//          that browsers can't download from directly
+// @access  Private
+router.get('/:id/content', auth, ownerOrAdmin(File), async (req, res) => {
+  try {
+    const version = req.query.version === undefined ? null : Number(req.query.version);
+    if (version !== null && !(Number.isInteger(version) && version >= 1)) {
+      return res.status(400).json({ message: 'Version must be a positive integer', error: 'INVALID_VERSION' });
+    }
+
+    let entry;
+    let contents;
+    try {
+      entry = fileAtVersion(req.resource, version);
+      contents = await openStoredFile(entry);
+    } catch (storageError) {
+      if (!storageError.status || storageError.isAxiosError) throw storageError;
+      return res.status(storageError.status).json({ message: storageError.message, error: storageError.code });
+    }
+
+    res.set('Content-Type', entry.mimeType || 'application/octet-stream');
+    res.attachment(entry.originalName);
+    await pipeline(contents, res);
+  } catch (error) {
+    console.error('File content error:', error);
+    // Failed partway through sending the file
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ message: 'Server error reading file' });
+  }
+});
+
 // @route   POST /api/files/:id/duplicate
 // @desc    Duplicate file
 // @access  Private
@@ -660,7 +1343,9 @@ router.post('/:id/duplicate', auth, ownerOrAdmin(File), async (req, res) => {
       userId: req.user.id,
       originalName: `Copy of ${originalFile.originalName}`,
       fileName: originalFile.fileName,
-      cloudinaryPublicId: originalFile.cloudinaryPublicId, // Reuse same Cloudinary file
+      filePath: originalFile.filePath,
+      storage: originalFile.storage, // Reuse the same stored file
+      cloudinaryPublicId: originalFile.cloudinaryPublicId,
       cloudinaryUrl: originalFile.cloudinaryUrl,
       fileSize: originalFile.fileSize,
       mimeType: originalFile.mimeType,
@@ -675,7 +1360,14 @@ router.post('/:id/duplicate', auth, ownerOrAdmin(File), async (req, res) => {
       totalColumns: originalFile.totalColumns,
       metadata: originalFile.metadata,
       columnInfo: originalFile.columnInfo,
-      dataPreview: originalFile.dataPreview
+      dataPreview: originalFile.dataPreview,
+      // Read the shared upload the way the original is read
+      locale: originalFile.locale,
+      csvDialect: originalFile.csvDialect,
+      // Cleaned the same way, so the same quality report still holds
+      cleaningRecipe: originalFile.cleaningRecipe.map(step => step.toObject()),
+      qualityReport: originalFile.qualityReport
+      // Version history isn't copied: the duplicate starts as version 1 of the current upload
     });
     
     await duplicatedFile.save();
@@ -684,7 +1376,7 @@ router.post('/:id/duplicate', auth, ownerOrAdmin(File), async (req, res) => {
     await User.findByIdAndUpdate(req.user.id, {
       $inc: {
         'usage.filesUploaded': 1
-        // Don't add to storage used since we're reusing the same Cloudinary file
+        // Don't add to storage used since we're reusing the same stored file
       }
     });
     
@@ -717,10 +1409,10 @@ router.post('/recalculate-usage', auth, async (req, res) => {
     // Count actual files for this user
     const fileCount = await File.countDocuments({ userId });
     
-    // Calculate total storage used
+    // Calculate total storage used, earlier versions included
     const storageAggregation = await File.aggregate([
       { $match: { userId: new require('mongoose').Types.ObjectId(userId) } },
-      { $group: { _id: null, totalStorage: { $sum: '$fileSize' } } }
+      { $group: { _id: null, totalStorage: { $sum: { $add: ['$fileSize', { $sum: '$versions.fileSize' }] } } } }
     ]);
     
     const totalStorageUsed = storageAggregation.length > 0 ? storageAggregation[0].totalStorage : 0;
@@ -782,7 +1474,7 @@ router.get('/usage-debug', auth, async (req, res) => {
 });
 
 // @route   GET /api/files/:id/columns
-// @desc    Get file columns for dropdowns
+// @desc    Get the columns of a sheet (the first sheet unless `sheet` is given) for dropdowns
 // @access  Private
 router.get('/:id/columns', auth, ownerOrAdmin(File), async (req, res) => {
   try {
@@ -792,43 +1484,48 @@ router.get('/:id/columns', auth, ownerOrAdmin(File), async (req, res) => {
       return res.status(400).json({ message: 'File is not processed yet' });
     }
 
-    // If columnInfo is available from file processing, use it
-    if (file.columnInfo && file.columnInfo.length > 0) {
-      const columns = file.columnInfo.map(col => col.name);
-      return res.json({ columns });
+    const sheetName = req.query.sheet || file.sheetNames?.[0];
+    if (req.query.sheet && file.sheetNames?.length > 0 && !file.sheetNames.includes(sheetName)) {
+      return res.status(404).json({ message: `Sheet "${sheetName}" not found`, error: 'SHEET_NOT_FOUND' });
     }
 
-    // Otherwise, read the file and extract columns
-    let workbook;
-    try {
-      if (file.cloudinaryUrl) {
-        // Download file from Cloudinary and read
-        const axios = require('axios');
-        const response = await axios.get(file.cloudinaryUrl, { responseType: 'arraybuffer' });
-        workbook = XLSX.read(response.data);
-      } else {
-        // Read from local file system
-        workbook = XLSX.readFile(file.filePath);
+    // Use the column profiles recorded when the file was processed
+    const sheetEntry = file.metadata?.sheets?.find(entry => entry.name === sheetName);
+    const columnInfo = sheetEntry?.columnInfo?.length > 0
+      ? sheetEntry.columnInfo
+      : (sheetName === file.sheetNames?.[0] ? file.columnInfo : []);
+    if (columnInfo?.length > 0) {
+      // Columns as the sheet's cleaning recipe leaves them
+      const steps = sheetRecipe(file, sheetName);
+      if (steps.length > 0) {
+        try {
+          const cleaned = recipeColumns(columnInfo, steps);
+          return res.json({ sheetName, columns: cleaned.map(col => col.name), columnInfo: cleaned });
+        } catch (stepError) {
+          return res.status(stepError.status || 400).json({ message: stepError.message, error: stepError.code });
+        }
       }
+      return res.json({ sheetName, columns: columnInfo.map(col => col.name), columnInfo });
+    }
+
+    // Otherwise, read just the header row of the sheet
+    let window;
+    try {
+      window = await withLocalCopy(file, filePath => readRowWindow(filePath, file.fileType, {
+        sheet: sheetName,
+        limit: 1,
+        layout: sheetLayout(file, sheetName),
+        dialect: fileDialect(file)
+      }));
     } catch (fileError) {
+      if (fileError.status) {
+        return res.status(fileError.status).json({ message: fileError.message, error: fileError.code });
+      }
       console.error('Error reading file for columns:', fileError);
       return res.status(500).json({ message: 'Error reading file' });
     }
 
-    // Get first sheet
-    const firstSheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[firstSheetName];
-    const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1:A1');
-    
-    // Extract column headers (first row)
-    const columns = [];
-    for (let c = range.s.c; c <= range.e.c; c++) {
-      const cellAddress = XLSX.utils.encode_cell({ r: 0, c });
-      const cell = worksheet[cellAddress];
-      columns.push(cell ? cell.v : `Column_${c + 1}`);
-    }
-    
-    res.json({ columns });
+    res.json({ sheetName: window.sheetName, columns: headerNames(window.rows[0] || []) });
   } catch (error) {
     console.error('Get file columns error:', error);
     res.status(500).json({ message: 'Server error fetching file columns' });
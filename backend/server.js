@@ -85,6 +85,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/excel-ana
 .then(() => {
   console.log('✅ MongoDB connected successfully');
   console.log(`   Database: ${process.env.MONGODB_URI.includes('mongodb.net') ? 'MongoDB Atlas (Cloud)' : 'Local MongoDB'}`);
+
+  // Process queued uploads in this process
+  require('./services/fileProcessingService');
+  require('./services/jobQueueService').startWorker();
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err.message);
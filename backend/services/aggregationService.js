@@ -0,0 +1,83 @@
+// Aggregation functions shared by group-by processing and pivot tables.
+// Names match the `aggregations[].function` enum on the Analysis schema.
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+// Smallest and largest value, taken in a loop: spreading a whole column into
+// Math.min or Math.max overflows the call stack on large sheets
+const minOf = (values, start = Infinity) => values.reduce((a, b) => Math.min(a, b), start);
+const maxOf = (values, start = -Infinity) => values.reduce((a, b) => Math.max(a, b), start);
+
+// Most frequent value (first seen wins ties); null when nothing repeats, like Excel's MODE
+const mode = (values) => {
+  if (values.length === 0) return null;
+  if (values.length === 1) return values[0];
+
+  const counts = new Map();
+  let best = null;
+  let bestCount = 1;
+  values.forEach(value => {
+    const count = (counts.get(value) || 0) + 1;
+    counts.set(value, count);
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+const AGGREGATORS = {
+  sum: (values) => sum(values),
+  avg: (values) => (values.length > 0 ? sum(values) / values.length : 0),
+  count: (values) => values.length,
+  min: (values) => (values.length > 0 ? minOf(values) : 0),
+  max: (values) => (values.length > 0 ? maxOf(values) : 0),
+  median: (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+      ? (sorted[mid - 1] + sorted[mid]) / 2
+      : sorted[mid];
+  },
+  mode: (values) => mode(values),
+  std_dev: (values) => {
+    const mean = sum(values) / values.length;
+    const variance = values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / values.length;
+    return Math.sqrt(variance);
+  }
+};
+
+/**
+ * Aggregate numeric values
+ * @param {Array<number>} values - Numeric values (non-numeric cells already dropped)
+ * @param {string} aggFunc - Aggregation function name
+ * @returns {number|undefined} Aggregated value, or undefined for an unknown function
+ */
+const aggregate = (values, aggFunc) => {
+  const aggregator = AGGREGATORS[aggFunc];
+  return aggregator ? aggregator(values) : undefined;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Extract the numeric values of a column; blank cells are left out rather
+ * than read as 0
+ * @param {Array<Object>} rows - Data rows
+ * @param {string} column - Column name
+ * @returns {Array<number>} Numeric values
+ */
+const numericValues = (rows, column) => rows
+  .filter(row => !isBlank(row[column]))
+  .map(row => Number(row[column]))
+  .filter(val => !isNaN(val));
+
+module.exports = {
+  aggregate,
+  mode,
+  minOf,
+  maxOf,
+  numericValues,
+  AGGREGATION_FUNCTIONS: Object.keys(AGGREGATORS)
+};
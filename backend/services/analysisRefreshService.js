@@ -0,0 +1,112 @@
+// Refreshing analyses after their source file changes: a new version, a
+// cleaning step, new column types or processing it again. The analyses that
+// read the file are marked stale, then computed again from the same config in
+// the background job queue.
+const Analysis = require('../models/Analysis');
+const File = require('../models/File');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { registerHandler, enqueue } = require('./jobQueueService');
+const { fileAtVersion } = require('./fileVersionService');
+const { computeAnalysis } = require('./analysisService');
+
+const JOB_TYPE = 'refresh-analysis';
+
+// Analyses reading a file's current upload, or any version of it when
+// `allVersions`; unions and joins always read the current upload
+const dependentsQuery = (file, allVersions) => ({
+  status: { $ne: 'archived' },
+  $or: [
+    allVersions
+      ? { fileId: file._id }
+      : { fileId: file._id, fileVersion: { $in: [null, file.version || 1] } },
+    { 'config.dataSelection.unions.fileId': file._id },
+    { 'config.dataSelection.joins.fileId': file._id }
+  ]
+});
+
+const recordRefreshError = (analysisId, error) => Analysis.updateOne({ _id: analysisId }, {
+  $set: { refreshError: { message: error.message, code: error.code, timestamp: new Date() } }
+});
+
+const refreshAnalysis = async (job) => {
+  const analysis = await Analysis.findById(job.payload.analysisId);
+  // Deleted while it was queued
+  if (!analysis) return;
+  const file = await File.findById(analysis.fileId);
+  if (!file) return;
+
+  let source;
+  try {
+    source = fileAtVersion(file, analysis.fileVersion);
+  } catch (versionError) {
+    await recordRefreshError(analysis._id, versionError);
+    return;
+  }
+  // A new upload still being processed queues another refresh once it is done
+  if (source.status !== 'processed') return;
+
+  // Joined files are read with the access of the analysis's owner
+  const owner = await User.findById(analysis.userId).select('role');
+  const user = { id: String(analysis.userId), role: owner?.role };
+
+  const startTime = Date.now();
+  let data;
+  try {
+    data = await computeAnalysis(source, analysis.toObject(), user);
+  } catch (analysisError) {
+    // The config no longer fits the file, e.g. a column it uses is gone; trying again won't help
+    if (!analysisError.code || analysisError.isAxiosError) throw analysisError;
+    await recordRefreshError(analysis._id, analysisError);
+    return;
+  }
+
+  analysis.data = data;
+  analysis.sourceVersion = source.version || 1;
+  analysis.refreshedAt = new Date();
+  analysis.processingTime = Date.now() - startTime;
+  analysis.stale = false;
+  analysis.staleReason = undefined;
+  analysis.refreshError = undefined;
+  await analysis.save();
+};
+
+registerHandler(JOB_TYPE, {
+  run: refreshAnalysis,
+
+  onFailed: async (job, error) => {
+    console.error('Analysis refresh error:', error);
+    await recordRefreshError(job.payload.analysisId, error);
+  }
+});
+
+/**
+ * Mark the analyses that read a file stale and queue them to be computed again
+ * @param {Object} file - File document, as saved after the change
+ * @param {string} reason - 'version', 'recipe' (which applies to every version),
+ *   'columnTypes' or 'reprocessed'
+ * @returns {Promise<number>} Number of analyses marked stale
+ */
+const refreshDependentAnalyses = async (file, reason) => {
+  const analyses = await Analysis.find(dependentsQuery(file, reason === 'recipe')).select('_id userId');
+  if (analyses.length === 0) return 0;
+
+  const ids = analyses.map(analysis => analysis._id);
+  await Analysis.updateMany({ _id: { $in: ids } }, { $set: { stale: true, staleReason: reason } });
+
+  // A refresh that hasn't started yet will read the file as it is now
+  const queued = new Set((await Job.distinct('payload.analysisId', {
+    type: JOB_TYPE,
+    status: 'queued',
+    'payload.analysisId': { $in: ids }
+  })).map(String));
+  for (const analysis of analyses) {
+    if (queued.has(String(analysis._id))) continue;
+    await enqueue(JOB_TYPE, { userId: analysis.userId, payload: { analysisId: analysis._id } });
+  }
+  return analyses.length;
+};
+
+module.exports = {
+  refreshDependentAnalyses
+};
@@ -0,0 +1,308 @@
+// The analysis pipeline: rows are read from the analysed sheet (and the sheets
+// joined or unioned onto it), run through the configured calculated columns,
+// filters and grouping, then through the analysis type. Used when analyses
+// are created and when they are refreshed after their source file changed.
+const { BSON } = require('mongoose').mongo;
+const File = require('../models/File');
+const { shapeChartData, selectedColumns } = require('./chartDataService');
+const { aggregate, numericValues } = require('./aggregationService');
+const { buildPivotTable, flattenPivotTable } = require('./pivotService');
+const { describeColumns, summarizeProfiles } = require('./statisticsService');
+const { buildCorrelationMatrix, flattenCorrelationMatrix } = require('./correlationService');
+const { fitRegression, regressionPoints } = require('./regressionService');
+const { applyCalculatedColumns } = require('./formulaService');
+const { applyFilters } = require('./filterService');
+const { readSheet } = require('./workbookService');
+const { coerceRows, fileLocale, sheetColumnInfo } = require('./typeInferenceService');
+const { applyRecipe, sheetRecipe } = require('./cleaningService');
+const { combineSources } = require('./joinService');
+const { fileAtVersion } = require('./fileVersionService');
+
+// Rows of the source kept on the analysis as a sample
+const RAW_DATA_SAMPLE = 1000;
+const RAW_DATA_BYTES = 2 * 1024 * 1024;
+// Processed rows kept on the analysis; statistics still cover every row
+const PROCESSED_DATA_LIMIT = 5000;
+const PROCESSED_DATA_BYTES = 4 * 1024 * 1024;
+// What the data of an analysis may take in all, well within the 16 MB MongoDB
+// allows a document, which also holds its config, insights and exports
+const MAX_DATA_BYTES = 12 * 1024 * 1024;
+
+const analysisError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 400;
+  return error;
+};
+
+// The first rows of a list, at most `limit` of them and no more than fit in
+// `bytes` of BSON, so wide sheets can't outgrow the document either
+const leadingRows = (rows, limit, bytes) => {
+  let kept = rows.slice(0, limit);
+  let size = BSON.calculateObjectSize({ kept });
+  while (size > bytes && kept.length > 0) {
+    kept = kept.slice(0, Math.min(kept.length - 1, Math.floor((kept.length * bytes) / size)));
+    size = BSON.calculateObjectSize({ kept });
+  }
+  return kept;
+};
+
+/**
+ * Run the rows through an analysis's calculated columns, filters, grouping and
+ * ordering, then shape them for its chart type
+ * @param {Array<Object>} rawData - Rows read from the source
+ * @param {Object} config - Analysis configuration
+ * @param {string} [chartType] - Chart type of chart analyses
+ * @returns {Array<Object>} Processed rows
+ */
+const processData = (rawData, config, chartType) => {
+  // Add calculated columns first so filters, grouping and charts can use them
+  let processedData = applyCalculatedColumns([...rawData], config.dataSelection?.calculatedColumns);
+
+  // Apply filters (nested AND/OR/NOT groups)
+  processedData = applyFilters(processedData, config.dataSelection?.filters);
+
+  // Apply groupBy and aggregations
+  if (config.dataSelection?.groupBy?.length > 0) {
+    const grouped = {};
+    
+    processedData.forEach(row => {
+      const groupKey = config.dataSelection.groupBy.map(col => row[col]).join('|');
+      if (!grouped[groupKey]) {
+        grouped[groupKey] = [];
+      }
+      grouped[groupKey].push(row);
+    });
+
+    // Apply aggregations
+    processedData = Object.entries(grouped).map(([groupKey, rows]) => {
+      const result = {};
+      
+      // Add group by columns
+      config.dataSelection.groupBy.forEach((col, index) => {
+        result[col] = groupKey.split('|')[index];
+      });
+
+      // Apply aggregation functions
+      if (config.dataSelection?.aggregations?.length > 0) {
+        config.dataSelection.aggregations.forEach(agg => {
+          const { column, function: aggFunc } = agg;
+          const value = aggregate(numericValues(rows, column), aggFunc);
+          if (value !== undefined) {
+            result[`${column}_${aggFunc}`] = value;
+          }
+        });
+      }
+
+      return result;
+    });
+  }
+
+  // Apply orderBy
+  if (config.dataSelection?.orderBy?.length > 0) {
+    processedData.sort((a, b) => {
+      for (const sort of config.dataSelection.orderBy) {
+        const { column, direction } = sort;
+        const aVal = a[column];
+        const bVal = b[column];
+        
+        if (aVal < bVal) return direction === 'asc' ? -1 : 1;
+        if (aVal > bVal) return direction === 'asc' ? 1 : -1;
+      }
+      return 0;
+    });
+  }
+
+  // Shape rows for chart types that don't plot them as-is
+  if (chartType) {
+    processedData = shapeChartData(processedData, chartType, config);
+  }
+
+  return processedData;
+};
+
+/**
+ * Read the analysed rows: the selected sheet, with the sheets it is unioned or
+ * joined with appended or matched onto it. Other files must belong to the same
+ * user; each workbook is read once.
+ * @param {Object} file - File document, or the file at a pinned version (see fileAtVersion)
+ * @param {Object} [dataSelection] - `sheet`, `unions` and `joins` of the analysis
+ * @param {Object} user - `{ id, role }` of whoever runs the analysis
+ * @returns {Promise<Array<Object>>} Rows, with cells read as their columns' types
+ */
+const loadSourceRows = async (file, dataSelection = {}, user) => {
+  const { unions = [], joins = [] } = dataSelection;
+  const sources = new Map();
+
+  const loadSheet = async (fileId, sheet) => {
+    const id = String(fileId || file._id);
+    if (!sources.has(id)) {
+      let sourceFile = file;
+      if (id !== String(file._id)) {
+        sourceFile = await File.findById(id);
+        if (!sourceFile) {
+          throw Object.assign(new Error('Joined file not found'), { code: 'SOURCE_FILE_NOT_FOUND', status: 404 });
+        }
+        if (sourceFile.userId.toString() !== user.id && user.role !== 'admin') {
+          throw Object.assign(new Error('Access denied to joined file'), { code: 'SOURCE_ACCESS_DENIED', status: 403 });
+        }
+        if (sourceFile.status !== 'processed') {
+          throw Object.assign(new Error(`${sourceFile.originalName} is not processed yet`), { code: 'SOURCE_NOT_PROCESSED' });
+        }
+      }
+      sources.set(id, sourceFile);
+    }
+    const source = sources.get(id);
+    const { sheetName, columns, rows } = await readSheet(source, sheet);
+    // Cells are read as their columns' types, in the file's locale, then cleaned by the sheet's recipe
+    const locale = fileLocale(source);
+    const cleaned = applyRecipe(
+      { columns, rows: coerceRows(rows, sheetColumnInfo(source, sheetName), locale) },
+      sheetRecipe(source, sheetName),
+      locale
+    );
+    return { label: sheetName, ...cleaned };
+  };
+
+  const base = await loadSheet(file._id, dataSelection.sheet);
+  if (unions.length === 0 && joins.length === 0) {
+    return base.rows;
+  }
+
+  const unionSheets = [];
+  for (const union of unions) {
+    unionSheets.push(await loadSheet(union.fileId, union.sheet));
+  }
+  const joinSheets = [];
+  for (const join of joins) {
+    joinSheets.push({ ...join, source: await loadSheet(join.fileId, join.sheet) });
+  }
+
+  return combineSources(base, { unions: unionSheets, joins: joinSheets }).rows;
+};
+
+// Regression options from the analysis configuration
+const regressionOptions = (config) => {
+  const { regressionConfig = {}, dataSelection = {} } = config;
+  return {
+    model: regressionConfig.model || 'linear',
+    dependent: dataSelection.yAxisColumn,
+    predictors: regressionConfig.predictors?.length > 0 ? regressionConfig.predictors : [dataSelection.xAxisColumn].filter(Boolean),
+    degree: regressionConfig.degree,
+    confidenceLevel: regressionConfig.confidenceLevel
+  };
+};
+
+/**
+ * Run the type-specific part of an analysis on its processed rows
+ * @param {string} type - Analysis type
+ * @param {Array<Object>} rows - Processed rows (see processData)
+ * @param {Object} config - Analysis configuration
+ * @param {string} [chartType] - Chart type of chart analyses
+ * @returns {Object} `processedData`, plus the pivot table, statistics, correlation or regression
+ */
+const runAnalysis = (type, rows, config, chartType) => {
+  switch (type) {
+    case 'chart':
+      // Scatter charts can carry a fitted trendline
+      if (chartType === 'scatter' && config.regressionConfig?.model) {
+        return { processedData: rows, regression: fitRegression(rows, regressionOptions(config)) };
+      }
+      return { processedData: rows };
+    case 'pivot': {
+      const pivotTable = buildPivotTable(rows, config.pivotConfig);
+      return { processedData: flattenPivotTable(pivotTable), pivotTable };
+    }
+    case 'statistics': {
+      const statistics = describeColumns(rows, selectedColumns(config.dataSelection));
+      return { processedData: summarizeProfiles(statistics.columns), statistics };
+    }
+    case 'correlation': {
+      const correlation = buildCorrelationMatrix(rows, selectedColumns(config.dataSelection));
+      return { processedData: flattenCorrelationMatrix(correlation), correlation };
+    }
+    case 'regression': {
+      const regression = fitRegression(rows, regressionOptions(config));
+      return { processedData: regressionPoints(regression, rows), regression };
+    }
+    default:
+      return { processedData: rows };
+  }
+};
+
+/**
+ * Compute the data of an analysis from its source file
+ * @param {Object} source - File document, or the file at a pinned version (see fileAtVersion)
+ * @param {Object} analysis - `type`, `chartType` and `config` of the analysis
+ * @param {Object} user - `{ id, role }` of whoever runs the analysis
+ * @returns {Promise<Object>} The Analysis `data`: processed rows, type-specific
+ *   results, a sample of the source rows and statistics, bounded to fit in the
+ *   Analysis document
+ */
+const computeAnalysis = async (source, { type, chartType, config }, user) => {
+  const rawData = await loadSourceRows(source, config.dataSelection, user);
+  if (rawData.length === 0) {
+    throw analysisError('No data found in the selected sheet', 'NO_DATA');
+  }
+
+  const chart = type === 'chart' ? chartType : undefined;
+  const rows = processData(rawData, config, chart);
+  const { processedData, statistics: analysisStatistics, ...analysisResult } = runAnalysis(type, rows, config, chart);
+
+  const storedData = leadingRows(processedData, PROCESSED_DATA_LIMIT, PROCESSED_DATA_BYTES);
+  const data = {
+    processedData: storedData,
+    ...analysisResult,
+    rawData: leadingRows(rawData, RAW_DATA_SAMPLE, RAW_DATA_BYTES),
+    statistics: {
+      rowCount: processedData.length,
+      truncated: storedData.length < processedData.length,
+      columnCount: Object.keys(processedData[0] || {}).length,
+      nullValues: processedData.reduce((count, row) => {
+        return count + Object.values(row).filter(val => val === null || val === undefined || val === '').length;
+      }, 0),
+      uniqueValues: Object.keys(processedData[0] || {}).reduce((acc, key) => {
+        acc[key] = new Set(processedData.map(row => row[key])).size;
+        return acc;
+      }, {}),
+      ...analysisStatistics
+    }
+  };
+
+  // Pivot tables and regressions are bounded where they are built; this catches
+  // whatever else would still be too large to save, e.g. correlations of
+  // hundreds of columns
+  if (BSON.calculateObjectSize(data) > MAX_DATA_BYTES) {
+    throw analysisError(
+      'This analysis is too large to save. Select fewer columns or group the data.',
+      'ANALYSIS_TOO_LARGE'
+    );
+  }
+  return data;
+};
+
+/**
+ * Every point of an analysis's fitted regression, fitted again on its source
+ * rows; the analysis itself keeps only a sample of the observations
+ * @param {Object} analysis - Analysis document with a regression
+ * @param {Object} user - `{ id, role }` of whoever asks
+ * @returns {Promise<Array<Object>>} Points as regressionPoints gives them
+ */
+const regressionResiduals = async (analysis, user) => {
+  const file = await File.findById(analysis.fileId);
+  if (!file) {
+    throw Object.assign(new Error('Source file not found'), { code: 'SOURCE_FILE_NOT_FOUND', status: 404 });
+  }
+  const { type, chartType, config } = analysis.toObject();
+  const rawData = await loadSourceRows(fileAtVersion(file, analysis.fileVersion), config.dataSelection, user);
+  const rows = processData(rawData, config, type === 'chart' ? chartType : undefined);
+  return regressionPoints(analysis.data.regression, rows);
+};
+
+module.exports = {
+  processData,
+  loadSourceRows,
+  runAnalysis,
+  computeAnalysis,
+  regressionResiduals
+};
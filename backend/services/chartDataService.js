@@ -0,0 +1,364 @@
+// Shapes processed rows into the structure each chart type renders from.
+// Chart types that plot rows as-is (bar, line, pie, ...) pass through untouched.
+const { minOf, maxOf } = require('./aggregationService');
+
+// Parse a cell into a finite number, or null when it is not numeric
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Linear-interpolated quantile of an ascending sorted array
+const quantile = (sorted, q) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const base = Math.floor(position);
+  const rest = position - base;
+  return sorted[base + 1] !== undefined
+    ? sorted[base] + rest * (sorted[base + 1] - sorted[base])
+    : sorted[base];
+};
+
+// Evenly spaced items of a list, at most `size` of them, in order
+const sampleEvenly = (items, size) => (items.length <= size
+  ? items
+  : Array.from({ length: size }, (_, i) => items[Math.floor((i * items.length) / size)]));
+
+// Resolve the X/Y keys the same way the chart components do
+const resolveKeys = (rows, dataSelection = {}) => {
+  const keys = Object.keys(rows[0] || {});
+  const { xAxisColumn, yAxisColumn, valueColumn } = dataSelection;
+
+  return {
+    xKey: xAxisColumn && keys.includes(xAxisColumn) ? xAxisColumn : keys[0],
+    yKey: yAxisColumn && keys.includes(yAxisColumn) ? yAxisColumn : keys[1] || keys[0],
+    valueKey: valueColumn && keys.includes(valueColumn) ? valueColumn : null
+  };
+};
+
+// Sum a numeric column per label, keeping first-seen label order
+const sumByLabel = (rows, labelKey, valueKey) => {
+  const totals = new Map();
+  rows.forEach(row => {
+    const label = row[labelKey] === undefined || row[labelKey] === null ? '(blank)' : String(row[labelKey]);
+    const value = valueKey ? toNumber(row[valueKey]) : 1;
+    totals.set(label, (totals.get(label) || 0) + (value === null ? 0 : value));
+  });
+  return totals;
+};
+
+/**
+ * Names of the selected columns, optionally only those with a given role
+ * @param {Object} [dataSelection] - Analysis data selection
+ * @param {string} [role] - Column role to keep ('x', 'y', 'series', ...)
+ * @returns {Array<string>} Column names in selection order
+ */
+const selectedColumns = (dataSelection = {}, role) => (dataSelection.columns || [])
+  .map(column => (typeof column === 'string' ? { name: column } : column))
+  .filter(column => column?.name && (!role || column.role === role))
+  .map(column => column.name);
+
+/**
+ * Split rows into the series of a bar, column, line or area chart. Every
+ * Y-role column is a series; with a series-role column each Y column is split
+ * once more per series value, summing Y per X label.
+ * @param {Array<Object>} rows - Processed rows
+ * @param {Object} [dataSelection] - Analysis data selection
+ * @returns {Object} `{ labels, series: [{ name, values }] }`; values align with labels
+ */
+const buildSeries = (rows, dataSelection = {}) => {
+  const { xKey, yKey } = resolveKeys(rows, dataSelection);
+  const keys = Object.keys(rows[0] || {});
+  const yColumns = [...new Set([yKey, ...selectedColumns(dataSelection, 'y')])].filter(key => keys.includes(key));
+  const seriesKey = selectedColumns(dataSelection, 'series').find(key => keys.includes(key) && key !== xKey);
+
+  if (!seriesKey) {
+    return {
+      labels: rows.map(row => row[xKey]),
+      series: yColumns.map(column => ({ name: column, values: rows.map(row => toNumber(row[column]) || 0) }))
+    };
+  }
+
+  const labels = [];
+  const labelIndex = new Map();
+  const series = new Map();
+  rows.forEach(row => {
+    const label = row[xKey] === undefined || row[xKey] === null ? '(blank)' : String(row[xKey]);
+    if (!labelIndex.has(label)) {
+      labelIndex.set(label, labels.length);
+      labels.push(label);
+    }
+    const group = row[seriesKey] === undefined || row[seriesKey] === null || row[seriesKey] === ''
+      ? '(blank)'
+      : String(row[seriesKey]);
+    yColumns.forEach(column => {
+      const name = yColumns.length > 1 ? `${group} · ${column}` : group;
+      if (!series.has(name)) series.set(name, new Map());
+      const totals = series.get(name);
+      const index = labelIndex.get(label);
+      totals.set(index, (totals.get(index) || 0) + (toNumber(row[column]) || 0));
+    });
+  });
+
+  return {
+    labels,
+    series: Array.from(series.entries()).map(([name, totals]) => ({
+      name,
+      values: labels.map((_, index) => totals.get(index) ?? 0)
+    }))
+  };
+};
+
+/**
+ * Split numeric values into equal-width bins
+ * @param {Array<number>} values - Numeric values
+ * @param {number} [binCount] - Number of bins (Sturges' rule when omitted)
+ * @returns {Array<Object>} Bins with label, start, end and count
+ */
+const histogramBins = (values, binCount) => {
+  if (values.length === 0) return [];
+
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  const count = Math.max(1, parseInt(binCount, 10) || Math.ceil(Math.log2(values.length) + 1));
+  const width = (max - min) / count || 1;
+
+  const bins = Array.from({ length: count }, (_, index) => {
+    const binStart = min + index * width;
+    const binEnd = index === count - 1 ? max : binStart + width;
+    return {
+      bin: `${Number(binStart.toFixed(2))} – ${Number(binEnd.toFixed(2))}`,
+      binStart,
+      binEnd,
+      count: 0
+    };
+  });
+
+  values.forEach(value => {
+    const index = Math.min(Math.floor((value - min) / width), count - 1);
+    bins[index].count += 1;
+  });
+
+  return bins;
+};
+
+const shapeHistogram = (rows, { xKey, yKey }, chartConfig) => {
+  let values = rows.map(row => toNumber(row[yKey])).filter(val => val !== null);
+  if (values.length === 0) {
+    values = rows.map(row => toNumber(row[xKey])).filter(val => val !== null);
+  }
+  // Sturges' rule unless the chart config asks for a specific bin count
+  return histogramBins(values, chartConfig.bins);
+};
+
+// Box and violin plots need the raw distribution per category
+// Violin outlines are drawn from this many density estimates per category
+const DENSITY_POINTS = 50;
+// Outliers kept per category, spread evenly over them
+const MAX_OUTLIERS = 100;
+
+// Gaussian kernel density (Silverman's bandwidth) of sorted values at
+// DENSITY_POINTS points from min to max, taken over that many bins so its cost
+// doesn't grow with the number of values
+const densityCoords = (sorted, { mean, q1, q3 }) => {
+  const n = sorted.length;
+  const min = sorted[0];
+  const max = sorted[n - 1];
+  if (max === min) return [{ v: min, estimate: 1 }];
+
+  const step = (max - min) / (DENSITY_POINTS - 1);
+  const counts = new Array(DENSITY_POINTS).fill(0);
+  let squares = 0;
+  sorted.forEach(value => {
+    counts[Math.round((value - min) / step)] += 1;
+    squares += (value - mean) * (value - mean);
+  });
+  const spread = Math.min(Math.sqrt(squares / n), (q3 - q1) / 1.34) || Math.sqrt(squares / n);
+  const bandwidth = Math.max(0.9 * spread * Math.pow(n, -0.2), step);
+
+  return counts.map((_, i) => {
+    const v = min + i * step;
+    const weight = counts.reduce((acc, count, j) => {
+      const u = (v - (min + j * step)) / bandwidth;
+      return count === 0 ? acc : acc + count * Math.exp(-0.5 * u * u);
+    }, 0);
+    return { v, estimate: weight / (n * bandwidth * Math.sqrt(2 * Math.PI)) };
+  });
+};
+
+// Box and violin plots: the five-number summary of each category with Tukey
+// whiskers (1.5 IQR) and outliers, plus a density outline for violins; the
+// values themselves aren't kept, so the size doesn't grow with the rows
+const shapeDistribution = (rows, { xKey, yKey }, chartType) => {
+  const groups = new Map();
+  const categoryKey = xKey !== yKey ? xKey : null;
+
+  rows.forEach(row => {
+    const value = toNumber(row[yKey]);
+    if (value === null) return;
+    const category = categoryKey ? String(row[categoryKey] ?? '(blank)') : 'All';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(value);
+  });
+
+  return Array.from(groups.entries()).map(([category, values]) => {
+    const sorted = values.sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const lowerFence = q1 - 1.5 * (q3 - q1);
+    const upperFence = q3 + 1.5 * (q3 - q1);
+    const inside = sorted.filter(value => value >= lowerFence && value <= upperFence);
+    const summary = {
+      [categoryKey || 'category']: category,
+      count: sorted.length,
+      min: sorted[0],
+      q1,
+      median: quantile(sorted, 0.5),
+      q3,
+      max: sorted[sorted.length - 1],
+      mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+      whiskerMin: inside[0],
+      whiskerMax: inside[inside.length - 1],
+      outliers: sampleEvenly(sorted.filter(value => value < lowerFence || value > upperFence), MAX_OUTLIERS)
+    };
+    if (chartType !== 'violin') return summary;
+    const coords = densityCoords(sorted, summary);
+    return { ...summary, coords, maxEstimate: maxOf(coords.map(coord => coord.estimate)) };
+  });
+};
+
+// Heatmap cells: X category × Y category, summing the value column (or counting rows)
+const shapeHeatmap = (rows, { xKey, yKey, valueKey }) => {
+  const cells = new Map();
+  rows.forEach(row => {
+    const x = String(row[xKey] ?? '(blank)');
+    const y = String(row[yKey] ?? '(blank)');
+    const value = valueKey ? toNumber(row[valueKey]) : 1;
+    const cellKey = `${x}\u0000${y}`;
+    if (!cells.has(cellKey)) cells.set(cellKey, { x, y, value: 0 });
+    cells.get(cellKey).value += value === null ? 0 : value;
+  });
+  return Array.from(cells.values());
+};
+
+const shapeWaterfall = (rows, { xKey, yKey }) => {
+  const totals = sumByLabel(rows, xKey, yKey);
+  let running = 0;
+  const steps = Array.from(totals.entries()).map(([label, value]) => {
+    const start = running;
+    running += value;
+    return { [xKey]: label, [yKey]: value, start, end: running, isTotal: false };
+  });
+  steps.push({ [xKey]: 'Total', [yKey]: running, start: 0, end: running, isTotal: true });
+  return steps;
+};
+
+const shapeFunnel = (rows, { xKey, yKey }) => {
+  const totals = sumByLabel(rows, xKey, yKey);
+  return Array.from(totals.entries())
+    .map(([label, value]) => ({ [xKey]: label, [yKey]: value }))
+    .sort((a, b) => b[yKey] - a[yKey]);
+};
+
+const shapeGauge = (rows, { yKey }, chartConfig) => {
+  const values = rows.map(row => toNumber(row[yKey])).filter(val => val !== null);
+  if (values.length === 0) return [];
+
+  const gauge = chartConfig.gauge || {};
+  const value = values.reduce((a, b) => a + b, 0) / values.length;
+  return [{
+    label: yKey,
+    value,
+    min: toNumber(gauge.min) ?? minOf(values, 0),
+    max: toNumber(gauge.max) ?? maxOf(values)
+  }];
+};
+
+// Treemap and sunburst share a hierarchy: group-by columns (or X) as levels, Y summed
+const shapeHierarchy = (rows, { xKey, yKey }, dataSelection) => {
+  const levels = dataSelection.groupBy?.length > 0 ? dataSelection.groupBy : [xKey];
+  const numericY = rows.some(row => toNumber(row[yKey]) !== null);
+  const nodes = new Map();
+
+  rows.forEach(row => {
+    const path = levels.map(level => String(row[level] ?? '(blank)'));
+    const value = numericY ? toNumber(row[yKey]) : 1;
+    const nodeKey = path.join('\u0000');
+    if (!nodes.has(nodeKey)) {
+      const node = { value: 0 };
+      levels.forEach((level, index) => { node[level] = path[index]; });
+      nodes.set(nodeKey, node);
+    }
+    nodes.get(nodeKey).value += value === null ? 0 : value;
+  });
+
+  return Array.from(nodes.values());
+};
+
+// Sankey links: X is the source, Y the target, value column (or row count) the flow
+const shapeSankey = (rows, { xKey, yKey, valueKey }) => {
+  const links = new Map();
+  rows.forEach(row => {
+    const from = String(row[xKey] ?? '(blank)');
+    const to = String(row[yKey] ?? '(blank)');
+    if (from === to) return;
+    const flow = valueKey ? toNumber(row[valueKey]) : 1;
+    const linkKey = `${from}\u0000${to}`;
+    if (!links.has(linkKey)) links.set(linkKey, { from, to, flow: 0 });
+    links.get(linkKey).flow += flow === null ? 0 : flow;
+  });
+  return Array.from(links.values()).filter(link => link.flow > 0);
+};
+
+/**
+ * Shape processed rows for the given chart type
+ * @param {Array<Object>} rows - Filtered, grouped and ordered rows
+ * @param {string} chartType - Analysis chart type
+ * @param {Object} config - Analysis configuration
+ * @returns {Array<Object>} Rows in the structure the chart renderer expects
+ */
+const shapeChartData = (rows, chartType, config = {}) => {
+  if (!rows || rows.length === 0) return rows;
+
+  const dataSelection = config.dataSelection || {};
+  const chartConfig = config.chartConfig || {};
+  const keys = resolveKeys(rows, dataSelection);
+
+  switch (chartType) {
+    case 'histogram':
+      return shapeHistogram(rows, keys, chartConfig);
+    case 'box':
+    case 'violin':
+      return shapeDistribution(rows, keys, chartType);
+    case 'heatmap':
+      return shapeHeatmap(rows, keys);
+    case 'waterfall':
+      return shapeWaterfall(rows, keys);
+    case 'funnel':
+      return shapeFunnel(rows, keys);
+    case 'gauge':
+      return shapeGauge(rows, keys, chartConfig);
+    case 'treemap':
+    case 'sunburst':
+      return shapeHierarchy(rows, keys, dataSelection);
+    case 'sankey':
+      return shapeSankey(rows, keys);
+    default:
+      return rows;
+  }
+};
+
+module.exports = {
+  shapeChartData,
+  selectedColumns,
+  buildSeries,
+  histogramBins,
+  toNumber,
+  quantile,
+  sampleEvenly
+};
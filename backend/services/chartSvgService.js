@@ -0,0 +1,593 @@
+// Renders an analysis to a standalone SVG document on the server, so exports
+// don't depend on a browser. Mirrors the chart families drawn by Chart2D/Chart3D.
+const { toNumber, selectedColumns, buildSeries } = require('./chartDataService');
+const { minOf, maxOf } = require('./aggregationService');
+
+const PALETTE = [
+  '#3b82f6', '#10b981', '#f56565', '#fbbf24', '#8b5cf6',
+  '#ec4899', '#22c55e', '#f97316', '#06b6d4', '#a855f7'
+];
+
+const MARGIN = { top: 60, right: 30, bottom: 80, left: 80 };
+
+const BAR_CHART_TYPES = ['bar', 'column', 'histogram', 'funnel', 'bar3d', 'column3d', 'cylinder3d', 'cone3d', 'pyramid3d', '3d-bar'];
+const LINE_CHART_TYPES = ['line', 'area', 'radar', 'line3d', 'area3d', '3d-line'];
+const ARC_CHART_TYPES = ['pie', 'doughnut', 'polar', 'gauge', 'sunburst', 'pie3d'];
+const POINT_CHART_TYPES = ['scatter', 'bubble', 'scatter3d', 'bubble3d', '3d-scatter'];
+const GRID_CHART_TYPES = ['heatmap', 'surface3d', 'wireframe3d', 'mesh3d', 'contour3d', 'volume3d'];
+// Chart types that can plot several Y columns or be split by a series column
+const SERIES_CHART_TYPES = ['bar', 'column', 'line', 'area'];
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const truncate = (value, length = 14) => {
+  const text = String(value ?? '');
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+};
+
+const formatNumber = (value) => {
+  if (!Number.isFinite(value)) return '';
+  if (Math.abs(value) >= 1e6) return `${Number((value / 1e6).toFixed(1))}M`;
+  if (Math.abs(value) >= 1e3) return `${Number((value / 1e3).toFixed(1))}K`;
+  return String(Number(value.toFixed(2)));
+};
+
+// Round the value range out to "nice" tick steps
+const niceScale = (min, max, tickCount = 5) => {
+  if (min === max) {
+    min = Math.min(0, min);
+    max = max === 0 ? 1 : Math.max(0, max);
+  }
+  const rawStep = (max - min) / tickCount;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep) || rawStep;
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let tick = niceMin; tick <= niceMax + step / 2; tick += step) {
+    ticks.push(Number(tick.toFixed(10)));
+  }
+  return { min: niceMin, max: niceMax, ticks };
+};
+
+// Resolve X/Y/value keys the same way the chart components do
+const resolveKeys = (rows, dataSelection = {}) => {
+  const keys = Object.keys(rows[0] || {});
+  const { xAxisColumn, yAxisColumn, zAxisColumn, valueColumn } = dataSelection;
+  return {
+    keys,
+    xKey: xAxisColumn && keys.includes(xAxisColumn) ? xAxisColumn : keys[0],
+    yKey: yAxisColumn && keys.includes(yAxisColumn) ? yAxisColumn : keys[1] || keys[0],
+    zKey: zAxisColumn && keys.includes(zAxisColumn) ? zAxisColumn : null,
+    valueKey: valueColumn && keys.includes(valueColumn) ? valueColumn : null
+  };
+};
+
+const plotArea = (width, height) => ({
+  left: MARGIN.left,
+  top: MARGIN.top,
+  width: width - MARGIN.left - MARGIN.right,
+  height: height - MARGIN.top - MARGIN.bottom
+});
+
+// Horizontal gridlines and tick labels for a vertical value axis
+const renderValueAxis = (area, scale, toY, title) => {
+  const parts = scale.ticks.map(tick => {
+    const y = toY(tick);
+    return `<line x1="${area.left}" y1="${y}" x2="${area.left + area.width}" y2="${y}" stroke="#e5e7eb"/>`
+      + `<text x="${area.left - 8}" y="${y + 4}" text-anchor="end" font-size="11" fill="#6b7280">${formatNumber(tick)}</text>`;
+  });
+  parts.push(`<line x1="${area.left}" y1="${area.top}" x2="${area.left}" y2="${area.top + area.height}" stroke="#9ca3af"/>`);
+  if (title) {
+    parts.push(`<text transform="translate(18 ${area.top + area.height / 2}) rotate(-90)" text-anchor="middle" font-size="12" fill="#374151">${escapeXml(title)}</text>`);
+  }
+  return parts.join('');
+};
+
+// Category labels along the bottom edge, rotated when crowded
+const renderCategoryAxis = (area, labels, toX, title) => {
+  const rotate = labels.length > 8;
+  const step = Math.ceil(labels.length / 40);
+  const parts = labels.map((label, index) => {
+    if (index % step !== 0) return '';
+    const x = toX(index);
+    const y = area.top + area.height + 16;
+    return rotate
+      ? `<text transform="translate(${x} ${y}) rotate(-40)" text-anchor="end" font-size="11" fill="#6b7280">${escapeXml(truncate(label))}</text>`
+      : `<text x="${x}" y="${y}" text-anchor="middle" font-size="11" fill="#6b7280">${escapeXml(truncate(label))}</text>`;
+  });
+  parts.push(`<line x1="${area.left}" y1="${area.top + area.height}" x2="${area.left + area.width}" y2="${area.top + area.height}" stroke="#9ca3af"/>`);
+  if (title) {
+    parts.push(`<text x="${area.left + area.width / 2}" y="${area.top + area.height + MARGIN.bottom - 8}" text-anchor="middle" font-size="12" fill="#374151">${escapeXml(title)}</text>`);
+  }
+  return parts.join('');
+};
+
+const renderBars = (rows, chartType, keys, width, height) => {
+  const area = plotArea(width, height);
+  let labels;
+  let ranges;
+
+  if (chartType === 'histogram') {
+    labels = rows.map(row => row.bin);
+    ranges = rows.map(row => [0, row.count]);
+  } else if (chartType === 'waterfall') {
+    labels = rows.map(row => row[keys.xKey]);
+    ranges = rows.map(row => [row.start, row.end]);
+  } else {
+    labels = rows.map(row => row[keys.xKey]);
+    ranges = rows.map(row => [0, toNumber(row[keys.yKey]) || 0]);
+  }
+
+  const scale = niceScale(minOf(ranges.flat(), 0), maxOf(ranges.flat(), 0));
+  const toY = (value) => area.top + area.height - ((value - scale.min) / (scale.max - scale.min)) * area.height;
+  const slot = area.width / Math.max(labels.length, 1);
+  const barWidth = chartType === 'histogram' ? slot : slot * 0.7;
+  const toX = (index) => area.left + slot * index + slot / 2;
+
+  const bars = ranges.map(([start, end], index) => {
+    let color = PALETTE[index % PALETTE.length];
+    if (chartType === 'waterfall') {
+      color = rows[index].isTotal ? PALETTE[0] : (end >= start ? PALETTE[1] : PALETTE[2]);
+    } else if (chartType === 'histogram') {
+      color = PALETTE[0];
+    }
+    const top = toY(Math.max(start, end));
+    const barHeight = Math.max(Math.abs(toY(start) - toY(end)), 1);
+    return `<rect x="${toX(index) - barWidth / 2}" y="${top}" width="${barWidth}" height="${barHeight}" fill="${color}" fill-opacity="0.85" stroke="#ffffff" stroke-width="${chartType === 'histogram' ? 1 : 0}"/>`;
+  });
+
+  return renderValueAxis(area, scale, toY, chartType === 'histogram' ? 'Frequency' : keys.yKey)
+    + renderCategoryAxis(area, labels, toX, chartType === 'histogram' ? keys.yKey : keys.xKey)
+    + bars.join('');
+};
+
+const renderLines = (rows, chartType, keys, width, height) => {
+  const area = plotArea(width, height);
+  const labels = rows.map(row => row[keys.xKey]);
+  const values = rows.map(row => toNumber(row[keys.yKey]) || 0);
+  const scale = niceScale(minOf(values, 0), maxOf(values));
+  const toY = (value) => area.top + area.height - ((value - scale.min) / (scale.max - scale.min)) * area.height;
+  const slot = area.width / Math.max(labels.length, 1);
+  const toX = (index) => area.left + slot * index + slot / 2;
+  const points = values.map((value, index) => `${toX(index)},${toY(value)}`);
+
+  let fill = '';
+  if (chartType === 'area' || chartType === 'area3d') {
+    const baseline = toY(Math.max(scale.min, 0));
+    fill = `<polygon points="${toX(0)},${baseline} ${points.join(' ')} ${toX(values.length - 1)},${baseline}" fill="${PALETTE[0]}" fill-opacity="0.3"/>`;
+  }
+
+  const markers = values.map((value, index) => `<circle cx="${toX(index)}" cy="${toY(value)}" r="3" fill="${PALETTE[0]}"/>`);
+
+  return renderValueAxis(area, scale, toY, keys.yKey)
+    + renderCategoryAxis(area, labels, toX, keys.xKey)
+    + fill
+    + `<polyline points="${points.join(' ')}" fill="none" stroke="${PALETTE[0]}" stroke-width="2"/>`
+    + markers.join('');
+};
+
+// One row of legend swatches between the title and the plot
+const renderLegend = (names, colors, width) => {
+  let x = MARGIN.left;
+  const parts = [];
+  names.forEach((name, index) => {
+    const label = truncate(name, 24);
+    const itemWidth = 24 + label.length * 6.5;
+    if (x + itemWidth > width - MARGIN.right) return;
+    parts.push(`<rect x="${x}" y="40" width="12" height="12" fill="${colors[index % colors.length]}"/>`
+      + `<text x="${x + 16}" y="50" font-size="11" fill="#374151">${escapeXml(label)}</text>`);
+    x += itemWidth;
+  });
+  return parts.join('');
+};
+
+// Several series on one category axis: grouped or stacked bars, lines or areas
+const renderSeries = (rows, chartType, keys, width, height, data, config = {}) => {
+  const area = plotArea(width, height);
+  const { labels, series } = buildSeries(rows, config.dataSelection);
+  const colors = config.styling?.colors?.length > 0 ? config.styling.colors : PALETTE;
+  const stacked = Boolean(config.chartConfig?.stacked);
+  const isBar = chartType === 'bar' || chartType === 'column';
+
+  // Stacked series start where the previous ones ended (positives up, negatives down)
+  const positive = labels.map(() => 0);
+  const negative = labels.map(() => 0);
+  const ranges = series.map(({ values }) => values.map((value, index) => {
+    if (!stacked) return [0, value];
+    const totals = value >= 0 ? positive : negative;
+    const start = totals[index];
+    totals[index] += value;
+    return [start, totals[index]];
+  }));
+
+  const flat = ranges.flat(2);
+  const scale = niceScale(minOf(flat, 0), maxOf(flat, 0));
+  const toY = (value) => area.top + area.height - ((value - scale.min) / (scale.max - scale.min)) * area.height;
+  const slot = area.width / Math.max(labels.length, 1);
+  const toX = (index) => area.left + slot * index + slot / 2;
+
+  const marks = ranges.map((seriesRanges, seriesIndex) => {
+    const color = colors[seriesIndex % colors.length];
+    if (isBar) {
+      const barWidth = stacked ? slot * 0.7 : (slot * 0.8) / series.length;
+      return seriesRanges.map(([start, end], index) => {
+        const x = stacked
+          ? toX(index) - barWidth / 2
+          : toX(index) - slot * 0.4 + barWidth * seriesIndex;
+        return `<rect x="${x}" y="${toY(Math.max(start, end))}" width="${barWidth}" height="${Math.max(Math.abs(toY(start) - toY(end)), 1)}" fill="${color}" fill-opacity="0.85"/>`;
+      }).join('');
+    }
+    const points = seriesRanges.map(([, end], index) => `${toX(index)},${toY(end)}`);
+    const fill = chartType === 'area'
+      ? `<polygon points="${points.join(' ')} ${seriesRanges.map(([start], index) => `${toX(index)},${toY(start)}`).reverse().join(' ')}" fill="${color}" fill-opacity="0.3"/>`
+      : '';
+    return fill
+      + `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`
+      + seriesRanges.map(([, end], index) => `<circle cx="${toX(index)}" cy="${toY(end)}" r="3" fill="${color}"/>`).join('');
+  });
+
+  const yTitle = [...new Set([keys.yKey, ...selectedColumns(config.dataSelection, 'y')])].join(', ');
+  return renderValueAxis(area, scale, toY, truncate(yTitle, 40))
+    + renderCategoryAxis(area, labels, toX, keys.xKey)
+    + marks.join('')
+    + renderLegend(series.map(item => item.name), colors, width);
+};
+
+// Path for an annular sector between two angles (radians, clockwise from 12 o'clock)
+const arcPath = (cx, cy, outer, inner, start, end) => {
+  const point = (radius, angle) => [cx + radius * Math.sin(angle), cy - radius * Math.cos(angle)];
+  const large = end - start > Math.PI ? 1 : 0;
+  const [x1, y1] = point(outer, start);
+  const [x2, y2] = point(outer, end);
+  const [x3, y3] = point(inner, end);
+  const [x4, y4] = point(inner, start);
+  if (inner === 0) {
+    return `M${cx},${cy} L${x1},${y1} A${outer},${outer} 0 ${large} 1 ${x2},${y2} Z`;
+  }
+  return `M${x1},${y1} A${outer},${outer} 0 ${large} 1 ${x2},${y2} L${x3},${y3} A${inner},${inner} 0 ${large} 0 ${x4},${y4} Z`;
+};
+
+const renderArcs = (rows, chartType, keys, width, height) => {
+  const cx = width / 2;
+  const cy = chartType === 'gauge' ? height - MARGIN.bottom : height / 2 + 20;
+  const radius = Math.min(width - 260, height - MARGIN.top - 40) / (chartType === 'gauge' ? 1.2 : 2);
+
+  if (chartType === 'gauge') {
+    const { label, value, min, max } = rows[0];
+    const ratio = Math.min(Math.max((value - min) / ((max - min) || 1), 0), 1);
+    const start = -Math.PI / 2;
+    return `<path d="${arcPath(cx, cy, radius, radius * 0.7, start, Math.PI / 2)}" fill="#e5e7eb"/>`
+      + `<path d="${arcPath(cx, cy, radius, radius * 0.7, start, start + Math.PI * ratio)}" fill="${PALETTE[0]}"/>`
+      + `<text x="${cx}" y="${cy - 10}" text-anchor="middle" font-size="28" font-weight="bold" fill="#111827">${formatNumber(value)}</text>`
+      + `<text x="${cx}" y="${cy + 20}" text-anchor="middle" font-size="12" fill="#6b7280">${escapeXml(label)} (${formatNumber(min)} – ${formatNumber(max)})</text>`;
+  }
+
+  // Sum values per label (sunburst rows are leaves of a hierarchy, labelled by path)
+  const totals = new Map();
+  rows.forEach(row => {
+    const label = chartType === 'sunburst'
+      ? keys.keys.filter(key => key !== 'value').map(key => row[key]).join(' / ')
+      : String(row[keys.xKey]);
+    const value = chartType === 'sunburst' ? row.value : Math.abs(toNumber(row[keys.yKey]) || 0);
+    totals.set(label, (totals.get(label) || 0) + value);
+  });
+  const entries = Array.from(totals.entries());
+  const sum = entries.reduce((acc, [, value]) => acc + value, 0) || 1;
+  const maxValue = maxOf(entries.map(([, value]) => value), 1);
+  const inner = ['doughnut', 'sunburst'].includes(chartType) ? radius * 0.5 : 0;
+
+  let angle = 0;
+  const slices = entries.map(([, value], index) => {
+    const sweep = chartType === 'polar' ? (Math.PI * 2) / entries.length : (value / sum) * Math.PI * 2;
+    const outer = chartType === 'polar' ? radius * Math.sqrt(value / maxValue) : radius;
+    // A full circle can't be drawn as a single arc; nudge it just short
+    const end = angle + Math.min(sweep, Math.PI * 2 - 1e-4);
+    const path = `<path d="${arcPath(cx, cy, outer, inner, angle, end)}" fill="${PALETTE[index % PALETTE.length]}" stroke="#ffffff" stroke-width="1"/>`;
+    angle += sweep;
+    return path;
+  });
+
+  const legend = entries.slice(0, 20).map(([label, value], index) => {
+    const y = MARGIN.top + index * 18;
+    return `<rect x="${width - 220}" y="${y}" width="12" height="12" fill="${PALETTE[index % PALETTE.length]}"/>`
+      + `<text x="${width - 202}" y="${y + 10}" font-size="11" fill="#374151">${escapeXml(truncate(label, 22))} (${formatNumber(value)})</text>`;
+  });
+
+  return slices.join('') + legend.join('');
+};
+
+const renderTrendline = (curve, toX, toY) => {
+  if (curve.length < 2) return '';
+  const band = curve.filter(point => point.lower !== null && point.upper !== null);
+  const bandPath = band.length > 1
+    ? `<path d="${band.map((point, index) => `${index === 0 ? 'M' : 'L'}${toX(point.x)},${toY(point.upper)}`).join(' ')} ${[...band].reverse().map(point => `L${toX(point.x)},${toY(point.lower)}`).join(' ')} Z" fill="${PALETTE[1]}" fill-opacity="0.15" stroke="none"/>`
+    : '';
+  const line = curve.map(point => `${toX(point.x)},${toY(point.fitted)}`).join(' ');
+  return bandPath + `<polyline points="${line}" fill="none" stroke="${PALETTE[1]}" stroke-width="2"/>`;
+};
+
+const renderPoints = (rows, chartType, keys, width, height, data = {}) => {
+  const area = plotArea(width, height);
+  const xs = rows.map(row => toNumber(row[keys.xKey]));
+  const ys = rows.map(row => toNumber(row[keys.yKey]) || 0);
+  const numericX = xs.some(x => x !== null);
+  const xValues = numericX ? xs.map(x => x || 0) : rows.map((_, index) => index);
+  // Fitted regression curve and confidence band, when the analysis has one
+  const curve = numericX ? (data.regression?.curve || []) : [];
+  const bandValues = curve.flatMap(point => [point.lower, point.upper]).filter(value => value !== null);
+  const xScale = niceScale(minOf(xValues), maxOf(xValues));
+  const yScale = niceScale(minOf(bandValues, minOf(ys)), maxOf(bandValues, maxOf(ys)));
+  const toX = (value) => area.left + ((value - xScale.min) / (xScale.max - xScale.min)) * area.width;
+  const toY = (value) => area.top + area.height - ((value - yScale.min) / (yScale.max - yScale.min)) * area.height;
+
+  const weights = rows.map(row => Math.abs(toNumber(row[keys.valueKey])) || 0);
+  const maxWeight = maxOf(weights, 0);
+  const isBubble = chartType === 'bubble' || chartType === 'bubble3d';
+
+  const points = rows.map((row, index) => {
+    const radius = isBubble && maxWeight > 0 ? 4 + (weights[index] / maxWeight) * 20 : 4;
+    return `<circle cx="${toX(xValues[index])}" cy="${toY(ys[index])}" r="${radius}" fill="${PALETTE[0]}" fill-opacity="${isBubble ? 0.5 : 0.7}" stroke="${PALETTE[0]}"/>`;
+  });
+
+  const xTicks = xScale.ticks.map(tick => `<text x="${toX(tick)}" y="${area.top + area.height + 16}" text-anchor="middle" font-size="11" fill="#6b7280">${formatNumber(tick)}</text>`);
+
+  return renderValueAxis(area, yScale, toY, keys.yKey)
+    + `<line x1="${area.left}" y1="${area.top + area.height}" x2="${area.left + area.width}" y2="${area.top + area.height}" stroke="#9ca3af"/>`
+    + xTicks.join('')
+    + `<text x="${area.left + area.width / 2}" y="${area.top + area.height + 40}" text-anchor="middle" font-size="12" fill="#374151">${escapeXml(keys.xKey)}</text>`
+    + renderTrendline(curve, toX, toY)
+    + points.join('');
+};
+
+const renderGrid = (rows, chartType, keys, width, height) => {
+  const area = plotArea(width, height);
+  // Heatmap rows are already {x, y, value}; 3D grid charts use X × Z with Y as the value
+  const cells = chartType === 'heatmap'
+    ? rows.map(row => ({ x: String(row.x), y: String(row.y), value: row.value }))
+    : rows.map(row => ({
+      x: String(row[keys.xKey]),
+      y: keys.zKey ? String(row[keys.zKey]) : keys.yKey,
+      value: toNumber(row[keys.yKey]) || 0
+    }));
+
+  const xLabels = [...new Set(cells.map(cell => cell.x))];
+  const yLabels = [...new Set(cells.map(cell => cell.y))];
+  const values = cells.map(cell => cell.value);
+  const min = minOf(values);
+  const range = (maxOf(values) - min) || 1;
+  const cellWidth = area.width / xLabels.length;
+  const cellHeight = area.height / yLabels.length;
+
+  const rects = cells.map(cell => {
+    const x = area.left + xLabels.indexOf(cell.x) * cellWidth;
+    const y = area.top + yLabels.indexOf(cell.y) * cellHeight;
+    const opacity = 0.1 + 0.9 * ((cell.value - min) / range);
+    const text = cellWidth > 36 && cellHeight > 16
+      ? `<text x="${x + cellWidth / 2}" y="${y + cellHeight / 2 + 4}" text-anchor="middle" font-size="10" fill="${opacity > 0.6 ? '#ffffff' : '#111827'}">${formatNumber(cell.value)}</text>`
+      : '';
+    return `<rect x="${x}" y="${y}" width="${cellWidth}" height="${cellHeight}" fill="${PALETTE[0]}" fill-opacity="${opacity}" stroke="#ffffff"/>${text}`;
+  });
+
+  const yAxis = yLabels.map((label, index) => `<text x="${area.left - 8}" y="${area.top + index * cellHeight + cellHeight / 2 + 4}" text-anchor="end" font-size="11" fill="#6b7280">${escapeXml(truncate(label))}</text>`);
+
+  return rects.join('')
+    + yAxis.join('')
+    + renderCategoryAxis(area, xLabels, index => area.left + index * cellWidth + cellWidth / 2, keys.xKey);
+};
+
+const renderBoxes = (rows, chartType, keys, width, height) => {
+  const area = plotArea(width, height);
+  const labels = rows.map(row => row[keys.xKey]);
+  const scale = niceScale(minOf(rows.map(row => row.min)), maxOf(rows.map(row => row.max)));
+  const toY = (value) => area.top + area.height - ((value - scale.min) / (scale.max - scale.min)) * area.height;
+  const slot = area.width / Math.max(labels.length, 1);
+  const toX = (index) => area.left + slot * index + slot / 2;
+  const boxWidth = Math.min(slot * 0.5, 60);
+
+  const boxes = rows.map((row, index) => {
+    const x = toX(index);
+    return `<line x1="${x}" y1="${toY(row.min)}" x2="${x}" y2="${toY(row.max)}" stroke="${PALETTE[0]}"/>`
+      + `<line x1="${x - boxWidth / 4}" y1="${toY(row.min)}" x2="${x + boxWidth / 4}" y2="${toY(row.min)}" stroke="${PALETTE[0]}"/>`
+      + `<line x1="${x - boxWidth / 4}" y1="${toY(row.max)}" x2="${x + boxWidth / 4}" y2="${toY(row.max)}" stroke="${PALETTE[0]}"/>`
+      + `<rect x="${x - boxWidth / 2}" y="${toY(row.q3)}" width="${boxWidth}" height="${Math.max(toY(row.q1) - toY(row.q3), 1)}" fill="${PALETTE[0]}" fill-opacity="0.3" stroke="${PALETTE[0]}"/>`
+      + `<line x1="${x - boxWidth / 2}" y1="${toY(row.median)}" x2="${x + boxWidth / 2}" y2="${toY(row.median)}" stroke="${PALETTE[0]}" stroke-width="2"/>`;
+  });
+
+  return renderValueAxis(area, scale, toY, keys.yKey)
+    + renderCategoryAxis(area, labels, toX, keys.xKey)
+    + boxes.join('');
+};
+
+// Slice-and-dice treemap, alternating split direction per level
+const renderTreemap = (rows, chartType, keys, width, height) => {
+  const area = plotArea(width, height);
+  const levels = keys.keys.filter(key => key !== 'value');
+  const parts = [];
+  let colorIndex = 0;
+
+  const layout = (items, depth, x, y, w, h) => {
+    const level = levels[depth];
+    const groups = new Map();
+    items.forEach(item => {
+      const label = String(item[level]);
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(item);
+    });
+    const total = items.reduce((acc, item) => acc + item.value, 0) || 1;
+    const horizontal = depth % 2 === 0;
+    let offset = 0;
+
+    groups.forEach((children, label) => {
+      const value = children.reduce((acc, item) => acc + item.value, 0);
+      const share = value / total;
+      const rect = horizontal
+        ? { x: x + offset * w, y, w: share * w, h }
+        : { x, y: y + offset * h, w, h: share * h };
+      offset += share;
+
+      if (depth === levels.length - 1) {
+        parts.push(`<rect x="${rect.x}" y="${rect.y}" width="${rect.w}" height="${rect.h}" fill="${PALETTE[colorIndex++ % PALETTE.length]}" fill-opacity="0.85" stroke="#ffffff"/>`);
+        if (rect.w > 50 && rect.h > 28) {
+          parts.push(`<text x="${rect.x + 4}" y="${rect.y + 14}" font-size="11" fill="#ffffff">${escapeXml(truncate(label, Math.floor(rect.w / 7)))}</text>`);
+          parts.push(`<text x="${rect.x + 4}" y="${rect.y + 27}" font-size="10" fill="#ffffff">${formatNumber(value)}</text>`);
+        }
+      } else {
+        layout(children, depth + 1, rect.x, rect.y, rect.w, rect.h);
+      }
+    });
+  };
+
+  layout(rows, 0, area.left, area.top, area.width, area.height);
+  return parts.join('');
+};
+
+const renderSankey = (rows, chartType, keys, width, height) => {
+  const area = plotArea(width, height);
+  const sources = [...new Set(rows.map(row => row.from))];
+  const targets = [...new Set(rows.map(row => row.to))];
+  const total = rows.reduce((acc, row) => acc + row.flow, 0) || 1;
+  const gap = 6;
+  const nodeWidth = 14;
+
+  // Stack nodes vertically, sized by their share of the total flow
+  const placeNodes = (names, key) => {
+    const usable = area.height - gap * (names.length - 1);
+    let y = area.top;
+    const nodes = new Map();
+    names.forEach(name => {
+      const flow = rows.filter(row => row[key] === name).reduce((acc, row) => acc + row.flow, 0);
+      const nodeHeight = (flow / total) * usable;
+      nodes.set(name, { y, height: nodeHeight, offset: 0 });
+      y += nodeHeight + gap;
+    });
+    return nodes;
+  };
+
+  const left = placeNodes(sources, 'from');
+  const right = placeNodes(targets, 'to');
+  const x0 = area.left + 120;
+  const x1 = area.left + area.width - 120;
+
+  const links = rows.map((row, index) => {
+    const source = left.get(row.from);
+    const target = right.get(row.to);
+    const thickness = (row.flow / total) * (area.height - gap * (Math.max(sources.length, targets.length) - 1));
+    const y0 = source.y + source.offset + thickness / 2;
+    const y1 = target.y + target.offset + thickness / 2;
+    source.offset += thickness;
+    target.offset += thickness;
+    const mid = (x0 + x1) / 2;
+    return `<path d="M${x0 + nodeWidth},${y0} C${mid},${y0} ${mid},${y1} ${x1},${y1}" fill="none" stroke="${PALETTE[index % PALETTE.length]}" stroke-opacity="0.4" stroke-width="${Math.max(thickness, 1)}"/>`;
+  });
+
+  const nodeMarkup = (nodes, x, anchor, textX) => Array.from(nodes.entries()).map(([name, node]) =>
+    `<rect x="${x}" y="${node.y}" width="${nodeWidth}" height="${Math.max(node.height, 1)}" fill="#374151"/>`
+    + `<text x="${textX}" y="${node.y + node.height / 2 + 4}" text-anchor="${anchor}" font-size="11" fill="#374151">${escapeXml(truncate(name, 16))}</text>`
+  ).join('');
+
+  return links.join('')
+    + nodeMarkup(left, x0, 'end', x0 - 6)
+    + nodeMarkup(right, x1, 'start', x1 + nodeWidth + 6);
+};
+
+// Correlation matrix of the first method: blue for positive, red for negative
+const renderCorrelation = (rows, chartType, keys, width, height) => {
+  const area = plotArea(width, height);
+  const cells = rows.filter(row => row.method === rows[0].method);
+  const labels = [...new Set(cells.map(cell => cell.x))];
+  const cellWidth = area.width / labels.length;
+  const cellHeight = area.height / labels.length;
+
+  const rects = cells.map(cell => {
+    const x = area.left + labels.indexOf(cell.x) * cellWidth;
+    const y = area.top + labels.indexOf(cell.y) * cellHeight;
+    const coefficient = cell.coefficient ?? 0;
+    const color = coefficient >= 0 ? PALETTE[0] : '#ef4444';
+    const opacity = 0.05 + 0.95 * Math.abs(coefficient);
+    const text = cellWidth > 36 && cellHeight > 16
+      ? `<text x="${x + cellWidth / 2}" y="${y + cellHeight / 2 + 4}" text-anchor="middle" font-size="10" fill="${opacity > 0.6 ? '#ffffff' : '#111827'}">${cell.coefficient === null ? '–' : cell.coefficient.toFixed(2)}</text>`
+      : '';
+    return `<rect x="${x}" y="${y}" width="${cellWidth}" height="${cellHeight}" fill="${color}" fill-opacity="${opacity}" stroke="#ffffff"/>${text}`;
+  });
+
+  const yAxis = labels.map((label, index) => `<text x="${area.left - 8}" y="${area.top + index * cellHeight + cellHeight / 2 + 4}" text-anchor="end" font-size="11" fill="#6b7280">${escapeXml(truncate(label))}</text>`);
+
+  return rects.join('')
+    + yAxis.join('')
+    + renderCategoryAxis(area, labels, index => area.left + index * cellWidth + cellWidth / 2, `${rows[0].method} correlation`);
+};
+
+// Plain table of the first rows, for analysis types without a chart
+const renderTable = (rows, chartType, keys, width, height) => {
+  const columns = keys.keys.slice(0, 8);
+  const rowHeight = 22;
+  const maxRows = Math.floor((height - MARGIN.top - 20) / rowHeight) - 1;
+  const columnWidth = (width - 40) / Math.max(columns.length, 1);
+
+  const header = columns.map((column, index) =>
+    `<text x="${20 + index * columnWidth}" y="${MARGIN.top}" font-size="12" font-weight="bold" fill="#111827">${escapeXml(truncate(column, 18))}</text>`
+  );
+  const body = rows.slice(0, maxRows).map((row, rowIndex) => columns.map((column, index) => {
+    const value = row[column];
+    const text = typeof value === 'number' ? formatNumber(value) : (typeof value === 'object' && value !== null ? JSON.stringify(value) : value);
+    return `<text x="${20 + index * columnWidth}" y="${MARGIN.top + (rowIndex + 1) * rowHeight}" font-size="11" fill="#374151">${escapeXml(truncate(text, 18))}</text>`;
+  }).join(''));
+
+  return header.join('') + body.join('');
+};
+
+// Charts with extra Y columns or a series column need one mark per series
+const isMultiSeries = (dataSelection) => selectedColumns(dataSelection, 'series').length > 0
+  || selectedColumns(dataSelection, 'y').some(column => column !== dataSelection?.yAxisColumn);
+
+const pickRenderer = (analysis) => {
+  const { chartType } = analysis;
+  if (analysis.type === 'correlation') return renderCorrelation;
+  if (analysis.type === 'regression' && analysis.data?.regression?.model !== 'multiple') return renderPoints;
+  if (analysis.type !== 'chart' || !chartType) return renderTable;
+  if (SERIES_CHART_TYPES.includes(chartType) && isMultiSeries(analysis.config?.dataSelection)) return renderSeries;
+  if (chartType === 'waterfall' || BAR_CHART_TYPES.includes(chartType)) return renderBars;
+  if (LINE_CHART_TYPES.includes(chartType)) return renderLines;
+  if (ARC_CHART_TYPES.includes(chartType)) return renderArcs;
+  if (POINT_CHART_TYPES.includes(chartType)) return renderPoints;
+  if (GRID_CHART_TYPES.includes(chartType)) return renderGrid;
+  if (chartType === 'box' || chartType === 'violin') return renderBoxes;
+  if (chartType === 'treemap') return renderTreemap;
+  if (chartType === 'sankey') return renderSankey;
+  return renderBars;
+};
+
+/**
+ * Render an analysis to an SVG document
+ * @param {Object} analysis - Analysis document (or plain object) with processed data
+ * @param {Object} options - Output size
+ * @returns {string} SVG markup
+ */
+const renderAnalysisSvg = (analysis, { width = 960, height = 540 } = {}) => {
+  const rows = Array.isArray(analysis.data?.processedData) ? analysis.data.processedData : [];
+  const title = `<text x="${width / 2}" y="32" text-anchor="middle" font-size="18" font-weight="bold" fill="#111827">${escapeXml(analysis.name || 'Data Visualization')}</text>`;
+
+  let body;
+  if (rows.length === 0) {
+    body = `<text x="${width / 2}" y="${height / 2}" text-anchor="middle" font-size="14" fill="#6b7280">No data available for visualization</text>`;
+  } else {
+    const keys = resolveKeys(rows, analysis.config?.dataSelection);
+    body = pickRenderer(analysis)(rows, analysis.chartType, keys, width, height, analysis.data, analysis.config);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>`
+    + `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`
+    + `<rect width="${width}" height="${height}" fill="#ffffff"/>`
+    + title
+    + body
+    + '</svg>';
+};
+
+module.exports = {
+  renderAnalysisSvg
+};
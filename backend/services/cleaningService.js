@@ -0,0 +1,302 @@
+// Cleaning recipes: ordered steps (trim, change case, find/replace, fill nulls,
+// drop duplicates, split, merge, rename, retype) kept on a File for one of its
+// sheets and applied whenever the sheet's rows are read. The upload itself is
+// never changed, so any step can be taken out again.
+const { COLUMN_TYPES, DEFAULT_LOCALE, coerceValue } = require('./typeInferenceService');
+
+const CLEANING_OPERATIONS = [
+  'trim', 'changeCase', 'replace', 'fillNulls', 'dropDuplicates', 'split', 'merge', 'rename', 'retype'
+];
+const CASE_MODES = ['upper', 'lower', 'title'];
+const FILL_METHODS = ['constant', 'mean', 'forwardFill'];
+// Operations that work on a list of columns (all of them when the list is empty)
+const COLUMN_LIST_OPERATIONS = ['trim', 'changeCase', 'replace', 'fillNulls', 'dropDuplicates'];
+// Columns a split may produce
+const MAX_SPLIT_COLUMNS = 20;
+
+const cleaningError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 400;
+  return error;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toTitleCase = (text) => text.toLowerCase().replace(/(^|[\s\-_/.(])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const stepColumns = (step) => Array.from(step.columns || []);
+
+const requireColumn = (names, name) => {
+  if (!names.includes(name)) throw cleaningError(`Column "${name}" not found`, 'UNKNOWN_COLUMN');
+};
+
+const requireNewName = (names, name) => {
+  if (isBlank(name) || !String(name).trim()) throw cleaningError('New columns need a name', 'INVALID_STEP');
+  if (names.includes(name)) throw cleaningError(`A column named "${name}" already exists`, 'DUPLICATE_COLUMN');
+};
+
+/**
+ * Check a step against the columns it will see and work out the columns it
+ * leaves: renames, splits and merges change them, retypes change their types
+ * @param {Object} step - Recipe step
+ * @param {Array<Object>} columns - `{ name, type }` of the columns before the step
+ * @returns {Array<Object>} `{ name, type }` of the columns after it
+ * @throws {Error} `INVALID_STEP`, `UNKNOWN_COLUMN` or `DUPLICATE_COLUMN` (status 400)
+ */
+const validateStep = (step, columns) => {
+  const names = columns.map(column => column.name);
+  const { operation } = step;
+  if (!CLEANING_OPERATIONS.includes(operation)) {
+    throw cleaningError(`Unknown cleaning operation "${operation}"`, 'INVALID_STEP');
+  }
+  if (COLUMN_LIST_OPERATIONS.includes(operation)) {
+    stepColumns(step).forEach(name => requireColumn(names, name));
+  }
+
+  switch (operation) {
+    case 'changeCase':
+      if (!CASE_MODES.includes(step.mode)) throw cleaningError(`Case must be one of: ${CASE_MODES.join(', ')}`, 'INVALID_STEP');
+      return columns;
+    case 'replace':
+      if (isBlank(step.find)) throw cleaningError('Text to find is required', 'INVALID_STEP');
+      return columns;
+    case 'fillNulls':
+      if (!FILL_METHODS.includes(step.method)) throw cleaningError(`Fill method must be one of: ${FILL_METHODS.join(', ')}`, 'INVALID_STEP');
+      if (step.method === 'constant' && isBlank(step.value)) throw cleaningError('A value to fill with is required', 'INVALID_STEP');
+      return columns;
+    case 'split': {
+      requireColumn(names, step.column);
+      if (isBlank(step.delimiter)) throw cleaningError('A delimiter to split on is required', 'INVALID_STEP');
+      const into = Array.from(step.into || []);
+      if (into.length < 2 || into.length > MAX_SPLIT_COLUMNS) {
+        throw cleaningError(`A split makes 2 to ${MAX_SPLIT_COLUMNS} columns`, 'INVALID_STEP');
+      }
+      const remaining = step.keepOriginal ? names : names.filter(name => name !== step.column);
+      into.forEach((name, index) => requireNewName([...remaining, ...into.slice(0, index)], name));
+      const index = names.indexOf(step.column);
+      const added = into.map(name => ({ name, type: 'string' }));
+      return [
+        ...columns.slice(0, index + (step.keepOriginal ? 1 : 0)),
+        ...added,
+        ...columns.slice(index + 1)
+      ];
+    }
+    case 'merge': {
+      const merged = stepColumns(step);
+      if (merged.length < 2) throw cleaningError('Pick at least two columns to merge', 'INVALID_STEP');
+      merged.forEach(name => requireColumn(names, name));
+      const remaining = step.keepOriginal ? names : names.filter(name => !merged.includes(name));
+      requireNewName(remaining, step.to);
+      const index = Math.min(...merged.map(name => names.indexOf(name)));
+      const kept = columns.filter(column => step.keepOriginal || !merged.includes(column.name));
+      // The merged column takes the place of the first column merged
+      const position = kept.filter(column => names.indexOf(column.name) < index).length + (step.keepOriginal ? 1 : 0);
+      return [...kept.slice(0, position), { name: step.to, type: 'string' }, ...kept.slice(position)];
+    }
+    case 'rename':
+      requireColumn(names, step.column);
+      requireNewName(names.filter(name => name !== step.column), step.to);
+      return columns.map(column => (column.name === step.column ? { ...column, name: step.to } : column));
+    case 'retype':
+      requireColumn(names, step.column);
+      if (!COLUMN_TYPES.includes(step.type)) throw cleaningError(`Column type must be one of: ${COLUMN_TYPES.join(', ')}`, 'INVALID_STEP');
+      return columns.map(column => (column.name === step.column ? { ...column, type: step.type } : column));
+    default:
+      return columns;
+  }
+};
+
+/**
+ * The columns a recipe leaves, checking every step in turn
+ * @param {Array<Object>} columns - `{ name, type }` of the sheet's columns
+ * @param {Array<Object>} steps - Recipe steps, in order
+ * @returns {Array<Object>} `{ name, type }` of the columns after the last step
+ * @throws {Error} When a step doesn't fit the columns before it (see validateStep)
+ */
+const recipeColumns = (columns, steps = []) => steps.reduce(
+  (current, step) => validateStep(step, current),
+  columns.map(({ name, type }) => ({ name, type }))
+);
+
+// The columns a list step works on: the ones picked, or all of them
+const targetColumns = (step, columns) => (stepColumns(step).length > 0 ? stepColumns(step) : columns);
+
+const mapCells = (rows, names, transform) => {
+  rows.forEach(row => {
+    names.forEach(name => {
+      if (row[name] !== undefined) row[name] = transform(row[name]);
+    });
+  });
+};
+
+const replaceCells = (rows, names, { find, replace, matchCase = true, wholeCell = false }) => {
+  const replacement = replace ?? '';
+  if (wholeCell) {
+    const target = matchCase ? String(find) : String(find).toLowerCase();
+    mapCells(rows, names, value => {
+      if (isBlank(value)) return value;
+      const text = matchCase ? String(value) : String(value).toLowerCase();
+      return text === target ? (replacement === '' ? null : replacement) : value;
+    });
+    return;
+  }
+  const pattern = new RegExp(escapeRegExp(String(find)), matchCase ? 'g' : 'gi');
+  // Only text is searched; numbers and dates would have to be turned into text first
+  mapCells(rows, names, value => (typeof value === 'string' ? value.replace(pattern, () => replacement) : value));
+};
+
+const fillNulls = (rows, names, { method, value }) => {
+  names.forEach(name => {
+    if (method === 'constant') {
+      rows.forEach(row => {
+        if (isBlank(row[name])) row[name] = value;
+      });
+    } else if (method === 'mean') {
+      const numbers = rows.map(row => row[name]).filter(cell => typeof cell === 'number' && Number.isFinite(cell));
+      if (numbers.length === 0) return;
+      const mean = numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+      rows.forEach(row => {
+        if (isBlank(row[name])) row[name] = mean;
+      });
+    } else {
+      let previous = null;
+      rows.forEach(row => {
+        if (isBlank(row[name])) row[name] = previous;
+        else previous = row[name];
+      });
+    }
+  });
+};
+
+const cellKey = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+const dropDuplicates = (rows, names) => {
+  const seen = new Set();
+  return rows.filter(row => {
+    const key = JSON.stringify(names.map(name => cellKey(row[name])));
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Put rows' keys in column order, so new columns sit where they belong, and
+// drop columns no longer there; the rows stay the same objects
+const reorder = (rows, names) => {
+  rows.forEach(row => {
+    const values = names.map(name => row[name] ?? null);
+    Object.keys(row).forEach(key => delete row[key]);
+    names.forEach((name, index) => {
+      row[name] = values[index];
+    });
+  });
+  return rows;
+};
+
+const cellText = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+/**
+ * Apply one step to a table
+ * @param {Object} table - `{ columns, rows }`: column names and rows keyed by them
+ * @param {Object} step - Recipe step, checked by validateStep
+ * @param {Object} [locale] - File locale, for retyping text
+ * @returns {Object} `{ columns, rows }` after the step
+ */
+const applyStep = ({ columns, rows }, step, locale = DEFAULT_LOCALE) => {
+  const typed = recipeColumns(columns.map(name => ({ name })), [step]);
+  const nextColumns = typed.map(column => column.name);
+
+  switch (step.operation) {
+    case 'trim':
+      mapCells(rows, targetColumns(step, columns), value => (typeof value === 'string' ? value.trim() : value));
+      break;
+    case 'changeCase': {
+      const change = { upper: text => text.toUpperCase(), lower: text => text.toLowerCase(), title: toTitleCase }[step.mode];
+      mapCells(rows, targetColumns(step, columns), value => (typeof value === 'string' ? change(value) : value));
+      break;
+    }
+    case 'replace':
+      replaceCells(rows, targetColumns(step, columns), step);
+      break;
+    case 'fillNulls':
+      fillNulls(rows, targetColumns(step, columns), step);
+      break;
+    case 'dropDuplicates':
+      return { columns: nextColumns, rows: dropDuplicates(rows, targetColumns(step, columns)) };
+    case 'split': {
+      const into = Array.from(step.into);
+      rows.forEach(row => {
+        const value = row[step.column];
+        const parts = isBlank(value) ? [] : cellText(value).split(step.delimiter);
+        // Parts past the last new column stay together in it
+        const cells = into.map((name, index) => (index === into.length - 1
+          ? parts.slice(index).join(step.delimiter)
+          : parts[index]));
+        into.forEach((name, index) => {
+          const cell = cells[index] === undefined ? '' : cells[index].trim();
+          row[name] = cell === '' ? null : cell;
+        });
+      });
+      return { columns: nextColumns, rows: reorder(rows, nextColumns) };
+    }
+    case 'merge': {
+      const merged = stepColumns(step);
+      const separator = step.separator ?? ' ';
+      rows.forEach(row => {
+        const parts = merged.map(name => row[name]).filter(value => !isBlank(value)).map(cellText);
+        row[step.to] = parts.length > 0 ? parts.join(separator) : null;
+      });
+      return { columns: nextColumns, rows: reorder(rows, nextColumns) };
+    }
+    case 'rename':
+      rows.forEach(row => {
+        row[step.to] = row[step.column];
+      });
+      return { columns: nextColumns, rows: reorder(rows, nextColumns) };
+    case 'retype':
+      mapCells(rows, [step.column], value => coerceValue(value, step.type, locale));
+      break;
+    default:
+      break;
+  }
+  return { columns: nextColumns, rows };
+};
+
+/**
+ * Apply a recipe to a sheet's rows, step by step. Rows are changed in place,
+ * and only dropped rows go missing from the result; pass rows that can be
+ * changed (coerceRows already returns copies).
+ * @param {Object} table - `{ columns, rows }`: column names and rows keyed by them
+ * @param {Array<Object>} steps - Recipe steps, in order
+ * @param {Object} [locale] - File locale
+ * @returns {Object} `{ columns, rows }` after the last step
+ */
+const applyRecipe = (table, steps = [], locale = DEFAULT_LOCALE) => steps.reduce(
+  (current, step) => applyStep(current, step, locale),
+  table
+);
+
+/**
+ * The cleaning steps kept for one of a file's sheets
+ * @param {Object} file - File document
+ * @param {string} [sheetName] - Sheet (the first sheet when empty)
+ * @returns {Array<Object>} Steps, in order
+ */
+const sheetRecipe = (file, sheetName) => {
+  const name = sheetName || file.sheetNames?.[0];
+  return (file.cleaningRecipe || []).filter(step => step.sheet === name);
+};
+
+module.exports = {
+  CLEANING_OPERATIONS,
+  CASE_MODES,
+  FILL_METHODS,
+  validateStep,
+  recipeColumns,
+  applyStep,
+  applyRecipe,
+  sheetRecipe
+};
@@ -0,0 +1,258 @@
+// Correlation matrices (Pearson, Spearman, Kendall tau-b) with two-tailed p-values.
+// Missing data is handled pairwise: each pair of columns uses every row where
+// both cells are numeric, so `n` can differ from cell to cell.
+const { toNumber } = require('./chartDataService');
+const { studentTPValue, normalPValue } = require('./probabilityService');
+
+const CORRELATION_METHODS = ['pearson', 'spearman', 'kendall'];
+
+// Share of non-empty cells that must be numeric for a column to be correlated
+const NUMERIC_THRESHOLD = 0.9;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const pearson = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+};
+
+// Fractional ranks: ties share the average of the ranks they span
+const rank = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) ranks[order[i].index] = averageRank;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+// Tie statistics of a sorted array: Σt(t-1)/2, Σt(t-1)(t-2), Σt(t-1)(2t+5)
+const tieCounts = (sorted) => {
+  let pairs = 0;
+  let v1 = 0;
+  let v2 = 0;
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1] === sorted[start]) end++;
+    const t = end - start + 1;
+    pairs += (t * (t - 1)) / 2;
+    v1 += t * (t - 1) * (t - 2);
+    v2 += t * (t - 1) * (2 * t + 5);
+    start = end + 1;
+  }
+  return { pairs, v1, v2 };
+};
+
+// Count strict inversions with a merge sort (O(n log n))
+const countInversions = (values) => {
+  let inversions = 0;
+  let current = [...values];
+  let buffer = new Array(values.length);
+  for (let width = 1; width < current.length; width *= 2) {
+    for (let left = 0; left < current.length; left += 2 * width) {
+      const mid = Math.min(left + width, current.length);
+      const right = Math.min(left + 2 * width, current.length);
+      let i = left;
+      let j = mid;
+      let k = left;
+      while (i < mid && j < right) {
+        if (current[j] < current[i]) {
+          inversions += mid - i;
+          buffer[k++] = current[j++];
+        } else {
+          buffer[k++] = current[i++];
+        }
+      }
+      while (i < mid) buffer[k++] = current[i++];
+      while (j < right) buffer[k++] = current[j++];
+    }
+    [current, buffer] = [buffer, current];
+  }
+  return inversions;
+};
+
+// Kendall's tau-b (Knight's algorithm) with the tie-corrected normal approximation
+const kendall = (xs, ys) => {
+  const n = xs.length;
+  const pairs = xs.map((x, index) => [x, ys[index]]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const sortedX = pairs.map(pair => pair[0]);
+  const sortedY = [...ys].sort((a, b) => a - b);
+
+  // Rows tied on both columns
+  let jointTies = 0;
+  let start = 0;
+  while (start < n) {
+    let end = start;
+    while (end + 1 < n && pairs[end + 1][0] === pairs[start][0] && pairs[end + 1][1] === pairs[start][1]) end++;
+    const t = end - start + 1;
+    jointTies += (t * (t - 1)) / 2;
+    start = end + 1;
+  }
+
+  const xTies = tieCounts(sortedX);
+  const yTies = tieCounts(sortedY);
+  const total = (n * (n - 1)) / 2;
+  const discordant = countInversions(pairs.map(pair => pair[1]));
+  const concordantMinusDiscordant = total - xTies.pairs - yTies.pairs + jointTies - 2 * discordant;
+
+  if (total === xTies.pairs || total === yTies.pairs) return { coefficient: null, pValue: null };
+  const tau = concordantMinusDiscordant / Math.sqrt(total - xTies.pairs) / Math.sqrt(total - yTies.pairs);
+
+  const m = n * (n - 1);
+  const variance = (m * (2 * n + 5) - xTies.v2 - yTies.v2) / 18
+    + (2 * xTies.pairs * yTies.pairs) / m
+    + (n > 2 ? (xTies.v1 * yTies.v1) / (9 * m * (n - 2)) : 0);
+  const pValue = variance > 0 ? normalPValue(concordantMinusDiscordant / Math.sqrt(variance)) : null;
+
+  return { coefficient: Math.max(-1, Math.min(1, tau)), pValue };
+};
+
+// Student's t test of a correlation coefficient with n - 2 degrees of freedom
+const tTestPValue = (r, n) => {
+  if (r === null || n < 3) return null;
+  if (Math.abs(r) === 1) return 0;
+  return studentTPValue(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+};
+
+/**
+ * Correlation of two paired numeric samples
+ * @param {Array<number>} xs - First sample
+ * @param {Array<number>} ys - Second sample (same length)
+ * @param {string} method - pearson | spearman | kendall
+ * @returns {Object} Coefficient and two-tailed p-value (null when undefined)
+ */
+const correlate = (xs, ys, method) => {
+  const n = xs.length;
+  if (n < 2) return { coefficient: null, pValue: null };
+
+  switch (method) {
+    case 'spearman': {
+      const coefficient = pearson(rank(xs), rank(ys));
+      return { coefficient, pValue: tTestPValue(coefficient, n) };
+    }
+    case 'kendall':
+      return kendall(xs, ys);
+    case 'pearson':
+    default: {
+      const coefficient = pearson(xs, ys);
+      return { coefficient, pValue: tTestPValue(coefficient, n) };
+    }
+  }
+};
+
+/**
+ * Columns whose non-empty cells are (almost) all numeric
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<string>} [columns] - Candidate columns (all columns when empty)
+ * @returns {Array<string>} Numeric columns
+ */
+const numericColumns = (rows, columns = []) => {
+  const candidates = columns.length > 0
+    ? columns
+    : Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+
+  return candidates.filter(column => {
+    const present = rows.map(row => row[column]).filter(value => !isBlank(value));
+    const numbers = present.filter(value => toNumber(value) !== null);
+    return present.length > 0 && numbers.length / present.length >= NUMERIC_THRESHOLD;
+  });
+};
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Number(value.toPrecision(10)));
+
+/**
+ * Build correlation matrices across numeric columns
+ * @param {Array<Object>} rows - Filtered data rows
+ * @param {Array<string>} [columns] - Columns to correlate (numeric columns when empty)
+ * @param {Array<string>} [methods] - Methods to compute (all three by default)
+ * @returns {Object} Columns plus, per method, coefficient, p-value and pair-count matrices
+ */
+const buildCorrelationMatrix = (rows, columns = [], methods = CORRELATION_METHODS) => {
+  const selected = numericColumns(rows, columns);
+  if (selected.length < 2) {
+    const error = new Error('Correlation needs at least two numeric columns');
+    error.code = 'CORRELATION_NOT_ENOUGH_COLUMNS';
+    throw error;
+  }
+
+  const values = selected.map(column => rows.map(row => toNumber(row[column])));
+  const size = selected.length;
+  const matrices = {};
+
+  methods.forEach(method => {
+    const coefficients = Array.from({ length: size }, () => new Array(size).fill(null));
+    const pValues = Array.from({ length: size }, () => new Array(size).fill(null));
+    const counts = Array.from({ length: size }, () => new Array(size).fill(0));
+
+    for (let i = 0; i < size; i++) {
+      for (let j = i; j < size; j++) {
+        // Pairwise-complete observations
+        const xs = [];
+        const ys = [];
+        values[i].forEach((x, index) => {
+          const y = values[j][index];
+          if (x !== null && y !== null) {
+            xs.push(x);
+            ys.push(y);
+          }
+        });
+
+        const { coefficient, pValue } = i === j
+          ? { coefficient: xs.length > 1 ? 1 : null, pValue: null }
+          : correlate(xs, ys, method);
+
+        coefficients[i][j] = coefficients[j][i] = round(coefficient);
+        pValues[i][j] = pValues[j][i] = round(pValue);
+        counts[i][j] = counts[j][i] = xs.length;
+      }
+    }
+
+    matrices[method] = { coefficients, pValues, counts };
+  });
+
+  return { columns: selected, methods, matrices };
+};
+
+/**
+ * Long-form cells of the correlation matrices, for exports and insights
+ * @param {Object} correlation - Result of buildCorrelationMatrix
+ * @returns {Array<Object>} One row per method and column pair
+ */
+const flattenCorrelationMatrix = (correlation) => correlation.methods.flatMap(method => {
+  const { coefficients, pValues, counts } = correlation.matrices[method];
+  return correlation.columns.flatMap((x, i) => correlation.columns.map((y, j) => ({
+    method,
+    x,
+    y,
+    coefficient: coefficients[i][j],
+    pValue: pValues[i][j],
+    n: counts[i][j]
+  })));
+});
+
+module.exports = {
+  CORRELATION_METHODS,
+  buildCorrelationMatrix,
+  flattenCorrelationMatrix,
+  correlate,
+  numericColumns
+};
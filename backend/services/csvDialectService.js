@@ -0,0 +1,202 @@
+// How a CSV file is written: its field delimiter, quote character and text
+// encoding. Exports from spreadsheet programs and ERP systems vary in all
+// three (European ones tend to write semicolon-separated Windows-1252), so
+// each is detected from the start of the file unless the uploader set it.
+const fs = require('fs');
+
+// Bytes read from the start of a file to detect its dialect
+const SAMPLE_BYTES = 64 * 1024;
+// Records compared when detecting the delimiter
+const SAMPLE_RECORDS = 50;
+
+// Delimiters and quote characters by the names the API takes
+const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' };
+const QUOTES = { double: '"', single: "'", none: '' };
+const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252', 'iso-8859-1'];
+
+const DEFAULT_DIALECT = { delimiter: ',', quote: '"', encoding: 'utf-8', bom: false };
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - Local path
+ * @returns {Promise<Buffer>} Up to SAMPLE_BYTES bytes
+ */
+const readSample = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Detect the encoding of some bytes: from a byte order mark when there is one,
+ * then UTF-16 from its zero bytes, UTF-8 when the bytes are valid UTF-8 and a
+ * single-byte Windows-1252 or ISO-8859-1 otherwise
+ * @param {Buffer} sample - Leading bytes of the file
+ * @returns {Object} `{ encoding, bom }`
+ */
+const detectEncoding = (sample) => {
+  if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return { encoding: 'utf-8', bom: true };
+  if (sample[0] === 0xFF && sample[1] === 0xFE) return { encoding: 'utf-16le', bom: true };
+  if (sample[0] === 0xFE && sample[1] === 0xFF) return { encoding: 'utf-16be', bom: true };
+
+  // ASCII text in UTF-16 has a zero in every other byte
+  const length = Math.min(sample.length, 1000) & ~1;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (sample[i] === 0) evenZeros += 1;
+    if (sample[i + 1] === 0) oddZeros += 1;
+  }
+  const pairs = length / 2;
+  if (pairs > 0 && oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return { encoding: 'utf-16le', bom: false };
+  if (pairs > 0 && evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return { encoding: 'utf-16be', bom: false };
+
+  try {
+    // Streaming, so a character cut off at the end of the sample isn't an error
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch (error) {
+    // 0x80-0x9F are control characters in ISO-8859-1, but €, ‘ ’, “ ” and the like in Windows-1252
+    const usesWindowsRange = sample.some(byte => byte >= 0x80 && byte <= 0x9F);
+    return { encoding: usesWindowsRange ? 'windows-1252' : 'iso-8859-1', bom: false };
+  }
+};
+
+/**
+ * A decoder for an encoding, with TextDecoder's `decode(chunk, { stream })`. Byte
+ * order marks are dropped. ISO-8859-1 is decoded byte for byte, since TextDecoder
+ * treats it as Windows-1252.
+ * @param {string} encoding - One of ENCODINGS
+ * @returns {Object} Decoder
+ */
+const createDecoder = (encoding) => {
+  if (encoding === 'iso-8859-1') {
+    return { decode: (chunk) => (chunk ? Buffer.from(chunk).toString('latin1') : '') };
+  }
+  return new TextDecoder(encoding);
+};
+
+// Leading records of a CSV text; newlines inside quotes don't end a record
+const sampleRecords = (text, quote) => {
+  const records = [];
+  let start = 0;
+  let inQuotes = false;
+  for (let i = 0; i < text.length && records.length < SAMPLE_RECORDS; i++) {
+    const char = text[i];
+    if (quote && char === quote) {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      if (i > start) records.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  // The last record may be cut off by the end of the sample
+  if (records.length === 0 && start < text.length) records.push(text.slice(start));
+  return records.filter(record => record.trim() !== '');
+};
+
+// Quote character: the one that wraps whole fields, double quotes when neither does
+const detectQuote = (text) => {
+  const wrapped = (quote) => {
+    const pattern = new RegExp(`(^|[,;\\t|])${quote}[^${quote}\\r\\n]*${quote}(?=[,;\\t|]|\\r|\\n|$)`, 'gm');
+    return (text.match(pattern) || []).length;
+  };
+  const double = wrapped('"');
+  const single = wrapped("'");
+  return single > double && single >= 2 ? "'" : '"';
+};
+
+const countOutside = (record, delimiter, quote) => {
+  let count = 0;
+  let inQuotes = false;
+  for (const char of record) {
+    if (quote && char === quote) inQuotes = !inQuotes;
+    else if (!inQuotes && char === delimiter) count += 1;
+  }
+  return count;
+};
+
+// Delimiter: the candidate found the same number of times in the most records,
+// then the one found most often
+const detectDelimiter = (records, quote) => {
+  let best = null;
+  Object.values(DELIMITERS).forEach(delimiter => {
+    const counts = records.map(record => countOutside(record, delimiter, quote));
+    const frequencies = new Map();
+    counts.filter(count => count > 0).forEach(count => frequencies.set(count, (frequencies.get(count) || 0) + 1));
+    if (frequencies.size === 0) return;
+
+    const [fields, matches] = Array.from(frequencies).reduce((top, entry) => (entry[1] > top[1] || (entry[1] === top[1] && entry[0] > top[0]) ? entry : top));
+    const consistency = matches / records.length;
+    if (!best || consistency > best.consistency || (consistency === best.consistency && fields > best.fields)) {
+      best = { delimiter, consistency, fields };
+    }
+  });
+  return best ? best.delimiter : DEFAULT_DIALECT.delimiter;
+};
+
+/**
+ * Work out the dialect of a CSV file from its leading bytes; settings given
+ * in `overrides` are used as they are and the rest detected
+ * @param {Buffer} sample - Leading bytes of the file
+ * @param {Object} [overrides] - `delimiter`, `quote` and `encoding` set by the user
+ * @returns {Object} `{ delimiter, quote, encoding, bom }`
+ */
+const detectDialect = (sample, overrides = {}) => {
+  const detected = detectEncoding(sample);
+  const encoding = overrides.encoding || detected.encoding;
+  const bom = encoding === detected.encoding && detected.bom;
+  const text = createDecoder(encoding).decode(sample, { stream: true });
+
+  const quote = overrides.quote ?? detectQuote(text);
+  const delimiter = overrides.delimiter || detectDelimiter(sampleRecords(text, quote), quote);
+  return { delimiter, quote, encoding, bom };
+};
+
+/**
+ * Dialect settings from names the API takes ('semicolon', 'single', 'utf-16le')
+ * @param {Object} options - `delimiter`, `quote`, `encoding`; any may be missing
+ * @returns {Object} The settings given, as characters and encoding labels
+ */
+const parseDialectOptions = ({ delimiter, quote, encoding } = {}) => {
+  const dialect = {};
+  if (delimiter) dialect.delimiter = DELIMITERS[delimiter];
+  if (quote) dialect.quote = QUOTES[quote];
+  if (encoding) dialect.encoding = encoding.toLowerCase();
+  return dialect;
+};
+
+/**
+ * The dialect recorded on a file when it was processed
+ * @param {Object} file - File document
+ * @returns {Object} `{ delimiter, quote, encoding }`, leaving out what isn't recorded
+ *   (all of it for files processed before dialects were), to be detected when read
+ */
+const fileDialect = (file) => {
+  const dialect = file.csvDialect;
+  const settings = {};
+  if (!dialect) return settings;
+  if (dialect.delimiter) settings.delimiter = dialect.delimiter;
+  if (dialect.quote !== undefined && dialect.quote !== null) settings.quote = dialect.quote;
+  if (dialect.encoding) settings.encoding = dialect.encoding;
+  return settings;
+};
+
+module.exports = {
+  SAMPLE_BYTES,
+  DELIMITERS,
+  QUOTES,
+  ENCODINGS,
+  DEFAULT_DIALECT,
+  readSample,
+  detectEncoding,
+  createDecoder,
+  detectDialect,
+  parseDialectOptions,
+  fileDialect
+};
@@ -0,0 +1,297 @@
+// Data quality reports: a pass over every row of every sheet, after the file
+// has been profiled, counting what would trip up an analysis. Per column that
+// is missing values, cells with leading or trailing whitespace, cells that
+// don't fit the column's type (invalid dates in date columns), outliers in
+// numeric columns and the same category written in different cases; per
+// sheet, rows that repeat an earlier row.
+const crypto = require('crypto');
+const { openSpreadsheet, trackProgress, withLocalCopy } = require('./sheetStreamService');
+const { applyLayout, sheetLayout } = require('./sheetLayoutService');
+const { NUMERIC_TYPES, DATE_TYPES, classifyValue, coerceValue, fileLocale, sheetColumnInfo } = require('./typeInferenceService');
+const { fileDialect } = require('./csvDialectService');
+
+// Example cells kept for each kind of issue
+const MAX_EXAMPLES = 5;
+// Distinct values per column compared for casing; values past this aren't checked
+const MAX_CASING_VALUES = 10000;
+// Groups of differently cased values reported per column
+const MAX_CASING_GROUPS = 10;
+// Rows remembered when looking for duplicates; later rows are only compared to these
+const MAX_DUPLICATE_ROWS = 1000000;
+// Values further than this many interquartile ranges outside the quartiles are outliers
+const OUTLIER_FENCE = 1.5;
+
+// Column types whose values are compared for casing
+const TEXT_TYPES = ['categorical', 'string', 'mixed'];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Kinds of cell grouped the way mixed columns are judged
+const KIND_GROUPS = {
+  integer: 'number',
+  float: 'number',
+  currency: 'number',
+  percent: 'number',
+  date: 'date',
+  datetime: 'date',
+  boolean: 'boolean',
+  code: 'text',
+  codeText: 'text',
+  text: 'text'
+};
+
+const displayValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const createIssue = () => ({ count: 0, examples: [] });
+
+const addIssue = (issue, example) => {
+  issue.count += 1;
+  if (issue.examples.length < MAX_EXAMPLES) issue.examples.push(example);
+};
+
+// Numbers of a column, with the rows they are on, in arrays that grow as needed
+const createNumberList = () => ({ length: 0, values: new Float64Array(1024), rows: new Uint32Array(1024) });
+
+const pushNumber = (list, value, row) => {
+  if (list.length === list.values.length) {
+    const values = new Float64Array(list.values.length * 2);
+    const rows = new Uint32Array(list.rows.length * 2);
+    values.set(list.values);
+    rows.set(list.rows);
+    list.values = values;
+    list.rows = rows;
+  }
+  list.values[list.length] = value;
+  list.rows[list.length] = row;
+  list.length += 1;
+};
+
+const quantile = (sorted, fraction) => {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Outliers by Tukey's fences, from the quartiles of every value in the column
+const findOutliers = (list) => {
+  if (list.length < 4) return { count: 0, lowerFence: null, upperFence: null, examples: [] };
+  const values = list.values.subarray(0, list.length);
+  const sorted = Float64Array.from(values).sort();
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const spread = (q3 - q1) * OUTLIER_FENCE;
+  const outliers = { count: 0, lowerFence: q1 - spread, upperFence: q3 + spread, examples: [] };
+  // Columns of (almost) one value have no spread to measure against
+  if (spread === 0) return outliers;
+  values.forEach((value, index) => {
+    if (value < outliers.lowerFence || value > outliers.upperFence) {
+      addIssue(outliers, { row: list.rows[index], value });
+    }
+  });
+  return outliers;
+};
+
+const createColumnCheck = ({ name, type = 'string' }) => ({
+  name,
+  type,
+  missing: 0,
+  whitespace: createIssue(),
+  mismatched: createIssue(),
+  mismatchedKinds: {},
+  kindGroups: {},
+  numbers: NUMERIC_TYPES.includes(type) ? createNumberList() : null,
+  // Trimmed, lower-cased value -> Map of how it was written -> count
+  casing: TEXT_TYPES.includes(type) ? new Map() : null
+});
+
+const checkCell = (check, value, row, locale) => {
+  if (isBlank(value) || (typeof value === 'string' && value.trim() === '')) {
+    check.missing += 1;
+    return;
+  }
+  const example = { row, value: displayValue(value) };
+  if (typeof value === 'string' && value !== value.trim()) addIssue(check.whitespace, example);
+
+  const { type } = check;
+  if (NUMERIC_TYPES.includes(type) || DATE_TYPES.includes(type) || type === 'boolean') {
+    const converted = coerceValue(value, type, locale);
+    if (converted === null) {
+      const { kind } = classifyValue(value, locale);
+      check.mismatchedKinds[kind] = (check.mismatchedKinds[kind] || 0) + 1;
+      addIssue(check.mismatched, example);
+    } else if (check.numbers) {
+      pushNumber(check.numbers, converted, row);
+    }
+  } else if (type === 'mixed') {
+    const group = KIND_GROUPS[classifyValue(value, locale).kind];
+    if (!check.kindGroups[group]) check.kindGroups[group] = { count: 0, examples: [] };
+    addIssue(check.kindGroups[group], example);
+  }
+
+  if (check.casing && typeof value === 'string') {
+    const text = value.trim();
+    const key = text.toLowerCase();
+    let variants = check.casing.get(key);
+    if (!variants) {
+      if (check.casing.size >= MAX_CASING_VALUES) return;
+      variants = new Map();
+      check.casing.set(key, variants);
+    }
+    variants.set(text, (variants.get(text) || 0) + 1);
+  }
+};
+
+// Values written in more than one case, the most common way first; the cells
+// not written the most common way are counted as inconsistent
+const casingGroups = (casing) => {
+  const groups = [];
+  casing.forEach(variants => {
+    if (variants.size < 2) return;
+    const written = Array.from(variants, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count);
+    groups.push({
+      value: written[0].value,
+      variants: written,
+      inconsistent: written.slice(1).reduce((sum, variant) => sum + variant.count, 0)
+    });
+  });
+  return groups.sort((a, b) => b.inconsistent - a.inconsistent);
+};
+
+const summarizeColumn = (check, rowCount) => {
+  let mixedTypes = { count: check.mismatched.count, kinds: check.mismatchedKinds, examples: check.mismatched.examples };
+  let invalidDates = null;
+  if (DATE_TYPES.includes(check.type)) {
+    invalidDates = check.mismatched;
+    mixedTypes = { count: 0, kinds: {}, examples: [] };
+  } else if (check.type === 'mixed') {
+    // Cells of a mixed column are judged against its most common kind
+    const groups = Object.entries(check.kindGroups).sort((a, b) => b[1].count - a[1].count);
+    const minority = groups.slice(1);
+    mixedTypes = {
+      count: minority.reduce((sum, [, group]) => sum + group.count, 0),
+      expected: groups.length > 0 ? groups[0][0] : null,
+      kinds: Object.fromEntries(minority.map(([kind, group]) => [kind, group.count])),
+      examples: minority.flatMap(([, group]) => group.examples).slice(0, MAX_EXAMPLES)
+    };
+  }
+
+  const groups = check.casing ? casingGroups(check.casing) : [];
+  return {
+    name: check.name,
+    type: check.type,
+    missing: {
+      count: check.missing,
+      percent: rowCount > 0 ? Math.round((check.missing / rowCount) * 1000) / 10 : 0
+    },
+    whitespace: check.whitespace,
+    mixedTypes,
+    invalidDates,
+    outliers: check.numbers ? findOutliers(check.numbers) : null,
+    inconsistentCasing: check.casing
+      ? {
+        count: groups.reduce((sum, group) => sum + group.inconsistent, 0),
+        groups: groups.slice(0, MAX_CASING_GROUPS)
+      }
+      : null
+  };
+};
+
+// Cells with an issue in a column; a cell may be counted under more than one
+const columnIssueCount = (column) => (
+  column.missing.count
+  + column.whitespace.count
+  + column.mixedTypes.count
+  + (column.invalidDates?.count || 0)
+  + (column.outliers?.count || 0)
+  + (column.inconsistentCasing?.count || 0)
+);
+
+// Share of cells (as a percentage) without issues
+const qualityScore = (issues, cells) => (
+  cells > 0 ? Math.round(Math.max(0, 1 - issues / cells) * 1000) / 10 : 100
+);
+
+/**
+ * Check every row of one sheet
+ * @param {AsyncIterable<Object>} rows - `{ number, values }` rows of the table, the header row first
+ * @param {Array<Object>} columnInfo - `{ name, type }` of the sheet's columns
+ * @param {Object} locale - File locale
+ * @returns {Promise<Object>} `{ rows, duplicateRows, columns, issueCount, score }`; `columns`
+ *   holds a report per column
+ */
+const assessSheet = async (rows, columnInfo, locale) => {
+  let checks = null;
+  let rowCount = 0;
+  const seenRows = new Map();
+  const duplicateRows = { count: 0, examples: [] };
+
+  for await (const { number, values } of rows) {
+    if (!checks) {
+      // The header row; columns missing from the profile are checked as text
+      checks = Array.from({ length: Math.max(values.length, columnInfo.length) }, (_, index) => (
+        createColumnCheck(columnInfo[index] || { name: String(values[index] ?? `Column_${index + 1}`), type: 'string' })
+      ));
+      continue;
+    }
+    rowCount += 1;
+    checks.forEach((check, index) => checkCell(check, values[index], number, locale));
+
+    const key = crypto.createHash('sha1')
+      .update(JSON.stringify(checks.map((check, index) => displayValue(values[index] ?? null))))
+      .digest('base64');
+    const first = seenRows.get(key);
+    if (first !== undefined) {
+      addIssue(duplicateRows, { row: number, duplicateOf: first });
+    } else if (seenRows.size < MAX_DUPLICATE_ROWS) {
+      seenRows.set(key, number);
+    }
+  }
+
+  const columnReports = (checks || []).map(check => summarizeColumn(check, rowCount));
+  const issueCount = columnReports.reduce((sum, column) => sum + columnIssueCount(column), 0)
+    + duplicateRows.count * columnReports.length;
+  return {
+    rows: rowCount,
+    duplicateRows,
+    columns: columnReports,
+    issueCount,
+    score: qualityScore(issueCount, rowCount * columnReports.length)
+  };
+};
+
+/**
+ * Build the data quality report of a processed file, reading every sheet
+ * through its layout and column types
+ * @param {Object} file - File document, with its sheets profiled
+ * @param {Object} [options] - `onProgress` is called with the whole percentage read (0-100)
+ * @returns {Promise<Object>} `{ generatedAt, score, issueCount, sheets }`; each sheet has
+ *   its row count, duplicate rows and a report per column
+ */
+const assessFile = (file, { onProgress } = {}) => withLocalCopy(file, async (filePath) => {
+  const spreadsheet = await openSpreadsheet(filePath, file.fileType, { dialect: fileDialect(file) });
+  const locale = fileLocale(file);
+  const { onBytes, sheetDone } = trackProgress(spreadsheet, onProgress);
+
+  const sheets = [];
+  for (const [index, name] of spreadsheet.sheetNames.entries()) {
+    const rows = applyLayout(spreadsheet.readRows(name, { onBytes, locale }), sheetLayout(file, name));
+    sheets.push({ name, ...await assessSheet(rows, sheetColumnInfo(file, name), locale) });
+    sheetDone(index);
+  }
+
+  const issueCount = sheets.reduce((sum, sheet) => sum + sheet.issueCount, 0);
+  const cells = sheets.reduce((sum, sheet) => sum + sheet.rows * sheet.columns.length, 0);
+  return {
+    generatedAt: new Date(),
+    score: qualityScore(issueCount, cells),
+    issueCount,
+    sheets
+  };
+});
+
+module.exports = {
+  assessSheet,
+  assessFile
+};
@@ -0,0 +1,165 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { Resvg } = require('@resvg/resvg-js');
+const PDFDocument = require('pdfkit');
+const jpeg = require('jpeg-js');
+const { renderAnalysisSvg } = require('./chartSvgService');
+const { storeExport, deleteStoredFile } = require('./storageService');
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  json: 'application/json'
+};
+
+class ExportService {
+  /**
+   * Rasterize an SVG document
+   * @param {string} svg - SVG markup
+   * @returns {Object} Rendered image with PNG encoder, raw RGBA pixels and size
+   */
+  rasterize(svg) {
+    return new Resvg(svg, {
+      background: '#ffffff',
+      fitTo: { mode: 'zoom', value: 2 }, // Render at 2x for print-friendly output
+      font: { loadSystemFonts: true, defaultFontFamily: 'Arial' }
+    }).render();
+  }
+
+  /**
+   * Wrap a PNG in a single-page PDF sized to the chart
+   * @param {Buffer} png - PNG image
+   * @param {Object} analysis - Analysis being exported
+   * @returns {Promise<Buffer>} PDF document
+   */
+  buildPdf(png, analysis) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: 36,
+        info: {
+          Title: analysis.name,
+          Subject: analysis.description || '',
+          Creator: 'Excel Analytics Platform'
+        }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      const height = doc.page.height - doc.page.margins.top - doc.page.margins.bottom - 20;
+      doc.image(png, { fit: [width, height], align: 'center', valign: 'center' });
+      doc.fontSize(8).fillColor('#6b7280').text(
+        `Exported ${new Date().toISOString()}`,
+        doc.page.margins.left,
+        doc.page.height - doc.page.margins.bottom - 10
+      );
+      doc.end();
+    });
+  }
+
+  /**
+   * Render an analysis to the requested format
+   * @param {Object} analysis - Analysis document
+   * @param {string} format - png | jpg | svg | pdf | json
+   * @param {Object} [options] - `residuals`: every point of the analysis's
+   *   regression (see regressionResiduals), for JSON exports
+   * @returns {Promise<Buffer>} File contents
+   */
+  async render(analysis, format, { residuals } = {}) {
+    if (format === 'json') {
+      return Buffer.from(JSON.stringify({
+        name: analysis.name,
+        description: analysis.description,
+        type: analysis.type,
+        chartType: analysis.chartType,
+        dimensions: analysis.dimensions,
+        config: analysis.config,
+        data: {
+          processedData: analysis.data?.processedData,
+          pivotTable: analysis.data?.pivotTable,
+          correlation: analysis.data?.correlation,
+          regression: analysis.data?.regression,
+          ...(residuals && { residuals }),
+          statistics: analysis.data?.statistics
+        },
+        insights: analysis.insights?.aiInsights,
+        exportedAt: new Date().toISOString()
+      }, null, 2));
+    }
+
+    const svg = renderAnalysisSvg(analysis);
+    if (format === 'svg') {
+      return Buffer.from(svg);
+    }
+
+    const image = this.rasterize(svg);
+    if (format === 'jpg') {
+      return jpeg.encode({ data: image.pixels, width: image.width, height: image.height }, 90).data;
+    }
+
+    const png = image.asPng();
+    if (format === 'pdf') {
+      return this.buildPdf(png, analysis);
+    }
+    return png;
+  }
+
+  /**
+   * Render an analysis and keep the artifact in file storage (see storageService)
+   * @param {Object} analysis - Analysis document
+   * @param {string} format - Export format
+   * @param {Object} [options] - Options of render
+   * @returns {Promise<Object>} Export entry (format, fileName, storage, fileSize)
+   */
+  async createExport(analysis, format, options) {
+    const contents = await this.render(analysis, format, options);
+    const fileName = `${analysis.name.replace(/[^\w.-]+/g, '_')}_${Date.now()}.${format}`;
+    // Drivers store from a local file
+    const tempPath = path.join(os.tmpdir(), `export-${analysis._id}-${fileName}`);
+
+    await fs.writeFile(tempPath, contents);
+    try {
+      const stored = await storeExport(tempPath, {
+        analysisId: analysis._id.toString(),
+        fileName,
+        contentType: this.getContentType(format)
+      });
+      return {
+        format,
+        fileName,
+        storage: { driver: stored.driver, key: stored.key },
+        fileSize: contents.length,
+        exportedAt: new Date()
+      };
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Remove every stored export of an analysis
+   * @param {Object} analysis - Analysis document
+   * @returns {Promise<void>}
+   */
+  async deleteExports(analysis) {
+    await Promise.all((analysis.exports || []).map(exportEntry => deleteStoredFile(exportEntry)));
+  }
+
+  /**
+   * Get the Content-Type header for an export format
+   * @param {string} format - Export format
+   * @returns {string} MIME type
+   */
+  getContentType(format) {
+    return CONTENT_TYPES[format] || 'application/octet-stream';
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,77 @@
+// The file formats uploads may come in, told apart by extension. Browsers
+// report MIME types unreliably (.csv as application/vnd.ms-excel on Windows,
+// nothing specific at all for Parquet or NDJSON), so the type an upload claims
+// only has to fit its extension.
+const path = require('path');
+
+const FILE_FORMATS = {
+  xlsx: {
+    extensions: ['.xlsx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+  },
+  xls: {
+    extensions: ['.xls'],
+    mimeTypes: ['application/vnd.ms-excel']
+  },
+  xlsb: {
+    extensions: ['.xlsb'],
+    mimeTypes: ['application/vnd.ms-excel.sheet.binary.macroenabled.12']
+  },
+  ods: {
+    extensions: ['.ods'],
+    mimeTypes: ['application/vnd.oasis.opendocument.spreadsheet']
+  },
+  csv: {
+    extensions: ['.csv'],
+    mimeTypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain']
+  },
+  tsv: {
+    extensions: ['.tsv', '.tab'],
+    mimeTypes: ['text/tab-separated-values', 'text/plain']
+  },
+  // JSON arrays and newline-delimited JSON alike
+  json: {
+    extensions: ['.json', '.ndjson', '.jsonl'],
+    mimeTypes: ['application/json', 'application/x-ndjson', 'application/jsonl', 'text/plain']
+  },
+  parquet: {
+    extensions: ['.parquet'],
+    mimeTypes: ['application/vnd.apache.parquet', 'application/x-parquet']
+  }
+};
+
+// Types sent when the browser doesn't know the format
+const GENERIC_MIME_TYPES = ['application/octet-stream', ''];
+
+const SUPPORTED_EXTENSIONS = Object.values(FILE_FORMATS).flatMap(format => format.extensions);
+
+/**
+ * The format of a file from its name
+ * @param {string} fileName - Original file name
+ * @returns {string|null} File type (a key of FILE_FORMATS), or null when unsupported
+ */
+const fileTypeOf = (fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return Object.keys(FILE_FORMATS).find(type => FILE_FORMATS[type].extensions.includes(extension)) || null;
+};
+
+/**
+ * The MIME type to record for an upload: the one it was sent with when that
+ * fits its format, the format's own otherwise
+ * @param {string} fileType - File type
+ * @param {string} [mimeType] - Type the upload was sent with
+ * @returns {string|null} MIME type, or null when the upload's type contradicts its format
+ */
+const mimeTypeFor = (fileType, mimeType = '') => {
+  const format = FILE_FORMATS[fileType];
+  const sent = mimeType.toLowerCase();
+  if (format.mimeTypes.includes(sent)) return sent;
+  return GENERIC_MIME_TYPES.includes(sent) ? format.mimeTypes[0] : null;
+};
+
+module.exports = {
+  FILE_FORMATS,
+  SUPPORTED_EXTENSIONS,
+  fileTypeOf,
+  mimeTypeFor
+};
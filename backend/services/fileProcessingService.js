@@ -0,0 +1,195 @@
+// Processing of uploads in the background job queue: the file is profiled
+// sheet by sheet, then checked for data quality, while the File document
+// records the percentage done, so clients can follow along through
+// GET /api/files/:id/status. Analyses of a file processed again are refreshed.
+const fs = require('fs').promises;
+const File = require('../models/File');
+const User = require('../models/User');
+const { profileSpreadsheet, withLocalCopy } = require('./sheetStreamService');
+const { sheetLayout } = require('./sheetLayoutService');
+const { fileLocale } = require('./typeInferenceService');
+const { fileDialect } = require('./csvDialectService');
+const { assessFile } = require('./dataQualityService');
+const { registerHandler, enqueue } = require('./jobQueueService');
+const { refreshDependentAnalyses } = require('./analysisRefreshService');
+
+const JOB_TYPE = 'process-file';
+// Minimum time between progress writes while profiling
+const PROGRESS_INTERVAL = 1000;
+// Shares of the progress bar taken by profiling and the quality check; saving
+// the results is the rest
+const PROFILE_SHARE = 0.6;
+const QUALITY_SHARE = 0.3;
+
+const setProgress = (fileId, progress, stage) => File.updateOne(
+  { _id: fileId },
+  { $set: { processingProgress: progress, processingStage: stage } }
+);
+
+// The upload's temporary copy; storage keeps the file from then on
+const removeTempFile = async (file) => {
+  try {
+    await fs.unlink(file.filePath);
+  } catch (unlinkError) {
+    if (unlinkError.code !== 'ENOENT') console.error('Failed to delete temporary file:', unlinkError);
+  }
+};
+
+// Column types the user set keep applying to the columns still there
+const keepTypeOverrides = (columnInfo, previousColumns = []) => {
+  const overrides = new Map(previousColumns
+    .filter(column => column.detectedType && column.type !== column.detectedType)
+    .map(column => [column.name, column.type]));
+  return columnInfo.map(column => (
+    overrides.has(column.name) ? { ...column, type: overrides.get(column.name) } : column
+  ));
+};
+
+const processFile = async (job) => {
+  const file = await File.findById(job.fileId);
+  // Deleted while it was queued
+  if (!file) return;
+
+  // Layouts the user picked are kept; the other sheets have theirs detected
+  const previousSheets = new Map((file.metadata?.sheets || []).map(sheet => [sheet.name, sheet]));
+  const layouts = {};
+  previousSheets.forEach((sheet, name) => {
+    if (sheet.layout?.source === 'user') layouts[name] = sheetLayout(file, name);
+  });
+
+  // Likewise a locale and CSV settings the user set; otherwise they are detected again
+  const locale = file.locale?.source === 'user' ? fileLocale(file) : null;
+  const dialect = file.csvDialect?.source === 'user' ? fileDialect(file) : {};
+
+  await setProgress(file._id, 0, 'Reading file');
+  let lastWrite = 0;
+  // Progress of a step, as a percentage, mapped onto its part of the bar
+  const stepProgress = (start, share, stage) => (percent) => {
+    const now = Date.now();
+    if (now - lastWrite < PROGRESS_INTERVAL) return;
+    lastWrite = now;
+    setProgress(file._id, Math.round(start + percent * share), stage)
+      .catch(error => console.error('Progress update error:', error));
+  };
+
+  const analysis = await withLocalCopy(file, filePath => profileSpreadsheet(filePath, file.fileType, {
+    layouts,
+    locale,
+    dialect,
+    onProgress: stepProgress(0, PROFILE_SHARE, 'Profiling sheets')
+  }));
+
+  file.sheetNames = analysis.sheetNames;
+  file.totalRows = analysis.totalRows;
+  file.totalColumns = analysis.totalColumns;
+  file.locale = { ...analysis.locale, source: locale ? 'user' : 'detected' };
+  if (analysis.dialect) {
+    file.csvDialect = { ...analysis.dialect, source: Object.keys(dialect).length > 0 ? 'user' : 'detected' };
+  }
+  file.metadata = {
+    ...analysis.metadata,
+    sheets: analysis.sheetNames.map(name => {
+      const { rows, columns, range, columnInfo, sampleData, layout, regions } = analysis.sheets[name];
+      return {
+        name,
+        rows,
+        columns,
+        range,
+        columnInfo: keepTypeOverrides(columnInfo, previousSheets.get(name)?.columnInfo),
+        dataPreview: sampleData,
+        layout: layout && { ...layout, source: layouts[name] ? 'user' : 'detected' },
+        regions: regions || previousSheets.get(name)?.regions || []
+      };
+    }),
+    processedAt: new Date(),
+    fileFormat: file.fileType,
+    encoding: analysis.dialect ? analysis.dialect.encoding.toUpperCase() : 'UTF-8'
+  };
+
+  // The first sheet's profile is also kept at the top level, where older clients read it
+  if (analysis.sheetNames.length > 0) {
+    file.columnInfo = file.metadata.sheets[0].columnInfo;
+    file.dataPreview = analysis.sheets[analysis.sheetNames[0]].sampleData;
+  }
+
+  // Checked with the column types just worked out. A file whose check fails is
+  // still usable; its report is built when first asked for.
+  await setProgress(file._id, Math.round(100 * PROFILE_SHARE), 'Checking data quality');
+  try {
+    file.qualityReport = await assessFile(file, {
+      onProgress: stepProgress(100 * PROFILE_SHARE, QUALITY_SHARE, 'Checking data quality')
+    });
+  } catch (qualityError) {
+    console.error('Data quality check error:', qualityError);
+    file.qualityReport = undefined;
+  }
+  await setProgress(file._id, Math.round(100 * (PROFILE_SHARE + QUALITY_SHARE)), 'Saving results');
+
+  file.status = 'processed';
+  file.processedAt = new Date();
+  file.processingProgress = 100;
+  file.processingStage = 'Done';
+  file.processingError = undefined;
+  await file.save();
+
+  // Update user usage statistics, once per upload; a new version of a file
+  // only adds to the storage used
+  if (!job.payload?.reprocess) {
+    await User.findByIdAndUpdate(file.userId, {
+      $inc: {
+        'usage.filesUploaded': job.payload?.newVersion ? 0 : 1,
+        'usage.storageUsed': file.fileSize
+      }
+    });
+  }
+
+  // Analyses of a file read again (a new version, or under a new layout or
+  // locale) are computed again from what was just read
+  if (job.payload?.newVersion || job.payload?.reprocess) {
+    try {
+      await refreshDependentAnalyses(file, job.payload.newVersion ? 'version' : 'reprocessed');
+    } catch (refreshError) {
+      console.error('Analysis refresh error:', refreshError);
+    }
+  }
+
+  await removeTempFile(file);
+};
+
+registerHandler(JOB_TYPE, {
+  run: processFile,
+
+  onRetry: (job, error) => File.updateOne({ _id: job.fileId }, {
+    $set: {
+      processingProgress: 0,
+      processingStage: `Retrying (attempt ${job.attempts + 1} of ${job.maxAttempts})`,
+      processingError: { message: error.message, stack: error.stack, timestamp: new Date() }
+    }
+  }),
+
+  onFailed: async (job, error) => {
+    console.error('File analysis error:', error);
+    const file = await File.findById(job.fileId);
+    if (!file) return;
+    file.processingStage = 'Failed';
+    await file.updateProcessingStatus('failed', error);
+    await removeTempFile(file);
+  }
+});
+
+/**
+ * Queue an uploaded file for processing
+ * @param {Object} file - File document, saved with status 'processing'
+ * @param {Object} [options] - `reprocess` for a file processed before, e.g. after
+ *   its layout changed; `newVersion` for a new upload of an existing file
+ * @returns {Promise<Object>} Job document
+ */
+const queueFileProcessing = (file, { reprocess = false, newVersion = false } = {}) => enqueue(JOB_TYPE, {
+  fileId: file._id,
+  userId: file.userId,
+  payload: { reprocess, newVersion }
+});
+
+module.exports = {
+  queueFileProcessing
+};
@@ -0,0 +1,282 @@
+// File versions: a File keeps its earlier uploads when a new one replaces it,
+// so analyses can stay on the upload they were built from, and any two
+// versions of a sheet can be compared: columns added, removed or retyped, and
+// rows added, removed or changed.
+const crypto = require('crypto');
+const { openSpreadsheet, withLocalCopy } = require('./sheetStreamService');
+const { applyLayout, headerNames, sheetLayout } = require('./sheetLayoutService');
+const { fileLocale, sheetColumnInfo } = require('./typeInferenceService');
+const { fileDialect } = require('./csvDialectService');
+
+// Rows (and changed rows) listed in a diff; the rest are only counted
+const MAX_DIFF_ROWS = 100;
+
+const versionError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * The current upload of a file, as kept in its version history
+ * @param {Object} file - File document
+ * @returns {Object} Version entry
+ */
+const snapshotVersion = (file) => ({
+  version: file.version || 1,
+  originalName: file.originalName,
+  fileName: file.fileName,
+  filePath: file.filePath,
+  storage: plain(file.storage),
+  cloudinaryPublicId: file.cloudinaryPublicId,
+  cloudinaryUrl: file.cloudinaryUrl,
+  fileSize: file.fileSize,
+  mimeType: file.mimeType,
+  fileType: file.fileType,
+  uploadedAt: file.uploadedAt,
+  processedAt: file.processedAt,
+  sheetNames: Array.from(file.sheetNames || []),
+  totalRows: file.totalRows,
+  totalColumns: file.totalColumns,
+  locale: plain(file.locale),
+  csvDialect: plain(file.csvDialect),
+  sheets: (file.metadata?.sheets || []).map(sheet => {
+    const { name, rows, columns, range, columnInfo, layout } = plain(sheet);
+    return { name, rows, columns, range, columnInfo, layout };
+  })
+});
+
+/**
+ * Summary of every version of a file, oldest first
+ * @param {Object} file - File document
+ * @returns {Array<Object>} `{ version, originalName, fileSize, fileType, uploadedAt, totalRows, totalColumns, current }`
+ */
+const listVersions = (file) => [...(file.versions || []), file].map(entry => ({
+  version: entry.version || 1,
+  originalName: entry.originalName,
+  fileSize: entry.fileSize,
+  fileType: entry.fileType,
+  uploadedAt: entry.uploadedAt,
+  totalRows: entry.totalRows,
+  totalColumns: entry.totalColumns,
+  current: entry === file
+}));
+
+/**
+ * A file as it was at one of its versions, shaped like a File document so it
+ * can be read the same way; the cleaning recipe is the file's current one
+ * @param {Object} file - File document
+ * @param {number} [version] - Version number; the current version when empty
+ * @returns {Object} The file itself for its current version, else a plain object
+ */
+const fileAtVersion = (file, version) => {
+  if (version === undefined || version === null || version === (file.version || 1)) return file;
+  const entry = (file.versions || []).find(candidate => candidate.version === version);
+  if (!entry) throw versionError(`Version ${version} of this file not found`, 'VERSION_NOT_FOUND', 404);
+  const sheets = plain(entry.sheets) || [];
+  return {
+    _id: file._id,
+    userId: file.userId,
+    status: 'processed',
+    version: entry.version,
+    originalName: entry.originalName,
+    fileName: entry.fileName,
+    filePath: entry.filePath,
+    storage: entry.storage,
+    cloudinaryPublicId: entry.cloudinaryPublicId,
+    cloudinaryUrl: entry.cloudinaryUrl,
+    fileSize: entry.fileSize,
+    mimeType: entry.mimeType,
+    fileType: entry.fileType,
+    uploadedAt: entry.uploadedAt,
+    sheetNames: Array.from(entry.sheetNames || []),
+    totalRows: entry.totalRows,
+    totalColumns: entry.totalColumns,
+    locale: entry.locale,
+    csvDialect: entry.csvDialect,
+    columnInfo: sheets[0]?.columnInfo || [],
+    metadata: { sheets },
+    cleaningRecipe: file.cleaningRecipe || []
+  };
+};
+
+// Cells are compared as read, so 1 and "1" differ; dates by the time they hold
+const cellKey = (value) => {
+  if (isBlank(value)) return null;
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+const rowHash = (values) => crypto.createHash('sha1').update(JSON.stringify(values)).digest('base64');
+
+// Every row of a sheet as read through its layout: the column names, and
+// `{ number, cells }` rows with cells keyed by column name
+const readVersionSheet = (file, sheetName) => withLocalCopy(file, async (filePath) => {
+  const spreadsheet = await openSpreadsheet(filePath, file.fileType, { dialect: fileDialect(file) });
+  const rows = applyLayout(
+    spreadsheet.readRows(sheetName, { locale: fileLocale(file) }),
+    sheetLayout(file, sheetName)
+  );
+  let columns = null;
+  const records = [];
+  for await (const { number, values } of rows) {
+    if (!columns) {
+      columns = headerNames(values);
+      continue;
+    }
+    const cells = {};
+    columns.forEach((name, index) => { cells[name] = cellKey(values[index]); });
+    records.push({ number, cells });
+  }
+  return { columns: columns || [], rows: records };
+});
+
+// Key columns given, or else the first shared ID column whose values are set
+// and unique in the older version; null to match rows by their contents
+const pickKey = (key, sharedColumns, toColumnInfo, fromRows) => {
+  if (key.length > 0) {
+    const missing = key.find(name => !sharedColumns.includes(name));
+    if (missing) {
+      throw versionError(`Key column "${missing}" is not in both versions`, 'UNKNOWN_KEY_COLUMN');
+    }
+    return key;
+  }
+  const candidates = toColumnInfo
+    .filter(column => column.type === 'id' && sharedColumns.includes(column.name))
+    .map(column => column.name);
+  const unique = candidates.find(name => {
+    const seen = new Set();
+    return fromRows.every(row => {
+      const value = row.cells[name];
+      if (value === null || seen.has(value)) return false;
+      seen.add(value);
+      return true;
+    });
+  });
+  return unique ? [unique] : null;
+};
+
+const listRow = (list, entry) => {
+  list.count += 1;
+  if (list.rows.length < MAX_DIFF_ROWS) list.rows.push(entry);
+};
+
+/**
+ * Compare one sheet of two versions of a file. Rows are matched on key
+ * columns (given, or a unique ID column both versions share), and matched
+ * rows are compared cell by cell; without a key, rows are matched by the
+ * values of the columns both versions have, so edits show as a row removed
+ * and one added.
+ * @param {Object} from - The file at the older version (see fileAtVersion)
+ * @param {Object} to - The file at the newer version
+ * @param {Object} [options] - `sheet` (the first sheet of the newer version in
+ *   both when empty) and `key` column names
+ * @returns {Promise<Object>} `{ sheet, sheets, schema, key, rows }`
+ */
+const diffVersions = async (from, to, { sheet, key = [] } = {}) => {
+  const sheetName = sheet || to.sheetNames.find(name => from.sheetNames.includes(name));
+  if (!sheetName) {
+    throw versionError('The versions have no sheet in common', 'SHEET_NOT_FOUND', 404);
+  }
+  [from, to].forEach(file => {
+    if (!file.sheetNames.includes(sheetName)) {
+      throw versionError(`Sheet "${sheetName}" is not in version ${file.version || 1}`, 'SHEET_NOT_FOUND', 404);
+    }
+  });
+
+  const fromSheet = await readVersionSheet(from, sheetName);
+  const toSheet = await readVersionSheet(to, sheetName);
+
+  // Schema changes, with types from each version's profile
+  const fromTypes = new Map(sheetColumnInfo(from, sheetName).map(column => [column.name, column.type]));
+  const toColumnInfo = sheetColumnInfo(to, sheetName);
+  const toTypes = new Map(toColumnInfo.map(column => [column.name, column.type]));
+  const sharedColumns = toSheet.columns.filter(name => fromSheet.columns.includes(name));
+  const schema = {
+    added: toSheet.columns.filter(name => !fromSheet.columns.includes(name))
+      .map(name => ({ name, type: toTypes.get(name) || null })),
+    removed: fromSheet.columns.filter(name => !toSheet.columns.includes(name))
+      .map(name => ({ name, type: fromTypes.get(name) || null })),
+    typeChanged: sharedColumns
+      .filter(name => fromTypes.has(name) && toTypes.has(name) && fromTypes.get(name) !== toTypes.get(name))
+      .map(name => ({ name, from: fromTypes.get(name), to: toTypes.get(name) })),
+    reordered: sharedColumns.join('\u0000') !== fromSheet.columns.filter(name => sharedColumns.includes(name)).join('\u0000')
+  };
+
+  const keyColumns = pickKey(key, sharedColumns, toColumnInfo, fromSheet.rows);
+  const matchOn = keyColumns || sharedColumns;
+  const rowKey = (row) => rowHash(matchOn.map(name => row.cells[name]));
+
+  // Older rows by key; rows with the same key are matched in order
+  const pending = new Map();
+  fromSheet.rows.forEach(row => {
+    const hash = rowKey(row);
+    if (!pending.has(hash)) pending.set(hash, []);
+    pending.get(hash).push(row);
+  });
+
+  const matched = new Set();
+  const added = { count: 0, rows: [] };
+  const changed = { count: 0, cells: 0, rows: [] };
+  let unchanged = 0;
+  toSheet.rows.forEach(row => {
+    const matches = pending.get(rowKey(row));
+    const match = matches?.shift();
+    if (!match) {
+      listRow(added, { row: row.number, values: row.cells });
+      return;
+    }
+    matched.add(match);
+    const changes = keyColumns
+      ? sharedColumns
+        .filter(name => match.cells[name] !== row.cells[name])
+        .map(name => ({ column: name, from: match.cells[name], to: row.cells[name] }))
+      : [];
+    if (changes.length === 0) {
+      unchanged += 1;
+      return;
+    }
+    changed.cells += changes.length;
+    listRow(changed, {
+      key: Object.fromEntries(keyColumns.map(name => [name, row.cells[name]])),
+      fromRow: match.number,
+      toRow: row.number,
+      changes
+    });
+  });
+
+  const removed = { count: 0, rows: [] };
+  fromSheet.rows.forEach(row => {
+    if (!matched.has(row)) listRow(removed, { row: row.number, values: row.cells });
+  });
+
+  return {
+    sheet: sheetName,
+    sheets: {
+      added: to.sheetNames.filter(name => !from.sheetNames.includes(name)),
+      removed: from.sheetNames.filter(name => !to.sheetNames.includes(name))
+    },
+    schema,
+    key: keyColumns,
+    rows: {
+      from: fromSheet.rows.length,
+      to: toSheet.rows.length,
+      added,
+      removed,
+      changed,
+      unchanged
+    }
+  };
+};
+
+module.exports = {
+  MAX_DIFF_ROWS,
+  snapshotVersion,
+  listVersions,
+  fileAtVersion,
+  diffVersions
+};
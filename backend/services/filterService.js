@@ -0,0 +1,252 @@
+// Row filters: conditions combined in nested AND/OR groups, any of which can be
+// negated (NOT).
+//
+// A filter list is ANDed, as in the original flat format. Each entry is either
+// a condition `{ column, operator, value }` or a group
+// `{ logic: 'and' | 'or', negate, conditions: [...] }` whose conditions may
+// themselves be groups.
+const RE2 = require('re2');
+const { cellToDate } = require('./formulaService');
+
+const FILTER_OPERATORS = [
+  'equals', 'not_equals', 'contains', 'not_contains', 'greater_than', 'less_than', 'between', 'in', 'not_in',
+  'is_null', 'is_not_null', 'starts_with', 'ends_with', 'regex',
+  'before', 'after', 'in_last',
+  'top_n', 'bottom_n'
+];
+
+const RELATIVE_DATE_UNITS = ['days', 'weeks', 'months', 'years'];
+
+const MAX_GROUP_DEPTH = 10;
+const MAX_REGEX_LENGTH = 200;
+
+const filterError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Saved conditions carry an empty `conditions` array too, so groups are the nodes without a column
+const isGroup = (node) => Array.isArray(node.conditions) && !node.column;
+
+const lower = (value) => String(value).toLowerCase();
+
+const parseFilterDate = (value, operator) => {
+  const date = cellToDate(value);
+  if (!date) {
+    throw filterError(`Invalid date for the "${operator}" filter: ${value}`, 'FILTER_INVALID_DATE');
+  }
+  return date;
+};
+
+// Start of the "last N units" window, counted back from now
+const relativeDateStart = (value, now) => {
+  const amount = Number(typeof value === 'object' && value !== null ? value.amount : value);
+  const unit = (typeof value === 'object' && value?.unit) || 'days';
+  if (!Number.isFinite(amount) || amount < 0 || !RELATIVE_DATE_UNITS.includes(unit)) {
+    throw filterError('Relative date filters need a non-negative amount of days, weeks, months or years', 'FILTER_INVALID_DATE');
+  }
+  const start = new Date(now);
+  switch (unit) {
+    case 'weeks':
+      start.setUTCDate(start.getUTCDate() - amount * 7);
+      break;
+    case 'months':
+      start.setUTCMonth(start.getUTCMonth() - amount);
+      break;
+    case 'years':
+      start.setUTCFullYear(start.getUTCFullYear() - amount);
+      break;
+    default:
+      start.setUTCDate(start.getUTCDate() - amount);
+  }
+  return start;
+};
+
+// Smallest (top-N) or largest (bottom-N) value still inside the first N; ties are kept
+const rankThreshold = (rows, column, count, operator) => {
+  const n = parseInt(count, 10);
+  if (!(n > 0)) {
+    throw filterError(`The "${operator}" filter needs a positive row count`, 'FILTER_INVALID_VALUE');
+  }
+  const values = rows
+    .map(row => (isBlank(row[column]) ? NaN : Number(row[column])))
+    .filter(Number.isFinite)
+    .sort((a, b) => (operator === 'top_n' ? b - a : a - b));
+  return values.length === 0 ? null : values[Math.min(n, values.length) - 1];
+};
+
+// Build the predicate of a single condition. Set-based operators (top/bottom N)
+// are resolved against `rows`, the data entering the filter stage.
+const compileCondition = ({ column, operator, value }, rows, now) => {
+  switch (operator) {
+    case 'equals':
+      return row => row[column] == value;
+    case 'not_equals':
+      return row => row[column] != value;
+    case 'contains':
+      return row => lower(row[column]).includes(lower(value));
+    case 'not_contains':
+      return row => !lower(row[column]).includes(lower(value));
+    case 'greater_than':
+      return row => Number(row[column]) > Number(value);
+    case 'less_than':
+      return row => Number(row[column]) < Number(value);
+    case 'between':
+      return row => Number(row[column]) >= Number(value?.[0]) && Number(row[column]) <= Number(value?.[1]);
+    case 'in':
+      return row => Array.isArray(value) && value.includes(row[column]);
+    case 'not_in':
+      return row => Array.isArray(value) && !value.includes(row[column]);
+    case 'is_null':
+      return row => isBlank(row[column]);
+    case 'is_not_null':
+      return row => !isBlank(row[column]);
+    case 'starts_with':
+      return row => !isBlank(row[column]) && lower(row[column]).startsWith(lower(value));
+    case 'ends_with':
+      return row => !isBlank(row[column]) && lower(row[column]).endsWith(lower(value));
+    case 'regex': {
+      const pattern = String(value ?? '');
+      if (pattern.length > MAX_REGEX_LENGTH) {
+        throw filterError(`Regular expressions are limited to ${MAX_REGEX_LENGTH} characters`, 'FILTER_INVALID_REGEX');
+      }
+      // RE2 matches in time linear in the text, so no pattern can hold up the
+      // server by backtracking; it has no backreferences or lookarounds
+      let expression;
+      try {
+        expression = new RE2(pattern, 'i');
+      } catch (error) {
+        throw filterError(`Invalid regular expression: ${error.message}`, 'FILTER_INVALID_REGEX');
+      }
+      return row => !isBlank(row[column]) && expression.test(String(row[column]));
+    }
+    case 'before': {
+      const limit = parseFilterDate(value, operator).getTime();
+      return row => {
+        const date = cellToDate(row[column]);
+        return date !== null && date.getTime() < limit;
+      };
+    }
+    case 'after': {
+      const limit = parseFilterDate(value, operator).getTime();
+      return row => {
+        const date = cellToDate(row[column]);
+        return date !== null && date.getTime() > limit;
+      };
+    }
+    case 'in_last': {
+      const start = relativeDateStart(value, now).getTime();
+      return row => {
+        const date = cellToDate(row[column]);
+        return date !== null && date.getTime() >= start && date.getTime() <= now.getTime();
+      };
+    }
+    case 'top_n':
+    case 'bottom_n': {
+      const threshold = rankThreshold(rows, column, value, operator);
+      if (threshold === null) return () => false;
+      return row => {
+        if (isBlank(row[column])) return false;
+        const number = Number(row[column]);
+        return operator === 'top_n' ? number >= threshold : number <= threshold;
+      };
+    }
+    default:
+      return () => true;
+  }
+};
+
+const compileNode = (node, rows, now, depth) => {
+  let predicate;
+  if (isGroup(node)) {
+    if (depth >= MAX_GROUP_DEPTH) {
+      throw filterError(`Filter groups can be nested at most ${MAX_GROUP_DEPTH} levels deep`, 'FILTER_TOO_DEEP');
+    }
+    const children = node.conditions.map(child => compileNode(child, rows, now, depth + 1));
+    predicate = node.logic === 'or'
+      ? row => children.length === 0 || children.some(child => child(row))
+      : row => children.every(child => child(row));
+  } else {
+    predicate = compileCondition(node, rows, now);
+  }
+  return node.negate ? row => !predicate(row) : predicate;
+};
+
+/**
+ * Check the shape of a filter list for request validation; value-level problems
+ * (bad regex or dates) are reported when the filters are applied
+ * @param {Array<Object>} filters - Conditions and nested groups
+ * @returns {boolean} true, or throws an Error describing the problem
+ */
+const validateFilters = (filters, depth = 0) => {
+  if (depth > MAX_GROUP_DEPTH) {
+    throw new Error(`Filter groups can be nested at most ${MAX_GROUP_DEPTH} levels deep`);
+  }
+  filters.forEach(filter => {
+    if (!filter || typeof filter !== 'object') {
+      throw new Error('Each filter must be an object');
+    }
+    if (isGroup(filter)) {
+      if (filter.logic && !['and', 'or'].includes(filter.logic)) {
+        throw new Error(`Invalid filter group logic: ${filter.logic}`);
+      }
+      validateFilters(filter.conditions, depth + 1);
+    } else if (!filter.column || !FILTER_OPERATORS.includes(filter.operator)) {
+      throw new Error('Each filter needs a column and a valid operator');
+    }
+  });
+  return true;
+};
+
+/**
+ * Predicate matching the rows that pass every filter in the list
+ * @param {Array<Object>} [filters] - Conditions and nested AND/OR groups, ANDed together
+ * @param {Array<Object>} [rows] - Rows entering the filter stage; only top/bottom N
+ *   conditions read them, and only the columns those name (see rankedColumns)
+ * @param {Date} [now] - Reference time for relative date filters
+ * @returns {Function} `row => boolean`
+ */
+const filterPredicate = (filters = [], rows = [], now = new Date()) => {
+  if (!filters?.length) return () => true;
+  return compileNode({ logic: 'and', conditions: filters }, rows, now, 0);
+};
+
+/**
+ * Columns of the top/bottom N conditions in a filter list, which are ranked
+ * against every row before any row can be matched
+ * @param {Array<Object>} [filters] - Conditions and nested groups
+ * @returns {Array<string>} Column names
+ */
+const rankedColumns = (filters = []) => {
+  const columns = new Set();
+  const visit = (nodes) => nodes.forEach(node => {
+    if (isGroup(node)) visit(node.conditions);
+    else if (['top_n', 'bottom_n'].includes(node.operator)) columns.add(node.column);
+  });
+  visit(filters || []);
+  return [...columns];
+};
+
+/**
+ * Keep the rows matching every filter in the list
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} [filters] - Conditions and nested AND/OR groups, ANDed together
+ * @param {Date} [now] - Reference time for relative date filters
+ * @returns {Array<Object>} Matching rows
+ */
+const applyFilters = (rows, filters = [], now = new Date()) => {
+  if (!filters?.length) return rows;
+  return rows.filter(filterPredicate(filters, rows, now));
+};
+
+module.exports = {
+  FILTER_OPERATORS,
+  RELATIVE_DATE_UNITS,
+  validateFilters,
+  filterPredicate,
+  rankedColumns,
+  applyFilters
+};
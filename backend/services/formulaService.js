@@ -0,0 +1,552 @@
+// Excel-like formulas for calculated columns, e.g. `Revenue - Cost`,
+// `IF(Region="EU", Sales*1.2, Sales)` or `YEAR([Order Date])`.
+//
+// Formulas are tokenized and parsed into a small syntax tree which is then
+// walked for every row; nothing is ever passed to eval/Function, and only the
+// whitelisted functions below can be called. Column names that aren't plain
+// identifiers are written in brackets: `[Unit Price] * Quantity`.
+//
+// Cell-level failures (division by zero, text where a number is needed) make
+// that cell null, like Excel's #DIV/0! and #VALUE!, unless caught by IFERROR.
+
+const MAX_FORMULA_LENGTH = 2000;
+const MAX_DEPTH = 64;
+const MS_PER_DAY = 86400000;
+// Days between the Excel epoch (1899-12-30, leap-year bug included) and 1970-01-01
+const EXCEL_EPOCH_OFFSET = 25569;
+
+const formulaError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Thrown while evaluating a single cell; never escapes evaluate()
+class CellError extends Error {}
+
+const cellError = (code) => new CellError(code);
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Tokenizer
+
+const OPERATORS = ['<=', '>=', '<>', '=', '<', '>', '+', '-', '*', '/', '^', '&', '%'];
+
+const tokenize = (formula) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < formula.length) {
+    const char = formula[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(formula.slice(index));
+      if (!match) {
+        throw formulaError(`Unexpected "${char}" at position ${index + 1}`, 'FORMULA_SYNTAX_ERROR');
+      }
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: index });
+      index += match[0].length;
+      continue;
+    }
+
+    if (char === '"') {
+      // Strings use double quotes; "" inside a string is a literal quote
+      let value = '';
+      let end = index + 1;
+      for (;;) {
+        if (end >= formula.length) {
+          throw formulaError(`Unterminated string starting at position ${index + 1}`, 'FORMULA_SYNTAX_ERROR');
+        }
+        if (formula[end] === '"') {
+          if (formula[end + 1] === '"') {
+            value += '"';
+            end += 2;
+            continue;
+          }
+          break;
+        }
+        value += formula[end++];
+      }
+      tokens.push({ type: 'string', value, position: index });
+      index = end + 1;
+      continue;
+    }
+
+    if (char === '[') {
+      const end = formula.indexOf(']', index);
+      if (end === -1) {
+        throw formulaError(`Unterminated column reference at position ${index + 1}`, 'FORMULA_SYNTAX_ERROR');
+      }
+      tokens.push({ type: 'column', value: formula.slice(index + 1, end), position: index });
+      index = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(formula.slice(index));
+      tokens.push({ type: 'identifier', value: match[0], position: index });
+      index += match[0].length;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, position: index });
+      index++;
+      continue;
+    }
+
+    const operator = OPERATORS.find(candidate => formula.startsWith(candidate, index));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: index });
+      index += operator.length;
+      continue;
+    }
+
+    throw formulaError(`Unexpected "${char}" at position ${index + 1}`, 'FORMULA_SYNTAX_ERROR');
+  }
+
+  tokens.push({ type: 'end', value: null, position: formula.length });
+  return tokens;
+};
+
+// Value coercion (Excel semantics)
+
+const toNumber = (value) => {
+  if (isBlank(value)) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+  const number = Number(String(value).trim());
+  if (String(value).trim() === '' || !Number.isFinite(number)) throw cellError('#VALUE!');
+  return number;
+};
+
+const toText = (value) => {
+  if (isBlank(value)) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+};
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (isBlank(value)) return false;
+  if (typeof value === 'string') {
+    const upper = value.trim().toUpperCase();
+    if (upper === 'TRUE') return true;
+    if (upper === 'FALSE') return false;
+  }
+  return toNumber(value) !== 0;
+};
+
+/**
+ * Read a cell as a date; cells arrive as Excel serial numbers, Date objects or date strings
+ * @param {*} value - Cell value
+ * @returns {Date|null} The date, or null when the cell isn't one
+ */
+const cellToDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? new Date(Math.round((value - EXCEL_EPOCH_OFFSET) * MS_PER_DAY)) : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp);
+};
+
+const toDate = (value) => {
+  const date = cellToDate(value);
+  if (!date) throw cellError('#VALUE!');
+  return date;
+};
+
+const checkNumber = (value) => {
+  if (!Number.isFinite(value)) throw cellError('#NUM!');
+  return value;
+};
+
+// Excel rounds half away from zero; the exponent shift avoids 1.005 → 1.00
+const roundTo = (value, digits, mode = 'round') => {
+  const shift = (number, exponent) => Number(`${number}e${exponent}`);
+  const places = Math.trunc(digits);
+  const scaled = shift(Math.abs(value), places);
+  const rounded = mode === 'up' ? Math.ceil(scaled) : mode === 'down' ? Math.floor(scaled) : Math.round(scaled);
+  return Math.sign(value) * shift(rounded, -places);
+};
+
+const compare = (left, right) => {
+  // Numbers (and blanks next to numbers) compare numerically, everything else as case-insensitive text
+  const numeric = (value) => typeof value === 'number' || typeof value === 'boolean' || value instanceof Date;
+  if ((numeric(left) || isBlank(left)) && (numeric(right) || isBlank(right))) {
+    return toNumber(left) - toNumber(right);
+  }
+  return toText(left).localeCompare(toText(right), undefined, { sensitivity: 'accent' });
+};
+
+// Functions
+
+const numbersOf = (args) => args.flat().filter(value => !isBlank(value)).map(toNumber);
+
+// Each function takes already-evaluated arguments, except `lazy` ones which
+// receive thunks so IF/IFERROR only evaluate the branch they need
+const FUNCTIONS = {
+  // Logic
+  IF: { min: 2, max: 3, lazy: true, fn: (condition, whenTrue, whenFalse) => (toBoolean(condition()) ? whenTrue() : whenFalse ? whenFalse() : false) },
+  IFERROR: {
+    min: 2,
+    max: 2,
+    lazy: true,
+    fn: (value, fallback) => {
+      try {
+        return value();
+      } catch (error) {
+        if (error instanceof CellError) return fallback();
+        throw error;
+      }
+    }
+  },
+  AND: { min: 1, max: Infinity, fn: (...args) => args.every(toBoolean) },
+  OR: { min: 1, max: Infinity, fn: (...args) => args.some(toBoolean) },
+  NOT: { min: 1, max: 1, fn: value => !toBoolean(value) },
+  ISBLANK: { min: 1, max: 1, fn: value => isBlank(value) },
+  ISNUMBER: { min: 1, max: 1, fn: value => typeof value === 'number' },
+  ISTEXT: { min: 1, max: 1, fn: value => typeof value === 'string' && value !== '' },
+
+  // Math
+  ABS: { min: 1, max: 1, fn: value => Math.abs(toNumber(value)) },
+  ROUND: { min: 1, max: 2, fn: (value, digits = 0) => roundTo(toNumber(value), toNumber(digits)) },
+  ROUNDUP: { min: 1, max: 2, fn: (value, digits = 0) => roundTo(toNumber(value), toNumber(digits), 'up') },
+  ROUNDDOWN: { min: 1, max: 2, fn: (value, digits = 0) => roundTo(toNumber(value), toNumber(digits), 'down') },
+  INT: { min: 1, max: 1, fn: value => Math.floor(toNumber(value)) },
+  MOD: {
+    min: 2,
+    max: 2,
+    fn: (value, divisor) => {
+      const d = toNumber(divisor);
+      if (d === 0) throw cellError('#DIV/0!');
+      // Excel's MOD takes the sign of the divisor
+      return toNumber(value) - d * Math.floor(toNumber(value) / d);
+    }
+  },
+  POWER: { min: 2, max: 2, fn: (base, exponent) => checkNumber(Math.pow(toNumber(base), toNumber(exponent))) },
+  SQRT: { min: 1, max: 1, fn: value => checkNumber(Math.sqrt(toNumber(value))) },
+  EXP: { min: 1, max: 1, fn: value => checkNumber(Math.exp(toNumber(value))) },
+  LN: { min: 1, max: 1, fn: value => checkNumber(Math.log(toNumber(value))) },
+  LOG10: { min: 1, max: 1, fn: value => checkNumber(Math.log10(toNumber(value))) },
+  LOG: { min: 1, max: 2, fn: (value, base = 10) => checkNumber(Math.log(toNumber(value)) / Math.log(toNumber(base))) },
+  SIGN: { min: 1, max: 1, fn: value => Math.sign(toNumber(value)) },
+  SUM: { min: 1, max: Infinity, fn: (...args) => numbersOf(args).reduce((a, b) => a + b, 0) },
+  AVERAGE: {
+    min: 1,
+    max: Infinity,
+    fn: (...args) => {
+      const numbers = numbersOf(args);
+      if (numbers.length === 0) throw cellError('#DIV/0!');
+      return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+    }
+  },
+  MIN: { min: 1, max: Infinity, fn: (...args) => (numbersOf(args).length ? Math.min(...numbersOf(args)) : 0) },
+  MAX: { min: 1, max: Infinity, fn: (...args) => (numbersOf(args).length ? Math.max(...numbersOf(args)) : 0) },
+
+  // Text
+  CONCAT: { min: 1, max: Infinity, fn: (...args) => args.map(toText).join('') },
+  CONCATENATE: { min: 1, max: Infinity, fn: (...args) => args.map(toText).join('') },
+  LEFT: { min: 1, max: 2, fn: (text, count = 1) => toText(text).slice(0, Math.max(0, toNumber(count))) },
+  RIGHT: {
+    min: 1,
+    max: 2,
+    fn: (text, count = 1) => {
+      const n = Math.max(0, toNumber(count));
+      return n === 0 ? '' : toText(text).slice(-n);
+    }
+  },
+  MID: {
+    min: 3,
+    max: 3,
+    fn: (text, start, count) => {
+      if (toNumber(start) < 1 || toNumber(count) < 0) throw cellError('#VALUE!');
+      return toText(text).substr(toNumber(start) - 1, toNumber(count));
+    }
+  },
+  LEN: { min: 1, max: 1, fn: text => toText(text).length },
+  UPPER: { min: 1, max: 1, fn: text => toText(text).toUpperCase() },
+  LOWER: { min: 1, max: 1, fn: text => toText(text).toLowerCase() },
+  TRIM: { min: 1, max: 1, fn: text => toText(text).trim().replace(/ {2,}/g, ' ') },
+  SUBSTITUTE: { min: 3, max: 3, fn: (text, search, replacement) => toText(text).split(toText(search)).join(toText(replacement)) },
+  VALUE: { min: 1, max: 1, fn: text => toNumber(text) },
+
+  // Dates (results are Excel serial numbers, like the source cells)
+  YEAR: { min: 1, max: 1, fn: value => toDate(value).getUTCFullYear() },
+  MONTH: { min: 1, max: 1, fn: value => toDate(value).getUTCMonth() + 1 },
+  DAY: { min: 1, max: 1, fn: value => toDate(value).getUTCDate() },
+  WEEKDAY: { min: 1, max: 1, fn: value => toDate(value).getUTCDay() + 1 },
+  DATE: {
+    min: 3,
+    max: 3,
+    fn: (year, month, day) => Date.UTC(toNumber(year), toNumber(month) - 1, toNumber(day)) / MS_PER_DAY + EXCEL_EPOCH_OFFSET
+  }
+};
+
+// Parser (recursive descent, Excel operator precedence)
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '>', '<=', '>='];
+
+const parse = (tokens, resolveColumn) => {
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isOperator = (...operators) => peek().type === 'operator' && operators.includes(peek().value);
+  const unexpected = (token) => formulaError(
+    token.type === 'end'
+      ? 'Formula ended unexpectedly'
+      : `Unexpected "${token.value}" at position ${token.position + 1}`,
+    'FORMULA_SYNTAX_ERROR'
+  );
+  const expect = (type) => {
+    if (peek().type !== type) throw unexpected(peek());
+    return next();
+  };
+
+  const nested = (parseFn) => {
+    if (++depth > MAX_DEPTH) {
+      throw formulaError('Formula is nested too deeply', 'FORMULA_TOO_COMPLEX');
+    }
+    const node = parseFn();
+    depth--;
+    return node;
+  };
+
+  const binaryLevel = (operators, parseOperand) => () => {
+    let node = parseOperand();
+    while (isOperator(...operators)) {
+      const operator = next().value;
+      node = { type: 'binary', operator, left: node, right: parseOperand() };
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    switch (token.type) {
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'column':
+        return { type: 'column', name: resolveColumn(token.value, token.position) };
+      case '(': {
+        const node = nested(parseComparison);
+        expect(')');
+        return node;
+      }
+      case 'identifier': {
+        const upper = token.value.toUpperCase();
+        if (peek().type === '(') {
+          const definition = FUNCTIONS[upper];
+          if (!definition) {
+            throw formulaError(`Unknown function ${token.value}`, 'FORMULA_UNKNOWN_FUNCTION');
+          }
+          next();
+          const args = [];
+          if (peek().type !== ')') {
+            args.push(nested(parseComparison));
+            while (peek().type === ',') {
+              next();
+              args.push(nested(parseComparison));
+            }
+          }
+          expect(')');
+          if (args.length < definition.min || args.length > definition.max) {
+            throw formulaError(`Wrong number of arguments for ${upper}`, 'FORMULA_SYNTAX_ERROR');
+          }
+          return { type: 'call', name: upper, args };
+        }
+        if (upper === 'TRUE' || upper === 'FALSE') {
+          return { type: 'literal', value: upper === 'TRUE' };
+        }
+        return { type: 'column', name: resolveColumn(token.value, token.position) };
+      }
+      default:
+        throw unexpected(token);
+    }
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (isOperator('%')) {
+      next();
+      node = { type: 'percent', operand: node };
+    }
+    return node;
+  };
+
+  // Excel binds unary minus tighter than ^, so -2^2 is 4
+  const parseUnary = () => {
+    if (isOperator('-', '+')) {
+      const operator = next().value;
+      return { type: 'unary', operator, operand: nested(parseUnary) };
+    }
+    return parsePostfix();
+  };
+
+  const parsePower = binaryLevel(['^'], parseUnary);
+  const parseMultiplicative = binaryLevel(['*', '/'], parsePower);
+  const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative);
+  const parseConcat = binaryLevel(['&'], parseAdditive);
+  const parseComparison = binaryLevel(COMPARISON_OPERATORS, parseConcat);
+
+  const tree = parseComparison();
+  if (peek().type !== 'end') throw unexpected(peek());
+  return tree;
+};
+
+// Evaluator
+
+const evaluateNode = (node, row) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column':
+      return row[node.name];
+    case 'percent':
+      return toNumber(evaluateNode(node.operand, row)) / 100;
+    case 'unary': {
+      const value = toNumber(evaluateNode(node.operand, row));
+      return node.operator === '-' ? -value : value;
+    }
+    case 'binary': {
+      const left = evaluateNode(node.left, row);
+      const right = evaluateNode(node.right, row);
+      switch (node.operator) {
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': {
+          const divisor = toNumber(right);
+          if (divisor === 0) throw cellError('#DIV/0!');
+          return toNumber(left) / divisor;
+        }
+        case '^': return checkNumber(Math.pow(toNumber(left), toNumber(right)));
+        case '&': return toText(left) + toText(right);
+        case '=': return compare(left, right) === 0;
+        case '<>': return compare(left, right) !== 0;
+        case '<': return compare(left, right) < 0;
+        case '>': return compare(left, right) > 0;
+        case '<=': return compare(left, right) <= 0;
+        case '>=': return compare(left, right) >= 0;
+        default: throw cellError('#VALUE!');
+      }
+    }
+    case 'call': {
+      const definition = FUNCTIONS[node.name];
+      const args = definition.lazy
+        ? node.args.map(arg => () => evaluateNode(arg, row))
+        : node.args.map(arg => evaluateNode(arg, row));
+      return definition.fn(...args);
+    }
+    default:
+      throw cellError('#VALUE!');
+  }
+};
+
+/**
+ * Compile a formula into a row evaluator
+ * @param {string} formula - Excel-like expression, with or without a leading "="
+ * @param {Array<string>} [columns] - Known column names; unknown references are rejected when given
+ * @returns {Object} `evaluate(row)` returning the cell value (null on a cell error) and the referenced columns
+ */
+const compileFormula = (formula, columns) => {
+  const source = String(formula || '').trim().replace(/^=/, '');
+  if (!source) {
+    throw formulaError('Formula is empty', 'FORMULA_SYNTAX_ERROR');
+  }
+  if (source.length > MAX_FORMULA_LENGTH) {
+    throw formulaError(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`, 'FORMULA_TOO_COMPLEX');
+  }
+
+  const references = new Set();
+  const resolveColumn = (name, position) => {
+    if (!columns) {
+      references.add(name);
+      return name;
+    }
+    // Exact match first, then a case-insensitive one like Excel's names
+    const match = columns.includes(name)
+      ? name
+      : columns.find(column => column.toLowerCase() === name.toLowerCase());
+    if (match === undefined) {
+      throw formulaError(`Unknown column "${name}" at position ${position + 1}`, 'FORMULA_UNKNOWN_COLUMN');
+    }
+    references.add(match);
+    return match;
+  };
+
+  const tree = parse(tokenize(source), resolveColumn);
+
+  return {
+    references: [...references],
+    evaluate: (row) => {
+      try {
+        const value = evaluateNode(tree, row);
+        if (typeof value === 'number' && !Number.isFinite(value)) return null;
+        return value === undefined ? null : value;
+      } catch (error) {
+        if (error instanceof CellError) return null;
+        throw error;
+      }
+    }
+  };
+};
+
+/**
+ * Add calculated columns to every row. Columns are evaluated in order, so a
+ * formula may refer to calculated columns defined before it.
+ * @param {Array<Object>} rows - Source rows
+ * @param {Array<Object>} calculatedColumns - `{ name, formula }` definitions
+ * @returns {Array<Object>} New rows with the calculated values added
+ */
+const applyCalculatedColumns = (rows, calculatedColumns = []) => {
+  if (calculatedColumns.length === 0) return rows;
+
+  const columns = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+  const compiled = calculatedColumns.map(({ name, formula }) => {
+    const columnName = String(name || '').trim();
+    if (!columnName) {
+      throw formulaError('Calculated columns need a name', 'FORMULA_MISSING_NAME');
+    }
+    if (columns.includes(columnName)) {
+      throw formulaError(`Calculated column "${columnName}" clashes with an existing column`, 'FORMULA_DUPLICATE_COLUMN');
+    }
+    let evaluator;
+    try {
+      evaluator = compileFormula(formula, columns);
+    } catch (error) {
+      error.message = `${columnName}: ${error.message}`;
+      throw error;
+    }
+    columns.push(columnName);
+    return { name: columnName, evaluate: evaluator.evaluate };
+  });
+
+  return rows.map(row => {
+    const result = { ...row };
+    compiled.forEach(({ name, evaluate }) => {
+      result[name] = evaluate(result);
+    });
+    return result;
+  });
+};
+
+module.exports = {
+  FORMULA_FUNCTIONS: Object.keys(FUNCTIONS),
+  compileFormula,
+  applyCalculatedColumns,
+  cellToDate
+};
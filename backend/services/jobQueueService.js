@@ -0,0 +1,134 @@
+// Background jobs queued in MongoDB. A worker polls for due jobs and claims
+// each one atomically, so several server processes can share the queue; a job
+// left `running` by a worker that died is picked up again once its lock expires.
+// Failed attempts are retried with exponential backoff.
+const os = require('os');
+const Job = require('../models/Job');
+
+const POLL_INTERVAL = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const LOCK_TIMEOUT = 10 * 60 * 1000;
+// Delay before the first retry, doubled for each later one
+const RETRY_DELAY = 5000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let timer = null;
+let stopped = true;
+
+/**
+ * Register the handler of a job type
+ * @param {string} type - Job type
+ * @param {Object} handler - `run(job)` does the work; optional `onRetry(job, error)`
+ *   and `onFailed(job, error)` are told about failed attempts
+ */
+const registerHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+const claimNext = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Array.from(handlers.keys()) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  try {
+    await handler.run(job);
+    await Job.updateOne({ _id: job._id }, {
+      $set: { status: 'completed', completedAt: new Date() },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} error:`, error);
+    const lastError = { message: error.message, stack: error.stack, timestamp: new Date() };
+    const retry = job.attempts < job.maxAttempts;
+
+    await Job.updateOne({ _id: job._id }, {
+      $set: retry
+        ? { status: 'queued', runAt: new Date(Date.now() + RETRY_DELAY * 2 ** (job.attempts - 1)), lastError }
+        : { status: 'failed', lastError },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+
+    const notify = retry ? handler.onRetry : handler.onFailed;
+    if (notify) {
+      try {
+        await notify(job, error);
+      } catch (notifyError) {
+        console.error(`Job ${job._id} failure handler error:`, notifyError);
+      }
+    }
+  }
+};
+
+const poll = async () => {
+  timer = null;
+  if (stopped) return;
+
+  let job = null;
+  try {
+    job = await claimNext();
+    if (job) await runJob(job);
+  } catch (error) {
+    console.error('Job queue error:', error);
+  }
+
+  // Drain the queue without waiting while there is work
+  if (!stopped) timer = setTimeout(poll, job ? 0 : POLL_INTERVAL);
+};
+
+/**
+ * Queue a job
+ * @param {string} type - Job type
+ * @param {Object} [fields] - `fileId`, `userId`, `payload`, `maxAttempts`
+ * @returns {Promise<Object>} Job document
+ */
+const enqueue = async (type, fields = {}) => {
+  const job = await Job.create({ type, ...fields });
+
+  // Wake an idle worker instead of leaving the job until the next poll
+  if (timer) {
+    clearTimeout(timer);
+    timer = setTimeout(poll, 0);
+  }
+  return job;
+};
+
+/**
+ * Start polling for jobs in this process
+ */
+const startWorker = () => {
+  if (!stopped) return;
+  stopped = false;
+  console.log(`⚙️  Job worker ${WORKER_ID} started`);
+  poll();
+};
+
+/**
+ * Stop polling; a job already running is left to finish
+ */
+const stopWorker = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,164 @@
+// Combining sheets before analysis: unions append same-shaped sheets, joins
+// match rows on key columns (inner, left or full outer).
+//
+// Keys are compared as trimmed text so 42 matches "42"; empty keys never match,
+// as in SQL. Columns brought in by a join that already exist on the left are
+// renamed `<sheet>.<column>`.
+
+const JOIN_TYPES = ['inner', 'left', 'full'];
+const MAX_COMBINED_ROWS = 1000000;
+const KEY_SEPARATOR = '\u0000';
+
+const joinError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Composite key of a row, or null when any key cell is empty
+const rowKey = (row, columns) => {
+  const parts = [];
+  for (const column of columns) {
+    if (isBlank(row[column])) return null;
+    parts.push(String(row[column]).trim());
+  }
+  return parts.join(KEY_SEPARATOR);
+};
+
+const checkSize = (count) => {
+  if (count > MAX_COMBINED_ROWS) {
+    throw joinError(`Combined data exceeds ${MAX_COMBINED_ROWS.toLocaleString()} rows`, 'JOIN_TOO_LARGE');
+  }
+};
+
+/**
+ * Append sheets with the same columns
+ * @param {Object} base - `{ label, columns, rows }` of the primary sheet
+ * @param {Array<Object>} sources - Sheets to append, same shape as `base`
+ * @returns {Object} `{ columns, rows }`
+ */
+const unionSources = (base, sources) => {
+  const baseColumns = new Set(base.columns);
+  let rows = base.rows;
+
+  sources.forEach(source => {
+    const missing = base.columns.filter(column => !source.columns.includes(column));
+    const extra = source.columns.filter(column => !baseColumns.has(column));
+    if (missing.length > 0 || extra.length > 0) {
+      const details = [
+        missing.length > 0 && `missing ${missing.join(', ')}`,
+        extra.length > 0 && `extra ${extra.join(', ')}`
+      ].filter(Boolean).join('; ');
+      throw joinError(`Cannot union "${source.label}": columns differ (${details})`, 'UNION_COLUMN_MISMATCH');
+    }
+    checkSize(rows.length + source.rows.length);
+    rows = rows.concat(source.rows);
+  });
+
+  return { columns: base.columns, rows };
+};
+
+/**
+ * Join a sheet onto the current rows
+ * @param {Object} left - `{ columns, rows }` built so far
+ * @param {Object} right - `{ label, columns, rows }` of the sheet to join
+ * @param {Object} join - `{ type, on: [{ left, right }] }`
+ * @returns {Object} `{ columns, rows }`
+ */
+const joinSources = (left, right, { type = 'inner', on = [] }) => {
+  if (!JOIN_TYPES.includes(type)) {
+    throw joinError(`Unknown join type: ${type}`, 'JOIN_UNKNOWN_TYPE');
+  }
+  if (on.length === 0) {
+    throw joinError(`Join with "${right.label}" needs at least one key column pair`, 'JOIN_MISSING_KEYS');
+  }
+  const leftKeys = on.map(pair => pair.left);
+  const rightKeys = on.map(pair => pair.right);
+  const unknownLeft = leftKeys.filter(column => !left.columns.includes(column));
+  const unknownRight = rightKeys.filter(column => !right.columns.includes(column));
+  if (unknownLeft.length > 0 || unknownRight.length > 0) {
+    throw joinError(
+      `Unknown join key column(s): ${[...unknownLeft, ...unknownRight.map(column => `${right.label}.${column}`)].join(', ')}`,
+      'JOIN_UNKNOWN_COLUMN'
+    );
+  }
+
+  // Right-hand columns, renamed when they clash with a left column. Keys joined
+  // to a left column of the same name are dropped as duplicates.
+  const leftColumns = new Set(left.columns);
+  const rightColumns = right.columns
+    .filter(column => !on.some(pair => pair.right === column && pair.left === column))
+    .map(column => ({ source: column, target: leftColumns.has(column) ? `${right.label}.${column}` : column }));
+
+  const renameRight = (row) => {
+    const result = {};
+    rightColumns.forEach(({ source, target }) => {
+      if (row[source] !== undefined) result[target] = row[source];
+    });
+    return result;
+  };
+
+  const index = new Map();
+  right.rows.forEach((row, rowIndex) => {
+    const key = rowKey(row, rightKeys);
+    if (key === null) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(rowIndex);
+  });
+
+  const rows = [];
+  const matchedRight = new Set();
+  left.rows.forEach(row => {
+    const key = rowKey(row, leftKeys);
+    const matches = key === null ? undefined : index.get(key);
+    if (matches) {
+      checkSize(rows.length + matches.length);
+      matches.forEach(rowIndex => {
+        matchedRight.add(rowIndex);
+        rows.push({ ...row, ...renameRight(right.rows[rowIndex]) });
+      });
+    } else if (type !== 'inner') {
+      checkSize(rows.length + 1);
+      rows.push(row);
+    }
+  });
+
+  // Full joins keep unmatched right rows, with their keys copied into the left key columns
+  if (type === 'full') {
+    right.rows.forEach((row, rowIndex) => {
+      if (matchedRight.has(rowIndex)) return;
+      checkSize(rows.length + 1);
+      const keys = {};
+      on.forEach(pair => {
+        if (row[pair.right] !== undefined) keys[pair.left] = row[pair.right];
+      });
+      rows.push({ ...keys, ...renameRight(row) });
+    });
+  }
+
+  const columns = [...left.columns, ...rightColumns.map(column => column.target).filter(column => !leftColumns.has(column))];
+  return { columns, rows };
+};
+
+/**
+ * Apply unions, then joins, to the primary sheet
+ * @param {Object} base - `{ label, columns, rows }` of the primary sheet
+ * @param {Object} options - `{ unions: [source], joins: [{ source, type, on }] }`
+ * @returns {Object} `{ columns, rows }`
+ */
+const combineSources = (base, { unions = [], joins = [] }) => {
+  let combined = unionSources(base, unions);
+  joins.forEach(join => {
+    combined = joinSources(combined, join.source, join);
+  });
+  return combined;
+};
+
+module.exports = {
+  JOIN_TYPES,
+  unionSources,
+  joinSources,
+  combineSources
+};
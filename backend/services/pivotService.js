@@ -0,0 +1,259 @@
+// Builds pivot tables: row fields × column fields with aggregated value fields,
+// subtotals for every intermediate level and grand totals.
+//
+// Cells are stored as arrays aligned with `columns` and `valueFields` rather than
+// objects keyed by header values, so arbitrary spreadsheet values (dots, `$`)
+// never end up as MongoDB field names.
+const { aggregate, numericValues } = require('./aggregationService');
+
+const BLANK = '(blank)';
+const SEPARATOR = '\u0000';
+const MAX_PIVOT_COLUMNS = 500;
+// Row entries (groups and subtotals) and cells (row entries × columns × value
+// fields) a pivot table keeps; entries past them are left out, while the grand
+// total still covers every row
+const MAX_PIVOT_ROWS = 10000;
+const MAX_PIVOT_CELLS = 250000;
+
+const pivotError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const keyOf = (row, field) => {
+  const value = row[field];
+  return value === null || value === undefined || value === '' ? BLANK : String(value);
+};
+
+// Natural ordering so "2" sorts before "10" and blanks go last
+const compareKeys = (a, b) => {
+  if (a === BLANK) return b === BLANK ? 0 : 1;
+  if (b === BLANK) return -1;
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Count works on any non-empty cell so text fields can be counted;
+// every other function aggregates the numeric cells only
+const aggregateField = (rows, { column, function: aggFunc }) => {
+  if (aggFunc === 'count') {
+    return rows.filter(row => keyOf(row, column) !== BLANK).length;
+  }
+  const values = numericValues(rows, column);
+  if (values.length === 0) return null;
+  const value = aggregate(values, aggFunc);
+  return value === undefined ? null : value;
+};
+
+const groupRows = (rows, field) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row, field);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+// Leaf column combinations in order, each level followed by its subtotal
+const buildColumns = (rows, columnFields, { showSubtotals, showGrandTotals }) => {
+  if (columnFields.length === 0) {
+    return [{ path: [], kind: 'total' }];
+  }
+
+  const columns = [];
+  const walk = (levelRows, path) => {
+    const groups = groupRows(levelRows, columnFields[path.length]);
+    Array.from(groups.keys()).sort(compareKeys).forEach(key => {
+      const childPath = [...path, key];
+      if (childPath.length === columnFields.length) {
+        columns.push({ path: childPath, kind: 'value' });
+      } else {
+        walk(groups.get(key), childPath);
+        if (showSubtotals) columns.push({ path: childPath, kind: 'subtotal' });
+      }
+    });
+  };
+  walk(rows, []);
+
+  if (showGrandTotals) {
+    columns.push({ path: [], kind: 'total' });
+  }
+
+  if (columns.length > MAX_PIVOT_COLUMNS) {
+    throw pivotError(
+      `Pivot would produce ${columns.length} columns (limit ${MAX_PIVOT_COLUMNS}). Use fewer or less granular column fields.`,
+      'PIVOT_TOO_LARGE'
+    );
+  }
+
+  return columns;
+};
+
+// Aggregate a set of rows for every column: bucket once by each column prefix,
+// so subtotal and total columns aggregate the underlying rows (not other cells)
+const computeCells = (rows, columns, columnFields, valueFields) => {
+  const buckets = new Map();
+  rows.forEach(row => {
+    const path = columnFields.map(field => keyOf(row, field));
+    for (let depth = 0; depth <= path.length; depth++) {
+      const bucketKey = path.slice(0, depth).join(SEPARATOR);
+      if (!buckets.has(bucketKey)) buckets.set(bucketKey, []);
+      buckets.get(bucketKey).push(row);
+    }
+  });
+
+  return columns.map(column => {
+    const bucket = buckets.get(column.path.join(SEPARATOR));
+    return valueFields.map(valueField => (bucket ? aggregateField(bucket, valueField) : null));
+  });
+};
+
+const buildRowNodes = (rows, path, context) => {
+  const { rowFields, columns, columnFields, valueFields } = context;
+  if (path.length >= rowFields.length) return [];
+
+  const groups = groupRows(rows, rowFields[path.length]);
+  const nodes = [];
+  for (const key of Array.from(groups.keys()).sort(compareKeys)) {
+    if (context.remainingRows === 0) {
+      context.truncated = true;
+      break;
+    }
+    context.remainingRows -= 1;
+    const nodeRows = groups.get(key);
+    const nodePath = [...path, key];
+    nodes.push({
+      label: key,
+      path: nodePath,
+      depth: path.length,
+      rowCount: nodeRows.length,
+      cells: computeCells(nodeRows, columns, columnFields, valueFields),
+      children: buildRowNodes(nodeRows, nodePath, context)
+    });
+  }
+  return nodes;
+};
+
+/**
+ * Header label of a pivot column
+ * @param {Object} column - Column entry ({ path, kind })
+ * @returns {string} Label
+ */
+const columnLabel = (column) => {
+  if (column.kind === 'total') return 'Grand Total';
+  const label = column.path.join(' / ');
+  return column.kind === 'subtotal' ? `${label} Total` : label;
+};
+
+/**
+ * Build a pivot table
+ * @param {Array<Object>} rows - Filtered data rows
+ * @param {Object} pivotConfig - Row fields, column fields, value fields and total options
+ * @returns {Object} Pivot table with column entries, row tree and grand total row;
+ *   `truncated` when row entries were left out to keep it within bounds
+ */
+const buildPivotTable = (rows, pivotConfig = {}) => {
+  const rowFields = pivotConfig.rows || [];
+  const columnFields = pivotConfig.columns || [];
+  const showSubtotals = pivotConfig.showSubtotals !== false;
+  const showGrandTotals = pivotConfig.showGrandTotals !== false;
+  const valueFields = (pivotConfig.values || [])
+    .filter(value => value.column)
+    .map(value => {
+      const aggFunc = value.function || 'sum';
+      return { column: value.column, function: aggFunc, label: `${value.column} (${aggFunc})` };
+    });
+
+  if (valueFields.length === 0) {
+    throw pivotError('Pivot table needs at least one value field', 'PIVOT_NO_VALUES');
+  }
+
+  const availableFields = new Set(rows.flatMap(row => Object.keys(row)));
+  const unknownFields = [...rowFields, ...columnFields, ...valueFields.map(value => value.column)]
+    .filter(field => !availableFields.has(field));
+  if (unknownFields.length > 0) {
+    throw pivotError(`Unknown pivot field(s): ${[...new Set(unknownFields)].join(', ')}`, 'PIVOT_UNKNOWN_FIELD');
+  }
+
+  const columns = buildColumns(rows, columnFields, { showSubtotals, showGrandTotals });
+  const context = {
+    rowFields,
+    columns,
+    columnFields,
+    valueFields,
+    remainingRows: Math.max(Math.min(MAX_PIVOT_ROWS, Math.floor(MAX_PIVOT_CELLS / (columns.length * valueFields.length))), 1),
+    truncated: false
+  };
+  const rowNodes = buildRowNodes(rows, [], context);
+
+  return {
+    rowFields,
+    columnFields,
+    valueFields,
+    showSubtotals,
+    showGrandTotals,
+    columns,
+    rows: rowNodes,
+    truncated: context.truncated,
+    grandTotal: {
+      label: 'Grand Total',
+      path: [],
+      depth: 0,
+      rowCount: rows.length,
+      cells: computeCells(rows, columns, columnFields, valueFields),
+      children: []
+    }
+  };
+};
+
+/**
+ * Flatten a pivot table into one record per leaf row, for charts, exports and insights
+ * @param {Object} pivotTable - Result of buildPivotTable
+ * @returns {Array<Object>} Flat rows keyed by row field and "column / value" header
+ */
+const flattenPivotTable = (pivotTable) => {
+  const { rowFields, columns, valueFields } = pivotTable;
+  const records = [];
+
+  const toRecord = (node) => {
+    const record = {};
+    rowFields.forEach((field, index) => {
+      if (node.path.length > 0) {
+        record[field] = node.path[index];
+      } else {
+        record[field] = index === 0 ? 'Grand Total' : '';
+      }
+    });
+    columns.forEach((column, columnIndex) => {
+      valueFields.forEach((valueField, valueIndex) => {
+        const header = column.path.length > 0 || columns.length > 1
+          ? `${columnLabel(column)} / ${valueField.label}`
+          : valueField.label;
+        record[header] = node.cells[columnIndex][valueIndex];
+      });
+    });
+    return record;
+  };
+
+  const visit = (node) => {
+    if (node.children.length === 0) {
+      records.push(toRecord(node));
+    } else {
+      node.children.forEach(visit);
+    }
+  };
+  pivotTable.rows.forEach(visit);
+
+  if (pivotTable.showGrandTotals || rowFields.length === 0) {
+    records.push(toRecord(pivotTable.grandTotal));
+  }
+
+  return records;
+};
+
+module.exports = {
+  buildPivotTable,
+  flattenPivotTable,
+  columnLabel
+};
@@ -0,0 +1,160 @@
+// Probability distributions used for significance tests (correlation p-values,
+// regression standard errors and confidence bands).
+
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive argument
+ * @returns {number} ln Γ(x)
+ */
+const logGamma = (x) => {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let a = 0.99999999999980993;
+  const t = z + LANCZOS.length - 0.5;
+  LANCZOS.forEach((coefficient, index) => {
+    a += coefficient / (z + index + 1);
+  });
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+// Continued fraction for the incomplete beta function (modified Lentz's method)
+const betaContinuedFraction = (x, a, b) => {
+  const MAX_ITERATIONS = 300;
+  const EPSILON = 3e-14;
+  const TINY = 1e-300;
+
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Upper limit in [0, 1]
+ * @param {number} a - Shape parameter
+ * @param {number} b - Shape parameter
+ * @returns {number} I_x(a, b)
+ */
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  // The continued fraction converges fastest on this side of the mean
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+/**
+ * Two-tailed p-value of a Student's t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number|null} P(|T| >= |t|), or null when undefined
+ */
+const studentTPValue = (t, df) => {
+  if (!(df > 0) || Number.isNaN(t)) return null;
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+};
+
+/**
+ * Upper-tail p-value of an F statistic
+ * @param {number} f - F statistic
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number|null} P(F' >= f)
+ */
+const fisherFPValue = (f, df1, df2) => {
+  if (!(df1 > 0) || !(df2 > 0) || Number.isNaN(f)) return null;
+  if (!Number.isFinite(f)) return 0;
+  if (f <= 0) return 1;
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+};
+
+/**
+ * Critical value of Student's t distribution for a two-sided confidence level
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @param {number} df - Degrees of freedom
+ * @returns {number|null} t such that P(|T| <= t) = confidence
+ */
+const studentTCritical = (confidence, df) => {
+  if (!(df > 0)) return null;
+  const alpha = 1 - confidence;
+  let low = 0;
+  let high = 1;
+  while (studentTPValue(high, df) > alpha) high *= 2;
+  // The two-tailed p-value falls monotonically in t, so bisect
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTPValue(mid, df) > alpha) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Complementary error function (Numerical Recipes erfcc, |error| < 1.2e-7)
+ * @param {number} x - Argument
+ * @returns {number} erfc(x)
+ */
+const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418
+    + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587
+    + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+};
+
+/**
+ * Two-tailed p-value of a standard normal z statistic
+ * @param {number} z - z statistic
+ * @returns {number|null} P(|Z| >= |z|)
+ */
+const normalPValue = (z) => {
+  if (Number.isNaN(z)) return null;
+  return Math.min(1, erfc(Math.abs(z) / Math.SQRT2));
+};
+
+module.exports = {
+  logGamma,
+  incompleteBeta,
+  studentTPValue,
+  studentTCritical,
+  fisherFPValue,
+  normalPValue
+};
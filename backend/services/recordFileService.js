@@ -0,0 +1,227 @@
+// Row-by-row reading of record-oriented uploads, JSON and Parquet, in the
+// shape of sheetStreamService's readers: one sheet whose first row holds the
+// column names. JSON files are arrays of objects (or of arrays, the first one
+// being the header), or newline-delimited JSON with one record per line.
+const fs = require('fs');
+const readline = require('readline');
+const { readSample } = require('./csvDialectService');
+
+const RECORD_SHEET_NAME = 'Sheet1';
+
+const recordError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 400;
+  return error;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// BigInts (64-bit integers) become numbers while they fit, text beyond that
+const toNumber = (value) => (
+  value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString()
+);
+
+// Nested objects and lists are kept as JSON text, binary values as base64
+const recordCell = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'bigint') return toNumber(value);
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (value instanceof Uint8Array) return Buffer.from(value).toString('base64');
+  if (typeof value === 'object') {
+    return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? toNumber(item) : item));
+  }
+  return value;
+};
+
+// Rows of a list of records: arrays are rows already, objects have their keys
+// gathered (in the order first seen) into a header row
+const recordRows = (records) => {
+  if (records.every(Array.isArray)) {
+    return records.map((record, index) => ({ number: index + 1, values: record.map(recordCell) }));
+  }
+  const objects = records.map(record => (record && typeof record === 'object' && !Array.isArray(record) ? record : { value: record }));
+  const keys = new Map();
+  objects.forEach(record => Object.keys(record).forEach(key => {
+    if (!keys.has(key)) keys.set(key, keys.size);
+  }));
+  const header = Array.from(keys.keys());
+  return [
+    { number: 1, values: header },
+    ...objects.map((record, index) => ({ number: index + 2, values: header.map(key => recordCell(record[key])) }))
+  ];
+};
+
+// The records of a JSON document: the array itself, or the first array of
+// records found in a wrapping object ({ "data": [...] })
+const documentRecords = (document) => {
+  if (Array.isArray(document)) return document;
+  if (document && typeof document === 'object') {
+    const list = Object.values(document).find(value => Array.isArray(value) && value.length > 0 && typeof value[0] === 'object');
+    return list || [document];
+  }
+  throw recordError('The JSON file holds no records', 'INVALID_JSON');
+};
+
+const readLines = (filePath) => readline.createInterface({
+  input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+  crlfDelay: Infinity
+});
+
+const parseLine = (line, number) => {
+  try {
+    return JSON.parse(line.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw recordError(`Line ${number} of the file is not valid JSON`, 'INVALID_JSON');
+  }
+};
+
+// Newline-delimited JSON is read twice: once to gather the column names, then
+// to hand on the records
+const openNdjson = async (filePath) => {
+  const keys = new Map();
+  let arrays = null;
+  let lineNumber = 0;
+  for await (const line of readLines(filePath)) {
+    lineNumber += 1;
+    if (line.trim() === '') continue;
+    const record = parseLine(line, lineNumber);
+    arrays = arrays ?? Array.isArray(record);
+    if (!arrays && record && typeof record === 'object') {
+      Object.keys(record).forEach(key => {
+        if (!keys.has(key)) keys.set(key, keys.size);
+      });
+    }
+  }
+  const header = arrays ? null : Array.from(keys.keys());
+
+  async function* readRows(onBytes) {
+    let number = 0;
+    let line = 0;
+    if (header) {
+      number += 1;
+      yield { number, values: header };
+    }
+    for await (const text of readLines(filePath)) {
+      line += 1;
+      if (onBytes) onBytes(Buffer.byteLength(text) + 1);
+      if (text.trim() === '') continue;
+      number += 1;
+      const record = parseLine(text, line);
+      let values;
+      if (header) {
+        const object = record && typeof record === 'object' ? record : {};
+        values = header.map(key => recordCell(object[key]));
+      } else {
+        values = (Array.isArray(record) ? record : [record]).map(recordCell);
+      }
+      if (values.some(value => !isBlank(value))) yield { number, values };
+    }
+  }
+
+  return {
+    sheetNames: [RECORD_SHEET_NAME],
+    metadata: {},
+    sheetSize: () => fs.statSync(filePath).size,
+    readRows: (sheetName, { onBytes } = {}) => readRows(onBytes)
+  };
+};
+
+// A file is newline-delimited when its first line is a whole JSON value with
+// more after it
+const isNdjson = async (filePath) => {
+  const sample = (await readSample(filePath)).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  const end = sample.indexOf('\n');
+  if (end === -1 || sample.slice(end).trim() === '') return false;
+  try {
+    JSON.parse(sample.slice(0, end));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Open a JSON or NDJSON file for row-by-row reading. A JSON document is parsed
+ * whole; a file with one JSON value per line is read line by line.
+ * @param {string} filePath - Local path of the file
+ * @returns {Promise<Object>} Spreadsheet, as sheetStreamService's openSpreadsheet returns
+ */
+const openJson = async (filePath) => {
+  if (await isNdjson(filePath)) return openNdjson(filePath);
+
+  let document;
+  try {
+    document = JSON.parse((await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw recordError('The file is not valid JSON', 'INVALID_JSON');
+  }
+
+  const rows = recordRows(documentRecords(document));
+  return {
+    sheetNames: [RECORD_SHEET_NAME],
+    metadata: {},
+    // Already parsed in full, so there is nothing left to measure
+    sheetSize: () => 0,
+    readRows: async function* () {
+      yield* rows.filter(row => row.values.some(value => !isBlank(value)));
+    }
+  };
+};
+
+let hyparquet = null;
+// hyparquet is published as ES modules only
+const loadHyparquet = async () => {
+  if (!hyparquet) {
+    const [reader, { compressors }] = await Promise.all([import('hyparquet'), import('hyparquet-compressors')]);
+    hyparquet = { ...reader, compressors };
+  }
+  return hyparquet;
+};
+
+/**
+ * Open a Parquet file for row-by-row reading, one row group at a time
+ * @param {string} filePath - Local path of the file
+ * @returns {Promise<Object>} Spreadsheet, as sheetStreamService's openSpreadsheet returns
+ */
+const openParquet = async (filePath) => {
+  const { asyncBufferFromFile, parquetMetadataAsync, parquetSchema, parquetRead, compressors } = await loadHyparquet();
+  let file;
+  let metadata;
+  try {
+    file = await asyncBufferFromFile(filePath);
+    metadata = await parquetMetadataAsync(file);
+  } catch (error) {
+    throw recordError('The file is not a valid Parquet file', 'INVALID_PARQUET');
+  }
+  const columns = parquetSchema(metadata).children.map(child => child.element.name);
+  const groupSizes = metadata.row_groups.map(group => Number(group.total_compressed_size ?? group.total_byte_size ?? 0));
+
+  async function* readRows(onBytes) {
+    yield { number: 1, values: columns };
+    let rowStart = 0;
+    for (const [index, group] of metadata.row_groups.entries()) {
+      const rowEnd = rowStart + Number(group.num_rows);
+      let rows = [];
+      await parquetRead({ file, metadata, compressors, rowStart, rowEnd, onComplete: (result) => { rows = result; } });
+      if (onBytes) onBytes(groupSizes[index]);
+      for (const [offset, row] of rows.entries()) {
+        const values = Array.from(row, recordCell);
+        if (values.some(value => !isBlank(value))) yield { number: rowStart + offset + 2, values };
+      }
+      rowStart = rowEnd;
+    }
+  }
+
+  return {
+    sheetNames: [RECORD_SHEET_NAME],
+    metadata: { application: metadata.created_by },
+    sheetSize: () => groupSizes.reduce((sum, size) => sum + size, 0),
+    readRows: (sheetName, { onBytes } = {}) => readRows(onBytes)
+  };
+};
+
+module.exports = {
+  openJson,
+  openParquet
+};
@@ -0,0 +1,278 @@
+// Least-squares regression: linear, multiple linear, polynomial, logarithmic
+// and exponential fits with coefficient standard errors, goodness of fit and a
+// confidence band for the mean response.
+//
+// Logarithmic and exponential models are fitted as linear models on transformed
+// data (y ~ ln x, ln y ~ x), so R² and standard errors of the exponential model
+// are on the log scale, as in Excel's trendlines and LINEST/LOGEST.
+const { toNumber, sampleEvenly } = require('./chartDataService');
+const { minOf, maxOf } = require('./aggregationService');
+const { studentTPValue, studentTCritical, fisherFPValue } = require('./probabilityService');
+
+const REGRESSION_MODELS = ['linear', 'multiple', 'polynomial', 'logarithmic', 'exponential'];
+const MAX_POLYNOMIAL_DEGREE = 6;
+const CURVE_POINTS = 100;
+// Observations kept with a fitted model for plotting; regressionPoints fits
+// every row again from the coefficients when all of them are needed
+const SAMPLED_OBSERVATIONS = 1000;
+
+const regressionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Number(value.toPrecision(12)));
+
+// Invert a symmetric positive-definite matrix with Gauss-Jordan elimination (partial pivoting)
+const invert = (matrix) => {
+  const size = matrix.length;
+  // Pivots are compared relative to the largest diagonal entry so scaling the data doesn't matter
+  const tolerance = Math.max(...matrix.map((row, i) => Math.abs(row[i]))) * 1e-13;
+  const augmented = matrix.map((row, i) => [...row, ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))]);
+
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivot][column])) pivot = row;
+    }
+    if (Math.abs(augmented[pivot][column]) <= tolerance) return null;
+    [augmented[column], augmented[pivot]] = [augmented[pivot], augmented[column]];
+
+    const divisor = augmented[column][column];
+    for (let j = 0; j < 2 * size; j++) augmented[column][j] /= divisor;
+
+    for (let row = 0; row < size; row++) {
+      if (row === column) continue;
+      const factor = augmented[row][column];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * size; j++) augmented[row][j] -= factor * augmented[column][j];
+    }
+  }
+
+  return augmented.map(row => row.slice(size));
+};
+
+const dot = (a, b) => a.reduce((acc, value, index) => acc + value * b[index], 0);
+
+// Design-matrix row (with intercept) and response transform for each model
+const MODEL_SPECS = {
+  linear: {
+    terms: ([x]) => ['(Intercept)', x],
+    row: ([x]) => [1, x],
+    valid: () => true,
+    transformY: y => y,
+    inverseY: y => y
+  },
+  multiple: {
+    terms: predictors => ['(Intercept)', ...predictors],
+    row: values => [1, ...values],
+    valid: () => true,
+    transformY: y => y,
+    inverseY: y => y
+  },
+  polynomial: {
+    terms: ([x], degree) => ['(Intercept)', ...Array.from({ length: degree }, (_, i) => (i === 0 ? x : `${x}^${i + 1}`))],
+    row: ([x], degree) => Array.from({ length: degree + 1 }, (_, i) => Math.pow(x, i)),
+    valid: () => true,
+    transformY: y => y,
+    inverseY: y => y
+  },
+  logarithmic: {
+    terms: ([x]) => ['(Intercept)', `ln(${x})`],
+    row: ([x]) => [1, Math.log(x)],
+    valid: ([x]) => x > 0,
+    transformY: y => y,
+    inverseY: y => y
+  },
+  exponential: {
+    terms: ([x]) => ['ln(a)', x],
+    row: ([x]) => [1, x],
+    valid: ([x], y) => y > 0,
+    transformY: y => Math.log(y),
+    inverseY: y => Math.exp(y)
+  }
+};
+
+// Complete cases that are valid for the model (positive x for log, positive y for exponential)
+const completeCases = (rows, spec, dependent, predictors) => {
+  const observations = [];
+  rows.forEach((row, index) => {
+    const y = toNumber(row[dependent]);
+    const xs = predictors.map(predictor => toNumber(row[predictor]));
+    if (y === null || xs.some(x => x === null) || !spec.valid(xs, y)) return;
+    observations.push({ index, xs, y });
+  });
+  return observations;
+};
+
+const formatCoefficient = (value) => Number(value.toPrecision(4));
+
+const buildEquation = (model, coefficients, dependent, predictors) => {
+  const estimates = coefficients.map(coefficient => coefficient.estimate);
+  const signed = (value) => (value < 0 ? ` - ${formatCoefficient(-value)}` : ` + ${formatCoefficient(value)}`);
+  switch (model) {
+    case 'exponential':
+      return `${dependent} = ${formatCoefficient(Math.exp(estimates[0]))} · e^(${formatCoefficient(estimates[1])} · ${predictors[0]})`;
+    case 'logarithmic':
+      return `${dependent} = ${formatCoefficient(estimates[0])}${signed(estimates[1])} · ln(${predictors[0]})`;
+    default:
+      return `${dependent} = ${formatCoefficient(estimates[0])}${coefficients.slice(1)
+        .map(coefficient => `${signed(coefficient.estimate)} · ${coefficient.term}`).join('')}`;
+  }
+};
+
+/**
+ * Fit a regression model
+ * @param {Array<Object>} rows - Filtered data rows
+ * @param {Object} options - Model options
+ * @param {string} options.model - linear | multiple | polynomial | logarithmic | exponential
+ * @param {string} options.dependent - Response column
+ * @param {Array<string>} options.predictors - Predictor columns (one unless the model is multiple)
+ * @param {number} [options.degree=2] - Polynomial degree
+ * @param {number} [options.confidenceLevel=0.95] - Confidence level of the fitted-curve band
+ * @returns {Object} Coefficients, goodness of fit, fitted curve and residuals of
+ *   an even sample of the observations (`n` counts all of them)
+ */
+const fitRegression = (rows, { model = 'linear', dependent, predictors = [], degree = 2, confidenceLevel = 0.95 }) => {
+  const spec = MODEL_SPECS[model];
+  if (!spec) {
+    throw regressionError(`Unknown regression model: ${model}`, 'REGRESSION_UNKNOWN_MODEL');
+  }
+  if (!dependent || predictors.length === 0) {
+    throw regressionError('Regression needs a dependent column and at least one predictor', 'REGRESSION_MISSING_COLUMNS');
+  }
+  if (model !== 'multiple' && predictors.length > 1) {
+    predictors = predictors.slice(0, 1);
+  }
+  const polynomialDegree = Math.min(Math.max(parseInt(degree, 10) || 2, 1), MAX_POLYNOMIAL_DEGREE);
+
+  const observations = completeCases(rows, spec, dependent, predictors);
+  const design = observations.map(({ xs }) => spec.row(xs, polynomialDegree));
+  const response = observations.map(({ y }) => spec.transformY(y));
+  const n = observations.length;
+  const k = design[0]?.length || spec.row(predictors.map(() => 1), polynomialDegree).length;
+
+  if (n <= k) {
+    throw regressionError(
+      `Regression needs more than ${k} complete observations (found ${n})`,
+      'REGRESSION_NOT_ENOUGH_DATA'
+    );
+  }
+
+  // Normal equations: β = (XᵀX)⁻¹ Xᵀy
+  const xtx = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) =>
+    design.reduce((acc, row) => acc + row[i] * row[j], 0)
+  ));
+  const xty = Array.from({ length: k }, (_, i) => design.reduce((acc, row, r) => acc + row[i] * response[r], 0));
+  const xtxInverse = invert(xtx);
+  if (!xtxInverse) {
+    throw regressionError('Predictors are collinear or constant; the model cannot be fitted', 'REGRESSION_SINGULAR');
+  }
+  const beta = xtxInverse.map(row => dot(row, xty));
+
+  const fittedTransformed = design.map(row => dot(row, beta));
+  const residuals = response.map((value, i) => value - fittedTransformed[i]);
+  const meanResponse = response.reduce((a, b) => a + b, 0) / n;
+  const ssResidual = residuals.reduce((acc, value) => acc + value * value, 0);
+  const ssTotal = response.reduce((acc, value) => acc + Math.pow(value - meanResponse, 2), 0);
+  const dfResidual = n - k;
+  const dfModel = k - 1;
+  const sigma2 = ssResidual / dfResidual;
+  const rSquared = ssTotal > 0 ? 1 - ssResidual / ssTotal : null;
+  const adjustedRSquared = rSquared === null ? null : 1 - (1 - rSquared) * (n - 1) / dfResidual;
+  const fStatistic = dfModel > 0 && rSquared !== null && rSquared < 1
+    ? (rSquared / dfModel) / ((1 - rSquared) / dfResidual)
+    : null;
+
+  const terms = spec.terms(predictors, polynomialDegree);
+  const coefficients = beta.map((estimate, i) => {
+    const stdError = Math.sqrt(Math.max(sigma2 * xtxInverse[i][i], 0));
+    const tStat = stdError > 0 ? estimate / stdError : null;
+    return {
+      term: terms[i],
+      estimate: round(estimate),
+      stdError: round(stdError),
+      tStat: round(tStat),
+      pValue: tStat === null ? null : round(studentTPValue(tStat, dfResidual))
+    };
+  });
+
+  // Fitted curve with a confidence band for the mean response (single-predictor models)
+  let curve = [];
+  if (model !== 'multiple') {
+    const xValues = observations.map(({ xs }) => xs[0]);
+    const minX = minOf(xValues);
+    const maxX = maxOf(xValues);
+    const tCritical = studentTCritical(confidenceLevel, dfResidual);
+    const steps = maxX > minX ? CURVE_POINTS - 1 : 0;
+    curve = Array.from({ length: steps + 1 }, (_, i) => {
+      const x = steps > 0 ? minX + ((maxX - minX) * i) / steps : minX;
+      const point = spec.row([x], polynomialDegree);
+      const estimate = dot(point, beta);
+      const margin = tCritical * Math.sqrt(Math.max(sigma2 * dot(point, xtxInverse.map(row => dot(row, point))), 0));
+      return {
+        x: round(x),
+        fitted: round(spec.inverseY(estimate)),
+        lower: round(spec.inverseY(estimate - margin)),
+        upper: round(spec.inverseY(estimate + margin))
+      };
+    });
+  }
+
+  return {
+    model,
+    dependent,
+    predictors,
+    ...(model === 'polynomial' && { degree: polynomialDegree }),
+    confidenceLevel,
+    n,
+    excludedRows: rows.length - n,
+    coefficients,
+    rSquared: round(rSquared),
+    adjustedRSquared: round(adjustedRSquared),
+    standardError: round(Math.sqrt(sigma2)),
+    fStatistic: round(fStatistic),
+    fPValue: fStatistic === null ? null : round(fisherFPValue(fStatistic, dfModel, dfResidual)),
+    equation: buildEquation(model, coefficients, dependent, predictors),
+    observations: sampleEvenly(observations.map((_, i) => i), SAMPLED_OBSERVATIONS).map(i => {
+      const { index, xs, y } = observations[i];
+      return {
+        row: index,
+        x: model === 'multiple' ? null : xs[0],
+        actual: y,
+        fitted: round(spec.inverseY(fittedTransformed[i])),
+        // Residuals are reported on the original scale, actual minus fitted
+        residual: round(y - spec.inverseY(fittedTransformed[i]))
+      };
+    }),
+    curve
+  };
+};
+
+/**
+ * Points of a fitted regression for tables and exports, fitted from its
+ * coefficients for every complete row rather than the sample it keeps
+ * @param {Object} regression - Result of fitRegression
+ * @param {Array<Object>} rows - The rows it was fitted on
+ * @returns {Array<Object>} One row per observation with actual, fitted and residual values
+ */
+const regressionPoints = (regression, rows) => {
+  const spec = MODEL_SPECS[regression.model];
+  const estimates = regression.coefficients.map(coefficient => coefficient.estimate);
+  return completeCases(rows, spec, regression.dependent, regression.predictors).map(({ xs, y }) => {
+    const fitted = spec.inverseY(dot(spec.row(xs, regression.degree), estimates));
+    return {
+      ...(regression.model !== 'multiple' && { [regression.predictors[0]]: xs[0] }),
+      [regression.dependent]: y,
+      fitted: round(fitted),
+      residual: round(y - fitted)
+    };
+  });
+};
+
+module.exports = {
+  REGRESSION_MODELS,
+  fitRegression,
+  regressionPoints
+};
@@ -0,0 +1,269 @@
+// Browsing the rows of a sheet: rows matched with the filters analyses use,
+// sorted by any columns, cut down to some columns, and read a page at a time
+// by offset or by cursor. Sheets are streamed, and only the rows of the page
+// being built are held, so a page after a cursor takes the same memory deep in
+// a million-row sheet as at its top. A sheet with a cleaning recipe is cleaned
+// whole first, as its steps may need every row.
+const { openSpreadsheet, readRowWindow, withLocalCopy } = require('./sheetStreamService');
+const { applyLayout, headerNames, sheetLayout } = require('./sheetLayoutService');
+const { coerceCells, coerceRows, fileLocale, sheetColumnInfo } = require('./typeInferenceService');
+const { fileDialect } = require('./csvDialectService');
+const { applyRecipe, recipeColumns, sheetRecipe } = require('./cleaningService');
+const { filterPredicate, rankedColumns } = require('./filterService');
+
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+const rowQueryError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Numbers, then dates, then text in natural order ("2" before "10")
+const cellRank = (value) => {
+  if (typeof value === 'number') return 0;
+  return value instanceof Date ? 1 : 2;
+};
+
+const compareCells = (a, b) => {
+  const rank = cellRank(a) - cellRank(b);
+  if (rank !== 0) return rank;
+  if (typeof a === 'number' || a instanceof Date) return a - b;
+  return collator.compare(String(a), String(b));
+};
+
+// Order of two rows: by the sort columns, blanks last either way, then by row
+const compareRows = (sort) => (a, b) => {
+  for (let index = 0; index < sort.length; index += 1) {
+    const left = a.key[index];
+    const right = b.key[index];
+    if (isBlank(left) || isBlank(right)) {
+      if (isBlank(left) && isBlank(right)) continue;
+      return isBlank(left) ? 1 : -1;
+    }
+    const order = compareCells(left, right);
+    if (order !== 0) return sort[index].direction === 'desc' ? -order : order;
+  }
+  return a.number - b.number;
+};
+
+// Cursors hold the sort and the position of the last row of a page
+const encodeCursor = (sort, { key, number }) => Buffer.from(JSON.stringify({
+  sort,
+  key: key.map(value => (value instanceof Date ? { $date: value.toISOString() } : value)),
+  number
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (parseError) {
+    throw rowQueryError('Invalid cursor', 'INVALID_CURSOR');
+  }
+  if (!Number.isInteger(decoded?.number) || !Array.isArray(decoded.key)
+    || JSON.stringify(decoded.sort) !== JSON.stringify(sort)) {
+    throw rowQueryError('The cursor belongs to a query with a different sort', 'INVALID_CURSOR');
+  }
+  return {
+    number: decoded.number,
+    key: decoded.key.map(value => (value?.$date ? new Date(value.$date) : value))
+  };
+};
+
+/**
+ * Read a sheet's whole table through its cleaning recipe, as rows of cells (the
+ * header row first) with their row numbers in the sheet. Steps such as filling
+ * with the mean or dropping duplicates need every row.
+ * @param {Object} file - File document
+ * @param {string} sheetName - Sheet name
+ * @param {Array<Object>} steps - The sheet's recipe steps
+ * @returns {Promise<Object>} `{ sheetName, sheetNames, rows, rowNumbers }`
+ */
+const readCleanedTable = async (file, sheetName, steps) => {
+  const window = await withLocalCopy(file, filePath => readRowWindow(filePath, file.fileType, {
+    sheet: sheetName,
+    limit: Infinity,
+    layout: sheetLayout(file, sheetName),
+    dialect: fileDialect(file),
+    locale: fileLocale(file)
+  }));
+  const [headerCells = [], ...cells] = window.rows;
+  const header = headerNames(headerCells);
+  const locale = fileLocale(file);
+  const rows = coerceRows(
+    cells.map(values => Object.fromEntries(header.map((name, index) => [name, values[index] ?? null]))),
+    sheetColumnInfo(file, window.sheetName),
+    locale
+  );
+  // Steps change rows in place, so each row keeps its number
+  const rowNumbers = new Map(rows.map((row, index) => [row, window.rowNumbers[index + 1]]));
+  const table = applyRecipe({ columns: header, rows }, steps, locale);
+
+  return {
+    sheetName: window.sheetName,
+    sheetNames: window.sheetNames,
+    rows: [table.columns, ...table.rows.map(row => table.columns.map(name => row[name] ?? null))],
+    rowNumbers: [window.rowNumbers[0], ...table.rows.map(row => rowNumbers.get(row) ?? null)]
+  };
+};
+
+// Run `consume` over a sheet's table: its columns, their profiles and its data
+// rows as `{ number, values }` in sheet order, with cells read as their
+// columns' types and cleaned by the sheet's recipe (`cleaned` when it has one)
+const withSheetTable = async (file, sheetName, consume) => {
+  const steps = sheetRecipe(file, sheetName);
+  if (steps.length > 0) {
+    const table = await readCleanedTable(file, sheetName, steps);
+    const [columns = [], ...rows] = table.rows;
+    return consume({
+      cleaned: true,
+      sheetNames: table.sheetNames,
+      columns,
+      columnInfo: recipeColumns(sheetColumnInfo(file, sheetName), steps),
+      rows: rows.map((values, index) => ({ number: table.rowNumbers[index + 1], values }))
+    });
+  }
+
+  return withLocalCopy(file, async (filePath) => {
+    const spreadsheet = await openSpreadsheet(filePath, file.fileType, { dialect: fileDialect(file) });
+    if (!spreadsheet.sheetNames.includes(sheetName)) {
+      throw rowQueryError(`Sheet "${sheetName}" not found`, 'SHEET_NOT_FOUND', 404);
+    }
+    const locale = fileLocale(file);
+    const iterator = applyLayout(
+      spreadsheet.readRows(sheetName, { locale }),
+      sheetLayout(file, sheetName)
+    )[Symbol.asyncIterator]();
+    try {
+      const header = await iterator.next();
+      const columns = header.done ? [] : headerNames(header.value.values);
+      const columnInfo = sheetColumnInfo(file, sheetName);
+      const types = new Map(columnInfo.map(column => [column.name, column.type]));
+      const columnTypes = columns.map(name => types.get(name));
+      const rows = {
+        async *[Symbol.asyncIterator]() {
+          for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+            yield { number: next.value.number, values: coerceCells(next.value.values, columnTypes, locale) };
+          }
+        }
+      };
+      return await consume({ sheetNames: spreadsheet.sheetNames, columns, columnInfo, rows });
+    } finally {
+      // Stop reading the file when a page is filled early
+      await iterator.return?.();
+    }
+  });
+};
+
+const checkColumns = (names, columns, role) => {
+  const missing = names.find(name => !columns.includes(name));
+  if (missing !== undefined) {
+    throw rowQueryError(`${role} column "${missing}" is not in the sheet`, 'UNKNOWN_COLUMN');
+  }
+};
+
+/**
+ * Query one page of a sheet's rows
+ * @param {Object} file - File document
+ * @param {Object} [query] - `sheet` (the first sheet when empty); `columns` to return, in
+ *   order (all when empty); `sort` as `[{ column, direction }]`; `filters` as in analyses;
+ *   `limit`; and either `offset` or the `cursor` of the previous page
+ * @returns {Promise<Object>} `{ sheetName, sheetNames, columns, columnInfo, rows, rowNumbers,
+ *   offset, totalRows, nextCursor }`; rows are arrays aligned with `columns`, and totalRows
+ *   counts the matching rows, or is null when the page was filled before they were counted
+ */
+const queryRows = async (file, {
+  sheet, columns: projection = [], sort = [], filters = [], offset = 0, limit = 100, cursor = null
+} = {}) => {
+  const sheetName = sheet || file.sheetNames?.[0];
+  const after = cursor ? decodeCursor(cursor, sort) : null;
+  const skip = after ? 0 : offset;
+  const compare = compareRows(sort);
+  const knownRows = file.metadata?.sheets?.find(entry => entry.name === sheetName)?.rows;
+
+  // Top/bottom N conditions rank every row first, which takes a pass of its own
+  const ranked = rankedColumns(filters);
+  let rankRows = [];
+  if (ranked.length > 0) {
+    rankRows = await withSheetTable(file, sheetName, async ({ columns, rows }) => {
+      const indexes = ranked.map(name => columns.indexOf(name));
+      const values = [];
+      for await (const { values: cells } of rows) {
+        values.push(Object.fromEntries(ranked.map((name, index) => [name, cells[indexes[index]] ?? null])));
+      }
+      return values;
+    });
+  }
+  const matches = filterPredicate(filters, rankRows);
+
+  return withSheetTable(file, sheetName, async ({ cleaned, sheetNames, columns, columnInfo, rows }) => {
+    const returned = projection.length > 0 ? projection : columns;
+    checkColumns(returned, columns, 'Selected');
+    checkColumns(sort.map(entry => entry.column), columns, 'Sort');
+    const returnedIndexes = returned.map(name => columns.indexOf(name));
+    const sortIndexes = sort.map(entry => columns.indexOf(entry.column));
+
+    // One row past the page tells whether there is a next one; unsorted rows
+    // come in order, so reading stops there unless the rows are counted. The
+    // row count recorded at upload is before filters and cleaning.
+    const wanted = skip + limit + 1;
+    const countAll = !knownRows || filters.length > 0 || cleaned;
+    let page = [];
+    let matched = 0;
+    let counted = true;
+    for await (const { number, values } of rows) {
+      if (filters.length > 0) {
+        const row = {};
+        columns.forEach((name, index) => { row[name] = values[index] ?? null; });
+        if (!matches(row)) continue;
+      }
+      matched += 1;
+
+      const entry = { number, key: sortIndexes.map(index => values[index] ?? null) };
+      if (after && compare(entry, after) <= 0) continue;
+      if (sort.length === 0 && page.length >= wanted) {
+        if (countAll && !after) continue;
+        counted = false;
+        break;
+      }
+      entry.values = returnedIndexes.map(index => values[index] ?? null);
+      page.push(entry);
+      // Sorted pages keep the first rows seen so far, trimmed now and then
+      if (sort.length > 0 && page.length >= wanted * 2) {
+        page = page.sort(compare).slice(0, wanted);
+      }
+    }
+    if (sort.length > 0) page = page.sort(compare).slice(0, wanted);
+
+    const rowsOnPage = page.slice(skip, skip + limit);
+    const hasMore = page.length > skip + limit;
+    const types = new Map(columnInfo.map(column => [column.name, column]));
+    let totalRows = null;
+    if (counted) totalRows = matched;
+    else if (filters.length === 0 && !cleaned) totalRows = knownRows;
+
+    return {
+      sheetName,
+      sheetNames,
+      columns: returned,
+      columnInfo: returned.map(name => ({ name, type: types.get(name)?.type || null })),
+      rows: rowsOnPage.map(entry => entry.values),
+      rowNumbers: rowsOnPage.map(entry => entry.number),
+      offset: skip,
+      totalRows,
+      nextCursor: hasMore && rowsOnPage.length > 0 ? encodeCursor(sort, rowsOnPage[rowsOnPage.length - 1]) : null
+    };
+  });
+};
+
+module.exports = {
+  SORT_DIRECTIONS,
+  readCleanedTable,
+  queryRows
+};
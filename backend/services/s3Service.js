@@ -0,0 +1,190 @@
+// A small client for S3-compatible object storage (AWS S3, MinIO, R2, ...):
+// objects are put, read, inspected and deleted over HTTP with requests signed
+// by AWS Signature Version 4, and can be shared through presigned URLs.
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { s3: settings } = require('../config/storage');
+
+const SERVICE = 's3';
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+// Uploads are streamed, so their body isn't hashed
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+// How long presigned URLs are valid, in seconds
+const URL_EXPIRES = 900;
+
+const s3Error = (message, code, status = 500) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding, which S3 signs; encodeURIComponent leaves !'()* alone
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const assertConfigured = () => {
+  if (!settings.bucket || !settings.accessKeyId || !settings.secretAccessKey) {
+    throw s3Error('S3 storage is not configured', 'STORAGE_NOT_CONFIGURED');
+  }
+};
+
+// Host and path of an object, with the bucket in the path or as a subdomain
+const objectLocation = (key) => {
+  const endpoint = new URL(settings.endpoint || `https://s3.${settings.region}.amazonaws.com`);
+  const keyPath = key.split('/').map(encode).join('/');
+  if (settings.forcePathStyle) {
+    return { origin: endpoint.origin, host: endpoint.host, path: `/${encode(settings.bucket)}/${keyPath}` };
+  }
+  const host = `${settings.bucket}.${endpoint.host}`;
+  return { origin: `${endpoint.protocol}//${host}`, host, path: `/${keyPath}` };
+};
+
+const timestamps = (date = new Date()) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  return { amzDate, day: amzDate.slice(0, 8) };
+};
+
+const canonicalQuery = (query) => Object.keys(query).sort()
+  .map(name => `${encode(name)}=${encode(query[name])}`)
+  .join('&');
+
+// Signature of a request; header names are lower case
+const sign = ({ method, path, query = {}, headers, payloadHash, amzDate, day }) => {
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery(query),
+    names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+  const scope = `${day}/${settings.region}/${SERVICE}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['aws4_request', SERVICE, settings.region, day]
+    .reduceRight((key, part) => hmac(key, part), `AWS4${settings.secretAccessKey}`);
+  return {
+    scope,
+    signedHeaders: names.join(';'),
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  };
+};
+
+const request = async (method, key, { headers = {}, data, responseType } = {}) => {
+  assertConfigured();
+  const { origin, host, path } = objectLocation(key);
+  const { amzDate, day } = timestamps();
+  const signed = {
+    ...headers,
+    host,
+    'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+    'x-amz-date': amzDate
+  };
+  const { scope, signedHeaders, signature } = sign({
+    method, path, headers: signed, payloadHash: UNSIGNED_PAYLOAD, amzDate, day
+  });
+
+  try {
+    return await axios({
+      method,
+      url: `${origin}${path}`,
+      headers: {
+        ...signed,
+        Authorization: `${ALGORITHM} Credential=${settings.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      },
+      data,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 404) throw s3Error('Stored file not found', 'FILE_NOT_FOUND', 404);
+    throw s3Error(`S3 ${method} failed: ${status ? `status ${status}` : error.message}`, 'STORAGE_ERROR');
+  }
+};
+
+/**
+ * Upload a local file
+ * @param {string} filePath - Local path
+ * @param {string} key - Object key
+ * @param {string} [contentType] - MIME type
+ * @returns {Promise<number>} Size in bytes
+ */
+const putObject = async (filePath, key, contentType = 'application/octet-stream') => {
+  const { size } = await fs.promises.stat(filePath);
+  await request('PUT', key, {
+    headers: { 'content-length': size, 'content-type': contentType },
+    data: fs.createReadStream(filePath)
+  });
+  return size;
+};
+
+/**
+ * Read an object
+ * @param {string} key - Object key
+ * @returns {Promise<stream.Readable>} Its contents
+ */
+const getObject = async (key) => (await request('GET', key, { responseType: 'stream' })).data;
+
+/**
+ * Size and modification time of an object
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} `{ size, lastModified }`, or null when there's no such object
+ */
+const headObject = async (key) => {
+  try {
+    const { headers } = await request('HEAD', key);
+    return {
+      size: Number(headers['content-length']),
+      lastModified: headers['last-modified'] ? new Date(headers['last-modified']) : null
+    };
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Delete an object; deleting one that isn't there succeeds
+ * @param {string} key - Object key
+ */
+const deleteObject = async (key) => {
+  await request('DELETE', key);
+};
+
+/**
+ * A URL that reads an object without credentials, for a limited time
+ * @param {string} key - Object key
+ * @param {number} [expires] - Seconds it stays valid
+ * @returns {string} Presigned URL
+ */
+const presignedUrl = (key, expires = URL_EXPIRES) => {
+  assertConfigured();
+  const { origin, host, path } = objectLocation(key);
+  const { amzDate, day } = timestamps();
+  const query = {
+    'X-Amz-Algorithm': ALGORITHM,
+    'X-Amz-Credential': `${settings.accessKeyId}/${day}/${settings.region}/${SERVICE}/aws4_request`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expires),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  const { signature } = sign({
+    method: 'GET', path, query, headers: { host }, payloadHash: UNSIGNED_PAYLOAD, amzDate, day
+  });
+  return `${origin}${path}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+};
+
+module.exports = {
+  putObject,
+  getObject,
+  headObject,
+  deleteObject,
+  presignedUrl
+};
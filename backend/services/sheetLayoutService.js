@@ -0,0 +1,277 @@
+// Where the table sits in a sheet. Real exports put title rows above the
+// table, leave blank spacer rows and columns, spread headers over two rows (a
+// merged group header above the column names) or hold several tables side by
+// side or one under another.
+//
+// A layout is `{ headerRow, headerRows, range }`: the 1-based row of the first
+// header row, how many header rows are merged into one, and the A1 range the
+// table occupies, header included. The range may leave its end row open
+// ("B3:F") to run to the end of the sheet. Every read of a processed file goes
+// through its sheet's layout.
+const XLSX = require('xlsx');
+
+// Leading rows of a sheet looked at when detecting its tables
+const DETECTION_ROWS = 200;
+// Title rows allowed above a header row
+const MAX_TITLE_ROWS = 10;
+
+const layoutError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 400;
+  return error;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Parse an A1 range whose end row may be left open, e.g. "B3:F120" or "B3:F"
+ * @param {string} range - A1 range
+ * @returns {Object} `{ firstRow, lastRow, firstColumn, lastColumn }`; rows are
+ *   1-based, columns 0-based, and `lastRow` is null when open
+ */
+const parseRange = (range) => {
+  const match = /^\s*([A-Z]{1,3})(\d+)\s*:\s*([A-Z]{1,3})(\d*)\s*$/i.exec(range || '');
+  if (!match) {
+    throw layoutError(`Invalid range "${range}"; use a form like B3:F120, or B3:F to run to the end of the sheet`, 'INVALID_RANGE');
+  }
+  const bounds = {
+    firstRow: Number(match[2]),
+    lastRow: match[4] ? Number(match[4]) : null,
+    firstColumn: XLSX.utils.decode_col(match[1].toUpperCase()),
+    lastColumn: XLSX.utils.decode_col(match[3].toUpperCase())
+  };
+  if (bounds.firstRow < 1 || (bounds.lastRow !== null && bounds.lastRow < bounds.firstRow) || bounds.lastColumn < bounds.firstColumn) {
+    throw layoutError(`Invalid range "${range}": it must run from its top-left to its bottom-right cell`, 'INVALID_RANGE');
+  }
+  return bounds;
+};
+
+const formatRange = ({ firstRow, lastRow, firstColumn, lastColumn }) => (
+  `${XLSX.utils.encode_col(firstColumn)}${firstRow}:${XLSX.utils.encode_col(lastColumn)}${lastRow ?? ''}`
+);
+
+/**
+ * Check a layout picked by the user and fill in its defaults
+ * @param {Object} layout - `{ headerRow, headerRows, range }`
+ * @returns {Object} The layout, with `range` normalised
+ */
+const normalizeLayout = ({ headerRow, headerRows = 1, range }) => {
+  const bounds = parseRange(range);
+  if (!Number.isInteger(headerRow) || headerRow < bounds.firstRow || (bounds.lastRow !== null && headerRow > bounds.lastRow)) {
+    throw layoutError(`The header row must lie within ${formatRange(bounds)}`, 'INVALID_HEADER_ROW');
+  }
+  if (!Number.isInteger(headerRows) || headerRows < 1 || headerRows > 5) {
+    throw layoutError('A header can span 1 to 5 rows', 'INVALID_HEADER_ROWS');
+  }
+  return { headerRow, headerRows, range: formatRange(bounds) };
+};
+
+/**
+ * Column names from the cells of a header row; blank headers are named after
+ * their position and repeated names get a numeric suffix, as SheetJS does
+ * @param {Array} values - Header cells
+ * @returns {Array<string>} Column names
+ */
+const headerNames = (values) => {
+  const seen = new Map();
+  return Array.from(values, (value, index) => {
+    const name = isBlank(value) ? `Column_${index + 1}` : String(value);
+    const count = seen.get(name) || 0;
+    seen.set(name, count + 1);
+    return count === 0 ? name : `${name}_${count}`;
+  });
+};
+
+/**
+ * Merge a multi-row header into one row. A merged cell only holds its value in
+ * its first column, so blanks in the upper rows take the value to their left;
+ * each column's parts are joined with a space ("Q1" over "Sales" is "Q1 Sales").
+ * @param {Array<Array>} rows - Header rows, top first
+ * @returns {Array} Header cells
+ */
+const mergeHeaderRows = (rows) => {
+  if (rows.length === 1) return rows[0];
+  const width = Math.max(...rows.map(row => row.length));
+  const filled = rows.map((row, rowIndex) => {
+    if (rowIndex === rows.length - 1) return row;
+    let previous = null;
+    return Array.from({ length: width }, (_, column) => {
+      if (!isBlank(row[column])) previous = row[column];
+      return previous;
+    });
+  });
+  return Array.from({ length: width }, (_, column) => {
+    const parts = filled.map(row => row[column]).filter(value => !isBlank(value)).map(value => String(value).trim());
+    return parts.length > 0 ? parts.join(' ') : null;
+  });
+};
+
+// Filled and text cell counts of a row between two columns
+const rowShape = (values, firstColumn, lastColumn) => {
+  let filled = 0;
+  let text = 0;
+  for (let column = firstColumn; column <= lastColumn; column++) {
+    const value = values[column];
+    if (isBlank(value)) continue;
+    filled += 1;
+    if (typeof value === 'string') text += 1;
+  }
+  return { filled, text };
+};
+
+// Header row of a table: the first row that fills at least half the table's
+// width with text only, so title rows above it are skipped. A header with gaps
+// (merged group cells) followed by a full text row spans both.
+const findHeader = (rows, firstColumn, lastColumn) => {
+  const width = lastColumn - firstColumn + 1;
+  const minimum = Math.max(Math.min(2, width), Math.ceil(width / 2));
+  const isHeaderLike = (row) => {
+    const { filled, text } = rowShape(row.values, firstColumn, lastColumn);
+    return filled >= minimum && text === filled;
+  };
+
+  const limit = Math.min(MAX_TITLE_ROWS, rows.length - 1);
+  let index = 0;
+  for (let i = 0; i < limit; i++) {
+    if (isHeaderLike(rows[i])) {
+      index = i;
+      break;
+    }
+  }
+
+  const [header, second, firstData] = rows.slice(index, index + 3);
+  const spansTwoRows = second && firstData
+    && second.number === header.number + 1
+    && rowShape(header.values, firstColumn, lastColumn).filled < width
+    && isHeaderLike(second)
+    && !isHeaderLike(firstData);
+  return { index, headerRows: spansTwoRows ? 2 : 1 };
+};
+
+/**
+ * Find the tables in the leading rows of a sheet. Tables are blocks of rows
+ * separated by blank rows, split further by columns left blank throughout.
+ * @param {Array<Object>} rows - Leading `{ number, values }` rows, blank rows left out
+ * @param {Object} [options] - `complete` when the rows run to the end of the sheet;
+ *   otherwise the last table is taken to run on to the end
+ * @returns {Object} `{ layout, regions }`: every table found, and the largest one
+ *   as the sheet's layout (null for an empty sheet)
+ */
+const detectLayout = (rows, { complete = true } = {}) => {
+  const blocks = [];
+  rows.forEach(row => {
+    const block = blocks[blocks.length - 1];
+    if (block && row.number === block[block.length - 1].number + 1) {
+      block.push(row);
+    } else {
+      blocks.push([row]);
+    }
+  });
+
+  const regions = [];
+  blocks.forEach((block, blockIndex) => {
+    const width = Math.max(...block.map(row => row.values.length));
+    const occupied = Array.from({ length: width }, (_, column) => block.some(row => !isBlank(row.values[column])));
+
+    // Runs of columns with something in them
+    const segments = [];
+    occupied.forEach((used, column) => {
+      if (!used) return;
+      const segment = segments[segments.length - 1];
+      if (segment && segment.lastColumn === column - 1) {
+        segment.lastColumn = column;
+      } else {
+        segments.push({ firstColumn: column, lastColumn: column });
+      }
+    });
+
+    segments.forEach(({ firstColumn, lastColumn }) => {
+      const segmentRows = block.filter(row => rowShape(row.values, firstColumn, lastColumn).filled > 0);
+      // A lone row is a title or a note, not a table
+      if (segmentRows.length < 2 && (blocks.length > 1 || segments.length > 1)) return;
+
+      const { index, headerRows } = findHeader(segmentRows, firstColumn, lastColumn);
+      const headerRow = segmentRows[index].number;
+      const runsOn = !complete && blockIndex === blocks.length - 1;
+      const lastRow = runsOn ? null : segmentRows[segmentRows.length - 1].number;
+      regions.push({
+        headerRow,
+        headerRows,
+        range: formatRange({ firstRow: headerRow, lastRow, firstColumn, lastColumn }),
+        size: (segmentRows.length - index - headerRows) * (lastColumn - firstColumn + 1)
+      });
+    });
+  });
+
+  const largest = regions.reduce((best, region) => (!best || region.size > best.size ? region : best), null);
+  const withoutSize = ({ size, ...region }) => region;
+  return {
+    layout: largest && withoutSize(largest),
+    regions: regions.map(withoutSize)
+  };
+};
+
+/**
+ * Read rows through a layout: rows outside the table are dropped, cells are cut
+ * to its columns and a multi-row header is merged into one row. The header row
+ * comes first, numbered as the first header row.
+ * @param {AsyncIterable<Object>} rows - `{ number, values }` rows of the whole sheet
+ * @param {Object} [layout] - Layout of the sheet; rows pass through unchanged without one
+ * @returns {AsyncIterable<Object>} `{ number, values }` rows of the table
+ */
+async function* applyLayout(rows, layout) {
+  if (!layout?.headerRow) {
+    yield* rows;
+    return;
+  }
+
+  const { lastRow, firstColumn, lastColumn } = parseRange(layout.range);
+  const headerRows = layout.headerRows || 1;
+  const headerEnd = layout.headerRow + headerRows;
+  let header = [];
+  for await (const { number, values } of rows) {
+    if (number < layout.headerRow) continue;
+    if (lastRow !== null && number > lastRow) break;
+    const cells = Array.from({ length: lastColumn - firstColumn + 1 }, (_, index) => values[firstColumn + index] ?? null);
+
+    if (number < headerEnd) {
+      header.push(cells);
+      continue;
+    }
+    if (header) {
+      yield { number: layout.headerRow, values: header.length > 0 ? mergeHeaderRows(header) : [] };
+      header = null;
+    }
+    if (cells.some(value => !isBlank(value))) yield { number, values: cells };
+  }
+  if (header?.length > 0) {
+    yield { number: layout.headerRow, values: mergeHeaderRows(header) };
+  }
+}
+
+/**
+ * The saved layout of one of a file's sheets
+ * @param {Object} file - File document
+ * @param {string} [sheetName] - Sheet (the first sheet when empty)
+ * @returns {Object|null} `{ headerRow, headerRows, range }`, or null for files
+ *   processed before layouts were recorded
+ */
+const sheetLayout = (file, sheetName) => {
+  const name = sheetName || file.sheetNames?.[0];
+  const layout = file.metadata?.sheets?.find(entry => entry.name === name)?.layout;
+  if (!layout?.headerRow) return null;
+  return { headerRow: layout.headerRow, headerRows: layout.headerRows || 1, range: layout.range };
+};
+
+module.exports = {
+  DETECTION_ROWS,
+  parseRange,
+  formatRange,
+  normalizeLayout,
+  headerNames,
+  mergeHeaderRows,
+  detectLayout,
+  applyLayout,
+  sheetLayout
+};
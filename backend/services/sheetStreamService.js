@@ -0,0 +1,787 @@
+// Row-by-row reading of uploaded spreadsheets, so profiling an upload or
+// serving a window of rows never holds a whole workbook in memory.
+//
+// XLSX sheets are read straight out of the zip with a SAX parser; only the
+// shared string table is kept in memory. CSV and TSV files are parsed chunk by
+// chunk, in the delimiter, quoting and encoding detected from their first
+// bytes. Legacy .xls, binary .xlsb and OpenDocument .ods can't be read
+// incrementally with SheetJS, so they are parsed whole. JSON and Parquet files
+// are read by recordFileService.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const unzipper = require('unzipper');
+const { SaxesParser } = require('saxes');
+const XLSX = require('xlsx');
+const { DETECTION_ROWS, parseRange, headerNames, detectLayout, applyLayout } = require('./sheetLayoutService');
+const { DEFAULT_LOCALE, parseNumberText, detectLocale, createTypeTally, tallyValue, inferColumnType } = require('./typeInferenceService');
+const { readSample, detectDialect, createDecoder } = require('./csvDialectService');
+const { openJson, openParquet } = require('./recordFileService');
+const { fileLocation, localPathOf, downloadStoredFile } = require('./storageService');
+
+const CSV_SHEET_NAME = 'Sheet1';
+// Formats SheetJS parses whole
+const SHEETJS_TYPES = ['xls', 'xlsb', 'ods'];
+const SAMPLE_ROWS = 10;
+// Distinct values remembered per column; uniqueCount stops growing past this
+const MAX_TRACKED_VALUES = 10000;
+
+const EXCEL_EPOCH_OFFSET = 25569;
+const EXCEL_1904_OFFSET = 1462;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Built-in number formats that display a date or time
+const BUILTIN_DATE_FORMATS = new Set([
+  14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+  45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58
+]);
+
+const streamError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Element and attribute names without their namespace prefix
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+// Feed an XML stream through a SAX parser, yielding after each chunk so
+// callers can hand on whatever the handlers collected from it; `bytes` is
+// told the size of every chunk read
+async function* saxChunks(stream, { open, text, close, bytes }) {
+  const parser = new SaxesParser();
+  if (open) parser.on('opentag', node => open(localName(node.name), node.attributes));
+  if (text) {
+    parser.on('text', text);
+    parser.on('cdata', text);
+  }
+  if (close) parser.on('closetag', node => close(localName(node.name)));
+
+  const decoder = new TextDecoder('utf-8');
+  for await (const chunk of stream) {
+    if (bytes) bytes(chunk.length);
+    parser.write(decoder.decode(chunk, { stream: true }));
+    yield;
+  }
+  parser.write(decoder.decode());
+  parser.close();
+}
+
+const parseXml = async (stream, handlers) => {
+  const chunks = saxChunks(stream, handlers);
+  while (!(await chunks.next()).done) {
+    // handlers do the work
+  }
+};
+
+// Text content of a few named elements of a small XML part
+const readElementText = async (entry, names) => {
+  const values = {};
+  if (!entry) return values;
+  let current = null;
+  await parseXml(entry.stream(), {
+    open: (name) => { current = names.includes(name) ? name : null; },
+    text: (text) => { if (current) values[current] = (values[current] || '') + text; },
+    close: () => { current = null; }
+  });
+  return values;
+};
+
+const serialToDate = (serial, date1904) => new Date(
+  Math.round((serial + (date1904 ? EXCEL_1904_OFFSET : 0) - EXCEL_EPOCH_OFFSET) * MS_PER_DAY)
+);
+
+// Zero-based column of a cell reference such as "AB12"
+const columnIndex = (reference) => {
+  let index = 0;
+  for (let i = 0; i < reference.length; i++) {
+    const code = reference.charCodeAt(i);
+    if (code < 65 || code > 90) break;
+    index = index * 26 + code - 64;
+  }
+  return index - 1;
+};
+
+const readRelationships = async (entry) => {
+  const relationships = [];
+  if (!entry) return relationships;
+  await parseXml(entry.stream(), {
+    open: (name, attributes) => {
+      if (name === 'Relationship') {
+        // Targets are relative to xl/ unless absolute within the package
+        const target = attributes.Target.startsWith('/')
+          ? attributes.Target.slice(1)
+          : path.posix.normalize(`xl/${attributes.Target}`);
+        relationships.push({ id: attributes.Id, type: attributes.Type || '', target });
+      }
+    }
+  });
+  return relationships;
+};
+
+const readSharedStrings = async (entry) => {
+  const strings = [];
+  if (!entry) return strings;
+  let current = null;
+  let inText = false;
+  // Phonetic runs (rPh) hold reading hints, not cell text
+  let phonetic = 0;
+  await parseXml(entry.stream(), {
+    open: (name) => {
+      if (name === 'si') current = '';
+      else if (name === 'rPh') phonetic += 1;
+      else if (name === 't' && phonetic === 0) inText = true;
+    },
+    text: (text) => {
+      if (inText && current !== null) current += text;
+    },
+    close: (name) => {
+      if (name === 'si') {
+        strings.push(current);
+        current = null;
+      } else if (name === 'rPh') {
+        phonetic -= 1;
+      } else if (name === 't') {
+        inText = false;
+      }
+    }
+  });
+  return strings;
+};
+
+// Indexes of the cell styles whose number format displays a date
+const readDateStyles = async (entry) => {
+  const dateStyles = new Set();
+  if (!entry) return dateStyles;
+  const formats = new Map();
+  let inCellXfs = false;
+  let index = 0;
+  await parseXml(entry.stream(), {
+    open: (name, attributes) => {
+      if (name === 'numFmt') {
+        formats.set(Number(attributes.numFmtId), attributes.formatCode);
+      } else if (name === 'cellXfs') {
+        inCellXfs = true;
+      } else if (name === 'xf' && inCellXfs) {
+        const formatId = Number(attributes.numFmtId || 0);
+        if (BUILTIN_DATE_FORMATS.has(formatId) || (formats.has(formatId) && XLSX.SSF.is_date(formats.get(formatId)))) {
+          dateStyles.add(index);
+        }
+        index += 1;
+      }
+    },
+    close: (name) => {
+      if (name === 'cellXfs') inCellXfs = false;
+    }
+  });
+  return dateStyles;
+};
+
+const cellValue = ({ type, style, text }, { sharedStrings, dateStyles, date1904 }) => {
+  if (type === 'inlineStr' || type === 'str') return text;
+  if (text === '') return null;
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(text)] ?? null;
+    case 'b':
+      return text === '1' || text === 'true';
+    case 'e':
+      return null;
+    case 'd': {
+      const date = new Date(text);
+      return Number.isNaN(date.getTime()) ? text : date;
+    }
+    default: {
+      const number = Number(text);
+      if (!Number.isFinite(number)) return text;
+      return dateStyles.has(style) ? serialToDate(number, date1904) : number;
+    }
+  }
+};
+
+async function* readXlsxRows(entry, context, onBytes) {
+  const stream = entry.stream();
+  const pending = [];
+  let rowNumber = 0;
+  let values = null;
+  let nextColumn = 0;
+  let cell = null;
+  let inValue = false;
+
+  try {
+    const chunks = saxChunks(stream, {
+      bytes: onBytes,
+      open: (name, attributes) => {
+        if (name === 'row') {
+          rowNumber = attributes.r ? Number(attributes.r) : rowNumber + 1;
+          values = [];
+          nextColumn = 0;
+        } else if (name === 'c' && values) {
+          const column = attributes.r ? columnIndex(attributes.r) : nextColumn;
+          cell = { column, type: attributes.t || 'n', style: Number(attributes.s || 0), text: '' };
+          nextColumn = column + 1;
+        } else if (cell && (name === 'v' || (name === 't' && cell.type === 'inlineStr'))) {
+          inValue = true;
+        }
+      },
+      text: (text) => {
+        if (inValue) cell.text += text;
+      },
+      close: (name) => {
+        if (name === 'v' || name === 't') {
+          inValue = false;
+        } else if (name === 'c' && cell) {
+          const value = cellValue(cell, context);
+          if (value !== null) values[cell.column] = value;
+          cell = null;
+        } else if (name === 'row' && values) {
+          if (values.length > 0) pending.push({ number: rowNumber, values: Array.from(values, value => value ?? null) });
+          values = null;
+        }
+      }
+    });
+    while (!(await chunks.next()).done) {
+      yield* pending.splice(0);
+    }
+    yield* pending.splice(0);
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Open the parts of an XLSX package: its zip entries by path, its sheets in
+ * workbook order as `{ name, entry }`, and the part of a relationship type
+ * @param {string} filePath - Local path of the workbook
+ * @returns {Promise<Object>} `{ entries, sheets, partOfType(type, fallback), date1904 }`
+ */
+const openXlsxPackage = async (filePath) => {
+  let directory;
+  try {
+    directory = await unzipper.Open.file(filePath);
+  } catch (error) {
+    throw streamError('The file is not a valid XLSX workbook', 'INVALID_WORKBOOK');
+  }
+  const entries = new Map(directory.files.map(entry => [entry.path, entry]));
+  const workbookEntry = entries.get('xl/workbook.xml');
+  if (!workbookEntry) {
+    throw streamError('The file is not a valid XLSX workbook', 'INVALID_WORKBOOK');
+  }
+
+  const relationships = await readRelationships(entries.get('xl/_rels/workbook.xml.rels'));
+  const partOfType = (type, fallback) => {
+    const relationship = relationships.find(item => item.type.endsWith(`/${type}`));
+    return entries.get(relationship ? relationship.target : fallback);
+  };
+
+  const sheets = [];
+  let date1904 = false;
+  await parseXml(workbookEntry.stream(), {
+    open: (name, attributes) => {
+      if (name === 'workbookPr') {
+        date1904 = attributes.date1904 === '1' || attributes.date1904 === 'true';
+      } else if (name === 'sheet') {
+        const relationKey = Object.keys(attributes).find(key => key.includes(':') && localName(key) === 'id');
+        const relationship = relationships.find(item => item.id === attributes[relationKey]);
+        sheets.push({ name: attributes.name, entry: relationship && entries.get(relationship.target) });
+      }
+    }
+  });
+
+  return { entries, sheets, partOfType, date1904 };
+};
+
+const openXlsx = async (filePath) => {
+  const { entries, sheets, partOfType, date1904 } = await openXlsxPackage(filePath);
+  const context = {
+    sharedStrings: await readSharedStrings(partOfType('sharedStrings', 'xl/sharedStrings.xml')),
+    dateStyles: await readDateStyles(partOfType('styles', 'xl/styles.xml')),
+    date1904
+  };
+  const core = await readElementText(entries.get('docProps/core.xml'), ['creator', 'modified']);
+  const app = await readElementText(entries.get('docProps/app.xml'), ['Application', 'AppVersion']);
+
+  return {
+    sheetNames: sheets.map(sheet => sheet.name),
+    metadata: {
+      application: app.Application,
+      author: core.creator,
+      lastModified: core.modified ? new Date(core.modified) : null,
+      version: app.AppVersion
+    },
+    sheetSize: (sheetName) => sheets.find(item => item.name === sheetName)?.entry?.uncompressedSize || 0,
+    readRows: (sheetName, { onBytes } = {}) => {
+      const sheet = sheets.find(item => item.name === sheetName);
+      return sheet?.entry ? readXlsxRows(sheet.entry, context, onBytes) : (async function* () {})();
+    }
+  };
+};
+
+// Unquoted CSV fields become numbers (written in the file's locale) and
+// booleans, as SheetJS reads them; digits with leading zeros are codes (zip
+// codes, IDs) and stay text. Without a locale every field stays text.
+const csvValue = (text, quoted, locale) => {
+  if (quoted) return text;
+  const trimmed = text.trim();
+  if (trimmed === '') return null;
+  if (!locale || /^[+-]?0\d+$/.test(trimmed)) return text;
+  if (/^[+-]?[\d.,' ]*\d[\d.,' ]*([eE][+-]?\d+)?$/.test(trimmed)) {
+    const parsed = parseNumberText(trimmed, locale);
+    if (parsed) return parsed.number;
+  }
+  if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === 'true';
+  return text;
+};
+
+/**
+ * Parse CSV records from a byte stream (RFC 4180 quoting; CRLF, LF or CR line ends)
+ * @param {Readable} stream - CSV bytes
+ * @param {Object} [options] - Field `delimiter`, `quote` character ('' for none),
+ *   `encoding` (see csvDialectService) and the `locale` numbers are written in,
+ *   null to keep every field as text
+ * @yields {Object} `{ number, values }` for every non-blank record
+ */
+async function* readCsvRows(stream, { delimiter = ',', quote = '"', encoding = 'utf-8', locale = DEFAULT_LOCALE, onBytes } = {}) {
+  const decoder = createDecoder(encoding);
+  const pending = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let quoteInQuotes = false;
+  let skipNewline = false;
+  let rowNumber = 0;
+
+  const endField = () => {
+    values.push(csvValue(field, quoted, locale));
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    rowNumber += 1;
+    if (values.some(value => !isBlank(value))) pending.push({ number: rowNumber, values });
+    values = [];
+  };
+
+  const consume = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (skipNewline) {
+        skipNewline = false;
+        if (char === '\n') continue;
+      }
+      if (quoteInQuotes) {
+        quoteInQuotes = false;
+        if (char === quote) {
+          field += quote;
+          continue;
+        }
+        inQuotes = false;
+      }
+      if (inQuotes) {
+        if (char === quote) quoteInQuotes = true;
+        else field += char;
+      } else if (char === quote && field === '' && !quoted) {
+        inQuotes = true;
+        quoted = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\n' || char === '\r') {
+        endRecord();
+        skipNewline = char === '\r';
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  try {
+    for await (const chunk of stream) {
+      if (onBytes) onBytes(chunk.length);
+      consume(decoder.decode(chunk, { stream: true }));
+      yield* pending.splice(0);
+    }
+    consume(decoder.decode());
+    if (field !== '' || quoted || values.length > 0) endRecord();
+    yield* pending.splice(0);
+  } finally {
+    stream.destroy();
+  }
+}
+
+async function* readWorksheetRows(worksheet) {
+  if (!worksheet?.['!ref']) return;
+  // Read from column A so cells sit at their column's index, as in the other readers
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const firstRow = range.s.r;
+  range.s.c = 0;
+  const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, blankrows: true, range });
+  for (let index = 0; index < rows.length; index++) {
+    const values = Array.from(rows[index], value => value ?? null);
+    if (values.some(value => !isBlank(value))) yield { number: firstRow + index + 1, values };
+  }
+}
+
+/**
+ * Open a spreadsheet for row-by-row reading
+ * @param {string} filePath - Local path of the spreadsheet
+ * @param {string} fileType - 'xlsx', 'xls', 'xlsb', 'ods', 'csv', 'tsv', 'json' or 'parquet'
+ * @param {Object} [options] - For CSV and TSV files, the `dialect` settings to use rather
+ *   than detect (`delimiter`, `quote`, `encoding`)
+ * @returns {Promise<Object>} `{ sheetNames, metadata, sheetSize(sheetName), readRows(sheetName, { onBytes, locale }) }`,
+ *   plus for CSV and TSV files the `dialect` read with and `textSample`, the text of the leading
+ *   fields; `readRows` is an async iterable of `{ number, values }` (1-based row number, cell values
+ *   by column) and reports the bytes it reads to `onBytes`, out of `sheetSize` (0 when unknown)
+ */
+const openSpreadsheet = async (filePath, fileType, { dialect = {} } = {}) => {
+  if (fileType === 'csv' || fileType === 'tsv') {
+    const sample = await readSample(filePath);
+    const resolved = detectDialect(sample, fileType === 'tsv' ? { ...dialect, delimiter: '\t' } : dialect);
+    const textSample = [];
+    for await (const { values } of readCsvRows(Readable.from([sample]), { ...resolved, locale: null })) {
+      textSample.push(...values);
+    }
+    return {
+      sheetNames: [CSV_SHEET_NAME],
+      metadata: {},
+      dialect: resolved,
+      textSample,
+      sheetSize: () => fs.statSync(filePath).size,
+      // Numbers are read in the locale (the default one when not given)
+      readRows: (sheetName, { onBytes, locale } = {}) => readCsvRows(fs.createReadStream(filePath), {
+        ...resolved,
+        locale: locale || DEFAULT_LOCALE,
+        onBytes
+      })
+    };
+  }
+
+  if (fileType === 'json') return openJson(filePath);
+  if (fileType === 'parquet') return openParquet(filePath);
+
+  if (SHEETJS_TYPES.includes(fileType)) {
+    const workbook = XLSX.readFile(filePath, { cellDates: true });
+    return {
+      sheetNames: workbook.SheetNames,
+      metadata: {
+        application: workbook.Props?.Application,
+        author: workbook.Props?.Author,
+        lastModified: workbook.Props?.ModifiedDate || null,
+        version: workbook.Props?.Version
+      },
+      // Already parsed in full, so there is nothing left to measure
+      sheetSize: () => 0,
+      readRows: (sheetName) => readWorksheetRows(workbook.Sheets[sheetName])
+    };
+  }
+
+  return openXlsx(filePath);
+};
+
+// Running profile of one column, updated as rows stream past
+const createColumnProfile = (name) => ({
+  name,
+  count: 0,
+  types: createTypeTally(),
+  values: new Set(),
+  // Set once more distinct values were seen than are remembered
+  saturated: false,
+  samples: []
+});
+
+const addToProfile = (profile, value, locale) => {
+  if (isBlank(value)) return;
+  profile.count += 1;
+  tallyValue(profile.types, value, locale);
+
+  const key = value instanceof Date ? value.toISOString() : value;
+  if (profile.values.has(key)) return;
+  if (profile.values.size >= MAX_TRACKED_VALUES) {
+    profile.saturated = true;
+    return;
+  }
+  profile.values.add(key);
+  if (profile.samples.length < 5) profile.samples.push(String(key));
+};
+
+const summarizeProfile = (profile, rowCount) => {
+  const type = inferColumnType(profile.types, {
+    name: profile.name,
+    uniqueCount: profile.values.size,
+    saturated: profile.saturated
+  });
+  return {
+    name: profile.name,
+    type,
+    detectedType: type,
+    sampleValues: profile.samples,
+    nullCount: rowCount - profile.count,
+    uniqueCount: profile.values.size
+  };
+};
+
+// Row and column counts, column profiles and preview rows of one sheet;
+// `firstColumn` is where the rows' first cell sits in the sheet and `locale`
+// how its text cells write numbers and dates
+const profileSheet = async (name, rows, { firstColumn = 0, locale } = {}) => {
+  let headers = null;
+  let profiles = [];
+  let rowCount = 0;
+  let columnCount = 0;
+  let firstRow = null;
+  let lastRow = null;
+  const sampleData = [];
+
+  for await (const { number, values } of rows) {
+    rowCount += 1;
+    firstRow = firstRow ?? number;
+    lastRow = number;
+    columnCount = Math.max(columnCount, values.length);
+
+    if (!headers) {
+      headers = headerNames(values);
+      profiles = headers.map(createColumnProfile);
+      continue;
+    }
+    while (headers.length < values.length) {
+      headers.push(`Column_${headers.length + 1}`);
+      profiles.push(createColumnProfile(headers[headers.length - 1]));
+    }
+    values.forEach((value, index) => addToProfile(profiles[index], value, locale));
+
+    if (sampleData.length < SAMPLE_ROWS) {
+      const sample = {};
+      values.forEach((value, index) => {
+        if (!isBlank(value)) sample[headers[index]] = value;
+      });
+      sampleData.push(sample);
+    }
+  }
+
+  const dataRows = Math.max(rowCount - 1, 0);
+  return {
+    name,
+    rows: rowCount,
+    columns: columnCount,
+    range: rowCount > 0
+      ? XLSX.utils.encode_range({
+        s: { r: firstRow - 1, c: firstColumn },
+        e: { r: lastRow - 1, c: firstColumn + Math.max(columnCount - 1, 0) }
+      })
+      : null,
+    columnInfo: profiles.map(profile => summarizeProfile(profile, dataRows)),
+    sampleData
+  };
+};
+
+// Read the leading rows of a sheet to look at (`head`), then hand back all of
+// its rows, the leading ones included; `complete` when the head is the whole sheet
+const peekRows = async (rows) => {
+  const iterator = rows[Symbol.asyncIterator]();
+  const head = [];
+  let complete = false;
+  while (head.length < DETECTION_ROWS) {
+    const { value, done } = await iterator.next();
+    if (done) {
+      complete = true;
+      break;
+    }
+    head.push(value);
+  }
+
+  async function* replay() {
+    try {
+      yield* head;
+      if (complete) return;
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        yield next.value;
+      }
+    } finally {
+      if (!complete && iterator.return) await iterator.return();
+    }
+  }
+
+  return { head, complete, rows: replay() };
+};
+
+/**
+ * Follow how much of a spreadsheet has been read. Progress is measured in bytes
+ * of sheet data read; when sizes are unknown each sheet counts as an equal share.
+ * @param {Object} spreadsheet - From openSpreadsheet
+ * @param {Function} [onProgress] - Called with the whole percentage read (0-100) each time it grows
+ * @returns {Object} `{ onBytes, sheetDone }`: `onBytes` to pass to readRows, and
+ *   `sheetDone(index)` to call after reading each sheet
+ */
+const trackProgress = (spreadsheet, onProgress) => {
+  const sizes = spreadsheet.sheetNames.map(name => spreadsheet.sheetSize(name));
+  const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+  let bytesRead = 0;
+  let percent = 0;
+  const report = (fraction) => {
+    const next = Math.min(Math.floor(fraction * 100), 100);
+    if (next > percent) {
+      percent = next;
+      if (onProgress) onProgress(percent);
+    }
+  };
+  return {
+    onBytes: totalBytes > 0
+      ? (bytes) => {
+        bytesRead += bytes;
+        report(bytesRead / totalBytes);
+      }
+      : undefined,
+    sheetDone: (index) => {
+      if (totalBytes === 0) report((index + 1) / spreadsheet.sheetNames.length);
+    }
+  };
+};
+
+/**
+ * Profile every sheet of a spreadsheet in one streaming pass
+ * @param {string} filePath - Local path of the spreadsheet
+ * @param {string} fileType - File type (see openSpreadsheet)
+ * @param {Object} [options] - `onProgress` is called with the whole percentage read
+ *   (0-100) each time it grows; `layouts` holds the layout to read each sheet
+ *   through, by sheet name, and other sheets have theirs detected; `locale` is
+ *   how text cells write numbers and dates, detected from the first sheet when not given;
+ *   `dialect` holds the CSV/TSV settings not to detect
+ * @returns {Promise<Object>} `{ sheetNames, sheets, metadata, locale, dialect, totalRows, totalColumns }`;
+ *   each sheet has its row and column counts, range, columnInfo, sampleData and
+ *   layout, plus the tables found on it when its layout was detected; `dialect` is
+ *   null but for CSV and TSV files
+ */
+const profileSpreadsheet = async (filePath, fileType, { onProgress, layouts = {}, locale = null, dialect = {} } = {}) => {
+  const spreadsheet = await openSpreadsheet(filePath, fileType, { dialect });
+  const analysis = {
+    sheetNames: spreadsheet.sheetNames,
+    sheets: {},
+    metadata: {
+      application: spreadsheet.metadata.application || 'Unknown',
+      author: spreadsheet.metadata.author || 'Unknown',
+      lastModified: spreadsheet.metadata.lastModified || null,
+      version: spreadsheet.metadata.version || 'Unknown'
+    },
+    // CSV and TSV numbers are converted as they are read, so their locale comes from the raw text
+    locale: locale || (spreadsheet.textSample ? detectLocale(spreadsheet.textSample) : null),
+    dialect: spreadsheet.dialect || null,
+    totalRows: 0,
+    totalColumns: 0
+  };
+
+  const { onBytes, sheetDone } = trackProgress(spreadsheet, onProgress);
+  for (const [index, sheetName] of spreadsheet.sheetNames.entries()) {
+    let rows = spreadsheet.readRows(sheetName, { onBytes, locale: analysis.locale });
+    let layout = layouts[sheetName] || null;
+    let regions = null;
+    if (!layout || !analysis.locale) {
+      const peeked = await peekRows(rows);
+      rows = peeked.rows;
+      if (!layout) ({ layout, regions } = detectLayout(peeked.head, { complete: peeked.complete }));
+      if (!analysis.locale) analysis.locale = detectLocale(peeked.head.flatMap(row => row.values));
+    }
+
+    const sheet = await profileSheet(sheetName, applyLayout(rows, layout), {
+      firstColumn: layout ? parseRange(layout.range).firstColumn : 0,
+      locale: analysis.locale
+    });
+    sheet.layout = layout;
+    if (regions) sheet.regions = regions;
+    analysis.sheets[sheetName] = sheet;
+    analysis.totalRows += sheet.rows;
+    analysis.totalColumns = Math.max(analysis.totalColumns, sheet.columns);
+    sheetDone(index);
+  }
+
+  return analysis;
+};
+
+/**
+ * Read a window of rows from one sheet, stopping once the window is filled
+ * @param {string} filePath - Local path of the spreadsheet
+ * @param {string} fileType - File type (see openSpreadsheet)
+ * @param {Object} options - `sheet` (the first sheet when empty), `offset`, `limit`;
+ *   `layout` is the sheet's layout, the whole sheet being read without one;
+ *   `countRows` keeps reading to the end of the sheet to count its rows; CSV/TSV files
+ *   are read in their `dialect` and `locale`
+ * @returns {Promise<Object>} `{ sheetName, sheetNames, rows, rowNumbers, totalRows }`; rows
+ *   are arrays of cell values, the header row first, rowNumbers their 1-based rows in the
+ *   sheet, and totalRows is only set when counted
+ */
+const readRowWindow = async (filePath, fileType, {
+  sheet, offset = 0, limit = 1000, countRows = false, layout = null, dialect = {}, locale = null
+} = {}) => {
+  const spreadsheet = await openSpreadsheet(filePath, fileType, { dialect });
+  const sheetName = sheet || spreadsheet.sheetNames[0];
+  if (!spreadsheet.sheetNames.includes(sheetName)) {
+    throw streamError(`Sheet "${sheetName}" not found`, 'SHEET_NOT_FOUND');
+  }
+
+  const rows = [];
+  const rowNumbers = [];
+  let index = 0;
+  for await (const { number, values } of applyLayout(spreadsheet.readRows(sheetName, { locale }), layout)) {
+    if (index >= offset && rows.length < limit) {
+      rows.push(values);
+      rowNumbers.push(number);
+    }
+    index += 1;
+    if (rows.length >= limit && !countRows) break;
+  }
+
+  return {
+    sheetName,
+    sheetNames: spreadsheet.sheetNames,
+    rows,
+    rowNumbers,
+    ...(countRows && { totalRows: index })
+  };
+};
+
+/**
+ * Run `callback` with a local path of the uploaded file: its temporary copy
+ * while it is being processed, the stored file when it is kept on this
+ * server's disk, and otherwise a temporary download (removed afterwards)
+ * @param {Object} file - File document, or a version of one
+ * @param {Function} callback - Receives the local path
+ * @returns {Promise<*>} Whatever `callback` returns
+ */
+const withLocalCopy = async (file, callback) => {
+  if (file.filePath && fs.existsSync(file.filePath)) {
+    return callback(file.filePath);
+  }
+  const storedPath = localPathOf(file);
+  if (storedPath && fs.existsSync(storedPath)) {
+    return callback(storedPath);
+  }
+  if (storedPath || !fileLocation(file)) {
+    throw streamError('File not found. Please re-upload the file.', 'FILE_NOT_FOUND', 404);
+  }
+
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const tempPath = path.join(os.tmpdir(), `excel-stream-${uniqueSuffix}.${file.fileType}`);
+  try {
+    await downloadStoredFile(file, tempPath);
+    return await callback(tempPath);
+  } finally {
+    fs.promises.unlink(tempPath).catch(() => {});
+  }
+};
+
+module.exports = {
+  localName,
+  parseXml,
+  readSharedStrings,
+  openXlsxPackage,
+  openSpreadsheet,
+  readCsvRows,
+  trackProgress,
+  profileSpreadsheet,
+  readRowWindow,
+  withLocalCopy
+};
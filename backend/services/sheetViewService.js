@@ -0,0 +1,610 @@
+// Sheets as a spreadsheet program shows them, for the read-only viewer: cell
+// text in its number format, the formulas behind computed values, fonts,
+// fills, borders and alignment, merged ranges, frozen panes, column widths and
+// row heights, read a window of rows at a time from the stored workbook.
+//
+// XLSX sheets are read straight out of the zip with a SAX parser, stopping
+// after the window; merged ranges are listed after the cells, so the rest of
+// the sheet is only searched for them. SheetJS parses .xls, .xlsb and .ods
+// whole and keeps their merges, formulas, number formats and fill colours, but
+// not their fonts, borders or panes. CSV, TSV, JSON and Parquet files have
+// values only.
+const XLSX = require('xlsx');
+const { SaxesParser } = require('saxes');
+const {
+  localName, parseXml, readSharedStrings, openXlsxPackage, openSpreadsheet, withLocalCopy
+} = require('./sheetStreamService');
+const { fileDialect } = require('./csvDialectService');
+const { fileLocale } = require('./typeInferenceService');
+
+// Columns past this are left out of views
+const MAX_VIEW_COLUMNS = 200;
+// Excel's defaults: 8.43 characters wide, 15 points high
+const DEFAULT_COLUMN_WIDTH = 8.43;
+const DEFAULT_ROW_HEIGHT = 15;
+const SHEETJS_TYPES = ['xls', 'xlsb', 'ods'];
+
+// Theme colour indexes name the scheme's colours in this order, light and dark swapped
+const THEME_COLORS = [
+  'lt1', 'dk1', 'lt2', 'dk2', 'accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6', 'hlink', 'folHlink'
+];
+
+// The legacy palette indexed colours pick from, unless a workbook defines its own
+const INDEXED_COLORS = [
+  '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+  '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+  '800000', '008000', '000080', '808000', '800080', '008080', 'C0C0C0', '808080',
+  '9999FF', '993366', 'FFFFCC', 'CCFFFF', '660066', 'FF8080', '0066CC', 'CCCCFF',
+  '000080', 'FF00FF', 'FFFF00', '00FFFF', '800080', '800000', '008080', '0000FF',
+  '00CCFF', 'CCFFFF', 'CCFFCC', 'FFFF99', '99CCFF', 'FF99CC', 'CC99FF', 'FFCC99',
+  '3366FF', '33CCCC', '99CC00', 'FFCC00', 'FF9900', 'FF6600', '666699', '969696',
+  '003366', '339966', '003300', '333300', '993300', '993366', '333399', '333333'
+];
+
+const BORDER_SIDES = { left: 'left', start: 'left', right: 'right', end: 'right', top: 'top', bottom: 'bottom' };
+
+// Merged ranges in raw sheet XML, looked for once the window has been read
+const MERGE_CELL_PATTERN = /<(?:[\w.-]+:)?mergeCell\b[^>]*?\bref=["']([^"']+)["']/g;
+
+const viewError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const isOn = (attributes) => attributes.val !== '0' && attributes.val !== 'false';
+
+// Column widths are in characters of the default font, row heights in points
+const columnWidthPixels = (characters) => Math.round(characters * 7 + 5);
+const rowHeightPixels = (points) => Math.round((points * 4) / 3);
+
+// Lighten (positive) or darken (negative) a colour's luminance by a tint
+const applyTint = (hex, tint) => {
+  if (!tint) return hex;
+  const [r, g, b] = [0, 2, 4].map(start => parseInt(hex.slice(start, start + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const range = max - min;
+  let lightness = (max + min) / 2;
+  let hue = 0;
+  let saturation = 0;
+  if (range > 0) {
+    saturation = lightness > 0.5 ? range / (2 - max - min) : range / (max + min);
+    if (max === r) hue = (g - b) / range + (g < b ? 6 : 0);
+    else if (max === g) hue = (b - r) / range + 2;
+    else hue = (r - g) / range + 4;
+    hue /= 6;
+  }
+  lightness = tint < 0 ? lightness * (1 + tint) : lightness * (1 - tint) + tint;
+
+  const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+  const p = 2 * lightness - q;
+  const channel = (t) => {
+    const shifted = (t + 1) % 1;
+    if (shifted < 1 / 6) return p + (q - p) * 6 * shifted;
+    if (shifted < 1 / 2) return q;
+    if (shifted < 2 / 3) return p + (q - p) * (2 / 3 - shifted) * 6;
+    return p;
+  };
+  return [hue + 1 / 3, hue, hue - 1 / 3]
+    .map(t => Math.round((saturation === 0 ? lightness : channel(t)) * 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+};
+
+// Colours of the workbook's theme, by theme index
+const readThemeColors = async (entry) => {
+  const colors = {};
+  if (!entry) return [];
+  let slot = null;
+  await parseXml(entry.stream(), {
+    open: (name, attributes) => {
+      if (THEME_COLORS.includes(name)) slot = name;
+      else if (slot && name === 'srgbClr') colors[slot] = attributes.val;
+      else if (slot && name === 'sysClr') colors[slot] = attributes.lastClr;
+    },
+    close: (name) => {
+      if (name === slot) slot = null;
+    }
+  });
+  return THEME_COLORS.map(name => colors[name] || null);
+};
+
+// The fonts, fills, borders, alignment and number format of every cell style
+const readCellStyles = async (entry, themeColors) => {
+  const numberFormats = new Map();
+  const fonts = [];
+  const fills = [];
+  const borders = [];
+  const cellFormats = [];
+  const indexedColors = [];
+  if (entry) {
+    let section = null;
+    let current = null;
+    let side = null;
+    await parseXml(entry.stream(), {
+      open: (name, attributes) => {
+        if (['fonts', 'fills', 'borders', 'cellXfs', 'cellStyleXfs', 'dxfs', 'indexedColors'].includes(name)) {
+          section = name;
+        } else if (name === 'numFmt' && section !== 'dxfs') {
+          numberFormats.set(Number(attributes.numFmtId), attributes.formatCode);
+        } else if (section === 'fonts') {
+          if (name === 'font') fonts.push(current = {});
+          else if (name === 'b') current.bold = isOn(attributes);
+          else if (name === 'i') current.italic = isOn(attributes);
+          else if (name === 'strike') current.strike = isOn(attributes);
+          else if (name === 'u') current.underline = attributes.val !== 'none';
+          else if (name === 'sz') current.size = Number(attributes.val);
+          else if (name === 'name') current.name = attributes.val;
+          else if (name === 'color') current.color = attributes;
+        } else if (section === 'fills') {
+          if (name === 'fill') fills.push(current = {});
+          else if (name === 'patternFill') current.pattern = attributes.patternType || 'none';
+          else if (name === 'fgColor') current.color = attributes;
+        } else if (section === 'borders') {
+          if (name === 'border') {
+            borders.push(current = {});
+          } else if (BORDER_SIDES[name]) {
+            side = BORDER_SIDES[name];
+            if (attributes.style && attributes.style !== 'none') current[side] = { style: attributes.style };
+          } else if (name === 'color' && side && current[side]) {
+            current[side].color = attributes;
+          }
+        } else if (section === 'cellXfs') {
+          if (name === 'xf') {
+            cellFormats.push(current = {
+              numberFormat: Number(attributes.numFmtId || 0),
+              font: Number(attributes.fontId || 0),
+              fill: Number(attributes.fillId || 0),
+              border: Number(attributes.borderId || 0)
+            });
+          } else if (name === 'alignment') {
+            current.alignment = attributes;
+          }
+        } else if (section === 'indexedColors' && name === 'rgbColor') {
+          indexedColors.push(attributes.rgb.slice(-6));
+        }
+      },
+      close: (name) => {
+        if (name === section) section = null;
+        else if (BORDER_SIDES[name]) side = null;
+      }
+    });
+  }
+
+  const palette = indexedColors.length > 0 ? indexedColors : INDEXED_COLORS;
+  const colorOf = (color) => {
+    if (!color) return null;
+    let hex = null;
+    if (color.rgb) hex = color.rgb.slice(-6);
+    else if (color.theme !== undefined) hex = themeColors[Number(color.theme)];
+    else if (color.indexed !== undefined) hex = palette[Number(color.indexed)];
+    return hex ? `#${applyTint(hex.toUpperCase(), Number(color.tint || 0))}` : null;
+  };
+
+  const defaultFont = fonts[0] || {};
+  const styleOf = (index) => {
+    const format = cellFormats[index];
+    if (!format) return {};
+    const style = {};
+    const font = fonts[format.font] || {};
+    if (font.bold) style.bold = true;
+    if (font.italic) style.italic = true;
+    if (font.underline) style.underline = true;
+    if (font.strike) style.strike = true;
+    if (font.size && font.size !== defaultFont.size) style.fontSize = font.size;
+    if (font.name && font.name !== defaultFont.name) style.fontName = font.name;
+    const color = colorOf(font.color);
+    if (color) style.color = color;
+
+    const fill = fills[format.fill];
+    const background = fill && fill.pattern !== 'none' ? colorOf(fill.color) : null;
+    if (background) style.fill = background;
+
+    const border = borders[format.border] || {};
+    const sides = Object.keys(border);
+    if (sides.length > 0) {
+      style.borders = Object.fromEntries(sides.map(name => [
+        name,
+        { style: border[name].style, color: colorOf(border[name].color) || '#000000' }
+      ]));
+    }
+
+    const alignment = format.alignment || {};
+    if (alignment.horizontal && alignment.horizontal !== 'general') style.horizontal = alignment.horizontal;
+    if (alignment.vertical) style.vertical = alignment.vertical;
+    if (alignment.wrapText === '1' || alignment.wrapText === 'true') style.wrap = true;
+    if (Number(alignment.indent) > 0) style.indent = Number(alignment.indent);
+    return style;
+  };
+
+  return {
+    defaultFont: { name: defaultFont.name || null, size: defaultFont.size || null },
+    // Custom format codes by ID, else the built-in format's ID, which SheetJS knows
+    numberFormatOf: (index) => {
+      const id = cellFormats[index]?.numberFormat || 0;
+      return numberFormats.get(id) ?? id;
+    },
+    styleOf
+  };
+};
+
+// A shared formula as written in another cell: its relative references move
+// with the cell, while quoted text and sheet names stay as they are
+const shiftFormula = (formula, rows, columns) => formula
+  .split(/("(?:[^"]|"")*"|'(?:[^']|'')*')/)
+  .map((part, index) => (index % 2 === 1 ? part : part.replace(
+    /(?<![A-Za-z0-9_.])(\$?)([A-Z]{1,3})(\$?)(\d+)(?![A-Za-z0-9_(])/g,
+    (reference, columnFixed, column, rowFixed, row) => {
+      const columnIndex = columnFixed ? XLSX.utils.decode_col(column) : XLSX.utils.decode_col(column) + columns;
+      const rowNumber = rowFixed ? Number(row) : Number(row) + rows;
+      if (columnIndex < 0 || rowNumber < 1) return '#REF!';
+      return `${columnFixed}${XLSX.utils.encode_col(columnIndex)}${rowFixed}${rowNumber}`;
+    }
+  )))
+  .join('');
+
+const formatNumber = (value, format, date1904) => {
+  try {
+    return XLSX.SSF.format(format, value, { date1904 });
+  } catch (formatError) {
+    return String(value);
+  }
+};
+
+// A cell's value and its text as displayed
+const xlsxCell = ({ type, style, text }, { sharedStrings, styles, date1904 }) => {
+  switch (type) {
+    case 's': {
+      const value = sharedStrings[Number(text)] ?? '';
+      return { value, text: value };
+    }
+    case 'inlineStr':
+    case 'str':
+    case 'e':
+    case 'd':
+      return { value: text, text };
+    case 'b': {
+      const value = text === '1' || text === 'true';
+      return { value, text: value ? 'TRUE' : 'FALSE' };
+    }
+    default: {
+      if (text === '') return { value: null, text: '' };
+      const value = Number(text);
+      if (!Number.isFinite(value)) return { value: text, text };
+      return { value, text: formatNumber(value, styles.numberFormatOf(style), date1904) };
+    }
+  }
+};
+
+const mergeOf = (reference) => {
+  const { s, e } = XLSX.utils.decode_range(reference);
+  return { firstRow: s.r + 1, lastRow: e.r + 1, firstColumn: s.c, lastColumn: e.c };
+};
+
+// Read the rows of an XLSX sheet from `startRow` until `limit` rows on, with
+// everything about the sheet that comes before or after its cells
+const readXlsxSheet = async (entry, { startRow, limit, ...context }) => {
+  const endRow = startRow + limit;
+  const sheet = {
+    dimension: null,
+    frozen: { rows: 0, columns: 0 },
+    columnWidths: [],
+    defaultColumnWidth: DEFAULT_COLUMN_WIDTH,
+    defaultRowHeight: DEFAULT_ROW_HEIGHT,
+    rows: [],
+    merges: [],
+    nextRow: null
+  };
+  // Shared formulas are written out in their first cell only, which may be above the window
+  const sharedFormulas = new Map();
+  let paneRead = false;
+  let done = false;
+  let rowNumber = 0;
+  let row = null;
+  let nextColumn = 0;
+  let cell = null;
+  let reading = null;
+
+  const parser = new SaxesParser();
+  parser.on('opentag', (node) => {
+    const name = localName(node.name);
+    const { attributes } = node;
+    if (name === 'mergeCell') {
+      sheet.merges.push(mergeOf(attributes.ref));
+    } else if (done) {
+      // Past the window
+    } else if (name === 'row') {
+      rowNumber = attributes.r ? Number(attributes.r) : rowNumber + 1;
+      nextColumn = 0;
+      if (rowNumber >= endRow) {
+        done = true;
+        sheet.nextRow = rowNumber;
+      } else if (rowNumber >= startRow) {
+        row = { number: rowNumber, height: attributes.ht ? Number(attributes.ht) : null, cells: [] };
+      }
+    } else if (name === 'c') {
+      const column = attributes.r ? XLSX.utils.decode_cell(attributes.r).c : nextColumn;
+      cell = { column, type: attributes.t || 'n', style: Number(attributes.s || 0), text: '', formula: null };
+      nextColumn = column + 1;
+    } else if (cell && (name === 'v' || (name === 't' && cell.type === 'inlineStr'))) {
+      reading = 'text';
+    } else if (cell && name === 'f') {
+      reading = 'formula';
+      cell.formula = '';
+      cell.shared = attributes.t === 'shared' ? attributes.si : null;
+    } else if (name === 'dimension') {
+      sheet.dimension = attributes.ref;
+    } else if (name === 'pane' && !paneRead) {
+      paneRead = true;
+      // Split panes that aren't frozen are measured in twips, so they're left out
+      if (attributes.state === 'frozen' || attributes.state === 'frozenSplit') {
+        sheet.frozen = { rows: Number(attributes.ySplit || 0), columns: Number(attributes.xSplit || 0) };
+      }
+    } else if (name === 'sheetFormatPr') {
+      if (attributes.defaultColWidth) sheet.defaultColumnWidth = Number(attributes.defaultColWidth);
+      if (attributes.defaultRowHeight) sheet.defaultRowHeight = Number(attributes.defaultRowHeight);
+    } else if (name === 'col' && attributes.width) {
+      const last = Math.min(Number(attributes.max), MAX_VIEW_COLUMNS);
+      for (let column = Number(attributes.min); column <= last; column += 1) {
+        sheet.columnWidths[column - 1] = Number(attributes.width);
+      }
+    }
+  });
+  parser.on('text', (text) => {
+    if (reading === 'text') cell.text += text;
+    else if (reading === 'formula') cell.formula += text;
+  });
+  parser.on('closetag', (node) => {
+    const name = localName(node.name);
+    if (name === 'v' || name === 't' || name === 'f') {
+      reading = null;
+    } else if (name === 'c' && cell) {
+      let { formula } = cell;
+      if (cell.shared !== null) {
+        const first = sharedFormulas.get(cell.shared);
+        if (formula) sharedFormulas.set(cell.shared, { formula, row: rowNumber, column: cell.column });
+        else if (first) formula = shiftFormula(first.formula, rowNumber - first.row, cell.column - first.column);
+      }
+      if (row && cell.column < MAX_VIEW_COLUMNS) {
+        const { value, text } = xlsxCell(cell, context);
+        // Empty cells are only kept for their formatting
+        if (value !== null || formula || cell.style !== 0) {
+          row.cells.push({ column: cell.column, value, text, formula: formula || null, style: cell.style });
+        }
+      }
+      cell = null;
+    } else if (name === 'row' && row) {
+      sheet.rows.push(row);
+      row = null;
+    }
+  });
+
+  const stream = entry.stream();
+  const decoder = new TextDecoder('utf-8');
+  let carry = '';
+  try {
+    for await (const chunk of stream) {
+      const text = decoder.decode(chunk, { stream: true });
+      let searched = text;
+      if (done) {
+        searched = carry + text;
+        for (const match of searched.matchAll(MERGE_CELL_PATTERN)) sheet.merges.push(mergeOf(match[1]));
+      } else {
+        parser.write(text);
+      }
+      // A tag cut off at the end of the chunk is searched with the next one
+      const lastTag = searched.lastIndexOf('<');
+      carry = done && lastTag !== -1 && searched.indexOf('>', lastTag) === -1 ? searched.slice(lastTag) : '';
+    }
+    if (!done) {
+      parser.write(decoder.decode());
+      parser.close();
+    }
+  } finally {
+    stream.destroy();
+  }
+  return sheet;
+};
+
+const readXlsxView = async (filePath, { sheetName, startRow, limit }) => {
+  const { sheets, partOfType, date1904 } = await openXlsxPackage(filePath);
+  const sheet = sheets.find(item => item.name === sheetName);
+  if (!sheet) throw viewError(`Sheet "${sheetName}" not found`, 'SHEET_NOT_FOUND', 404);
+
+  const themeColors = await readThemeColors(partOfType('theme', 'xl/theme/theme1.xml'));
+  const styles = await readCellStyles(partOfType('styles', 'xl/styles.xml'), themeColors);
+  const sharedStrings = await readSharedStrings(partOfType('sharedStrings', 'xl/sharedStrings.xml'));
+  const read = sheet.entry
+    ? await readXlsxSheet(sheet.entry, { startRow, limit, sharedStrings, styles, date1904 })
+    : { frozen: { rows: 0, columns: 0 }, columnWidths: [], rows: [], merges: [], nextRow: null };
+
+  const defaultWidth = columnWidthPixels(read.defaultColumnWidth || DEFAULT_COLUMN_WIDTH);
+  const defaultHeight = rowHeightPixels(read.defaultRowHeight || DEFAULT_ROW_HEIGHT);
+  const used = new Set(read.rows.flatMap(row => row.cells.map(cell => cell.style)));
+  return {
+    formatting: 'full',
+    sheetNames: sheets.map(item => item.name),
+    range: read.dimension ? XLSX.utils.decode_range(read.dimension) : null,
+    frozen: read.frozen,
+    defaultFont: styles.defaultFont,
+    defaultRowHeight: defaultHeight,
+    columnWidth: (column) => (read.columnWidths[column] ? columnWidthPixels(read.columnWidths[column]) : defaultWidth),
+    rows: read.rows.map(row => ({ ...row, height: row.height ? rowHeightPixels(row.height) : defaultHeight })),
+    merges: read.merges,
+    styles: Object.fromEntries([...used].map(index => [index, styles.styleOf(index)])),
+    nextRow: read.nextRow
+  };
+};
+
+const readWorkbookView = (filePath, { sheetName, startRow, limit }) => {
+  // Reading only the window's rows (sheetRows) would lose merges in .xlsb files
+  const workbook = XLSX.readFile(filePath, { sheets: sheetName, cellStyles: true, cellNF: true, cellFormula: true });
+  if (!workbook.SheetNames.includes(sheetName)) {
+    throw viewError(`Sheet "${sheetName}" not found`, 'SHEET_NOT_FOUND', 404);
+  }
+  const worksheet = workbook.Sheets[sheetName] || {};
+  const range = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : null;
+  const lastColumn = range ? Math.min(range.e.c, MAX_VIEW_COLUMNS - 1) : -1;
+  const lastRow = range ? Math.min(range.e.r + 1, startRow + limit - 1) : 0;
+
+  // Fill colours are all SheetJS keeps of cell styles, so styles are told apart by them
+  const fillStyles = new Map();
+  const styleIndex = (cell) => {
+    const rgb = cell.s?.patternType !== 'none' && cell.s?.fgColor?.rgb;
+    if (!rgb) return 0;
+    const fill = `#${rgb.slice(-6).toUpperCase()}`;
+    if (!fillStyles.has(fill)) fillStyles.set(fill, fillStyles.size + 1);
+    return fillStyles.get(fill);
+  };
+
+  const rows = [];
+  for (let number = startRow; number <= lastRow; number += 1) {
+    const cells = [];
+    for (let column = range.s.c; column <= lastColumn; column += 1) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r: number - 1, c: column })];
+      if (!cell) continue;
+      const value = cell.t === 'e' ? cell.w : cell.v ?? null;
+      cells.push({
+        column,
+        value: value instanceof Date ? value.toISOString() : value,
+        text: cell.w ?? (value === null ? '' : String(value)),
+        formula: cell.f || null,
+        style: styleIndex(cell)
+      });
+    }
+    const height = worksheet['!rows']?.[number - 1];
+    rows.push({ number, height: height?.hpx || (height?.hpt && rowHeightPixels(height.hpt)) || null, cells });
+  }
+
+  const defaultHeight = rowHeightPixels(DEFAULT_ROW_HEIGHT);
+  return {
+    formatting: 'partial',
+    sheetNames: workbook.SheetNames,
+    range,
+    frozen: { rows: 0, columns: 0 },
+    defaultFont: null,
+    defaultRowHeight: defaultHeight,
+    columnWidth: (column) => {
+      const width = worksheet['!cols']?.[column];
+      return width?.wpx || columnWidthPixels(width?.wch || DEFAULT_COLUMN_WIDTH);
+    },
+    rows: rows.map(row => ({ ...row, height: row.height || defaultHeight })),
+    merges: (worksheet['!merges'] || []).map(({ s, e }) => ({
+      firstRow: s.r + 1, lastRow: e.r + 1, firstColumn: s.c, lastColumn: e.c
+    })),
+    styles: Object.fromEntries([...fillStyles].map(([fill, index]) => [index, { fill }])),
+    nextRow: range && range.e.r + 1 >= startRow + limit ? startRow + limit : null
+  };
+};
+
+const plainText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) {
+    const text = value.toISOString();
+    return text.endsWith('T00:00:00.000Z') ? text.slice(0, 10) : text;
+  }
+  return String(value);
+};
+
+const readRecordView = async (filePath, file, { sheetName, startRow, limit }) => {
+  const spreadsheet = await openSpreadsheet(filePath, file.fileType, { dialect: fileDialect(file) });
+  if (!spreadsheet.sheetNames.includes(sheetName)) {
+    throw viewError(`Sheet "${sheetName}" not found`, 'SHEET_NOT_FOUND', 404);
+  }
+  const defaultHeight = rowHeightPixels(DEFAULT_ROW_HEIGHT);
+  const rows = [];
+  let nextRow = null;
+  for await (const { number, values } of spreadsheet.readRows(sheetName, { locale: fileLocale(file) })) {
+    if (number < startRow) continue;
+    if (number >= startRow + limit) {
+      nextRow = number;
+      break;
+    }
+    const cells = [];
+    values.slice(0, MAX_VIEW_COLUMNS).forEach((value, column) => {
+      if (value === null || value === undefined || value === '') return;
+      cells.push({
+        column,
+        value: value instanceof Date ? value.toISOString() : value,
+        text: plainText(value),
+        formula: null,
+        style: 0
+      });
+    });
+    rows.push({ number, height: defaultHeight, cells });
+  }
+
+  return {
+    formatting: 'none',
+    sheetNames: spreadsheet.sheetNames,
+    range: null,
+    frozen: { rows: 0, columns: 0 },
+    defaultFont: null,
+    defaultRowHeight: defaultHeight,
+    columnWidth: () => columnWidthPixels(DEFAULT_COLUMN_WIDTH),
+    rows,
+    merges: [],
+    styles: {},
+    nextRow
+  };
+};
+
+/**
+ * Read a window of a sheet's rows as a spreadsheet program shows them
+ * @param {Object} file - File document, or a version of one
+ * @param {Object} [options] - `sheet` (the first sheet when empty), `startRow` (1-based)
+ *   and the `limit` of rows from there
+ * @returns {Promise<Object>} `{ sheetName, sheetNames, formatting, startRow, nextRow, totalRows,
+ *   columnCount, truncatedColumns, columns, rows, merges, frozen, styles, defaultFont,
+ *   defaultRowHeight }`. Rows are `{ number, height, cells }` and cells `{ column, value,
+ *   text, formula, style }`, columns counting from 0 and rows from 1; `styles` are by the
+ *   indexes cells refer to; merges are the ranges that reach into the window; sizes are
+ *   in pixels and font sizes in points; nextRow is where the next window starts, or null
+ *   at the end of the sheet. `formatting` is 'full', 'partial' (fills only) or 'none'.
+ */
+const readSheetView = (file, { sheet, startRow = 1, limit = 100 } = {}) => withLocalCopy(file, async (filePath) => {
+  const sheetName = sheet || file.sheetNames?.[0];
+  const options = { sheetName, startRow, limit };
+  let view;
+  if (file.fileType === 'xlsx') view = await readXlsxView(filePath, options);
+  else if (SHEETJS_TYPES.includes(file.fileType)) view = readWorkbookView(filePath, options);
+  else view = await readRecordView(filePath, file, options);
+
+  const endRow = startRow + limit;
+  const merges = view.merges.filter(merge => merge.lastRow >= startRow && merge.firstRow < endRow
+    && merge.firstColumn < MAX_VIEW_COLUMNS);
+  const lastColumn = [
+    ...view.rows.map(row => row.cells[row.cells.length - 1]?.column ?? -1),
+    ...merges.map(merge => merge.lastColumn)
+  ].reduce((last, column) => Math.max(last, column), view.range ? view.range.e.c : -1);
+  const columnCount = Math.min(lastColumn + 1, MAX_VIEW_COLUMNS);
+
+  return {
+    sheetName,
+    sheetNames: view.sheetNames,
+    formatting: view.formatting,
+    startRow,
+    nextRow: view.nextRow,
+    totalRows: view.range ? view.range.e.r + 1 : null,
+    columnCount,
+    truncatedColumns: lastColumn + 1 > MAX_VIEW_COLUMNS,
+    columns: Array.from({ length: columnCount }, (unused, column) => ({ width: view.columnWidth(column) })),
+    rows: view.rows,
+    merges: merges.map(merge => ({ ...merge, lastColumn: Math.min(merge.lastColumn, MAX_VIEW_COLUMNS - 1) })),
+    frozen: {
+      rows: view.frozen.rows,
+      columns: Math.min(view.frozen.columns, columnCount)
+    },
+    styles: view.styles,
+    defaultFont: view.defaultFont,
+    defaultRowHeight: view.defaultRowHeight
+  };
+});
+
+module.exports = {
+  MAX_VIEW_COLUMNS,
+  readSheetView
+};
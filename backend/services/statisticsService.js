@@ -0,0 +1,157 @@
+// Descriptive statistics: a per-column profile of the analysed rows.
+// Dispersion and shape use the sample formulas Excel uses (STDEV.S, VAR.S,
+// SKEW, KURT) and quartiles use linear interpolation like QUARTILE.INC.
+const { toNumber, quantile, histogramBins } = require('./chartDataService');
+const { mode } = require('./aggregationService');
+
+// Share of non-empty cells that must parse as numbers for a column to be numeric
+const NUMERIC_THRESHOLD = 0.9;
+const TOP_VALUES = 10;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Number(value.toPrecision(12)));
+
+const numericProfile = (values) => {
+  const n = values.length;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const sumOfSquares = values.reduce((acc, value) => acc + Math.pow(value - mean, 2), 0);
+  const variance = n > 1 ? sumOfSquares / (n - 1) : null;
+  const stdDev = variance === null ? null : Math.sqrt(variance);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+
+  let skewness = null;
+  let kurtosis = null;
+  if (stdDev) {
+    const standardized = values.map(value => (value - mean) / stdDev);
+    if (n > 2) {
+      skewness = (n / ((n - 1) * (n - 2))) * standardized.reduce((acc, z) => acc + Math.pow(z, 3), 0);
+    }
+    if (n > 3) {
+      // Excess kurtosis: 0 for a normal distribution
+      kurtosis = (n * (n + 1)) / ((n - 1) * (n - 2) * (n - 3)) * standardized.reduce((acc, z) => acc + Math.pow(z, 4), 0)
+        - (3 * Math.pow(n - 1, 2)) / ((n - 2) * (n - 3));
+    }
+  }
+
+  return {
+    mean: round(mean),
+    median: round(quantile(sorted, 0.5)),
+    mode: mode(values),
+    stdDev: round(stdDev),
+    variance: round(variance),
+    min: sorted[0],
+    max: sorted[n - 1],
+    range: round(sorted[n - 1] - sorted[0]),
+    q1: round(q1),
+    q3: round(q3),
+    iqr: round(q3 - q1),
+    skewness: round(skewness),
+    kurtosis: round(kurtosis),
+    histogram: histogramBins(values).map(({ bin, binStart, binEnd, count }) => ({
+      bin,
+      binStart: round(binStart),
+      binEnd: round(binEnd),
+      count
+    }))
+  };
+};
+
+const categoricalProfile = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const topValues = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_VALUES)
+    .map(([value, count]) => ({ value, count }));
+
+  return {
+    mode: topValues.length > 0 && topValues[0].count > 1 ? topValues[0].value : null,
+    topValues
+  };
+};
+
+/**
+ * Profile a single column
+ * @param {Array<Object>} rows - Data rows
+ * @param {string} column - Column name
+ * @returns {Object} Column profile
+ */
+const profileColumn = (rows, column) => {
+  const present = rows.map(row => row[column]).filter(value => !isBlank(value));
+  const numbers = present.map(toNumber).filter(value => value !== null);
+  const isNumeric = present.length > 0 && numbers.length / present.length >= NUMERIC_THRESHOLD;
+
+  const profile = {
+    name: column,
+    type: isNumeric ? 'numeric' : 'categorical',
+    count: present.length,
+    nulls: rows.length - present.length,
+    unique: new Set(present.map(String)).size
+  };
+
+  if (isNumeric) {
+    return {
+      ...profile,
+      nonNumeric: present.length - numbers.length,
+      ...numericProfile(numbers)
+    };
+  }
+  return {
+    ...profile,
+    ...categoricalProfile(present.map(String))
+  };
+};
+
+/**
+ * Profile every selected column of a dataset
+ * @param {Array<Object>} rows - Filtered data rows
+ * @param {Array<string>} [columns] - Columns to profile (all columns when empty)
+ * @returns {Object} Row/column/null counts and one profile per column
+ */
+const describeColumns = (rows, columns = []) => {
+  const allColumns = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+  const selected = columns.length > 0 ? columns.filter(column => allColumns.includes(column)) : allColumns;
+
+  const profiles = selected.map(column => profileColumn(rows, column));
+
+  return {
+    rowCount: rows.length,
+    columnCount: selected.length,
+    nullValues: profiles.reduce((total, profile) => total + profile.nulls, 0),
+    columns: profiles
+  };
+};
+
+/**
+ * Summary table of column profiles, one row per column, for exports and insights
+ * @param {Array<Object>} profiles - Column profiles from describeColumns
+ * @returns {Array<Object>} Flat rows
+ */
+const summarizeProfiles = (profiles) => profiles.map(profile => ({
+  column: profile.name,
+  type: profile.type,
+  count: profile.count,
+  nulls: profile.nulls,
+  unique: profile.unique,
+  mean: profile.mean ?? null,
+  median: profile.median ?? null,
+  mode: profile.mode,
+  stdDev: profile.stdDev ?? null,
+  variance: profile.variance ?? null,
+  min: profile.min ?? null,
+  q1: profile.q1 ?? null,
+  q3: profile.q3 ?? null,
+  max: profile.max ?? null,
+  iqr: profile.iqr ?? null,
+  skewness: profile.skewness ?? null,
+  kurtosis: profile.kurtosis ?? null
+}));
+
+module.exports = {
+  describeColumns,
+  profileColumn,
+  summarizeProfiles
+};
@@ -0,0 +1,225 @@
+// Where uploaded files and analysis exports are kept, behind one interface:
+// put, get, stat and delete by key. Drivers keep them on the local disk, in
+// S3-compatible object storage or on Cloudinary; the one new files go to is
+// picked in config/storage.js, and each file records the driver and key it was
+// stored with, so files stay readable after the setting changes.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const storageConfig = require('../config/storage');
+const cloudinary = require('../config/cloudinary');
+const cloudinaryService = require('./cloudinaryService');
+const s3Service = require('./s3Service');
+
+const DRIVERS = ['local', 's3', 'cloudinary'];
+
+const storageError = (message, code, status = 500) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Path of a key in the storage directory, which keys can't climb out of
+const localPath = (key) => {
+  const root = path.resolve(storageConfig.local.directory);
+  const resolved = path.resolve(root, key);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw storageError('Invalid storage key', 'INVALID_STORAGE_KEY', 400);
+  }
+  return resolved;
+};
+
+const drivers = {
+  local: {
+    async put(filePath, key) {
+      const target = localPath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(filePath, target);
+      const { size } = await fs.promises.stat(target);
+      return { key, url: null, size };
+    },
+    async get(key) {
+      const stats = await this.stat(key);
+      if (!stats) throw storageError('Stored file not found', 'FILE_NOT_FOUND', 404);
+      return fs.createReadStream(localPath(key));
+    },
+    async stat(key) {
+      try {
+        const { size, mtime } = await fs.promises.stat(localPath(key));
+        return { size, lastModified: mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async delete(key) {
+      await fs.promises.rm(localPath(key), { force: true });
+    },
+    // Served through GET /api/files/:id/content instead
+    url: () => null
+  },
+
+  s3: {
+    async put(filePath, key, { contentType } = {}) {
+      const size = await s3Service.putObject(filePath, key, contentType);
+      return { key, url: null, size };
+    },
+    get: (key) => s3Service.getObject(key),
+    stat: (key) => s3Service.headObject(key),
+    delete: (key) => s3Service.deleteObject(key),
+    url: (key) => s3Service.presignedUrl(key)
+  },
+
+  // Cloudinary names uploads itself, so the key is its public ID
+  cloudinary: {
+    async put(filePath, key, { originalName } = {}) {
+      const result = await cloudinaryService.uploadExcelFile(filePath, originalName || path.basename(key));
+      return { key: result.public_id, url: result.url, size: result.bytes };
+    },
+    async get(key) {
+      const response = await axios({ method: 'GET', url: this.url(key), responseType: 'stream' });
+      return response.data;
+    },
+    async stat(key) {
+      try {
+        const result = await cloudinary.api.resource(key, { resource_type: 'raw' });
+        return { size: result.bytes, lastModified: new Date(result.created_at) };
+      } catch (error) {
+        if (error.error?.http_code === 404) return null;
+        throw error;
+      }
+    },
+    async delete(key) {
+      await cloudinaryService.deleteFile(key);
+    },
+    url: (key) => cloudinaryService.getFileUrl(key)
+  }
+};
+
+const driverFor = (name) => {
+  if (!DRIVERS.includes(name)) {
+    throw storageError(`Unknown storage driver "${name}"`, 'UNKNOWN_STORAGE_DRIVER');
+  }
+  return drivers[name];
+};
+
+/**
+ * Where a file (or a version of it) is stored. Files uploaded before storage
+ * drivers were recorded are on Cloudinary.
+ * @param {Object} entry - File document, version entry or analysis export
+ * @returns {Object|null} `{ driver, key }`, or null when it was never stored
+ */
+const fileLocation = (entry) => {
+  if (entry.storage?.driver && entry.storage?.key) {
+    return { driver: entry.storage.driver, key: entry.storage.key };
+  }
+  if (entry.cloudinaryPublicId) return { driver: 'cloudinary', key: entry.cloudinaryPublicId };
+  return null;
+};
+
+const locationOf = (entry) => {
+  const location = fileLocation(entry);
+  if (!location) throw storageError('File not found. Please re-upload the file.', 'FILE_NOT_FOUND', 404);
+  return location;
+};
+
+// Put a local file under a key with the configured driver
+const storeAs = async (filePath, key, options) => {
+  const name = storageConfig.driver;
+  const stored = await driverFor(name).put(filePath, key, options);
+  return { driver: name, ...stored };
+};
+
+/**
+ * Store an upload with the configured driver
+ * @param {string} filePath - Local path of the upload
+ * @param {Object} options - `userId`, `fileName` (unique), `originalName`, `contentType`
+ * @returns {Promise<Object>} `{ driver, key, url, size }`
+ */
+const storeUpload = (filePath, { userId, fileName, originalName, contentType }) =>
+  storeAs(filePath, `files/${userId}/${fileName}`, { originalName, contentType });
+
+/**
+ * Store a rendered export of an analysis with the configured driver
+ * @param {string} filePath - Local path of the rendered export
+ * @param {Object} options - `analysisId`, `fileName` (unique), `contentType`
+ * @returns {Promise<Object>} `{ driver, key, url, size }`
+ */
+const storeExport = (filePath, { analysisId, fileName, contentType }) =>
+  storeAs(filePath, `exports/${analysisId}/${fileName}`, { originalName: fileName, contentType });
+
+/**
+ * The contents of a stored file
+ * @param {Object} entry - File document, version entry or analysis export
+ * @returns {Promise<stream.Readable>}
+ */
+const openStoredFile = (entry) => {
+  const { driver, key } = locationOf(entry);
+  return driverFor(driver).get(key);
+};
+
+/**
+ * Size and modification time of a stored file
+ * @param {Object} entry - File document, version entry or analysis export
+ * @returns {Promise<Object|null>} `{ size, lastModified }`, or null when it is gone
+ */
+const statStoredFile = async (entry) => {
+  const location = fileLocation(entry);
+  if (!location) return null;
+  return driverFor(location.driver).stat(location.key);
+};
+
+/**
+ * Remove a stored file; entries that were never stored are left alone
+ * @param {Object} entry - File document, version entry or analysis export
+ */
+const deleteStoredFile = async (entry) => {
+  const location = fileLocation(entry);
+  if (!location) return;
+  await driverFor(location.driver).delete(location.key);
+};
+
+/**
+ * A URL a browser can download a stored file from directly
+ * @param {Object} entry - File document, version entry or analysis export
+ * @returns {string|null} Null for drivers whose files are only served by the API
+ */
+const storedFileUrl = (entry) => {
+  const location = fileLocation(entry);
+  if (!location) return null;
+  return driverFor(location.driver).url(location.key);
+};
+
+/**
+ * Local path of a file kept on this server's disk, so it can be read in place
+ * @param {Object} entry - File document, version entry or analysis export
+ * @returns {string|null} Null when it is stored elsewhere
+ */
+const localPathOf = (entry) => {
+  const location = fileLocation(entry);
+  return location?.driver === 'local' ? localPath(location.key) : null;
+};
+
+/**
+ * Copy a stored file to a local path
+ * @param {Object} entry - File document, version entry or analysis export
+ * @param {string} target - Local path to write
+ */
+const downloadStoredFile = async (entry, target) => {
+  await pipeline(await openStoredFile(entry), fs.createWriteStream(target));
+};
+
+module.exports = {
+  DRIVERS,
+  fileLocation,
+  storeUpload,
+  storeExport,
+  openStoredFile,
+  statStoredFile,
+  deleteStoredFile,
+  storedFileUrl,
+  localPathOf,
+  downloadStoredFile
+};
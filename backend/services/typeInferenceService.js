@@ -0,0 +1,422 @@
+// Column types of uploaded sheets, and turning cells into values of those types.
+//
+// Text cells are read with the file's locale: its decimal and thousands
+// separators ("1,234.56" or "1.234,56") and the order of day, month and year in
+// dates written with numbers ("03/04/2024"). Only the formats below count as
+// numbers or dates, unlike `Number()` and `Date.parse`, which accept IDs, hex,
+// bare years and most free text.
+const { cellToDate } = require('./formulaService');
+
+const COLUMN_TYPES = [
+  'integer', 'float', 'currency', 'percent', 'date', 'datetime', 'boolean', 'categorical', 'id', 'string', 'mixed',
+  // Types of files processed before types were refined
+  'number'
+];
+const NUMERIC_TYPES = ['integer', 'float', 'currency', 'percent', 'number'];
+const DATE_TYPES = ['date', 'datetime'];
+
+const DEFAULT_LOCALE = { decimalSeparator: '.', thousandsSeparator: ',', dateOrder: 'MDY' };
+
+// Share of a column's values that must agree on a type
+const TYPE_THRESHOLD = 0.9;
+// Text columns with at most this many distinct values (and mostly repeats) are categories
+const MAX_CATEGORIES = 500;
+// Excel serial numbers taken for dates in date-named columns (1954 to 2119)
+const SERIAL_DATE_RANGE = [20000, 80000];
+
+const CURRENCY_SYMBOLS = '$€£¥₹₩₽₺₪฿₫₱';
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'CAD', 'AUD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'ZAR'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CURRENCY_PATTERN = new RegExp(`^(?:[${CURRENCY_SYMBOLS}]|(?:${CURRENCY_CODES.join('|')})\\s?)|(?:[${CURRENCY_SYMBOLS}]|\\s?(?:${CURRENCY_CODES.join('|')}))$`, 'i');
+const ID_NAME_PATTERN = /(^|[\s_.-])(id|code|key|sku|ref|zip|postcode|postal code|no|number)$|[a-z]Id$/i;
+const DATE_NAME_PATTERN = /date|time|day|created|updated|modified|(^|[\s_])at$/i;
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const NUMERIC_DATE = /^(\d{1,4})([/.-])(\d{1,2})\2(\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i;
+const DAY_MONTH_NAME_DATE = /^(\d{1,2})[\s-]([A-Za-z]{3,9})\.?[\s-](\d{2,4})$/;
+const MONTH_NAME_DATE = /^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/;
+// Codes such as INV-00123 or AB12345: no spaces, with a run of digits
+const CODE_PATTERN = /^(?=.*\d{3})[A-Za-z0-9]+(?:[-_/#.][A-Za-z0-9]+)*$/;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const numberPatterns = new Map();
+// Plain and digit-grouped numbers in a locale, e.g. 1234,5 or 1.234,5
+const numberPattern = ({ decimalSeparator, thousandsSeparator }) => {
+  const key = `${decimalSeparator}${thousandsSeparator}`;
+  if (!numberPatterns.has(key)) {
+    const decimal = escapeRegExp(decimalSeparator);
+    // Spaces, non-breaking spaces and apostrophes group digits in any locale
+    const groups = `[${escapeRegExp(thousandsSeparator)} \\u00a0\\u202f']`;
+    numberPatterns.set(key, new RegExp(`^(?:\\d{1,3}(?:${groups}\\d{3})+|\\d+)?(?:${decimal}\\d+)?(?:[eE][+-]?\\d+)?$`));
+  }
+  return numberPatterns.get(key);
+};
+
+/**
+ * Parse a number written as text in a locale; currency marks, percent signs,
+ * signs and accounting parentheses are accepted
+ * @param {string} text - Cell text
+ * @param {Object} locale - `{ decimalSeparator, thousandsSeparator }`
+ * @returns {Object|null} `{ number, currency, percent }`, or null when the text isn't a number
+ */
+const parseNumberText = (text, locale) => {
+  let body = text.trim();
+  let negative = false;
+  if (/^\(.*\)$/.test(body)) {
+    negative = true;
+    body = body.slice(1, -1).trim();
+  }
+  if (/^[-+]/.test(body)) {
+    negative = negative || body[0] === '-';
+    body = body.slice(1).trim();
+  }
+
+  let currency = false;
+  const currencyMatch = CURRENCY_PATTERN.exec(body);
+  if (currencyMatch) {
+    currency = true;
+    body = (currencyMatch.index === 0 ? body.slice(currencyMatch[0].length) : body.slice(0, currencyMatch.index)).trim();
+    if (/^-/.test(body)) {
+      negative = true;
+      body = body.slice(1).trim();
+    }
+  }
+
+  let percent = false;
+  if (body.endsWith('%')) {
+    percent = true;
+    body = body.slice(0, -1).trim();
+  }
+
+  if (!/\d/.test(body) || !numberPattern(locale).test(body)) return null;
+  const normalized = body
+    .replace(/[ \u00a0\u202f']/g, '')
+    .split(locale.thousandsSeparator).join('')
+    .replace(locale.decimalSeparator, '.');
+  const number = Number(normalized) * (negative ? -1 : 1);
+  if (!Number.isFinite(number)) return null;
+  return { number: percent ? number / 100 : number, currency, percent };
+};
+
+const twoDigitYear = (year) => (year < 100 ? (year < 50 ? 2000 + year : 1900 + year) : year);
+
+const buildDate = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+  if (month < 1 || month > 12 || day < 1 || hours > 23 || minutes > 59 || seconds > 59) return null;
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  return date.getUTCDate() === day ? date : null;
+};
+
+const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+
+/**
+ * Parse a date written as text: ISO dates and times, numeric dates in the
+ * locale's day/month order, and dates with month names (12 Jan 2024, Jan 12, 2024)
+ * @param {string} text - Cell text
+ * @param {Object} locale - `{ dateOrder }`: 'MDY', 'DMY' or 'YMD'
+ * @returns {Object|null} `{ date, hasTime }`, or null when the text isn't a date
+ */
+const parseDateText = (text, locale) => {
+  const value = text.trim();
+  let match = ISO_DATE.exec(value);
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds, zone] = match;
+    let date = buildDate(Number(year), Number(month), Number(day), Number(hours || 0), Number(minutes || 0), Number(seconds || 0));
+    if (date && zone && zone.toUpperCase() !== 'Z') {
+      const sign = zone[0] === '-' ? -1 : 1;
+      const [offsetHours, offsetMinutes] = [zone.slice(1, 3), zone.slice(-2)].map(Number);
+      date = new Date(date.getTime() - sign * (offsetHours * 60 + offsetMinutes) * 60000);
+    }
+    return date && { date, hasTime: hours !== undefined };
+  }
+
+  match = NUMERIC_DATE.exec(value);
+  if (match) {
+    const [, first, , second, third, hours, minutes, seconds, meridiem] = match;
+    let year;
+    let month;
+    let day;
+    if (first.length === 4 || locale.dateOrder === 'YMD') {
+      [year, month, day] = [first, second, third].map(Number);
+    } else if (third.length >= 2) {
+      [month, day] = locale.dateOrder === 'DMY' ? [Number(second), Number(first)] : [Number(first), Number(second)];
+      year = twoDigitYear(Number(third));
+    } else {
+      return null;
+    }
+    let hour = Number(hours || 0);
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+    }
+    const date = buildDate(year, month, day, hour, Number(minutes || 0), Number(seconds || 0));
+    return date && { date, hasTime: hours !== undefined };
+  }
+
+  match = DAY_MONTH_NAME_DATE.exec(value);
+  if (match && monthIndex(match[2]) >= 0) {
+    const date = buildDate(twoDigitYear(Number(match[3])), monthIndex(match[2]) + 1, Number(match[1]));
+    return date && { date, hasTime: false };
+  }
+  match = MONTH_NAME_DATE.exec(value);
+  if (match && monthIndex(match[1]) >= 0) {
+    const date = buildDate(Number(match[3]), monthIndex(match[1]) + 1, Number(match[2]));
+    return date && { date, hasTime: false };
+  }
+  return null;
+};
+
+const hasTime = (date) => date.getUTCHours() !== 0 || date.getUTCMinutes() !== 0 || date.getUTCSeconds() !== 0;
+
+/**
+ * What a single cell looks like
+ * @param {*} value - Cell value
+ * @param {Object} locale - File locale
+ * @returns {Object|null} `{ kind, number }`: kind is integer, float, currency, percent,
+ *   date, datetime, boolean, code (digits with leading zeros) or text; null for blanks
+ */
+const classifyValue = (value, locale) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'boolean') return { kind: 'boolean' };
+  if (value instanceof Date) return { kind: hasTime(value) ? 'datetime' : 'date' };
+  if (typeof value === 'number') return { kind: Number.isInteger(value) ? 'integer' : 'float', number: value };
+
+  const text = String(value).trim();
+  if (/^(true|false)$/i.test(text)) return { kind: 'boolean' };
+  if (/^0\d+$/.test(text)) return { kind: 'code' };
+
+  const parsed = parseNumberText(text, locale);
+  if (parsed) {
+    let kind = Number.isInteger(parsed.number) ? 'integer' : 'float';
+    if (parsed.percent) kind = 'percent';
+    else if (parsed.currency) kind = 'currency';
+    return { kind, number: parsed.number };
+  }
+  const date = parseDateText(text, locale);
+  if (date) return { kind: date.hasTime ? 'datetime' : 'date' };
+  return { kind: CODE_PATTERN.test(text) ? 'codeText' : 'text' };
+};
+
+/**
+ * Work out a locale from sample cells: separators from grouped numbers such as
+ * "1.234,56", and day/month order from dates whose first or second part is over 12
+ * @param {Array} values - Sample cell values
+ * @returns {Object} `{ decimalSeparator, thousandsSeparator, dateOrder }`
+ */
+const detectLocale = (values) => {
+  let commaDecimal = 0;
+  let dotDecimal = 0;
+  let dayFirst = 0;
+  let monthFirst = 0;
+
+  values.forEach(value => {
+    if (typeof value !== 'string') return;
+    const text = value.trim();
+    // Signs, currency marks and percent signs around the digits don't matter here
+    const digits = text.length <= 30 ? text.replace(/^\D{0,5}(?=\d)|(?<=\d)\D{0,5}$/g, '') : '';
+    if (/^\d{1,3}(\.\d{3})+,\d+$|^\d+,\d{1,2}$/.test(digits)) commaDecimal += 1;
+    else if (/^\d{1,3}(,\d{3})+\.\d+$|^\d+\.\d{1,2}$/.test(digits)) dotDecimal += 1;
+
+    const date = /^(\d{1,2})([/.-])(\d{1,2})\2\d{2,4}\b/.exec(text);
+    if (date) {
+      // Dates with dots (31.12.2024) are written day first
+      if (Number(date[1]) > 12 || date[2] === '.') dayFirst += 1;
+      else if (Number(date[3]) > 12) monthFirst += 1;
+    }
+  });
+
+  const decimalSeparator = commaDecimal > dotDecimal ? ',' : '.';
+  let dateOrder = decimalSeparator === ',' ? 'DMY' : 'MDY';
+  if (dayFirst > monthFirst) dateOrder = 'DMY';
+  else if (monthFirst > dayFirst) dateOrder = 'MDY';
+  return {
+    decimalSeparator,
+    thousandsSeparator: decimalSeparator === ',' ? '.' : ',',
+    dateOrder
+  };
+};
+
+/**
+ * Running tally of the kinds of value seen in a column
+ * @returns {Object} Tally to pass to `tallyValue` and `inferColumnType`
+ */
+const createTypeTally = () => ({
+  count: 0,
+  kinds: {},
+  min: Infinity,
+  max: -Infinity
+});
+
+const tallyValue = (tally, value, locale) => {
+  const classified = classifyValue(value, locale);
+  if (!classified) return;
+  tally.count += 1;
+  tally.kinds[classified.kind] = (tally.kinds[classified.kind] || 0) + 1;
+  if (classified.number !== undefined) {
+    tally.min = Math.min(tally.min, classified.number);
+    tally.max = Math.max(tally.max, classified.number);
+  }
+};
+
+/**
+ * Type of a column from its tally
+ * @param {Object} tally - From `createTypeTally`/`tallyValue`
+ * @param {Object} column - `name`, `uniqueCount`, and `saturated` when there were
+ *   more distinct values than were counted
+ * @returns {string} One of COLUMN_TYPES
+ */
+const inferColumnType = (tally, { name = '', uniqueCount = 0, saturated = false } = {}) => {
+  const { count, kinds } = tally;
+  if (count === 0) return 'string';
+  const share = (...names) => names.reduce((sum, kind) => sum + (kinds[kind] || 0), 0) / count;
+  const mostlyUnique = saturated || uniqueCount >= count * TYPE_THRESHOLD;
+  const idName = ID_NAME_PATTERN.test(name.trim());
+
+  if (share('boolean') >= TYPE_THRESHOLD) return 'boolean';
+  if (share('code') >= TYPE_THRESHOLD) return 'id';
+
+  const numeric = share('integer', 'float', 'currency', 'percent');
+  if (numeric >= TYPE_THRESHOLD) {
+    if (share('currency') >= numeric / 2) return 'currency';
+    if (share('percent') >= numeric / 2) return 'percent';
+    if (!kinds.float) {
+      if (idName) return 'id';
+      if (DATE_NAME_PATTERN.test(name) && tally.min >= SERIAL_DATE_RANGE[0] && tally.max <= SERIAL_DATE_RANGE[1]) return 'date';
+      return 'integer';
+    }
+    return 'float';
+  }
+
+  const dates = share('date', 'datetime');
+  if (dates >= TYPE_THRESHOLD) return kinds.datetime ? 'datetime' : 'date';
+
+  if (share('text', 'codeText', 'code') >= TYPE_THRESHOLD) {
+    if (mostlyUnique && (idName || share('codeText', 'code') >= TYPE_THRESHOLD)) return 'id';
+    if (!saturated && uniqueCount <= MAX_CATEGORIES && uniqueCount <= count * 0.5) return 'categorical';
+    return 'string';
+  }
+  if (idName && mostlyUnique) return 'id';
+  return 'mixed';
+};
+
+/**
+ * Convert a cell to its column's type; cells that don't fit become null
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @param {Object} [locale] - File locale
+ * @returns {*} Number, Date, boolean or string
+ */
+const coerceValue = (value, type, locale = DEFAULT_LOCALE) => {
+  if (isBlank(value)) return null;
+
+  if (NUMERIC_TYPES.includes(type)) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return Number(value);
+    if (value instanceof Date) return null;
+    const parsed = parseNumberText(String(value), locale);
+    if (!parsed) return null;
+    return type === 'integer' ? Math.round(parsed.number) : parsed.number;
+  }
+  if (DATE_TYPES.includes(type)) {
+    if (value instanceof Date || typeof value === 'number') return cellToDate(value);
+    const parsed = parseDateText(String(value), locale);
+    return parsed ? parsed.date : null;
+  }
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(text)) return true;
+    if (['false', 'no', 'n', '0'].includes(text)) return false;
+    return null;
+  }
+  if (['id', 'categorical', 'string'].includes(type)) {
+    return value instanceof Date ? value.toISOString() : String(value);
+  }
+  // Cells of mixed columns are read one by one: plain numbers and true/false
+  // become numbers and booleans, anything else is kept as read
+  if (typeof value !== 'string') return value;
+  const classified = classifyValue(value, locale);
+  if (classified.kind === 'boolean') return value.trim().toLowerCase() === 'true';
+  if (['integer', 'float'].includes(classified.kind)) return classified.number;
+  return value;
+};
+
+/**
+ * Coerce row objects by their columns' types
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @param {Array<Object>} columnInfo - `{ name, type }` of the sheet's columns
+ * @param {Object} [locale] - File locale
+ * @returns {Array<Object>} New rows; columns without a type are left as they are
+ */
+const coerceRows = (rows, columnInfo = [], locale = DEFAULT_LOCALE) => {
+  const typed = columnInfo.filter(column => column.type);
+  if (typed.length === 0) return rows;
+  return rows.map(row => {
+    const result = { ...row };
+    typed.forEach(({ name, type }) => {
+      if (result[name] !== undefined) result[name] = coerceValue(result[name], type, locale);
+    });
+    return result;
+  });
+};
+
+/**
+ * Coerce a row of cells by position
+ * @param {Array} values - Cells, in column order
+ * @param {Array<string>} types - Type of each column
+ * @param {Object} [locale] - File locale
+ * @returns {Array} Coerced cells
+ */
+const coerceCells = (values, types, locale = DEFAULT_LOCALE) => values.map((value, index) => (
+  types[index] ? coerceValue(value, types[index], locale) : value
+));
+
+/**
+ * The locale to read a file's text cells with
+ * @param {Object} file - File document
+ * @returns {Object} `{ decimalSeparator, thousandsSeparator, dateOrder }`
+ */
+const fileLocale = (file) => {
+  const locale = file.locale || {};
+  return {
+    decimalSeparator: locale.decimalSeparator || DEFAULT_LOCALE.decimalSeparator,
+    thousandsSeparator: locale.thousandsSeparator ?? DEFAULT_LOCALE.thousandsSeparator,
+    dateOrder: locale.dateOrder || DEFAULT_LOCALE.dateOrder
+  };
+};
+
+/**
+ * The column profiles of one of a file's sheets
+ * @param {Object} file - File document
+ * @param {string} [sheetName] - Sheet (the first sheet when empty)
+ * @returns {Array<Object>} `{ name, type, ... }` of each column; files processed
+ *   before every sheet was profiled only have the first sheet's
+ */
+const sheetColumnInfo = (file, sheetName) => {
+  const name = sheetName || file.sheetNames?.[0];
+  const sheet = file.metadata?.sheets?.find(entry => entry.name === name);
+  if (sheet?.columnInfo?.length > 0) return sheet.columnInfo;
+  return name === file.sheetNames?.[0] ? file.columnInfo || [] : [];
+};
+
+module.exports = {
+  COLUMN_TYPES,
+  NUMERIC_TYPES,
+  DATE_TYPES,
+  DEFAULT_LOCALE,
+  parseNumberText,
+  parseDateText,
+  classifyValue,
+  detectLocale,
+  createTypeTally,
+  tallyValue,
+  inferColumnType,
+  coerceValue,
+  coerceRows,
+  coerceCells,
+  fileLocale,
+  sheetColumnInfo
+};
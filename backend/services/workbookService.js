@@ -0,0 +1,57 @@
+// Reading an uploaded sheet's table, streamed from wherever the upload is stored.
+const { headerNames, applyLayout, sheetLayout } = require('./sheetLayoutService');
+const { openSpreadsheet, withLocalCopy } = require('./sheetStreamService');
+const { fileDialect } = require('./csvDialectService');
+const { fileLocale } = require('./typeInferenceService');
+
+const workbookError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isBlank = value => value === null || value === undefined || value === '';
+
+/**
+ * Rows and header columns of one sheet, read a row at a time with the stream
+ * readers (XLSX through SAX, CSV and TSV in their recorded dialect and locale)
+ * rather than by loading the whole workbook
+ * @param {Object} file - File document
+ * @param {string} [sheetName] - Sheet to read (the first sheet when empty)
+ * @returns {Promise<Object>} `{ sheetName, columns, rows }`, rows keyed by the
+ *   header of the sheet's layout (its first row when it has none); blank cells
+ *   have no key and blank rows are left out
+ */
+const readSheet = (file, sheetName) => withLocalCopy(file, async (filePath) => {
+  const spreadsheet = await openSpreadsheet(filePath, file.fileType, { dialect: fileDialect(file) });
+  const name = sheetName || spreadsheet.sheetNames[0];
+  if (!spreadsheet.sheetNames.includes(name)) {
+    throw workbookError(`Sheet "${name}" not found`, 'SHEET_NOT_FOUND');
+  }
+
+  const rows = [];
+  let header = null;
+  let columns = [];
+  const tableRows = applyLayout(spreadsheet.readRows(name, { locale: fileLocale(file) }), sheetLayout(file, name));
+  for await (const { values } of tableRows) {
+    if (!header) {
+      header = values;
+      columns = headerNames(header);
+      continue;
+    }
+    // Cells past the end of the header get names of their own
+    if (values.length > columns.length) {
+      columns = headerNames(Array.from({ length: values.length }, (_, index) => header[index] ?? null));
+    }
+    const row = {};
+    values.forEach((value, index) => {
+      if (!isBlank(value)) row[columns[index]] = value;
+    });
+    if (Object.keys(row).length > 0) rows.push(row);
+  }
+  return { sheetName: name, columns, rows };
+});
+
+module.exports = {
+  readSheet
+};
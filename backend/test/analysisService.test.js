@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Analysis = require('../models/Analysis');
+const { computeAnalysis } = require('../services/analysisService');
+
+const ROWS = 200000;
+// What MongoDB allows a document, which Analysis.save() would exceed
+const MAX_DOCUMENT_BYTES = 16 * 1024 * 1024;
+
+const userId = new mongoose.Types.ObjectId();
+const filePath = path.join(os.tmpdir(), `analysis-test-${process.pid}.csv`);
+const file = { _id: new mongoose.Types.ObjectId(), userId, filePath, fileType: 'csv', sheetNames: ['Sheet1'] };
+
+test.before(() => {
+  const lines = ['id,region,product,quantity,price,score,note'];
+  for (let i = 0; i < ROWS; i++) {
+    lines.push(`${i},Region ${i % 5},Product ${i % 50},${i % 97},${(i % 1000) / 10},${(i * 7919) % 10007},Order number ${i}`);
+  }
+  fs.writeFileSync(filePath, lines.join('\n'));
+});
+
+test.after(() => fs.rmSync(filePath, { force: true }));
+
+// The analysis document Analysis.save() would write
+const analysisOf = async (type, chartType, config) => {
+  const data = await computeAnalysis(file, { type, chartType, config }, { id: String(userId), role: 'user' });
+  const analysis = new Analysis({ userId, fileId: file._id, name: `${type} ${chartType || ''}`, type, chartType, config, data });
+  assert.equal(analysis.validateSync(), undefined);
+  return analysis;
+};
+
+const assertFits = (analysis) => {
+  const size = mongoose.mongo.BSON.calculateObjectSize(analysis.toBSON());
+  assert.ok(size < MAX_DOCUMENT_BYTES, `${analysis.name} takes ${size} bytes`);
+};
+
+const ANALYSES = [
+  ['chart', 'bar', { dataSelection: { xAxisColumn: 'id', yAxisColumn: 'quantity' } }],
+  ['chart', 'box', { dataSelection: { xAxisColumn: 'region', yAxisColumn: 'price' } }],
+  ['chart', 'violin', { dataSelection: { xAxisColumn: 'product', yAxisColumn: 'score' } }],
+  ['chart', 'scatter', { dataSelection: { xAxisColumn: 'price', yAxisColumn: 'score' }, regressionConfig: { model: 'linear' } }],
+  ['regression', undefined, { dataSelection: { xAxisColumn: 'price', yAxisColumn: 'score' }, regressionConfig: { model: 'polynomial', degree: 3 } }],
+  ['pivot', undefined, { pivotConfig: { rows: ['id'], columns: ['region'], values: [{ column: 'quantity', function: 'sum' }] } }],
+  ['statistics', undefined, { dataSelection: { columns: [{ name: 'quantity' }, { name: 'price' }, { name: 'score' }] } }],
+  ['correlation', undefined, { dataSelection: { columns: [{ name: 'quantity' }, { name: 'price' }, { name: 'score' }] } }]
+];
+
+for (const [type, chartType, config] of ANALYSES) {
+  test(`a ${chartType || type} analysis of ${ROWS} rows fits in one document`, async () => {
+    assertFits(await analysisOf(type, chartType, config));
+  });
+}
+
+test('stored results of a large analysis say what they leave out', async () => {
+  const regression = await analysisOf('regression', undefined, {
+    dataSelection: { xAxisColumn: 'price', yAxisColumn: 'score' },
+    regressionConfig: { model: 'linear' }
+  });
+  assert.equal(regression.data.regression.n, ROWS);
+  assert.ok(regression.data.regression.observations.length < ROWS);
+  assert.equal(regression.data.statistics.rowCount, ROWS);
+  assert.equal(regression.data.statistics.truncated, true);
+
+  const pivot = await analysisOf('pivot', undefined, {
+    pivotConfig: { rows: ['id'], values: [{ column: 'quantity', function: 'sum' }] }
+  });
+  assert.equal(pivot.data.pivotTable.truncated, true);
+  assert.equal(pivot.data.pivotTable.grandTotal.rowCount, ROWS);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPivotTable, flattenPivotTable } = require('../services/pivotService');
+
+const rows = [
+  { region: 'North', sales: 3 },
+  { region: 'North', sales: null },
+  { region: 'North', sales: '' },
+  { region: 'South', sales: 4 },
+  { region: 'South', sales: '6' },
+  { region: 'East', sales: null }
+];
+
+const pivot = (aggFunc) => flattenPivotTable(buildPivotTable(rows, {
+  rows: ['region'],
+  values: [{ column: 'sales', function: aggFunc }]
+}));
+
+const byRegion = (records, header) => Object.fromEntries(records.map(record => [record.region, record[header]]));
+
+test('blank cells are left out of pivot aggregates', () => {
+  assert.deepEqual(byRegion(pivot('avg'), 'sales (avg)'), { East: null, North: 3, South: 5, 'Grand Total': 13 / 3 });
+  assert.deepEqual(byRegion(pivot('min'), 'sales (min)'), { East: null, North: 3, South: 4, 'Grand Total': 3 });
+  assert.deepEqual(byRegion(pivot('sum'), 'sales (sum)'), { East: null, North: 3, South: 10, 'Grand Total': 13 });
+});
+
+test('pivot counts only non-blank cells', () => {
+  assert.deepEqual(byRegion(pivot('count'), 'sales (count)'), { East: 0, North: 1, South: 2, 'Grand Total': 3 });
+});
@@ -0,0 +1,68 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+
+const inputClassName = 'w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50';
+
+/**
+ * Editor for formula-based columns added to the data before filters and grouping.
+ * Columns with spaces in their name are referenced in brackets, e.g. [Unit Price].
+ */
+const CalculatedColumnsPanel = ({ columns, disabled, onChange }) => {
+  const updateColumn = (index, changes) => {
+    onChange(columns.map((column, columnIndex) => (columnIndex === index ? { ...column, ...changes } : column)));
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Calculated Columns</label>
+      {columns.length > 0 && (
+        <div className="space-y-2">
+          {columns.map((column, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={column.name}
+                onChange={(e) => updateColumn(index, { name: e.target.value })}
+                disabled={disabled}
+                placeholder="Column name"
+                className={`${inputClassName} md:w-48 flex-shrink-0`}
+              />
+              <span className="text-gray-500">=</span>
+              <input
+                type="text"
+                value={column.formula}
+                onChange={(e) => updateColumn(index, { formula: e.target.value })}
+                disabled={disabled}
+                placeholder='e.g. IF(Region="EU", Sales*1.2, Sales)'
+                className={`${inputClassName} font-mono text-sm`}
+              />
+              <button
+                type="button"
+                onClick={() => onChange(columns.filter((_, columnIndex) => columnIndex !== index))}
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-100"
+                title="Remove calculated column"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">
+            Excel-style formulas: + - * / ^ &amp;, comparisons, IF, AND, OR, ROUND, ABS, CONCAT, LEFT, YEAR, MONTH and more.
+            Wrap column names containing spaces in brackets, e.g. [Unit Price].
+          </p>
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={() => onChange([...columns, { name: '', formula: '' }])}
+        disabled={disabled}
+        className="mt-2 inline-flex items-center text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+      >
+        <Plus className="w-4 h-4 mr-1" />
+        Add calculated column
+      </button>
+    </div>
+  );
+};
+
+export default CalculatedColumnsPanel;
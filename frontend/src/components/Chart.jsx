@@ -1,6 +1,8 @@
 import React from 'react';
 import Chart2D from './Chart2D';
 import Chart3D from './Chart3D';
+import PivotTable from './PivotTable';
+import StatisticsReport from './StatisticsReport';
 
 const Chart = React.forwardRef(({ analysis }, ref) => {
   console.log('Chart component received analysis:', analysis);
@@ -18,6 +20,18 @@ const Chart = React.forwardRef(({ analysis }, ref) => {
     );
   }
 
+  // Non-chart analysis types have their own viewers
+  if (analysis.type === 'pivot') {
+    return <PivotTable key={analysis._id} ref={ref} analysis={analysis} />;
+  }
+  if (analysis.type === 'statistics') {
+    return <StatisticsReport ref={ref} analysis={analysis} />;
+  }
+  // Correlation matrices render as an annotated heatmap, regressions as a fitted scatter plot
+  if (analysis.type === 'correlation' || analysis.type === 'regression') {
+    return <Chart2D ref={ref} analysis={analysis} />;
+  }
+
   const { chartType } = analysis;
   
   console.log('Chart routing for type:', chartType);
@@ -1,4 +1,4 @@
-import React, { forwardRef, useImperativeHandle, useRef } from 'react';
+import React, { forwardRef, useImperativeHandle, useRef, useState } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -13,12 +13,20 @@ import {
   RadialLinearScale,
   Filler,
 } from 'chart.js';
+import { MatrixController, MatrixElement } from 'chartjs-chart-matrix';
+import { BoxPlotController, BoxAndWiskers, ViolinController, Violin } from '@sgratzl/chartjs-chart-boxplot';
+import { TreemapController, TreemapElement } from 'chartjs-chart-treemap';
+import { SankeyController, Flow } from 'chartjs-chart-sankey';
 import {
+  Chart as TypedChart,
   Bar,
   Line,
   Pie,
   Doughnut,
   Scatter,
+  Bubble,
+  Radar,
+  PolarArea,
 } from 'react-chartjs-2';
 
 // Register Chart.js components
@@ -33,12 +41,210 @@ ChartJS.register(
   Tooltip,
   Legend,
   RadialLinearScale,
-  Filler
+  Filler,
+  MatrixController,
+  MatrixElement,
+  BoxPlotController,
+  BoxAndWiskers,
+  ViolinController,
+  Violin,
+  TreemapController,
+  TreemapElement,
+  SankeyController,
+  Flow
+);
+
+// Chart types drawn without cartesian X/Y axes
+const RADIAL_CHART_TYPES = ['pie', 'doughnut', 'polar', 'radar', 'gauge', 'treemap', 'sunburst', 'sankey'];
+
+// Chart types that can plot several Y columns or be split by a series column
+const SERIES_CHART_TYPES = ['bar', 'column', 'line', 'area'];
+
+const CORRELATION_METHOD_LABELS = {
+  pearson: 'Pearson',
+  spearman: 'Spearman',
+  kendall: 'Kendall'
+};
+
+// Significance markers for correlation p-values
+const significanceStars = (pValue) => {
+  if (pValue === null || pValue === undefined) return '';
+  if (pValue < 0.001) return '***';
+  if (pValue < 0.01) return '**';
+  if (pValue < 0.05) return '*';
+  return '';
+};
+
+const formatNumber = (value, digits = 4) => (
+  value === null || value === undefined ? '—' : value.toLocaleString(undefined, { maximumFractionDigits: digits })
+);
+
+const formatPValue = (pValue) => {
+  if (pValue === null || pValue === undefined) return '—';
+  return pValue < 0.001 ? '< 0.001' : pValue.toFixed(3);
+};
+
+// Column names picked for a role (older analyses stored plain names, which have none)
+const columnsWithRole = (dataSelection, role) => (dataSelection?.columns || [])
+  .filter(column => column?.role === role && column.name)
+  .map(column => column.name);
+
+// Same colour at another opacity; accepts `#rrggbb` and `rgba(...)` colours
+const withAlpha = (color, alpha) => {
+  const hex = /^#([0-9a-f]{6})$/i.exec(color);
+  if (hex) {
+    const value = parseInt(hex[1], 16);
+    return `rgba(${value >> 16}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+  }
+  return color.replace(/[\d.]+\)$/, `${alpha})`);
+};
+
+// One series per Y column, each split once more per value of the series column
+// (summing Y per X label). Mirrors buildSeries in the backend chart data service.
+const buildSeries = (rows, xKey, yColumns, seriesKey) => {
+  if (!seriesKey) {
+    return {
+      labels: rows.map(row => row[xKey]),
+      series: yColumns.map(column => ({ name: column, values: rows.map(row => parseFloat(row[column]) || 0) }))
+    };
+  }
+
+  const labels = [];
+  const labelIndex = new Map();
+  const series = new Map();
+  rows.forEach(row => {
+    const label = row[xKey] === undefined || row[xKey] === null ? '(blank)' : String(row[xKey]);
+    if (!labelIndex.has(label)) {
+      labelIndex.set(label, labels.length);
+      labels.push(label);
+    }
+    const group = row[seriesKey] === undefined || row[seriesKey] === null || row[seriesKey] === ''
+      ? '(blank)'
+      : String(row[seriesKey]);
+    yColumns.forEach(column => {
+      const name = yColumns.length > 1 ? `${group} · ${column}` : group;
+      if (!series.has(name)) series.set(name, []);
+      const values = series.get(name);
+      const index = labelIndex.get(label);
+      values[index] = (values[index] || 0) + (parseFloat(row[column]) || 0);
+    });
+  });
+
+  return {
+    labels,
+    series: Array.from(series.entries()).map(([name, values]) => ({
+      name,
+      values: labels.map((_, index) => values[index] || 0)
+    }))
+  };
+};
+
+// Fitted curve plus its confidence band, drawn as lines on a scatter chart
+const regressionDatasets = (regression) => {
+  if (!regression?.curve?.length) return [];
+  const confidence = Math.round((regression.confidenceLevel || 0.95) * 100);
+  return [
+    {
+      label: `${confidence}% confidence band`,
+      data: regression.curve.map(point => ({ x: point.x, y: point.upper })),
+      showLine: true,
+      pointRadius: 0,
+      borderWidth: 0,
+      backgroundColor: 'rgba(16, 185, 129, 0.15)',
+      borderColor: 'rgba(16, 185, 129, 0)'
+    },
+    {
+      // Lower edge fills up to the upper edge; hidden from the legend
+      label: '',
+      data: regression.curve.map(point => ({ x: point.x, y: point.lower })),
+      showLine: true,
+      pointRadius: 0,
+      borderWidth: 0,
+      fill: '-1',
+      backgroundColor: 'rgba(16, 185, 129, 0.15)',
+      borderColor: 'rgba(16, 185, 129, 0)'
+    },
+    {
+      label: 'Fitted',
+      data: regression.curve.map(point => ({ x: point.x, y: point.fitted })),
+      showLine: true,
+      pointRadius: 0,
+      borderWidth: 2,
+      backgroundColor: 'rgba(16, 185, 129, 1)',
+      borderColor: 'rgba(16, 185, 129, 1)'
+    }
+  ];
+};
+
+// Coefficient table and goodness of fit shown under regression charts
+const RegressionSummary = ({ regression }) => (
+  <div className="mt-4 space-y-3 text-sm">
+    <p className="font-mono text-gray-800 break-words">{regression.equation}</p>
+    <div className="flex flex-wrap gap-4 text-gray-600">
+      <span>R² <strong className="text-gray-800">{formatNumber(regression.rSquared)}</strong></span>
+      <span>Adjusted R² <strong className="text-gray-800">{formatNumber(regression.adjustedRSquared)}</strong></span>
+      <span>Std. error <strong className="text-gray-800">{formatNumber(regression.standardError)}</strong></span>
+      <span>F <strong className="text-gray-800">{formatNumber(regression.fStatistic)}</strong> (p {formatPValue(regression.fPValue)})</span>
+      <span>n <strong className="text-gray-800">{regression.n}</strong></span>
+      {regression.excludedRows > 0 && (
+        <span className="text-amber-600">{regression.excludedRows} rows excluded</span>
+      )}
+    </div>
+    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+      <table className="min-w-full">
+        <thead className="bg-gray-100 text-gray-700">
+          <tr>
+            <th className="px-3 py-2 text-left font-semibold">Term</th>
+            <th className="px-3 py-2 text-right font-semibold">Estimate</th>
+            <th className="px-3 py-2 text-right font-semibold">Std. Error</th>
+            <th className="px-3 py-2 text-right font-semibold">t</th>
+            <th className="px-3 py-2 text-right font-semibold">p-value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {regression.coefficients.map(coefficient => (
+            <tr key={coefficient.term} className="border-t border-gray-100">
+              <td className="px-3 py-2 font-mono text-gray-700">{coefficient.term}</td>
+              <td className="px-3 py-2 text-right tabular-nums">{formatNumber(coefficient.estimate)}</td>
+              <td className="px-3 py-2 text-right tabular-nums">{formatNumber(coefficient.stdError)}</td>
+              <td className="px-3 py-2 text-right tabular-nums">{formatNumber(coefficient.tStat, 3)}</td>
+              <td className="px-3 py-2 text-right tabular-nums">
+                {formatPValue(coefficient.pValue)}{significanceStars(coefficient.pValue)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
 );
 
+// Draws each matrix cell's `label` in its centre (annotated heatmaps)
+const matrixLabelsPlugin = {
+  id: 'matrixLabels',
+  afterDatasetsDraw(chart) {
+    const { ctx } = chart;
+    chart.data.datasets.forEach((dataset, datasetIndex) => {
+      chart.getDatasetMeta(datasetIndex).data.forEach((element, index) => {
+        const cell = dataset.data[index];
+        if (!cell?.label || element.width < 28 || element.height < 14) return;
+        const { x, y } = element.getCenterPoint();
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = Math.abs(cell.v ?? 0) > 0.6 ? '#ffffff' : '#1f2937';
+        ctx.fillText(cell.label, x, y);
+        ctx.restore();
+      });
+    });
+  }
+};
+
 const Chart2D = forwardRef(({ analysis }, ref) => {
   // Hooks must be called first, before any early returns
   const chartRef = useRef(null);
+  const [correlationMethod, setCorrelationMethod] = useState(null);
 
   useImperativeHandle(ref, () => ({
     downloadImage: () => {
@@ -62,8 +268,11 @@ const Chart2D = forwardRef(({ analysis }, ref) => {
     );
   }
 
-  const { processedData, statistics } = analysis.data;
-  const { chartType } = analysis;
+  const { processedData, regression } = analysis.data;
+  const isStacked = Boolean(analysis.config?.chartConfig?.stacked);
+  // Correlation and regression analyses have no chart type; they render as a
+  // heatmap matrix and a fitted scatter plot respectively
+  const chartType = ['correlation', 'regression'].includes(analysis.type) ? analysis.type : analysis.chartType;
 
   // Validate processed data
   if (!processedData || processedData.length === 0) {
@@ -97,6 +306,19 @@ const Chart2D = forwardRef(({ analysis }, ref) => {
     return result;
   };
 
+  // Helper function to sum a numeric column per label
+  const sumByLabel = (labelKey, valueKey) => {
+    const totals = {};
+    processedData.forEach(row => {
+      const label = row[labelKey];
+      totals[label] = (totals[label] || 0) + (parseFloat(row[valueKey]) || 0);
+    });
+    return totals;
+  };
+
+  // Hierarchy levels of treemap/sunburst rows: every column except the summed value
+  const hierarchyLevels = (keys) => keys.filter(key => key !== 'value');
+
   // Prepare data for charts
   const prepareChartData = () => {
     try {
@@ -120,6 +342,36 @@ const Chart2D = forwardRef(({ analysis }, ref) => {
       const xKey = xAxisColumn && keys.includes(xAxisColumn) ? xAxisColumn : keys[0];
       const yKey = yAxisColumn && keys.includes(yAxisColumn) ? yAxisColumn : keys[1] || keys[0];
 
+      // Extra Y columns or a series column give one dataset per series
+      const dataSelection = analysis.config?.dataSelection;
+      const seriesKey = columnsWithRole(dataSelection, 'series').find(key => keys.includes(key) && key !== xKey);
+      const yColumns = [...new Set([yKey, ...columnsWithRole(dataSelection, 'y')])].filter(key => keys.includes(key));
+      if (SERIES_CHART_TYPES.includes(chartType) && (seriesKey || yColumns.length > 1)) {
+        const { labels, series } = buildSeries(processedData, xKey, yColumns, seriesKey);
+        const palette = analysis.config?.styling?.colors?.length > 0
+          ? analysis.config.styling.colors
+          : generateColors(series.length);
+        const isBar = chartType === 'bar' || chartType === 'column';
+        return {
+          labels,
+          datasets: series.map((item, index) => {
+            const color = palette[index % palette.length];
+            return {
+              label: item.name,
+              data: item.values,
+              backgroundColor: withAlpha(color, isBar ? 0.8 : chartType === 'area' ? 0.3 : 0.2),
+              borderColor: withAlpha(color, 1),
+              borderWidth: isBar ? 1 : 2,
+              ...(!isBar && {
+                // Stacked areas fill down to the series beneath them
+                fill: chartType === 'area' ? (isStacked && index > 0 ? '-1' : 'origin') : false,
+                tension: 0.4
+              })
+            };
+          })
+        };
+      }
+
       // For charts that need numeric data
       const numericColumns = keys.filter(key => {
         return processedData.some(row => !isNaN(parseFloat(row[key])) && isFinite(row[key]));
@@ -191,6 +443,18 @@ const Chart2D = forwardRef(({ analysis }, ref) => {
           };
 
         case 'scatter':
+          // A fitted trendline plots the columns it was fitted on
+          if (regression?.curve?.length) {
+            return {
+              datasets: [{
+                label: 'Data Points',
+                data: regression.observations.map(observation => ({ x: observation.x, y: observation.actual })),
+                backgroundColor: 'rgba(59, 130, 246, 0.6)',
+                borderColor: 'rgba(59, 130, 246, 1)',
+                borderWidth: 1
+              }, ...regressionDatasets(regression)]
+            };
+          }
           if (numericColumns.length >= 2) {
             return {
               datasets: [{
@@ -207,6 +471,318 @@ const Chart2D = forwardRef(({ analysis }, ref) => {
           }
           break;
 
+        case 'regression': {
+          if (!regression?.observations) return null;
+          // Multiple regression has no single x axis: plot actual against fitted
+          if (regression.model === 'multiple') {
+            const values = regression.observations.flatMap(observation => [observation.actual, observation.fitted]);
+            const min = values.reduce((a, b) => Math.min(a, b), Infinity);
+            const max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+            return {
+              datasets: [{
+                label: 'Observations',
+                data: regression.observations.map(observation => ({ x: observation.fitted, y: observation.actual })),
+                backgroundColor: 'rgba(59, 130, 246, 0.6)',
+                borderColor: 'rgba(59, 130, 246, 1)',
+                borderWidth: 1
+              }, {
+                label: 'Perfect fit',
+                data: [{ x: min, y: min }, { x: max, y: max }],
+                showLine: true,
+                pointRadius: 0,
+                borderWidth: 2,
+                borderDash: [6, 4],
+                backgroundColor: 'rgba(16, 185, 129, 1)',
+                borderColor: 'rgba(16, 185, 129, 1)'
+              }]
+            };
+          }
+          return {
+            datasets: [{
+              label: 'Observations',
+              data: regression.observations.map(observation => ({ x: observation.x, y: observation.actual })),
+              backgroundColor: 'rgba(59, 130, 246, 0.6)',
+              borderColor: 'rgba(59, 130, 246, 1)',
+              borderWidth: 1
+            }, ...regressionDatasets(regression)]
+          };
+        }
+
+        case 'column':
+          return {
+            labels: processedData.map(row => row[xKey]),
+            datasets: [{
+              label: yKey || 'Value',
+              data: processedData.map(row => parseFloat(row[yKey]) || 0),
+              backgroundColor: generateColors(processedData.length),
+              borderColor: generateColors(processedData.length).map(color => color.replace('0.8', '1')),
+              borderWidth: 1
+            }]
+          };
+
+        case 'area':
+          return {
+            labels: processedData.map(row => row[xKey]),
+            datasets: [{
+              label: yKey || 'Value',
+              data: processedData.map(row => parseFloat(row[yKey]) || 0),
+              backgroundColor: 'rgba(59, 130, 246, 0.3)',
+              borderColor: 'rgba(59, 130, 246, 1)',
+              borderWidth: 2,
+              fill: 'origin',
+              tension: 0.4
+            }]
+          };
+
+        case 'radar':
+        case 'polar': {
+          const totals = sumByLabel(xKey, yKey);
+          return {
+            labels: Object.keys(totals),
+            datasets: [{
+              label: yKey || 'Value',
+              data: Object.values(totals),
+              backgroundColor: chartType === 'radar'
+                ? 'rgba(59, 130, 246, 0.2)'
+                : generateColors(Object.keys(totals).length).map(color => color.replace('0.8', '0.6')),
+              borderColor: chartType === 'radar'
+                ? 'rgba(59, 130, 246, 1)'
+                : generateColors(Object.keys(totals).length).map(color => color.replace('0.8', '1')),
+              borderWidth: chartType === 'radar' ? 2 : 1
+            }]
+          };
+        }
+
+        case 'bubble': {
+          const valueColumn = analysis.config?.dataSelection?.valueColumn;
+          const radiusValues = processedData.map(row => Math.abs(parseFloat(row[valueColumn])) || 0);
+          const maxRadiusValue = radiusValues.reduce((a, b) => Math.max(a, b), 0);
+          return {
+            datasets: [{
+              label: valueColumn || 'Data Points',
+              data: processedData.map((row, index) => ({
+                x: parseFloat(row[xKey]) || 0,
+                y: parseFloat(row[yKey]) || 0,
+                // Scale radii to 4-24px so the largest bubble doesn't swamp the plot
+                r: maxRadiusValue > 0 ? 4 + (radiusValues[index] / maxRadiusValue) * 20 : 8,
+              })),
+              backgroundColor: 'rgba(59, 130, 246, 0.5)',
+              borderColor: 'rgba(59, 130, 246, 1)',
+              borderWidth: 1
+            }]
+          };
+        }
+
+        case 'histogram':
+          return {
+            labels: processedData.map(row => row.bin),
+            datasets: [{
+              label: 'Frequency',
+              data: processedData.map(row => row.count),
+              backgroundColor: 'rgba(59, 130, 246, 0.7)',
+              borderColor: 'rgba(59, 130, 246, 1)',
+              borderWidth: 1,
+              barPercentage: 1,
+              categoryPercentage: 1
+            }]
+          };
+
+        case 'box':
+        case 'violin':
+          return {
+            labels: processedData.map(row => row[xKey]),
+            datasets: [{
+              label: analysis.config?.dataSelection?.yAxisColumn || 'Distribution',
+              // Each row is a category's summary: quartiles, whiskers, outliers and, for violins, density coords
+              data: processedData,
+              backgroundColor: 'rgba(59, 130, 246, 0.3)',
+              borderColor: 'rgba(59, 130, 246, 1)',
+              borderWidth: 1,
+              outlierBackgroundColor: 'rgba(245, 101, 101, 0.8)',
+              itemRadius: 0
+            }]
+          };
+
+        case 'heatmap': {
+          const xLabels = [...new Set(processedData.map(row => row.x))];
+          const yLabels = [...new Set(processedData.map(row => row.y))];
+          const cellValues = processedData.map(row => row.value);
+          const minValue = cellValues.reduce((a, b) => Math.min(a, b), Infinity);
+          const range = cellValues.reduce((a, b) => Math.max(a, b), -Infinity) - minValue || 1;
+          return {
+            xLabels,
+            yLabels,
+            datasets: [{
+              label: analysis.config?.dataSelection?.valueColumn || 'Count',
+              data: processedData.map(row => ({ x: row.x, y: row.y, v: row.value })),
+              backgroundColor: (context) => {
+                const value = context.raw?.v ?? minValue;
+                return `rgba(59, 130, 246, ${0.1 + 0.9 * ((value - minValue) / range)})`;
+              },
+              borderColor: 'rgba(255, 255, 255, 1)',
+              borderWidth: 1,
+              width: ({ chart }) => (chart.chartArea || {}).width / xLabels.length - 1,
+              height: ({ chart }) => (chart.chartArea || {}).height / yLabels.length - 1
+            }]
+          };
+        }
+
+        case 'correlation': {
+          const { correlation } = analysis.data;
+          if (!correlation?.matrices) return null;
+          const method = correlation.methods.includes(correlationMethod) ? correlationMethod : correlation.methods[0];
+          const { coefficients, pValues, counts } = correlation.matrices[method];
+          const labels = correlation.columns;
+          return {
+            method,
+            methods: correlation.methods,
+            xLabels: labels,
+            yLabels: labels,
+            datasets: [{
+              label: `${CORRELATION_METHOD_LABELS[method] || method} correlation`,
+              data: labels.flatMap((x, i) => labels.map((y, j) => ({
+                x,
+                y,
+                v: coefficients[i][j],
+                p: pValues[i][j],
+                n: counts[i][j],
+                label: coefficients[i][j] === null ? '–' : `${coefficients[i][j].toFixed(2)}${significanceStars(pValues[i][j])}`
+              }))),
+              // Diverging scale: blue for positive, red for negative correlation
+              backgroundColor: (context) => {
+                const value = context.raw?.v ?? 0;
+                const alpha = 0.05 + 0.95 * Math.abs(value);
+                return value >= 0 ? `rgba(59, 130, 246, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+              },
+              borderColor: 'rgba(255, 255, 255, 1)',
+              borderWidth: 1,
+              width: ({ chart }) => (chart.chartArea || {}).width / labels.length - 1,
+              height: ({ chart }) => (chart.chartArea || {}).height / labels.length - 1
+            }]
+          };
+        }
+
+        case 'waterfall':
+          return {
+            labels: processedData.map(row => row[xKey]),
+            datasets: [{
+              label: yKey || 'Value',
+              data: processedData.map(row => [row.start, row.end]),
+              backgroundColor: processedData.map(row => {
+                if (row.isTotal) return 'rgba(59, 130, 246, 0.8)';
+                return row.end >= row.start ? 'rgba(16, 185, 129, 0.8)' : 'rgba(245, 101, 101, 0.8)';
+              }),
+              borderWidth: 0
+            }]
+          };
+
+        case 'funnel':
+          // Centered floating bars narrow from the largest stage to the smallest
+          return {
+            labels: processedData.map(row => row[xKey]),
+            datasets: [{
+              label: yKey || 'Value',
+              data: processedData.map(row => {
+                const half = (parseFloat(row[yKey]) || 0) / 2;
+                return [-half, half];
+              }),
+              backgroundColor: generateColors(processedData.length),
+              borderWidth: 0,
+              barPercentage: 1,
+              categoryPercentage: 0.9
+            }]
+          };
+
+        case 'gauge': {
+          const { label, value, min, max } = processedData[0];
+          const filled = Math.min(Math.max(value - min, 0), max - min);
+          return {
+            labels: [label, 'Remaining'],
+            gaugeValue: value,
+            datasets: [{
+              data: [filled, Math.max(max - min - filled, 0)],
+              backgroundColor: ['rgba(59, 130, 246, 0.8)', 'rgba(229, 231, 235, 1)'],
+              borderWidth: 0,
+              circumference: 180,
+              rotation: -90,
+              cutout: '75%'
+            }]
+          };
+        }
+
+        case 'treemap': {
+          const levels = hierarchyLevels(keys);
+          const palette = generateColors(10);
+          return {
+            datasets: [{
+              label: analysis.config?.dataSelection?.yAxisColumn || 'Value',
+              tree: processedData,
+              key: 'value',
+              groups: levels,
+              spacing: 1,
+              borderWidth: 1,
+              borderColor: 'rgba(255, 255, 255, 1)',
+              backgroundColor: (context) => context.type === 'data'
+                ? palette[context.dataIndex % palette.length]
+                : 'transparent',
+              labels: { display: true, color: '#ffffff' },
+              captions: { display: true, color: '#ffffff' }
+            }]
+          };
+        }
+
+        case 'sunburst': {
+          // One doughnut ring per hierarchy level, innermost first. Leaves are sorted by
+          // path so each child segment sits directly outside its parent.
+          const levels = hierarchyLevels(keys);
+          const leaves = [...processedData].sort((a, b) => {
+            for (const level of levels) {
+              const diff = String(a[level]).localeCompare(String(b[level]));
+              if (diff !== 0) return diff;
+            }
+            return 0;
+          });
+          const palette = generateColors(10);
+          const datasets = levels.map((level, depth) => {
+            const segments = [];
+            leaves.forEach(leaf => {
+              const path = levels.slice(0, depth + 1).map(key => leaf[key]).join(' / ');
+              const last = segments[segments.length - 1];
+              if (last && last.path === path) {
+                last.value += leaf.value;
+              } else {
+                segments.push({ path, label: leaf[level], root: leaf[levels[0]], value: leaf.value });
+              }
+            });
+            const roots = [...new Set(leaves.map(leaf => leaf[levels[0]]))];
+            return {
+              label: level,
+              data: segments.map(segment => segment.value),
+              segmentLabels: segments.map(segment => segment.path),
+              backgroundColor: segments.map(segment =>
+                palette[roots.indexOf(segment.root) % palette.length].replace('0.8', String(0.9 - depth * 0.2))
+              ),
+              borderColor: 'rgba(255, 255, 255, 1)',
+              borderWidth: 1
+            };
+          });
+          return {
+            labels: leaves.map(leaf => levels.map(level => leaf[level]).join(' / ')),
+            datasets
+          };
+        }
+
+        case 'sankey':
+          return {
+            datasets: [{
+              label: 'Flow',
+              data: processedData.map(row => ({ from: row.from, to: row.to, flow: row.flow })),
+              colorFrom: () => 'rgba(59, 130, 246, 0.8)',
+              colorTo: () => 'rgba(16, 185, 129, 0.8)',
+              colorMode: 'gradient'
+            }]
+          };
+
         default:
           return {
             labels: processedData.map(row => row[xKey]),
@@ -251,7 +827,7 @@ const Chart2D = forwardRef(({ analysis }, ref) => {
         intersect: false,
       },
     },
-    scales: (chartType === 'pie' || chartType === 'doughnut') ? {} : {
+    scales: RADIAL_CHART_TYPES.includes(chartType) ? {} : {
       x: {
         display: true,
         title: {
@@ -274,25 +850,187 @@ const Chart2D = forwardRef(({ analysis }, ref) => {
     },
   };
 
+  // Chart-type specific option overrides
+  switch (chartType) {
+    case 'heatmap':
+      options.scales = {
+        x: { type: 'category', labels: chartData.xLabels, offset: true, grid: { display: false } },
+        y: { type: 'category', labels: chartData.yLabels, offset: true, grid: { display: false } }
+      };
+      options.plugins.legend = { display: false };
+      options.plugins.tooltip = {
+        callbacks: {
+          title: () => '',
+          label: (context) => `${context.raw.x} × ${context.raw.y}: ${context.raw.v}`
+        }
+      };
+      options.interaction = { mode: 'nearest', intersect: true };
+      break;
+    case 'correlation':
+      options.scales = {
+        x: { type: 'category', labels: chartData.xLabels, offset: true, grid: { display: false } },
+        y: { type: 'category', labels: chartData.yLabels, offset: true, grid: { display: false } }
+      };
+      options.plugins.legend = { display: false };
+      options.plugins.tooltip = {
+        callbacks: {
+          title: () => '',
+          label: (context) => {
+            const { x, y, v, p, n } = context.raw;
+            const coefficient = v === null ? 'n/a' : v.toFixed(3);
+            const pValue = p === null ? 'n/a' : p < 0.001 ? '< 0.001' : p.toFixed(3);
+            return `${x} × ${y}: ${coefficient} (p ${pValue}, n = ${n})`;
+          }
+        }
+      };
+      options.interaction = { mode: 'nearest', intersect: true };
+      break;
+    case 'bar':
+    case 'column':
+    case 'line':
+    case 'area':
+      if (isStacked && chartData.datasets.length > 1) {
+        options.scales.x.stacked = true;
+        options.scales.y.stacked = true;
+      }
+      break;
+    case 'scatter':
+    case 'regression':
+      if (regression?.observations) {
+        const multiple = regression.model === 'multiple';
+        options.scales.x.title.text = multiple ? `Fitted ${regression.dependent}` : regression.predictors[0];
+        options.scales.y.title.text = regression.dependent;
+        options.plugins.title.text = `${analysis.name || 'Data Visualization'} — R² = ${formatNumber(regression.rSquared, 3)}`;
+        options.plugins.legend.labels = { filter: (item) => item.text !== '' };
+        options.plugins.tooltip = { filter: (item) => item.dataset.label !== '' };
+        options.interaction = { mode: 'nearest', intersect: true };
+      }
+      break;
+    case 'funnel':
+      options.indexAxis = 'y';
+      options.scales = { x: { display: false }, y: { grid: { display: false } } };
+      options.plugins.legend = { display: false };
+      options.plugins.tooltip = {
+        callbacks: {
+          label: (context) => `${context.label}: ${context.raw[1] * 2}`
+        }
+      };
+      options.interaction = { mode: 'nearest', axis: 'y', intersect: false };
+      break;
+    case 'waterfall':
+      options.plugins.legend = { display: false };
+      options.plugins.tooltip = {
+        callbacks: {
+          label: (context) => `${context.label}: ${context.raw[1] - context.raw[0]}`
+        }
+      };
+      break;
+    case 'histogram':
+      options.plugins.legend = { display: false };
+      break;
+    case 'gauge':
+      options.plugins.legend = { display: false };
+      options.plugins.title.text = `${analysis.name || 'Data Visualization'} — ${Number(chartData.gaugeValue.toFixed(2))}`;
+      options.plugins.tooltip = { enabled: false };
+      break;
+    case 'sunburst':
+      options.plugins.legend = { display: false };
+      options.plugins.tooltip = {
+        callbacks: {
+          label: (context) => `${context.dataset.segmentLabels[context.dataIndex]}: ${context.raw}`
+        }
+      };
+      break;
+    case 'treemap':
+    case 'sankey':
+      options.plugins.legend = { display: false };
+      options.interaction = { mode: 'nearest', intersect: true };
+      break;
+    default:
+      break;
+  }
+
   const renderChart = () => {
     const chartProps = { data: chartData, options };
 
     switch (chartType) {
       case 'bar':
+      case 'column':
+      case 'histogram':
+      case 'waterfall':
+      case 'funnel':
         return <Bar ref={chartRef} {...chartProps} />;
       case 'line':
+      case 'area':
         return <Line ref={chartRef} {...chartProps} />;
       case 'pie':
         return <Pie ref={chartRef} {...chartProps} />;
       case 'doughnut':
+      case 'gauge':
+      case 'sunburst':
         return <Doughnut ref={chartRef} {...chartProps} />;
       case 'scatter':
+      case 'regression':
         return <Scatter ref={chartRef} {...chartProps} />;
+      case 'bubble':
+        return <Bubble ref={chartRef} {...chartProps} />;
+      case 'radar':
+        return <Radar ref={chartRef} {...chartProps} />;
+      case 'polar':
+        return <PolarArea ref={chartRef} {...chartProps} />;
+      case 'heatmap':
+        return <TypedChart ref={chartRef} type="matrix" {...chartProps} />;
+      case 'correlation':
+        return <TypedChart ref={chartRef} type="matrix" plugins={[matrixLabelsPlugin]} {...chartProps} />;
+      case 'box':
+        return <TypedChart ref={chartRef} type="boxplot" {...chartProps} />;
+      case 'violin':
+        return <TypedChart ref={chartRef} type="violin" {...chartProps} />;
+      case 'treemap':
+        return <TypedChart ref={chartRef} type="treemap" {...chartProps} />;
+      case 'sankey':
+        return <TypedChart ref={chartRef} type="sankey" {...chartProps} />;
       default:
         return <Bar {...chartProps} />;
     }
   };
 
+  if (chartType === 'correlation') {
+    return (
+      <div className="w-full bg-white rounded-lg p-4">
+        <div className="flex items-center justify-between mb-2 text-sm">
+          <span className="text-gray-500">* p &lt; 0.05 &nbsp; ** p &lt; 0.01 &nbsp; *** p &lt; 0.001</span>
+          <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden">
+            {chartData.methods.map(method => (
+              <button
+                key={method}
+                type="button"
+                onClick={() => setCorrelationMethod(method)}
+                className={`px-3 py-1 ${method === chartData.method ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+              >
+                {CORRELATION_METHOD_LABELS[method] || method}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="w-full h-96">
+          {renderChart()}
+        </div>
+      </div>
+    );
+  }
+
+  if (regression?.coefficients && (chartType === 'regression' || chartType === 'scatter')) {
+    return (
+      <div className="w-full bg-white rounded-lg p-4">
+        <div className="w-full h-80">
+          {renderChart()}
+        </div>
+        <RegressionSummary regression={regression} />
+      </div>
+    );
+  }
+
   return (
     <div className="w-full h-80 bg-white rounded-lg p-4">
       {renderChart()}
@@ -1,14 +1,34 @@
 import React, { useMemo, useRef, useImperativeHandle, forwardRef } from 'react';
-import { Canvas, useThree } from '@react-three/fiber';
-import { OrbitControls, Text, Html } from '@react-three/drei';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls, Text, Html, Line } from '@react-three/drei';
 import * as THREE from 'three';
 
+// Tallest bar / highest surface point, in scene units
+const MAX_HEIGHT = 4;
+// Width and depth of the plotting area, in scene units
+const PLOT_SIZE = 8;
+
+// Legacy 3D chart names map onto their current equivalents
+const LEGACY_CHART_TYPES = {
+  '3d-bar': 'bar3d',
+  '3d-line': 'line3d',
+  '3d-scatter': 'scatter3d'
+};
+
+// Map a value in [0, 1] onto a blue → red color ramp
+const heightColor = (t) => new THREE.Color().setHSL(0.66 * (1 - Math.min(Math.max(t, 0), 1)), 0.75, 0.5);
+
 // 3D Bar Chart Component
-const Bar3D = ({ data, position, color, height, width = 0.8, depth = 0.8 }) => {
+const Bar3D = ({ data, position, color, height, width = 0.8, depth = 0.8, shape = 'box' }) => {
+  const radius = Math.min(width, depth) / 2;
+
   return (
     <group position={position}>
-      <mesh castShadow receiveShadow position={[0, height / 2, 0]}>
-        <boxGeometry args={[width, height, depth]} />
+      <mesh castShadow receiveShadow position={[0, height / 2, 0]} rotation={[0, shape === 'pyramid' ? Math.PI / 4 : 0, 0]}>
+        {shape === 'box' && <boxGeometry args={[width, height, depth]} />}
+        {shape === 'cylinder' && <cylinderGeometry args={[radius, radius, height, 24]} />}
+        {shape === 'cone' && <coneGeometry args={[radius, height, 24]} />}
+        {shape === 'pyramid' && <coneGeometry args={[radius * Math.SQRT2, height, 4]} />}
         <meshStandardMaterial color={color} />
       </mesh>
       <Html position={[0, height + 0.5, 0]} center>
@@ -25,13 +45,13 @@ const Line3D = ({ points, color = '#3b82f6' }) => {
   const geometry = useMemo(() => {
     const geometry = new THREE.BufferGeometry();
     const vertices = new Float32Array(points.length * 3);
-    
+
     points.forEach((point, index) => {
       vertices[index * 3] = point.x;
       vertices[index * 3 + 1] = point.y;
       vertices[index * 3 + 2] = point.z;
     });
-    
+
     geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
     return geometry;
   }, [points]);
@@ -58,51 +78,261 @@ const Scatter3D = ({ data, color = '#3b82f6' }) => {
       {data.map((point, index) => (
         <mesh key={index} position={[point.x, point.y, point.z]}>
           <sphereGeometry args={[point.r || 0.2, 16, 16]} />
-          <meshStandardMaterial color={color} />
+          <meshStandardMaterial color={point.color || color} transparent={!!point.opacity} opacity={point.opacity || 1} />
         </mesh>
       ))}
     </group>
   );
 };
 
-// 3D Surface Plot Component
-const Surface3D = ({ data, color = '#3b82f6' }) => {
-  const geometry = useMemo(() => {
-    const geometry = new THREE.PlaneGeometry(6, 6, 10, 10);
-    const positions = geometry.attributes.position.array;
-    
-    // Add some wave-like surface
-    for (let i = 0; i < positions.length; i += 3) {
-      const x = positions[i];
-      const z = positions[i + 2];
-      positions[i + 1] = Math.sin(x * 0.5) * Math.cos(z * 0.5) * 0.5;
+// Build an indexed triangle mesh over the X × Z grid, with vertex heights from the data
+const buildGridGeometry = (grid) => {
+  const rows = grid.heights.length;
+  const cols = grid.heights[0].length;
+  const positions = [];
+  const colors = [];
+  const indices = [];
+
+  grid.heights.forEach((row, r) => {
+    row.forEach((height, c) => {
+      positions.push(grid.xPositions[c], height, grid.zPositions[r]);
+      const color = heightColor(height / MAX_HEIGHT);
+      colors.push(color.r, color.g, color.b);
+    });
+  });
+
+  for (let r = 0; r < rows - 1; r++) {
+    for (let c = 0; c < cols - 1; c++) {
+      const a = r * cols + c;
+      const b = a + 1;
+      const d = a + cols;
+      const e = d + 1;
+      indices.push(a, d, b, b, d, e);
     }
-    
-    geometry.computeVertexNormals();
-    return geometry;
-  }, [data]);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+// 3D Surface Plot Component (also drives the wireframe and mesh variants)
+const Surface3D = ({ grid, wireframe = false, showPoints = false, opacity = 1 }) => {
+  const geometry = useMemo(() => buildGridGeometry(grid), [grid]);
+
+  return (
+    <group>
+      <mesh geometry={geometry}>
+        <meshStandardMaterial
+          vertexColors
+          side={THREE.DoubleSide}
+          wireframe={wireframe}
+          flatShading={showPoints}
+          transparent={opacity < 1}
+          opacity={opacity}
+        />
+      </mesh>
+      {showPoints && (
+        <>
+          <mesh geometry={geometry}>
+            <meshBasicMaterial color="#1f2937" wireframe />
+          </mesh>
+          {grid.heights.map((row, r) => row.map((height, c) => (
+            <mesh key={`${r}-${c}`} position={[grid.xPositions[c], height, grid.zPositions[r]]}>
+              <sphereGeometry args={[0.06, 8, 8]} />
+              <meshStandardMaterial color="#1f2937" />
+            </mesh>
+          )))}
+        </>
+      )}
+    </group>
+  );
+};
+
+// Iso-lines of the height grid at evenly spaced levels (marching squares)
+const Contour3D = ({ grid, levels = 8 }) => {
+  const contours = useMemo(() => {
+    const { heights, xPositions, zPositions } = grid;
+    const flat = heights.flat();
+    const min = flat.reduce((a, b) => Math.min(a, b), Infinity);
+    const max = flat.reduce((a, b) => Math.max(a, b), -Infinity);
+    if (max === min) return [];
+
+    const result = [];
+    for (let l = 1; l <= levels; l++) {
+      const level = min + ((max - min) * l) / (levels + 1);
+      const segments = [];
+
+      for (let r = 0; r < heights.length - 1; r++) {
+        for (let c = 0; c < heights[0].length - 1; c++) {
+          // Cell corners in order: top-left, top-right, bottom-right, bottom-left
+          const corners = [
+            { x: xPositions[c], z: zPositions[r], h: heights[r][c] },
+            { x: xPositions[c + 1], z: zPositions[r], h: heights[r][c + 1] },
+            { x: xPositions[c + 1], z: zPositions[r + 1], h: heights[r + 1][c + 1] },
+            { x: xPositions[c], z: zPositions[r + 1], h: heights[r + 1][c] }
+          ];
+          const crossings = [];
+          corners.forEach((start, index) => {
+            const end = corners[(index + 1) % 4];
+            if ((start.h < level) !== (end.h < level)) {
+              const t = (level - start.h) / (end.h - start.h);
+              crossings.push([start.x + t * (end.x - start.x), level, start.z + t * (end.z - start.z)]);
+            }
+          });
+          // Two crossings form one segment; a saddle cell has four
+          for (let i = 0; i + 1 < crossings.length; i += 2) {
+            segments.push(crossings[i], crossings[i + 1]);
+          }
+        }
+      }
+
+      if (segments.length > 0) {
+        result.push({ level, segments, color: heightColor(level / MAX_HEIGHT) });
+      }
+    }
+    return result;
+  }, [grid, levels]);
+
+  return (
+    <group>
+      {contours.map((contour, index) => (
+        <Line key={index} points={contour.segments} segments color={contour.color} lineWidth={2} />
+      ))}
+    </group>
+  );
+};
+
+// Translucent voxel columns whose opacity and color follow the cell value
+const Volume3D = ({ grid }) => {
+  const cellWidth = grid.xPositions.length > 1 ? Math.abs(grid.xPositions[1] - grid.xPositions[0]) : 1;
+  const cellDepth = grid.zPositions.length > 1 ? Math.abs(grid.zPositions[1] - grid.zPositions[0]) : 1;
 
   return (
-    <mesh geometry={geometry} rotation={[-Math.PI / 2, 0, 0]}>
-      <meshStandardMaterial color={color} side={THREE.DoubleSide} wireframe />
-    </mesh>
+    <group>
+      {grid.heights.map((row, r) => row.map((height, c) => {
+        const t = height / MAX_HEIGHT;
+        const voxelHeight = Math.max(height, 0.05);
+        return (
+          <mesh key={`${r}-${c}`} position={[grid.xPositions[c], voxelHeight / 2, grid.zPositions[r]]}>
+            <boxGeometry args={[cellWidth * 0.95, voxelHeight, cellDepth * 0.95]} />
+            <meshStandardMaterial color={heightColor(t)} transparent opacity={0.15 + 0.6 * Math.max(t, 0)} depthWrite={false} />
+          </mesh>
+        );
+      }))}
+    </group>
   );
 };
 
+// Extruded pie slices laid flat on the grid
+const Pie3D = ({ slices, colors, radius = 3, depth = 0.6 }) => {
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0) || 1;
+  let angle = 0;
+
+  return (
+    <group rotation={[-Math.PI / 2, 0, 0]}>
+      {slices.map((slice, index) => {
+        const start = angle;
+        const end = angle + (slice.value / total) * Math.PI * 2;
+        angle = end;
+        const shape = new THREE.Shape();
+        shape.moveTo(0, 0);
+        shape.absarc(0, 0, radius, start, end, false);
+        shape.lineTo(0, 0);
+        const mid = (start + end) / 2;
+
+        return (
+          <group key={index}>
+            <mesh castShadow>
+              <extrudeGeometry args={[shape, { depth, bevelEnabled: false, curveSegments: 32 }]} />
+              <meshStandardMaterial color={colors[index % colors.length]} />
+            </mesh>
+            <Html position={[Math.cos(mid) * radius * 0.7, Math.sin(mid) * radius * 0.7, depth + 0.2]} center>
+              <div className="text-xs text-gray-700 font-medium bg-white/80 px-2 py-1 rounded shadow whitespace-nowrap">
+                {slice.label}: {slice.value}
+              </div>
+            </Html>
+          </group>
+        );
+      })}
+    </group>
+  );
+};
+
+// X, Y and Z axes with titles and category tick labels
+const Axes3D = ({ xTitle, yTitle, zTitle, xTicks = [], zTicks = [] }) => {
+  const half = PLOT_SIZE / 2 + 0.5;
+
+  return (
+    <group>
+      <Line points={[[-half, 0, half], [half, 0, half]]} color="#ef4444" lineWidth={2} />
+      <Line points={[[-half, 0, half], [-half, MAX_HEIGHT + 0.5, half]]} color="#10b981" lineWidth={2} />
+      <Line points={[[-half, 0, half], [-half, 0, -half]]} color="#3b82f6" lineWidth={2} />
+
+      <Text position={[half + 0.6, 0, half]} fontSize={0.3} color="#ef4444" anchorX="left">
+        {xTitle || 'X'}
+      </Text>
+      <Text position={[-half, MAX_HEIGHT + 0.9, half]} fontSize={0.3} color="#10b981">
+        {yTitle || 'Y'}
+      </Text>
+      <Text position={[-half, 0, -half - 0.6]} fontSize={0.3} color="#3b82f6">
+        {zTitle || 'Z'}
+      </Text>
+
+      {xTicks.map((tick, index) => (
+        <Text
+          key={`x-${index}`}
+          position={[tick.position, 0.01, half + 0.4]}
+          rotation={[-Math.PI / 2, 0, 0]}
+          fontSize={0.2}
+          color="#374151"
+          anchorX="right"
+          anchorY="middle"
+          maxWidth={2}
+        >
+          {String(tick.label)}
+        </Text>
+      ))}
+      {zTicks.map((tick, index) => (
+        <Text
+          key={`z-${index}`}
+          position={[-half - 0.3, 0.01, tick.position]}
+          rotation={[-Math.PI / 2, 0, 0]}
+          fontSize={0.2}
+          color="#374151"
+          anchorX="right"
+          anchorY="middle"
+        >
+          {String(tick.label)}
+        </Text>
+      ))}
+    </group>
+  );
+};
+
+// Spread `count` evenly spaced positions across the plot
+const spreadPositions = (count) => {
+  if (count <= 1) return [0];
+  return Array.from({ length: count }, (_, index) => (index / (count - 1) - 0.5) * PLOT_SIZE);
+};
+
 const Chart3D = forwardRef(({ analysis }, ref) => {
-  const { processedData, statistics } = analysis.data;
-  const { chartType } = analysis;
+  const { processedData } = analysis.data;
+  const chartType = LEGACY_CHART_TYPES[analysis.chartType] || analysis.chartType;
   const rendererRef = useRef();
   const sceneRef = useRef();
   const cameraRef = useRef();
-  
+
   // Expose download functionality to parent component
   useImperativeHandle(ref, () => ({
     downloadImage: () => {
       if (rendererRef.current && sceneRef.current && cameraRef.current) {
         // Force a render to ensure the latest frame is captured
         rendererRef.current.render(sceneRef.current, cameraRef.current);
-        
+
         // Wait for the next frame to complete
         requestAnimationFrame(() => {
           const canvas = rendererRef.current.domElement;
@@ -114,106 +344,221 @@ const Chart3D = forwardRef(({ analysis }, ref) => {
       }
     }
   }));
-  
+
   // Handler to capture the three.js renderer, scene, and camera
   const handleCanvasCreated = (state) => {
     rendererRef.current = state.gl;
     sceneRef.current = state.scene;
     cameraRef.current = state.camera;
   };
-  
+
   // Prepare data for 3D visualization
   const chartData = useMemo(() => {
     if (!processedData || processedData.length === 0) return null;
-    
+
     const keys = Object.keys(processedData[0]);
-    const xAxisColumn = analysis.config?.dataSelection?.xAxisColumn;
-    const yAxisColumn = analysis.config?.dataSelection?.yAxisColumn;
-    
+    const { xAxisColumn, yAxisColumn, zAxisColumn, valueColumn } = analysis.config?.dataSelection || {};
+
     const xKey = xAxisColumn && keys.includes(xAxisColumn) ? xAxisColumn : keys[0];
     const yKey = yAxisColumn && keys.includes(yAxisColumn) ? yAxisColumn : keys[1];
-    
-    return processedData.map((row, index) => ({
+    const zKey = zAxisColumn && keys.includes(zAxisColumn) ? zAxisColumn : null;
+    const rKey = valueColumn && keys.includes(valueColumn) ? valueColumn : null;
+
+    const values = processedData.map(row => parseFloat(row[yKey]) || 0);
+    const maxValue = values.reduce((a, b) => Math.max(a, Math.abs(b)), 0);
+    // Scale values so the tallest element is MAX_HEIGHT regardless of the data's magnitude
+    const heightScale = maxValue > 0 ? MAX_HEIGHT / maxValue : 1;
+
+    const xLabels = [...new Set(processedData.map(row => String(row[xKey])))];
+    const zLabels = zKey ? [...new Set(processedData.map(row => String(row[zKey])))] : [];
+    const zSlots = spreadPositions(zLabels.length);
+    // With a Z column rows share X slots by label; otherwise every row gets its own slot
+    const xSlotCount = zKey ? xLabels.length : processedData.length;
+    const xSlots = spreadPositions(xSlotCount);
+    const spacing = xSlotCount > 1 ? PLOT_SIZE / (xSlotCount - 1) : 1;
+
+    const radii = processedData.map(row => Math.abs(parseFloat(row[rKey])) || 0);
+    const maxRadius = radii.reduce((a, b) => Math.max(a, b), 0);
+
+    const items = processedData.map((row, index) => ({
       label: row[xKey],
-      value: parseFloat(row[yKey]) || 0,
-      x: index - processedData.length / 2,
-      y: parseFloat(row[yKey]) || 0,
-      z: 0,
-      r: 0.3
+      value: values[index],
+      x: zKey ? xSlots[xLabels.indexOf(String(row[xKey]))] : xSlots[index],
+      y: values[index] * heightScale,
+      z: zKey ? zSlots[zLabels.indexOf(String(row[zKey]))] : 0,
+      zLabel: zKey ? String(row[zKey]) : null,
+      r: rKey && maxRadius > 0 ? 0.15 + (radii[index] / maxRadius) * 0.6 : 0.3
     }));
+
+    // Height grid over X categories × Z categories for surface-style charts
+    const gridZLabels = zLabels.length > 0 ? zLabels : [''];
+    const sums = gridZLabels.map(() => xLabels.map(() => 0));
+    processedData.forEach((row, index) => {
+      const r = zKey ? gridZLabels.indexOf(String(row[zKey])) : 0;
+      sums[r][xLabels.indexOf(String(row[xKey]))] += values[index];
+    });
+    // A surface needs at least two vertices along each axis
+    const paddedSums = sums.length === 1 ? [sums[0], sums[0]] : sums;
+    const paddedRows = paddedSums.map(row => (row.length === 1 ? [row[0], row[0]] : row));
+    const maxSum = paddedRows.flat().reduce((a, b) => Math.max(a, Math.abs(b)), 0);
+    const gridScale = maxSum > 0 ? MAX_HEIGHT / maxSum : 1;
+
+    const grid = {
+      heights: paddedRows.map(row => row.map(value => value * gridScale)),
+      xPositions: spreadPositions(paddedRows[0].length),
+      zPositions: spreadPositions(paddedRows.length)
+    };
+
+    // Slices for the pie: Y summed per X label
+    const sliceTotals = {};
+    processedData.forEach((row, index) => {
+      sliceTotals[row[xKey]] = (sliceTotals[row[xKey]] || 0) + Math.abs(values[index]);
+    });
+    const slices = Object.entries(sliceTotals).map(([label, value]) => ({ label, value }));
+
+    return {
+      items,
+      grid,
+      slices,
+      spacing,
+      xKey,
+      yKey,
+      zKey,
+      xTicks: xSlotCount <= 30
+        ? xSlots.map((position, index) => ({ label: zKey ? xLabels[index] : items[index].label, position }))
+        : [],
+      zTicks: zLabels.map((label, index) => ({ label, position: zSlots[index] })),
+      zLabels
+    };
   }, [processedData, analysis.config]);
 
   const renderChart = () => {
     if (!chartData) return null;
-    
+
     const colors = [
       '#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
       '#ec4899', '#06b6d4', '#84cc16', '#f97316', '#6366f1'
     ];
-    
+    const { items, grid, spacing } = chartData;
+    const barSize = Math.min(0.8, spacing * 0.8);
+
+    const renderBars = (shape) => items.map((item, index) => (
+      <Bar3D
+        key={index}
+        data={item}
+        position={[item.x, 0, item.z]}
+        height={Math.max(item.y, 0.1)}
+        width={barSize}
+        depth={barSize}
+        shape={shape}
+        color={colors[index % colors.length]}
+      />
+    ));
+
     switch (chartType) {
       case 'bar3d':
-        return chartData.map((item, index) => (
+        return renderBars('box');
+
+      case 'column3d':
+        // Columns are colored by their Z series so each row of the grid reads as one series
+        return items.map((item, index) => (
           <Bar3D
             key={index}
             data={item}
-            position={[item.x, 0, 0]}
-            height={Math.max(item.value * 0.5, 0.1)}
-            color={colors[index % colors.length]}
+            position={[item.x, 0, item.z]}
+            height={Math.max(item.y, 0.1)}
+            width={barSize * 0.6}
+            depth={barSize * 0.6}
+            color={colors[(item.zLabel ? chartData.zLabels.indexOf(item.zLabel) : index) % colors.length]}
           />
         ));
-        
+
+      case 'cylinder3d':
+        return renderBars('cylinder');
+
+      case 'cone3d':
+        return renderBars('cone');
+
+      case 'pyramid3d':
+        return renderBars('pyramid');
+
       case 'line3d':
         return (
           <Line3D
-            points={chartData.map(item => ({ x: item.x, y: item.y * 0.5, z: item.z }))}
+            points={items.map(item => ({ x: item.x, y: item.y, z: item.z }))}
             color={colors[0]}
           />
         );
-        
+
       case 'scatter3d':
         return (
           <Scatter3D
-            data={chartData.map(item => ({ x: item.x, y: item.y * 0.5, z: item.z, r: item.r }))}
+            data={items.map(item => ({ x: item.x, y: item.y, z: item.z, r: 0.2 }))}
             color={colors[0]}
           />
         );
-        
+
+      case 'bubble3d':
+        return (
+          <Scatter3D
+            data={items.map((item, index) => ({
+              x: item.x,
+              y: item.y,
+              z: item.z,
+              r: item.r,
+              color: colors[(item.zLabel ? chartData.zLabels.indexOf(item.zLabel) : index) % colors.length],
+              opacity: 0.75
+            }))}
+          />
+        );
+
+      case 'pie3d':
+        return <Pie3D slices={chartData.slices} colors={colors} />;
+
       case 'surface3d':
-        return <Surface3D data={chartData} color={colors[0]} />;
-        
+        return <Surface3D grid={grid} />;
+
+      case 'wireframe3d':
+        return <Surface3D grid={grid} wireframe />;
+
+      case 'mesh3d':
+        return <Surface3D grid={grid} showPoints opacity={0.85} />;
+
+      case 'contour3d':
+        return (
+          <>
+            <Surface3D grid={grid} opacity={0.25} />
+            <Contour3D grid={grid} />
+          </>
+        );
+
+      case 'volume3d':
+        return <Volume3D grid={grid} />;
+
       case 'area3d':
         return (
           <>
             <Line3D
-              points={chartData.map(item => ({ x: item.x, y: item.y * 0.5, z: item.z }))}
+              points={items.map(item => ({ x: item.x, y: item.y, z: item.z }))}
               color={colors[0]}
             />
             {/* Add a surface below the line */}
             <mesh position={[0, 0, 0]}>
-              <planeGeometry args={[chartData.length, 2]} />
+              <planeGeometry args={[PLOT_SIZE, 2]} />
               <meshStandardMaterial color={colors[0]} opacity={0.3} transparent />
             </mesh>
           </>
         );
-        
+
       default:
-        return chartData.map((item, index) => (
-          <Bar3D
-            key={index}
-            data={item}
-            position={[item.x, 0, 0]}
-            height={Math.max(item.value * 0.5, 0.1)}
-            color={colors[index % colors.length]}
-          />
-        ));
+        return renderBars('box');
     }
   };
 
   return (
     <div className="w-full h-80 bg-gray-100 rounded-lg overflow-hidden">
-      <Canvas 
-        shadows 
+      <Canvas
+        shadows
         camera={{ position: [8, 8, 8], fov: 50 }}
         style={{ background: 'linear-gradient(to bottom, #f3f4f6, #e5e7eb)' }}
         onCreated={handleCanvasCreated}
@@ -232,16 +577,27 @@ const Chart3D = forwardRef(({ analysis }, ref) => {
           shadow-camera-top={10}
           shadow-camera-bottom={-10}
         />
-        
+
         {/* Grid */}
         <gridHelper args={[10, 10, '#666666', '#888888']} />
-        
+
+        {/* Axes */}
+        {chartData && chartType !== 'pie3d' && (
+          <Axes3D
+            xTitle={chartData.xKey}
+            yTitle={chartData.yKey}
+            zTitle={chartData.zKey}
+            xTicks={chartData.xTicks}
+            zTicks={chartData.zTicks}
+          />
+        )}
+
         {/* Chart */}
         {renderChart()}
-        
+
         {/* Chart Title */}
         <Text
-          position={[0, 4, 0]}
+          position={[0, MAX_HEIGHT + 1.5, 0]}
           fontSize={0.5}
           color="#374151"
           anchorX="center"
@@ -249,9 +605,9 @@ const Chart3D = forwardRef(({ analysis }, ref) => {
         >
           {analysis.name || 'Data Visualization'}
         </Text>
-        
+
         {/* Controls */}
-        <OrbitControls 
+        <OrbitControls
           enableZoom={true}
           enablePan={true}
           enableRotate={true}
@@ -264,4 +620,3 @@ const Chart3D = forwardRef(({ analysis }, ref) => {
 });
 
 export default Chart3D;
-
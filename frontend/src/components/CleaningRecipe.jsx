@@ -0,0 +1,318 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, Undo2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import ColumnPicker from './ColumnPicker';
+import { fileService } from '../services/fileService.js';
+
+const OPERATIONS = [
+  { value: 'trim', label: 'Trim whitespace' },
+  { value: 'changeCase', label: 'Change case' },
+  { value: 'replace', label: 'Find and replace' },
+  { value: 'fillNulls', label: 'Fill empty cells' },
+  { value: 'dropDuplicates', label: 'Drop duplicate rows' },
+  { value: 'split', label: 'Split column' },
+  { value: 'merge', label: 'Merge columns' },
+  { value: 'rename', label: 'Rename column' },
+  { value: 'retype', label: 'Change column type' }
+];
+
+const COLUMN_TYPES = [
+  'integer', 'float', 'currency', 'percent', 'date', 'datetime', 'boolean', 'categorical', 'id', 'string', 'mixed'
+];
+
+// Operations that work on a list of columns, all of them when none are picked
+const COLUMN_LIST_OPERATIONS = ['trim', 'changeCase', 'replace', 'fillNulls', 'dropDuplicates', 'merge'];
+const SINGLE_COLUMN_OPERATIONS = ['split', 'rename', 'retype'];
+
+const EMPTY_STEP = {
+  operation: 'trim',
+  columns: [],
+  column: '',
+  mode: 'title',
+  find: '',
+  replace: '',
+  matchCase: true,
+  wholeCell: false,
+  method: 'constant',
+  value: '',
+  delimiter: ',',
+  separator: ' ',
+  into: '',
+  to: '',
+  type: 'string',
+  keepOriginal: false
+};
+
+const inputClassName = 'w-full bg-white/80 border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const columnList = (columns) => (columns?.length > 0 ? columns.join(', ') : 'all columns');
+
+// One line saying what a step does
+const describeStep = (step) => {
+  switch (step.operation) {
+    case 'trim': return `Trim whitespace in ${columnList(step.columns)}`;
+    case 'changeCase': return `Change ${columnList(step.columns)} to ${step.mode} case`;
+    case 'replace': return `Replace ${step.wholeCell ? 'cells equal to ' : ''}“${step.find}” with “${step.replace || ''}” in ${columnList(step.columns)}${step.matchCase === false ? ' (any case)' : ''}`;
+    case 'fillNulls': return `Fill empty cells in ${columnList(step.columns)} with ${step.method === 'constant' ? `“${step.value}”` : step.method === 'mean' ? 'the mean' : 'the value above'}`;
+    case 'dropDuplicates': return `Drop rows repeating ${columnList(step.columns)}`;
+    case 'split': return `Split ${step.column} on “${step.delimiter}” into ${step.into.join(', ')}`;
+    case 'merge': return `Merge ${step.columns.join(', ')} into ${step.to}`;
+    case 'rename': return `Rename ${step.column} to ${step.to}`;
+    case 'retype': return `Read ${step.column} as ${step.type}`;
+    default: return step.operation;
+  }
+};
+
+// The fields the API takes for an operation
+const stepRequest = (sheet, form) => {
+  const step = { sheet, operation: form.operation };
+  if (COLUMN_LIST_OPERATIONS.includes(form.operation)) step.columns = form.columns;
+  if (SINGLE_COLUMN_OPERATIONS.includes(form.operation)) step.column = form.column;
+  switch (form.operation) {
+    case 'changeCase':
+      return { ...step, mode: form.mode };
+    case 'replace':
+      return { ...step, find: form.find, replace: form.replace, matchCase: form.matchCase, wholeCell: form.wholeCell };
+    case 'fillNulls':
+      return { ...step, method: form.method, ...(form.method === 'constant' && { value: form.value }) };
+    case 'split':
+      return {
+        ...step,
+        delimiter: form.delimiter,
+        into: form.into.split(',').map(name => name.trim()).filter(Boolean),
+        keepOriginal: form.keepOriginal
+      };
+    case 'merge':
+      return { ...step, separator: form.separator, to: form.to, keepOriginal: form.keepOriginal };
+    case 'rename':
+      return { ...step, to: form.to };
+    case 'retype':
+      return { ...step, type: form.type };
+    default:
+      return step;
+  }
+};
+
+const Field = ({ label, children }) => (
+  <div>
+    <label className="block text-xs text-gray-500 mb-1">{label}</label>
+    {children}
+  </div>
+);
+
+/**
+ * The cleaning recipe of a file's sheets: its steps, each of which can be
+ * undone, and a form to add another
+ */
+const CleaningRecipe = ({ file }) => {
+  const [sheet, setSheet] = useState(file.sheetNames?.[0] || '');
+  const [recipe, setRecipe] = useState(null);
+  const [form, setForm] = useState(EMPTY_STEP);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fileService.getCleaningRecipe(file.id, sheet)
+      .then(response => {
+        if (!cancelled) setRecipe(response.recipe);
+      })
+      .catch(() => {
+        if (!cancelled) toast.error('Failed to load the cleaning recipe');
+      });
+    return () => { cancelled = true; };
+  }, [file.id, sheet]);
+
+  const columns = (recipe?.columns || []).map(column => column.name);
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const addStep = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await fileService.addCleaningStep(file.id, stepRequest(sheet, form));
+      setRecipe(response.recipe);
+      setForm({ ...EMPTY_STEP, operation: form.operation });
+      toast.success('Cleaning step added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add cleaning step');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const undoStep = async (stepId) => {
+    try {
+      const response = await fileService.removeCleaningStep(file.id, stepId);
+      setRecipe(response.recipe);
+      toast.success('Cleaning step undone');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to undo cleaning step');
+    }
+  };
+
+  if (!recipe) {
+    return <p className="text-sm text-gray-500 py-8 text-center">Loading cleaning recipe…</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-sm text-gray-600">
+          Steps run in order whenever the sheet is read. The uploaded file itself is never changed.
+        </p>
+        {file.sheetNames?.length > 1 && (
+          <select value={sheet} onChange={(e) => setSheet(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2 text-sm">
+            {file.sheetNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        )}
+      </div>
+
+      {recipe.error && (
+        <div className="flex items-center text-sm text-red-600">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {recipe.error.message}. Undo the steps that no longer fit the sheet.
+        </div>
+      )}
+
+      {recipe.steps.length > 0 ? (
+        <ol className="space-y-2">
+          {recipe.steps.map((step, index) => (
+            <li key={step._id} className="flex items-center justify-between border border-gray-200 rounded-lg px-4 py-2 text-sm">
+              <span>
+                <span className="text-gray-400 mr-2">{index + 1}.</span>
+                {describeStep(step)}
+              </span>
+              <button
+                type="button"
+                onClick={() => undoStep(step._id)}
+                className="inline-flex items-center text-gray-500 hover:text-red-600"
+                title="Undo this step"
+              >
+                <Undo2 className="w-4 h-4 mr-1" /> Undo
+              </button>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-sm text-gray-500">No cleaning steps yet.</p>
+      )}
+
+      <form onSubmit={addStep} className="border-t border-gray-200 pt-4 space-y-4">
+        <Field label="Step">
+          <select value={form.operation} onChange={(e) => setForm({ ...EMPTY_STEP, operation: e.target.value })} className={inputClassName}>
+            {OPERATIONS.map(operation => <option key={operation.value} value={operation.value}>{operation.label}</option>)}
+          </select>
+        </Field>
+
+        {COLUMN_LIST_OPERATIONS.includes(form.operation) && (
+          <ColumnPicker
+            label={form.operation === 'merge' ? 'Columns to merge' : 'Columns'}
+            fields={form.columns}
+            availableColumns={columns}
+            placeholder="Add column..."
+            emptyLabel={form.operation === 'merge' ? 'Pick two or more' : 'All columns'}
+            onChange={(picked) => update({ columns: picked })}
+          />
+        )}
+        {SINGLE_COLUMN_OPERATIONS.includes(form.operation) && (
+          <Field label="Column">
+            <select value={form.column} onChange={(e) => update({ column: e.target.value })} className={inputClassName} required>
+              <option value="">Select column...</option>
+              {columns.map(column => <option key={column} value={column}>{column}</option>)}
+            </select>
+          </Field>
+        )}
+
+        <div className="grid grid-cols-2 gap-3">
+          {form.operation === 'changeCase' && (
+            <Field label="Case">
+              <select value={form.mode} onChange={(e) => update({ mode: e.target.value })} className={inputClassName}>
+                <option value="upper">UPPER CASE</option>
+                <option value="lower">lower case</option>
+                <option value="title">Title Case</option>
+              </select>
+            </Field>
+          )}
+          {form.operation === 'replace' && (
+            <>
+              <Field label="Find">
+                <input value={form.find} onChange={(e) => update({ find: e.target.value })} className={inputClassName} required />
+              </Field>
+              <Field label="Replace with">
+                <input value={form.replace} onChange={(e) => update({ replace: e.target.value })} className={inputClassName} />
+              </Field>
+              <label className="flex items-center text-sm text-gray-600">
+                <input type="checkbox" checked={form.matchCase} onChange={(e) => update({ matchCase: e.target.checked })} className="mr-2" />
+                Match case
+              </label>
+              <label className="flex items-center text-sm text-gray-600">
+                <input type="checkbox" checked={form.wholeCell} onChange={(e) => update({ wholeCell: e.target.checked })} className="mr-2" />
+                Whole cell only
+              </label>
+            </>
+          )}
+          {form.operation === 'fillNulls' && (
+            <>
+              <Field label="Fill with">
+                <select value={form.method} onChange={(e) => update({ method: e.target.value })} className={inputClassName}>
+                  <option value="constant">A value</option>
+                  <option value="mean">The column mean</option>
+                  <option value="forwardFill">The value above</option>
+                </select>
+              </Field>
+              {form.method === 'constant' && (
+                <Field label="Value">
+                  <input value={form.value} onChange={(e) => update({ value: e.target.value })} className={inputClassName} required />
+                </Field>
+              )}
+            </>
+          )}
+          {form.operation === 'split' && (
+            <>
+              <Field label="Split on">
+                <input value={form.delimiter} onChange={(e) => update({ delimiter: e.target.value })} className={inputClassName} required />
+              </Field>
+              <Field label="New columns (comma-separated)">
+                <input value={form.into} onChange={(e) => update({ into: e.target.value })} placeholder="First, Last" className={inputClassName} required />
+              </Field>
+            </>
+          )}
+          {form.operation === 'merge' && (
+            <>
+              <Field label="Separator">
+                <input value={form.separator} onChange={(e) => update({ separator: e.target.value })} className={inputClassName} />
+              </Field>
+              <Field label="New column">
+                <input value={form.to} onChange={(e) => update({ to: e.target.value })} className={inputClassName} required />
+              </Field>
+            </>
+          )}
+          {form.operation === 'rename' && (
+            <Field label="New name">
+              <input value={form.to} onChange={(e) => update({ to: e.target.value })} className={inputClassName} required />
+            </Field>
+          )}
+          {form.operation === 'retype' && (
+            <Field label="Type">
+              <select value={form.type} onChange={(e) => update({ type: e.target.value })} className={inputClassName}>
+                {COLUMN_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </Field>
+          )}
+          {['split', 'merge'].includes(form.operation) && (
+            <label className="flex items-center text-sm text-gray-600">
+              <input type="checkbox" checked={form.keepOriginal} onChange={(e) => update({ keepOriginal: e.target.checked })} className="mr-2" />
+              Keep the original column{form.operation === 'merge' ? 's' : ''}
+            </label>
+          )}
+        </div>
+
+        <button type="submit" disabled={saving} className="bg-blue-600 text-white py-2 px-4 rounded hover:bg-blue-700 transition disabled:opacity-50">
+          {saving ? 'Adding...' : 'Add Step'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CleaningRecipe;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { ChevronDown, X } from 'lucide-react';
+
+// Ordered list of columns with an "add column" dropdown.
+// `usedFields` hides columns already picked elsewhere (defaults to this list).
+const ColumnPicker = ({
+  label,
+  fields,
+  availableColumns,
+  usedFields = fields,
+  disabled,
+  placeholder = 'Add field...',
+  emptyLabel = 'None',
+  onChange
+}) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+    <div className="flex flex-wrap gap-2 mb-2 min-h-[2rem]">
+      {fields.map((field, index) => (
+        <span key={field} className="inline-flex items-center px-3 py-1 rounded-full bg-blue-100 text-blue-800 text-sm">
+          <span className="text-blue-400 mr-1">{index + 1}.</span>
+          {field}
+          <button
+            type="button"
+            onClick={() => onChange(fields.filter(item => item !== field))}
+            className="ml-1 hover:text-blue-600"
+            title={`Remove ${field}`}
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+      {fields.length === 0 && <span className="text-sm text-gray-400 py-1">{emptyLabel}</span>}
+    </div>
+    <div className="relative">
+      <select
+        value=""
+        onChange={(e) => e.target.value && onChange([...fields, e.target.value])}
+        disabled={disabled}
+        className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none disabled:opacity-50"
+      >
+        <option value="">{placeholder}</option>
+        {availableColumns.filter(column => !usedFields.includes(column)).map((column) => (
+          <option key={column} value={column}>{column}</option>
+        ))}
+      </select>
+      <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+    </div>
+  </div>
+);
+
+export default ColumnPicker;
@@ -0,0 +1,296 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { ArrowDown, ArrowUp, ChevronDown } from 'lucide-react';
+import { fileService } from '../services/fileService.js';
+import ColumnPicker from './ColumnPicker';
+import FilterBuilder, { EMPTY_FILTER_GROUP, serializeFilters } from './FilterBuilder';
+
+// Rows fetched per request, and the grid's geometry in pixels; only the rows
+// in view (and a few around them) are rendered
+const PAGE_SIZE = 200;
+const ROW_HEIGHT = 32;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 10;
+const COLUMN_WIDTH = 160;
+const ROW_NUMBER_WIDTH = 72;
+
+const formatCell = (value, type) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (type === 'date') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+  }
+  if (typeof value === 'number') return value.toLocaleString();
+  return String(value);
+};
+
+// Clicking a header sorts by it, then reverses it, then drops it; with shift
+// held the column is added after the current sort instead of replacing it
+const nextSort = (sort, column, append) => {
+  const current = sort.find(entry => entry.column === column);
+  const others = append ? sort.filter(entry => entry.column !== column) : [];
+  if (!current) return [...others, { column, direction: 'asc' }];
+  if (current.direction === 'asc') {
+    return append
+      ? sort.map(entry => (entry.column === column ? { column, direction: 'desc' } : entry))
+      : [{ column, direction: 'desc' }];
+  }
+  return others;
+};
+
+const SortIndicator = ({ sort, column }) => {
+  const index = sort.findIndex(entry => entry.column === column);
+  if (index === -1) return null;
+  const Icon = sort[index].direction === 'asc' ? ArrowUp : ArrowDown;
+  return (
+    <span className="inline-flex items-center text-blue-600 ml-1">
+      <Icon className="w-3 h-3" />
+      {sort.length > 1 && <span className="text-xs">{index + 1}</span>}
+    </span>
+  );
+};
+
+// The rows of one query; a new query mounts a new one, which starts from the top
+const GridRows = ({ fileId, query, filtered, onSort }) => {
+  const [pages, setPages] = useState({});
+  const [result, setResult] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [error, setError] = useState(null);
+  const requested = useRef(new Set());
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => { mounted.current = false; };
+  }, []);
+
+  // Pages after a loaded one follow its cursor; others are read by offset
+  const loadPage = useCallback(async (index, previous) => {
+    requested.current.add(index);
+    try {
+      const page = await fileService.queryRows(fileId, {
+        ...query,
+        limit: PAGE_SIZE,
+        ...(previous?.nextCursor ? { cursor: previous.nextCursor } : { offset: index * PAGE_SIZE })
+      });
+      if (!mounted.current) return;
+      setPages(current => ({ ...current, [index]: page }));
+      setResult(current => ({
+        columns: page.columns,
+        columnInfo: page.columnInfo,
+        totalRows: page.totalRows ?? current?.totalRows ?? null
+      }));
+    } catch (requestError) {
+      if (!mounted.current) return;
+      setError(requestError.response?.data?.message || 'Failed to load rows.');
+    }
+  }, [fileId, query]);
+
+  const loadedRows = Object.values(pages).reduce((total, page) => total + page.rows.length, 0);
+  const rowCount = result?.totalRows ?? loadedRows;
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(
+    Math.max(rowCount, 1) - 1,
+    Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN
+  );
+
+  // Fetch the pages the rows in view are on
+  useEffect(() => {
+    if (error) return;
+    for (let index = Math.floor(firstRow / PAGE_SIZE); index <= Math.floor(lastRow / PAGE_SIZE); index += 1) {
+      if (!pages[index] && !requested.current.has(index)) loadPage(index, pages[index - 1]);
+    }
+  }, [firstRow, lastRow, pages, error, loadPage]);
+
+  const retry = () => {
+    requested.current = new Set(Object.keys(pages).map(Number));
+    setError(null);
+  };
+
+  const columns = result?.columns || [];
+  const columnTypes = new Map((result?.columnInfo || []).map(column => [column.name, column.type]));
+  const width = ROW_NUMBER_WIDTH + columns.length * COLUMN_WIDTH;
+
+  const visibleRows = [];
+  for (let index = firstRow; index <= lastRow && index < rowCount; index += 1) {
+    const page = pages[Math.floor(index / PAGE_SIZE)];
+    const offset = index % PAGE_SIZE;
+    visibleRows.push({
+      index,
+      values: page?.rows[offset],
+      rowNumber: page?.rowNumbers[offset]
+    });
+  }
+
+  return (
+    <>
+      <div className="text-sm text-gray-500">
+        {result ? `${rowCount.toLocaleString()} ${filtered ? 'matching ' : ''}rows` : 'Loading rows...'}
+      </div>
+
+      {error && (
+        <div className="flex items-center justify-between bg-red-50 text-red-700 text-sm rounded-lg px-4 py-2">
+          <span>{error}</span>
+          <button type="button" onClick={retry} className="font-medium hover:text-red-900">Retry</button>
+        </div>
+      )}
+
+      <div
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        style={{ height: VIEWPORT_HEIGHT }}
+        className="overflow-auto border border-gray-200 rounded-lg text-sm"
+      >
+        <div style={{ height: (rowCount + 1) * ROW_HEIGHT, width, position: 'relative' }}>
+          <div
+            className="sticky top-0 z-10 flex bg-gray-50 border-b border-gray-200 font-medium text-gray-600"
+            style={{ height: ROW_HEIGHT, width }}
+          >
+            <div className="px-2 flex items-center text-gray-400" style={{ width: ROW_NUMBER_WIDTH }}>Row</div>
+            {columns.map(column => (
+              <button
+                key={column}
+                type="button"
+                title="Click to sort, shift-click to sort by more than one column"
+                onClick={(e) => onSort(column, e.shiftKey)}
+                className="px-2 flex items-center text-left hover:bg-gray-100 truncate"
+                style={{ width: COLUMN_WIDTH }}
+              >
+                <span className="truncate">{column}</span>
+                <SortIndicator sort={query.sort} column={column} />
+              </button>
+            ))}
+          </div>
+          {visibleRows.map(row => (
+            <div
+              key={row.index}
+              className="absolute left-0 flex border-b border-gray-100"
+              style={{ top: (row.index + 1) * ROW_HEIGHT, height: ROW_HEIGHT, width }}
+            >
+              <div className="px-2 flex items-center text-gray-400 tabular-nums" style={{ width: ROW_NUMBER_WIDTH }}>
+                {row.rowNumber ?? ''}
+              </div>
+              {columns.map((column, index) => (
+                <div
+                  key={column}
+                  className={`px-2 flex items-center truncate ${typeof row.values?.[index] === 'number' ? 'justify-end tabular-nums' : ''}`}
+                  style={{ width: COLUMN_WIDTH }}
+                >
+                  {row.values
+                    ? <span className="truncate">{formatCell(row.values[index], columnTypes.get(column))}</span>
+                    : <span className="w-full h-3 bg-gray-100 rounded animate-pulse" />}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+      {result && rowCount === 0 && <p className="text-sm text-gray-500">No rows to show.</p>}
+    </>
+  );
+};
+
+/**
+ * Spreadsheet view of a processed file's rows, read a page at a time from
+ * GET /api/files/:id/rows as it is scrolled, so sheets of any length can be
+ * browsed. Columns can be picked, sorted (shift-click for more than one) and
+ * filtered as in analyses.
+ */
+const DataGrid = ({ file }) => {
+  const [sheet, setSheet] = useState(file.sheetNames?.[0] || '');
+  const [availableColumns, setAvailableColumns] = useState([]);
+  const [shownColumns, setShownColumns] = useState([]);
+  const [sort, setSort] = useState([]);
+  const [filterGroup, setFilterGroup] = useState(EMPTY_FILTER_GROUP);
+  const [filters, setFilters] = useState([]);
+  const [showFilters, setShowFilters] = useState(false);
+
+  const query = useMemo(() => ({ sheet, columns: shownColumns, sort, filters }), [sheet, shownColumns, sort, filters]);
+
+  useEffect(() => {
+    fileService.getFileColumns(file.id, sheet)
+      .then(response => setAvailableColumns(response.columns || []))
+      .catch(() => setAvailableColumns([]));
+  }, [file.id, sheet]);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-4">
+        {file.sheetNames?.length > 1 && (
+          <div className="relative">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Sheet</label>
+            <select
+              value={sheet}
+              onChange={(e) => {
+                setSheet(e.target.value);
+                setShownColumns([]);
+                setSort([]);
+                setFilterGroup(EMPTY_FILTER_GROUP);
+                setFilters([]);
+              }}
+              className="bg-white/80 border border-gray-300 rounded-lg px-3 py-2 pr-8 text-sm appearance-none"
+            >
+              {file.sheetNames.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <ChevronDown className="absolute right-2 bottom-3 w-4 h-4 text-gray-400 pointer-events-none" />
+          </div>
+        )}
+        <div className="flex-1 min-w-[16rem]">
+          <ColumnPicker
+            label="Columns"
+            fields={shownColumns}
+            availableColumns={availableColumns}
+            placeholder="Show column..."
+            emptyLabel="All columns"
+            onChange={setShownColumns}
+          />
+        </div>
+        <div className="flex gap-4 pb-2 text-sm">
+          <button type="button" onClick={() => setShowFilters(!showFilters)} className="text-blue-600 hover:text-blue-800">
+            {showFilters ? 'Hide filters' : `Filters${filters.length > 0 ? ` (${filters.length})` : ''}`}
+          </button>
+          {sort.length > 0 && (
+            <button type="button" onClick={() => setSort([])} className="text-gray-500 hover:text-gray-800">
+              Clear sort
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showFilters && (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+          <FilterBuilder group={filterGroup} columns={availableColumns} onChange={setFilterGroup} />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setFilters(serializeFilters(filterGroup))}
+              className="bg-blue-600 text-white text-sm py-1.5 px-3 rounded hover:bg-blue-700 transition"
+            >
+              Apply filters
+            </button>
+            {filters.length > 0 && (
+              <button
+                type="button"
+                onClick={() => {
+                  setFilterGroup(EMPTY_FILTER_GROUP);
+                  setFilters([]);
+                }}
+                className="text-sm text-gray-500 hover:text-gray-800"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <GridRows
+        key={JSON.stringify(query)}
+        fileId={file.id}
+        query={query}
+        filtered={filters.length > 0}
+        onSort={(column, append) => setSort(nextSort(sort, column, append))}
+      />
+    </div>
+  );
+};
+
+export default DataGrid;
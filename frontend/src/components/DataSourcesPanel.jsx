@@ -0,0 +1,166 @@
+import React from 'react';
+import { ChevronDown, Plus, X } from 'lucide-react';
+
+export const JOIN_TYPES = [
+  { value: 'inner', label: 'Inner join' },
+  { value: 'left', label: 'Left join' },
+  { value: 'full', label: 'Full join' }
+];
+
+export const EMPTY_DATA_SOURCES = { unions: [], joins: [] };
+
+const controlClassName = 'bg-white/80 border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50';
+
+const Select = ({ className = '', children, ...props }) => (
+  <div className={`relative ${className}`}>
+    <select {...props} className={`${controlClassName} w-full appearance-none pr-8`}>
+      {children}
+    </select>
+    <ChevronDown className="absolute right-2 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+  </div>
+);
+
+// File and sheet of a union or join; an empty file means the selected file
+const SourcePicker = ({ source, files, currentFile, disabled, onChange }) => {
+  const file = files.find(candidate => candidate.id === (source.fileId || currentFile?.id));
+  return (
+    <>
+      <Select value={source.fileId} disabled={disabled} className="w-56"
+        onChange={(e) => onChange({ ...source, fileId: e.target.value, sheet: '' })}>
+        <option value="">This file</option>
+        {files.filter(candidate => candidate.id !== currentFile?.id).map(candidate => (
+          <option key={candidate.id} value={candidate.id}>{candidate.originalName}</option>
+        ))}
+      </Select>
+      <Select value={source.sheet} disabled={disabled} className="w-40"
+        onChange={(e) => onChange({ ...source, sheet: e.target.value })}>
+        <option value="">First sheet</option>
+        {(file?.sheetNames || []).map(sheet => <option key={sheet} value={sheet}>{sheet}</option>)}
+      </Select>
+    </>
+  );
+};
+
+/**
+ * Unions and joins of other sheets (of this or another of the user's files),
+ * combined with the selected sheet before calculated columns and filters.
+ */
+const DataSourcesPanel = ({ sources, files, currentFile, leftColumns, sourceColumns, disabled, onChange }) => {
+  const updateUnion = (index, union) => {
+    onChange({ ...sources, unions: sources.unions.map((item, itemIndex) => (itemIndex === index ? union : item)) });
+  };
+  const updateJoin = (index, join) => {
+    onChange({ ...sources, joins: sources.joins.map((item, itemIndex) => (itemIndex === index ? join : item)) });
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm font-medium text-gray-700">Combine Data</label>
+
+      {sources.unions.map((union, index) => (
+        <div key={`union-${index}`} className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-600 w-16">Union</span>
+          <SourcePicker source={union} files={files} currentFile={currentFile} disabled={disabled}
+            onChange={(next) => updateUnion(index, next)} />
+          <button type="button" onClick={() => onChange({ ...sources, unions: sources.unions.filter((_, itemIndex) => itemIndex !== index) })}
+            className="p-2 rounded-lg text-gray-500 hover:bg-gray-100" title="Remove union">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      {sources.joins.map((join, index) => {
+        const rightColumns = sourceColumns[join.fileId || currentFile?.id] || [];
+        const listId = `join-columns-${index}`;
+        return (
+          <div key={`join-${index}`} className="space-y-2 border-l-2 border-blue-200 pl-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <Select value={join.type} disabled={disabled} className="w-36"
+                onChange={(e) => updateJoin(index, { ...join, type: e.target.value })}>
+                {JOIN_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+              </Select>
+              <SourcePicker source={join} files={files} currentFile={currentFile} disabled={disabled}
+                onChange={(next) => updateJoin(index, next)} />
+              <button type="button" onClick={() => onChange({ ...sources, joins: sources.joins.filter((_, itemIndex) => itemIndex !== index) })}
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-100" title="Remove join">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <datalist id={listId}>
+              {rightColumns.map(column => <option key={column} value={column} />)}
+            </datalist>
+            {join.on.map((pair, pairIndex) => (
+              <div key={pairIndex} className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-500 w-16">{pairIndex === 0 ? 'on' : 'and'}</span>
+                <Select value={pair.left} disabled={disabled} className="w-44"
+                  onChange={(e) => updateJoin(index, {
+                    ...join,
+                    on: join.on.map((item, itemIndex) => (itemIndex === pairIndex ? { ...item, left: e.target.value } : item))
+                  })}>
+                  <option value="">Key column</option>
+                  {leftColumns.map(column => <option key={column} value={column}>{column}</option>)}
+                </Select>
+                <span className="text-gray-500">=</span>
+                <input
+                  type="text"
+                  list={listId}
+                  value={pair.right}
+                  disabled={disabled}
+                  placeholder="Joined sheet column"
+                  className={`${controlClassName} w-44`}
+                  onChange={(e) => updateJoin(index, {
+                    ...join,
+                    on: join.on.map((item, itemIndex) => (itemIndex === pairIndex ? { ...item, right: e.target.value } : item))
+                  })}
+                />
+                {join.on.length > 1 && (
+                  <button type="button" onClick={() => updateJoin(index, { ...join, on: join.on.filter((_, itemIndex) => itemIndex !== pairIndex) })}
+                    className="p-1 rounded-lg text-gray-500 hover:bg-gray-100" title="Remove key">
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+            <button type="button" disabled={disabled} onClick={() => updateJoin(index, { ...join, on: [...join.on, { left: '', right: '' }] })}
+              className="ml-16 inline-flex items-center text-sm text-blue-600 hover:text-blue-700">
+              <Plus className="w-4 h-4 mr-1" />
+              Add key
+            </button>
+          </div>
+        );
+      })}
+
+      <div className="flex items-center space-x-4">
+        <button type="button" disabled={disabled}
+          onClick={() => onChange({ ...sources, unions: [...sources.unions, { fileId: '', sheet: '' }] })}
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50">
+          <Plus className="w-4 h-4 mr-1" />
+          Add union
+        </button>
+        <button type="button" disabled={disabled}
+          onClick={() => onChange({ ...sources, joins: [...sources.joins, { fileId: '', sheet: '', type: 'inner', on: [{ left: '', right: '' }] }] })}
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50">
+          <Plus className="w-4 h-4 mr-1" />
+          Add join
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Unions and joins as sent in `config.dataSelection`; incomplete joins are dropped
+ */
+export const serializeDataSources = (sources) => ({
+  unions: sources.unions.map(({ fileId, sheet }) => ({ ...(fileId && { fileId }), ...(sheet && { sheet }) })),
+  joins: sources.joins
+    .map(({ fileId, sheet, type, on }) => ({
+      ...(fileId && { fileId }),
+      ...(sheet && { sheet }),
+      type,
+      on: on.filter(pair => pair.left && pair.right.trim()).map(pair => ({ left: pair.left, right: pair.right.trim() }))
+    }))
+    .filter(join => join.on.length > 0)
+});
+
+export default DataSourcesPanel;
@@ -0,0 +1,301 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, GitCompare, Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import ColumnPicker from './ColumnPicker';
+import { fileService } from '../services/fileService.js';
+
+const formatCount = (value) => (value ?? 0).toLocaleString();
+
+const formatCell = (value) => (value === null || value === undefined ? '∅' : String(value));
+
+const selectClassName = 'border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Added or removed rows, with the columns they had
+const RowList = ({ title, list, className }) => {
+  if (list.count === 0) return null;
+  const columns = Object.keys(list.rows[0]?.values || {});
+  return (
+    <div>
+      <h4 className={`text-sm font-medium mb-2 ${className}`}>
+        {title} ({formatCount(list.count)}{list.count > list.rows.length ? `, first ${list.rows.length} shown` : ''})
+      </h4>
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium">Row</th>
+              {columns.map(name => <th key={name} className="px-3 py-2 text-left font-medium">{name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {list.rows.map(entry => (
+              <tr key={entry.row} className="border-t border-gray-100">
+                <td className="px-3 py-2 text-gray-400 tabular-nums">{entry.row}</td>
+                {columns.map(name => (
+                  <td key={name} className="px-3 py-2 text-gray-700 truncate max-w-xs">{formatCell(entry.values[name])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const ChangedRows = ({ changed }) => {
+  if (changed.count === 0) return null;
+  return (
+    <div>
+      <h4 className="text-sm font-medium mb-2 text-amber-700">
+        Changed rows ({formatCount(changed.count)} rows, {formatCount(changed.cells)} cells
+        {changed.count > changed.rows.length ? `, first ${changed.rows.length} shown` : ''})
+      </h4>
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium">Key</th>
+              <th className="px-3 py-2 text-left font-medium">Column</th>
+              <th className="px-3 py-2 text-left font-medium">Before</th>
+              <th className="px-3 py-2 text-left font-medium">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changed.rows.flatMap(entry => entry.changes.map((change, index) => (
+              <tr key={`${entry.toRow}-${change.column}`} className="border-t border-gray-100">
+                <td className="px-3 py-2 text-gray-500">
+                  {index === 0 ? Object.values(entry.key).map(formatCell).join(', ') : ''}
+                </td>
+                <td className="px-3 py-2 font-medium text-gray-800">{change.column}</td>
+                <td className="px-3 py-2 text-red-600 line-through">{formatCell(change.from)}</td>
+                <td className="px-3 py-2 text-green-700">{formatCell(change.to)}</td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const SchemaChanges = ({ diff }) => {
+  const { schema, sheets } = diff;
+  const lines = [
+    ...sheets.added.map(name => ['text-green-700', `Sheet “${name}” added`]),
+    ...sheets.removed.map(name => ['text-red-600', `Sheet “${name}” removed`]),
+    ...schema.added.map(column => ['text-green-700', `Column “${column.name}” added${column.type ? ` (${column.type})` : ''}`]),
+    ...schema.removed.map(column => ['text-red-600', `Column “${column.name}” removed`]),
+    ...schema.typeChanged.map(column => ['text-amber-700', `Column “${column.name}” changed from ${column.from} to ${column.to}`]),
+    ...(schema.reordered ? [['text-gray-600', 'Columns were reordered']] : [])
+  ];
+  return (
+    <div>
+      <h4 className="text-sm font-medium text-gray-800 mb-2">Schema changes</h4>
+      {lines.length === 0
+        ? <p className="text-sm text-gray-500">Same sheets and columns.</p>
+        : (
+          <ul className="text-sm space-y-1">
+            {lines.map(([className, text]) => <li key={text} className={className}>{text}</li>)}
+          </ul>
+        )}
+    </div>
+  );
+};
+
+const VersionDiff = ({ diff }) => (
+  <div className="space-y-5">
+    <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+      <span><strong className="text-gray-800">{formatCount(diff.rows.from)}</strong> → <strong className="text-gray-800">{formatCount(diff.rows.to)}</strong> rows</span>
+      <span className="text-green-700">+{formatCount(diff.rows.added.count)} added</span>
+      <span className="text-red-600">−{formatCount(diff.rows.removed.count)} removed</span>
+      <span className="text-amber-700">{formatCount(diff.rows.changed.count)} changed</span>
+      <span>{formatCount(diff.rows.unchanged)} unchanged</span>
+    </div>
+    <p className="text-xs text-gray-500">
+      {diff.key
+        ? `Rows matched on ${diff.key.join(', ')}.`
+        : 'No key column to match rows on, so edited rows show as removed and added.'}
+    </p>
+    <SchemaChanges diff={diff} />
+    <ChangedRows changed={diff.rows.changed} />
+    <RowList title="Added rows" list={diff.rows.added} className="text-green-700" />
+    <RowList title="Removed rows" list={diff.rows.removed} className="text-red-600" />
+  </div>
+);
+
+/**
+ * Version history of a file: upload a new version, and compare any two
+ */
+const FileVersions = ({ file, onUploaded }) => {
+  const [versions, setVersions] = useState([]);
+  const [upload, setUpload] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [compare, setCompare] = useState({ from: '', to: '', sheet: '', key: [] });
+  const [diff, setDiff] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [diffError, setDiffError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fileService.getFileVersions(file.id)
+      .then(response => {
+        if (cancelled) return;
+        setVersions(response.versions);
+        setCompare(current => ({ ...current, from: String(Math.max(response.current - 1, 1)), to: String(response.current) }));
+      })
+      .catch(() => {
+        if (!cancelled) toast.error('Failed to load the file versions');
+      });
+    return () => { cancelled = true; };
+  }, [file.id, file.version]);
+
+  const handleUploadChange = (e) => {
+    const picked = e.target.files[0];
+    const validation = fileService.validateFile(picked);
+    if (validation.valid) {
+      setUpload(picked);
+    } else {
+      toast.error(validation.error);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!upload) return;
+    setUploading(true);
+    try {
+      const response = await fileService.uploadFileVersion(file.id, upload);
+      toast.success(`Version ${response.file.version} uploaded`);
+      setUpload(null);
+      setDiff(null);
+      onUploaded?.(file.id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload the new version');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    setComparing(true);
+    setDiffError(null);
+    try {
+      const response = await fileService.getVersionDiff(file.id, {
+        from: compare.from,
+        to: compare.to,
+        ...(compare.sheet && { sheet: compare.sheet }),
+        ...(compare.key.length > 0 && { key: compare.key })
+      });
+      setDiff(response.diff);
+    } catch (error) {
+      setDiff(null);
+      setDiffError(error.response?.data?.message || 'Failed to compare the versions');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const sheetName = compare.sheet || file.sheetNames?.[0];
+  const keyColumns = (file.metadata?.sheets?.find(entry => entry.name === sheetName)?.columnInfo || [])
+    .map(column => column.name);
+
+  return (
+    <div className="space-y-6">
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium">Version</th>
+              <th className="px-3 py-2 text-left font-medium">File</th>
+              <th className="px-3 py-2 text-left font-medium">Uploaded</th>
+              <th className="px-3 py-2 text-left font-medium">Rows</th>
+              <th className="px-3 py-2 text-left font-medium">Size</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...versions].reverse().map(entry => (
+              <tr key={entry.version} className="border-t border-gray-100">
+                <td className="px-3 py-2 font-medium text-gray-800">
+                  v{entry.version}
+                  {entry.current && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-700">latest</span>}
+                </td>
+                <td className="px-3 py-2 text-gray-700 truncate max-w-xs">{entry.originalName}</td>
+                <td className="px-3 py-2 text-gray-500">{entry.uploadedAt ? new Date(entry.uploadedAt).toLocaleString() : '—'}</td>
+                <td className="px-3 py-2 text-gray-500 tabular-nums">{formatCount(entry.totalRows)}</td>
+                <td className="px-3 py-2 text-gray-500">{fileService.formatFileSize(entry.fileSize || 0)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={handleUpload} className="flex flex-wrap items-center gap-3">
+        <input type="file" onChange={handleUploadChange} className="text-sm" />
+        <button
+          type="submit"
+          disabled={!upload || uploading || file.status === 'processing'}
+          className="inline-flex items-center bg-blue-600 text-white py-2 px-4 rounded text-sm hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          <Upload className="w-4 h-4 mr-2" />
+          {uploading ? 'Uploading...' : 'Upload new version'}
+        </button>
+        <span className="text-xs text-gray-500">Analyses that follow the latest version will use it.</span>
+      </form>
+
+      {versions.length > 1 && (
+        <div className="border-t border-gray-200 pt-6 space-y-4">
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Compare</label>
+              <select value={compare.from} onChange={(e) => setCompare({ ...compare, from: e.target.value })} className={selectClassName}>
+                {versions.map(entry => <option key={entry.version} value={entry.version}>v{entry.version}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">With</label>
+              <select value={compare.to} onChange={(e) => setCompare({ ...compare, to: e.target.value })} className={selectClassName}>
+                {versions.map(entry => <option key={entry.version} value={entry.version}>v{entry.version}</option>)}
+              </select>
+            </div>
+            {file.sheetNames?.length > 1 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Sheet</label>
+                <select value={compare.sheet} onChange={(e) => setCompare({ ...compare, sheet: e.target.value, key: [] })} className={selectClassName}>
+                  <option value="">First shared sheet</option>
+                  {file.sheetNames.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={handleCompare}
+              disabled={comparing || compare.from === compare.to}
+              className="inline-flex items-center bg-gray-700 text-white py-2 px-4 rounded text-sm hover:bg-gray-800 transition disabled:opacity-50"
+            >
+              <GitCompare className="w-4 h-4 mr-2" />
+              {comparing ? 'Comparing...' : 'Compare'}
+            </button>
+          </div>
+          <ColumnPicker
+            label="Match rows on"
+            fields={compare.key}
+            availableColumns={keyColumns}
+            placeholder="Add key column..."
+            emptyLabel="An ID column, if there is one"
+            onChange={(picked) => setCompare({ ...compare, key: picked })}
+          />
+          {diffError && (
+            <div className="flex items-center text-sm text-red-600">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {diffError}
+            </div>
+          )}
+          {diff && <VersionDiff diff={diff} />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FileVersions;
@@ -0,0 +1,244 @@
+import React from 'react';
+import { ChevronDown, Plus, X, FolderPlus } from 'lucide-react';
+
+export const FILTER_OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'not_equals', label: 'does not equal' },
+  { value: 'contains', label: 'contains' },
+  { value: 'not_contains', label: 'does not contain' },
+  { value: 'starts_with', label: 'starts with' },
+  { value: 'ends_with', label: 'ends with' },
+  { value: 'regex', label: 'matches regex' },
+  { value: 'greater_than', label: 'greater than' },
+  { value: 'less_than', label: 'less than' },
+  { value: 'between', label: 'between' },
+  { value: 'in', label: 'is one of' },
+  { value: 'not_in', label: 'is not one of' },
+  { value: 'is_null', label: 'is empty' },
+  { value: 'is_not_null', label: 'is not empty' },
+  { value: 'before', label: 'date before' },
+  { value: 'after', label: 'date after' },
+  { value: 'in_last', label: 'date in the last' },
+  { value: 'top_n', label: 'top N' },
+  { value: 'bottom_n', label: 'bottom N' }
+];
+
+const RELATIVE_DATE_UNITS = ['days', 'weeks', 'months', 'years'];
+
+export const EMPTY_FILTER_GROUP = { logic: 'and', negate: false, conditions: [] };
+
+const newCondition = () => ({ column: '', operator: 'equals', value: '' });
+
+// Each operator keeps its value in the shape its input edits
+const defaultValue = (operator) => {
+  switch (operator) {
+    case 'between':
+      return ['', ''];
+    case 'in_last':
+      return { amount: 30, unit: 'days' };
+    case 'top_n':
+    case 'bottom_n':
+      return 10;
+    case 'is_null':
+    case 'is_not_null':
+      return undefined;
+    default:
+      return '';
+  }
+};
+
+const isGroup = (node) => Array.isArray(node.conditions);
+
+// Comma-separated lists match cells holding either the text or the number
+const parseList = (text) => String(text).split(',').map(item => item.trim()).filter(Boolean)
+  .flatMap(item => (item !== '' && !Number.isNaN(Number(item)) ? [item, Number(item)] : [item]));
+
+const serializeNode = (node) => {
+  if (isGroup(node)) {
+    const conditions = node.conditions.map(serializeNode).filter(Boolean);
+    if (conditions.length === 0) return null;
+    return { logic: node.logic, negate: node.negate, conditions };
+  }
+  if (!node.column) return null;
+  const value = ['in', 'not_in'].includes(node.operator) ? parseList(node.value) : node.value;
+  return { column: node.column, operator: node.operator, ...(value !== undefined && { value }) };
+};
+
+/**
+ * Turn the builder's root group into the API's filter list. A plain AND root is
+ * sent as a flat list; incomplete conditions and empty groups are dropped.
+ */
+export const serializeFilters = (group) => {
+  const root = serializeNode(group);
+  if (!root) return [];
+  return root.logic === 'and' && !root.negate ? root.conditions : [root];
+};
+
+const controlClassName = 'bg-white/80 border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50';
+
+const Select = ({ className = '', children, ...props }) => (
+  <div className={`relative ${className}`}>
+    <select {...props} className={`${controlClassName} w-full appearance-none pr-8`}>
+      {children}
+    </select>
+    <ChevronDown className="absolute right-2 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+  </div>
+);
+
+const ValueInput = ({ condition, disabled, onChange }) => {
+  const { operator, value } = condition;
+  switch (operator) {
+    case 'is_null':
+    case 'is_not_null':
+      return null;
+    case 'between':
+      return (
+        <div className="flex items-center gap-2">
+          <input type="number" value={value?.[0] ?? ''} disabled={disabled} className={`${controlClassName} w-24`}
+            onChange={(e) => onChange([e.target.value, value?.[1] ?? ''])} />
+          <span className="text-sm text-gray-500">and</span>
+          <input type="number" value={value?.[1] ?? ''} disabled={disabled} className={`${controlClassName} w-24`}
+            onChange={(e) => onChange([value?.[0] ?? '', e.target.value])} />
+        </div>
+      );
+    case 'before':
+    case 'after':
+      return (
+        <input type="date" value={value || ''} disabled={disabled} className={controlClassName}
+          onChange={(e) => onChange(e.target.value)} />
+      );
+    case 'in_last':
+      return (
+        <div className="flex items-center gap-2">
+          <input type="number" min={0} value={value?.amount ?? ''} disabled={disabled} className={`${controlClassName} w-20`}
+            onChange={(e) => onChange({ ...value, amount: e.target.value === '' ? '' : Number(e.target.value) })} />
+          <Select value={value?.unit || 'days'} disabled={disabled} className="w-28"
+            onChange={(e) => onChange({ ...value, unit: e.target.value })}>
+            {RELATIVE_DATE_UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+          </Select>
+        </div>
+      );
+    case 'top_n':
+    case 'bottom_n':
+      return (
+        <input type="number" min={1} value={value ?? ''} disabled={disabled} className={`${controlClassName} w-24`}
+          onChange={(e) => onChange(e.target.value === '' ? '' : Number(e.target.value))} />
+      );
+    default:
+      return (
+        <input
+          type="text"
+          value={value ?? ''}
+          disabled={disabled}
+          placeholder={['in', 'not_in'].includes(operator) ? 'a, b, c' : operator === 'regex' ? '^pattern$' : 'Value'}
+          className={`${controlClassName} flex-1 min-w-[8rem]`}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+  }
+};
+
+const ConditionRow = ({ condition, columns, disabled, onChange, onRemove }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    <Select value={condition.column} disabled={disabled} className="w-44"
+      onChange={(e) => onChange({ ...condition, column: e.target.value })}>
+      <option value="">Column</option>
+      {columns.map(column => <option key={column} value={column}>{column}</option>)}
+    </Select>
+    <Select value={condition.operator} disabled={disabled} className="w-44"
+      onChange={(e) => onChange({ ...condition, operator: e.target.value, value: defaultValue(e.target.value) })}>
+      {FILTER_OPERATORS.map(operator => <option key={operator.value} value={operator.value}>{operator.label}</option>)}
+    </Select>
+    <ValueInput condition={condition} disabled={disabled} onChange={(value) => onChange({ ...condition, value })} />
+    <button type="button" onClick={onRemove} className="p-2 rounded-lg text-gray-500 hover:bg-gray-100" title="Remove condition">
+      <X className="w-4 h-4" />
+    </button>
+  </div>
+);
+
+const FilterGroup = ({ group, columns, disabled, depth, onChange, onRemove }) => {
+  const updateCondition = (index, next) => {
+    onChange({ ...group, conditions: group.conditions.map((node, nodeIndex) => (nodeIndex === index ? next : node)) });
+  };
+  const removeCondition = (index) => {
+    onChange({ ...group, conditions: group.conditions.filter((_, nodeIndex) => nodeIndex !== index) });
+  };
+
+  return (
+    <div className={`space-y-2 ${depth > 0 ? 'border-l-2 border-blue-200 pl-3 py-1' : ''}`}>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden">
+          {['and', 'or'].map(logic => (
+            <button
+              key={logic}
+              type="button"
+              disabled={disabled}
+              onClick={() => onChange({ ...group, logic })}
+              className={`px-3 py-1 uppercase ${group.logic === logic ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+            >
+              {logic}
+            </button>
+          ))}
+        </div>
+        <label className="inline-flex items-center space-x-1 text-gray-700">
+          <input
+            type="checkbox"
+            checked={group.negate}
+            disabled={disabled}
+            onChange={(e) => onChange({ ...group, negate: e.target.checked })}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span>NOT</span>
+        </label>
+        <button type="button" disabled={disabled} onClick={() => onChange({ ...group, conditions: [...group.conditions, newCondition()] })}
+          className="inline-flex items-center text-blue-600 hover:text-blue-700">
+          <Plus className="w-4 h-4 mr-1" />
+          Condition
+        </button>
+        <button type="button" disabled={disabled} onClick={() => onChange({ ...group, conditions: [...group.conditions, { ...EMPTY_FILTER_GROUP }] })}
+          className="inline-flex items-center text-blue-600 hover:text-blue-700">
+          <FolderPlus className="w-4 h-4 mr-1" />
+          Group
+        </button>
+        {onRemove && (
+          <button type="button" onClick={onRemove} className="p-1 rounded-lg text-gray-500 hover:bg-gray-100" title="Remove group">
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+      {group.conditions.map((node, index) => (isGroup(node) ? (
+        <FilterGroup
+          key={index}
+          group={node}
+          columns={columns}
+          disabled={disabled}
+          depth={depth + 1}
+          onChange={(next) => updateCondition(index, next)}
+          onRemove={() => removeCondition(index)}
+        />
+      ) : (
+        <ConditionRow
+          key={index}
+          condition={node}
+          columns={columns}
+          disabled={disabled}
+          onChange={(next) => updateCondition(index, next)}
+          onRemove={() => removeCondition(index)}
+        />
+      )))}
+    </div>
+  );
+};
+
+/**
+ * Nested AND/OR/NOT filter editor. `group` is the root group; use
+ * `serializeFilters` to turn it into the analysis config's `filters` list.
+ */
+const FilterBuilder = ({ group, columns, disabled, onChange }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-2">Filters</label>
+    <FilterGroup group={group} columns={columns} disabled={disabled} depth={0} onChange={onChange} />
+  </div>
+);
+
+export default FilterBuilder;
@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { fileService } from '../services/fileService.js';
+
+// Raw rows shown when reviewing a sheet
+const PREVIEW_ROWS = 40;
+
+const inputClassName = 'w-full bg-white/80 border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50';
+
+const columnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+const columnIndex = (letters) => letters.split('').reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+
+// "B3:F120" or "B3:F" (open-ended), as the API takes it; null when malformed
+const parseRange = (range) => {
+  const match = /^\s*([A-Z]{1,3})(\d+)\s*:\s*([A-Z]{1,3})(\d*)\s*$/i.exec(range || '');
+  if (!match) return null;
+  return {
+    firstRow: Number(match[2]),
+    lastRow: match[4] ? Number(match[4]) : null,
+    firstColumn: columnIndex(match[1].toUpperCase()),
+    lastColumn: columnIndex(match[3].toUpperCase())
+  };
+};
+
+const formatRange = ({ firstRow, lastRow, firstColumn, lastColumn }) => (
+  `${columnLetter(firstColumn)}${firstRow}:${columnLetter(lastColumn)}${lastRow ?? ''}`
+);
+
+const sameLayout = (a, b) => Boolean(a && b)
+  && a.headerRow === b.headerRow && (a.headerRows || 1) === (b.headerRows || 1) && a.range === b.range;
+
+/**
+ * Review step after an upload: shows the header row and table range detected on
+ * each sheet over its raw rows, and lets the user pick another detected table or
+ * set the header row and range by hand. `status` is the file's processing status.
+ */
+const LayoutReview = ({ fileId, status, onApplied, onClose }) => {
+  const [sheets, setSheets] = useState(null);
+  const [sheetName, setSheetName] = useState('');
+  const [draft, setDraft] = useState({ headerRow: 1, headerRows: 1, range: '' });
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const processed = status.status === 'processed';
+
+  useEffect(() => {
+    if (!processed || sheets) return;
+    fileService.getFileLayout(fileId)
+      .then(response => {
+        setSheets(response.sheets);
+        setSheetName(response.sheets[0]?.name || '');
+      })
+      .catch(error => {
+        console.error('Error fetching file layout:', error);
+        toast.error('Failed to load the detected layout');
+        setSheets([]);
+      });
+  }, [processed, sheets, fileId]);
+
+  const sheet = sheets?.find(item => item.name === sheetName);
+
+  useEffect(() => {
+    if (!sheet) return;
+    setDraft(sheet.layout
+      ? { headerRow: sheet.layout.headerRow, headerRows: sheet.layout.headerRows || 1, range: sheet.layout.range }
+      : { headerRow: 1, headerRows: 1, range: '' });
+    setPreview(null);
+    fileService.getFileData(fileId, { sheet: sheet.name, raw: true, limit: PREVIEW_ROWS })
+      .then(response => setPreview({ rows: response.data || [], rowNumbers: response.rowNumbers || [] }))
+      .catch(error => {
+        console.error('Error fetching sheet preview:', error);
+        setPreview({ rows: [], rowNumbers: [] });
+      });
+  }, [sheet, fileId]);
+
+  // Picking a header row moves the top of the range with it
+  const setHeaderRow = (headerRow) => {
+    const bounds = parseRange(draft.range);
+    setDraft({
+      ...draft,
+      headerRow,
+      range: bounds ? formatRange({ ...bounds, firstRow: Math.min(bounds.firstRow, headerRow) }) : draft.range
+    });
+  };
+
+  const applyLayout = async () => {
+    setSaving(true);
+    try {
+      const response = await fileService.updateFileLayout(fileId, { sheet: sheetName, ...draft });
+      toast.success('Layout saved, processing the file again');
+      onApplied(response.file);
+    } catch (error) {
+      console.error('Error saving layout:', error);
+      toast.error(error.response?.data?.message || 'Failed to save the layout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (status.status === 'failed') {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center space-x-2 text-red-600">
+          <AlertCircle className="h-5 w-5" />
+          <span>{status.error || 'Processing failed'}</span>
+        </div>
+        <button type="button" onClick={onClose} className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors">
+          Close
+        </button>
+      </div>
+    );
+  }
+
+  if (!processed || !sheets) {
+    return (
+      <div className="space-y-3">
+        <p className="text-gray-600">Looking for the header row and tables in your file...</p>
+        <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+          <div className="h-full bg-blue-500 rounded-full transition-all duration-500" style={{ width: `${status.progress || 0}%` }} />
+        </div>
+        <p className="text-sm text-gray-500">{status.stage ? `${status.stage} · ` : ''}{status.progress || 0}%</p>
+        <button type="button" onClick={onClose} className="text-sm text-blue-600 hover:text-blue-700">
+          Skip review and keep processing in the background
+        </button>
+      </div>
+    );
+  }
+
+  const bounds = parseRange(draft.range);
+  const width = Math.min(Math.max(0, ...(preview?.rows || []).map(row => row.length)), 26);
+  const inRange = (rowNumber, column) => Boolean(bounds)
+    && rowNumber >= draft.headerRow && (bounds.lastRow === null || rowNumber <= bounds.lastRow)
+    && (column === undefined || (column >= bounds.firstColumn && column <= bounds.lastColumn));
+  const isHeader = (rowNumber) => rowNumber >= draft.headerRow && rowNumber < draft.headerRow + draft.headerRows;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Check where the table starts. Click a row number to make it the header row, or pick another table found on the sheet.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-3">
+        {sheets.length > 1 && (
+          <div className="w-44">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Sheet</label>
+            <div className="relative">
+              <select value={sheetName} onChange={(e) => setSheetName(e.target.value)} className={`${inputClassName} appearance-none pr-8`}>
+                {sheets.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+              </select>
+              <ChevronDown className="absolute right-2 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+            </div>
+          </div>
+        )}
+        <div className="w-28">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Header row</label>
+          <input type="number" min={1} value={draft.headerRow} className={inputClassName}
+            onChange={(e) => setHeaderRow(Math.max(1, Number(e.target.value) || 1))} />
+        </div>
+        <div className="w-28">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Header rows</label>
+          <input type="number" min={1} max={5} value={draft.headerRows} className={inputClassName}
+            onChange={(e) => setDraft({ ...draft, headerRows: Math.min(Math.max(1, Number(e.target.value) || 1), 5) })} />
+        </div>
+        <div className="w-36">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Range</label>
+          <input type="text" value={draft.range} placeholder="B3:F or B3:F120" className={`${inputClassName} font-mono`}
+            onChange={(e) => setDraft({ ...draft, range: e.target.value.toUpperCase() })} />
+        </div>
+      </div>
+
+      {sheet?.regions?.length > 1 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-600">Tables found:</span>
+          {sheet.regions.map(region => (
+            <button
+              key={`${region.range}-${region.headerRow}`}
+              type="button"
+              onClick={() => setDraft({ headerRow: region.headerRow, headerRows: region.headerRows || 1, range: region.range })}
+              className={`px-3 py-1 rounded-full border font-mono ${
+                sameLayout(region, draft) ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {region.range}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="border border-gray-200 rounded-lg overflow-auto max-h-80">
+        {!preview ? (
+          <div className="p-6 text-center text-sm text-gray-500">Loading preview...</div>
+        ) : (
+          <table className="min-w-full text-xs">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-2 py-1 text-gray-400 font-normal"></th>
+                {Array.from({ length: width }, (_, column) => (
+                  <th key={column} className={`px-2 py-1 font-normal ${inRange(draft.headerRow, column) ? 'text-blue-600' : 'text-gray-400'}`}>
+                    {columnLetter(column)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map((row, index) => {
+                const rowNumber = preview.rowNumbers[index];
+                return (
+                  <tr key={rowNumber} className={isHeader(rowNumber) ? 'bg-blue-50 font-semibold' : ''}>
+                    <td className="px-2 py-1 border-r border-gray-200">
+                      <button type="button" onClick={() => setHeaderRow(rowNumber)} className="text-gray-500 hover:text-blue-600" title="Use as header row">
+                        {rowNumber}
+                      </button>
+                    </td>
+                    {Array.from({ length: width }, (_, column) => (
+                      <td key={column} className={`px-2 py-1 whitespace-nowrap ${inRange(rowNumber, column) ? 'text-gray-900' : 'text-gray-300'}`}>
+                        {row[column] === null || row[column] === undefined ? '' : String(row[column])}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="flex space-x-4">
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 px-6 py-3 border border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors"
+        >
+          Keep Detected Layout
+        </button>
+        <button
+          type="button"
+          onClick={applyLayout}
+          disabled={saving || !bounds || sameLayout(sheet?.layout, draft)}
+          className="flex-1 px-6 py-3 rounded-lg font-semibold transition-all duration-200 bg-gradient-to-r from-blue-600 to-purple-600 text-white hover:from-blue-700 hover:to-purple-700 shadow-lg disabled:from-gray-400 disabled:to-gray-400 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Apply Layout'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LayoutReview;
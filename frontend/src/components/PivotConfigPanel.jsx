@@ -0,0 +1,135 @@
+import React from 'react';
+import { ChevronDown, Plus, X } from 'lucide-react';
+import ColumnPicker from './ColumnPicker';
+
+export const PIVOT_AGGREGATIONS = [
+  { value: 'sum', label: 'Sum' },
+  { value: 'count', label: 'Count' },
+  { value: 'avg', label: 'Average' },
+  { value: 'min', label: 'Min' },
+  { value: 'max', label: 'Max' },
+  { value: 'median', label: 'Median' },
+  { value: 'mode', label: 'Mode' },
+  { value: 'std_dev', label: 'Std. Deviation' }
+];
+
+export const DEFAULT_PIVOT_CONFIG = {
+  rows: [],
+  columns: [],
+  values: [{ column: '', function: 'sum' }],
+  showSubtotals: true,
+  showGrandTotals: true
+};
+
+const selectClassName = 'w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none disabled:opacity-50';
+
+const PivotConfigPanel = ({ config, availableColumns, disabled, onChange }) => {
+  const update = (changes) => onChange({ ...config, ...changes });
+  const groupingFields = [...config.rows, ...config.columns];
+
+  const updateValue = (index, changes) => {
+    update({
+      values: config.values.map((value, valueIndex) => (valueIndex === index ? { ...value, ...changes } : value))
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <ColumnPicker
+          label="Row Fields"
+          fields={config.rows}
+          availableColumns={availableColumns}
+          usedFields={groupingFields}
+          disabled={disabled}
+          onChange={(rows) => update({ rows })}
+        />
+        <ColumnPicker
+          label="Column Fields"
+          fields={config.columns}
+          availableColumns={availableColumns}
+          usedFields={groupingFields}
+          disabled={disabled}
+          onChange={(columns) => update({ columns })}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Value Fields</label>
+        <div className="space-y-2">
+          {config.values.map((value, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <div className="relative flex-1">
+                <select
+                  value={value.column}
+                  onChange={(e) => updateValue(index, { column: e.target.value })}
+                  disabled={disabled}
+                  className={selectClassName}
+                >
+                  <option value="">Select Value Column</option>
+                  {availableColumns.map((column) => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+                <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+              </div>
+              <div className="relative w-44">
+                <select
+                  value={value.function}
+                  onChange={(e) => updateValue(index, { function: e.target.value })}
+                  disabled={disabled}
+                  className={selectClassName}
+                >
+                  {PIVOT_AGGREGATIONS.map((aggregation) => (
+                    <option key={aggregation.value} value={aggregation.value}>{aggregation.label}</option>
+                  ))}
+                </select>
+                <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+              </div>
+              <button
+                type="button"
+                onClick={() => update({ values: config.values.filter((_, valueIndex) => valueIndex !== index) })}
+                disabled={config.values.length === 1}
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                title="Remove value field"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => update({ values: [...config.values, { column: '', function: 'sum' }] })}
+          className="mt-2 inline-flex items-center text-sm text-blue-600 hover:text-blue-700"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add value field
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-6 text-sm text-gray-700">
+        <label className="inline-flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={config.showSubtotals}
+            onChange={(e) => update({ showSubtotals: e.target.checked })}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span>Show subtotals</span>
+        </label>
+        <label className="inline-flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={config.showGrandTotals}
+            onChange={(e) => update({ showGrandTotals: e.target.checked })}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span>Show grand totals</span>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default PivotConfigPanel;
@@ -0,0 +1,230 @@
+import React, { forwardRef, useImperativeHandle, useMemo, useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { analyticsService } from '../services/analyticsService';
+
+const PATH_SEPARATOR = '\u0000';
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'number') return String(value);
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+};
+
+const pathKey = (path) => path.join(PATH_SEPARATOR);
+
+// Collect the path keys of every row that has children
+const collectGroupKeys = (nodes, keys = []) => {
+  nodes.forEach(node => {
+    if (node.children?.length > 0) {
+      keys.push(pathKey(node.path));
+      collectGroupKeys(node.children, keys);
+    }
+  });
+  return keys;
+};
+
+// Build the column header rows: one per column field, nested values merged with
+// colSpan, subtotal and grand total headers spanning down to the value row
+const buildHeaderRows = (columns, columnFields, valueFields) => {
+  const depth = columnFields.length;
+  const valueCount = valueFields.length;
+  const rows = [];
+
+  for (let level = 0; level < depth; level++) {
+    const cells = [];
+    columns.forEach(column => {
+      if (column.kind === 'total') {
+        if (level === 0) {
+          cells.push({ label: 'Grand Total', colSpan: valueCount, rowSpan: depth, isTotal: true });
+        }
+        return;
+      }
+      if (column.kind === 'subtotal' && level >= column.path.length) {
+        if (level === column.path.length) {
+          cells.push({
+            label: `${column.path[column.path.length - 1]} Total`,
+            colSpan: valueCount,
+            rowSpan: depth - level,
+            isTotal: true
+          });
+        }
+        return;
+      }
+
+      const key = pathKey(column.path.slice(0, level + 1));
+      const previous = cells[cells.length - 1];
+      if (previous && previous.key === key) {
+        previous.colSpan += valueCount;
+      } else {
+        cells.push({ key, label: column.path[level], colSpan: valueCount, rowSpan: 1 });
+      }
+    });
+    rows.push(cells);
+  }
+
+  // Value field labels, repeated under every column when there are several
+  if (depth === 0 || valueCount > 1) {
+    rows.push(columns.flatMap(() => valueFields.map(valueField => ({
+      label: valueField.label,
+      colSpan: 1,
+      rowSpan: 1
+    }))));
+  }
+
+  return rows;
+};
+
+const PivotTable = forwardRef(({ analysis }, ref) => {
+  const pivotTable = analysis?.data?.pivotTable;
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  const groupKeys = useMemo(() => collectGroupKeys(pivotTable?.rows || []), [pivotTable]);
+
+  const headerRows = useMemo(() => (
+    pivotTable ? buildHeaderRows(pivotTable.columns, pivotTable.columnFields, pivotTable.valueFields) : []
+  ), [pivotTable]);
+
+  // Pivot tables download as CSV of the flattened rows rather than an image
+  useImperativeHandle(ref, () => ({
+    downloadImage: () => {
+      analyticsService.downloadCsv(analysis?.data?.processedData, analysis?.name || 'pivot');
+    }
+  }));
+
+  if (!pivotTable) {
+    return (
+      <div className="flex items-center justify-center h-80 bg-gray-100 rounded-lg">
+        <p className="text-gray-500">No pivot table available for this analysis</p>
+      </div>
+    );
+  }
+
+  const { rowFields, columns, valueFields, showSubtotals, showGrandTotals, rows, grandTotal, truncated } = pivotTable;
+
+  const toggleRow = (key) => {
+    setCollapsed(previous => {
+      const next = new Set(previous);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const renderCells = (node, visible, isTotalRow = false) => columns.flatMap((column, columnIndex) => (
+    valueFields.map((valueField, valueIndex) => (
+      <td
+        key={`${columnIndex}-${valueIndex}`}
+        className={`px-3 py-2 text-right tabular-nums whitespace-nowrap ${
+          column.kind !== 'value' || isTotalRow ? 'font-semibold bg-gray-50' : ''
+        }`}
+      >
+        {visible ? formatCell(node.cells[columnIndex]?.[valueIndex]) : ''}
+      </td>
+    ))
+  ));
+
+  const renderRows = (nodes) => nodes.flatMap(node => {
+    const key = pathKey(node.path);
+    const hasChildren = node.children.length > 0;
+    const isCollapsed = collapsed.has(key);
+    // Group rows show their subtotal when collapsed, or inline when subtotals are on
+    const showValues = !hasChildren || isCollapsed || showSubtotals;
+
+    const row = (
+      <tr key={key} className={`border-t border-gray-100 ${hasChildren ? 'bg-gray-50/60' : 'hover:bg-blue-50/40'}`}>
+        <td className="px-3 py-2 whitespace-nowrap sticky left-0 bg-inherit">
+          <div className="flex items-center" style={{ paddingLeft: `${node.depth * 1.25}rem` }}>
+            {hasChildren ? (
+              <button
+                type="button"
+                onClick={() => toggleRow(key)}
+                className="mr-1 p-0.5 rounded hover:bg-gray-200 text-gray-500"
+                title={isCollapsed ? 'Expand' : 'Collapse'}
+              >
+                {isCollapsed ? <ChevronRight className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+              </button>
+            ) : (
+              <span className="w-5 mr-1" />
+            )}
+            <span className={hasChildren ? 'font-medium text-gray-800' : 'text-gray-700'}>{node.label}</span>
+          </div>
+        </td>
+        {renderCells(node, showValues, hasChildren)}
+      </tr>
+    );
+
+    return hasChildren && !isCollapsed ? [row, ...renderRows(node.children)] : [row];
+  });
+
+  return (
+    <div className="space-y-3">
+      {truncated && (
+        <p className="text-xs text-gray-500">
+          This pivot has too many row groups to keep them all; the last are left out, but the grand total covers every row.
+        </p>
+      )}
+      {groupKeys.length > 0 && (
+        <div className="flex items-center justify-end space-x-2 text-sm">
+          <button
+            type="button"
+            onClick={() => setCollapsed(new Set())}
+            className="px-3 py-1 rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
+          >
+            Expand all
+          </button>
+          <button
+            type="button"
+            onClick={() => setCollapsed(new Set(groupKeys))}
+            className="px-3 py-1 rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
+          >
+            Collapse all
+          </button>
+        </div>
+      )}
+      <div className="overflow-auto max-h-[600px] border border-gray-200 rounded-lg">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-100 text-gray-700 sticky top-0">
+            {headerRows.map((cells, rowIndex) => (
+              <tr key={rowIndex}>
+                {rowIndex === 0 && (
+                  <th
+                    rowSpan={headerRows.length}
+                    className="px-3 py-2 text-left font-semibold border-b border-r border-gray-200 sticky left-0 bg-gray-100"
+                  >
+                    {rowFields.length > 0 ? rowFields.join(' / ') : 'Values'}
+                  </th>
+                )}
+                {cells.map((cell, cellIndex) => (
+                  <th
+                    key={cellIndex}
+                    colSpan={cell.colSpan}
+                    rowSpan={cell.rowSpan}
+                    className={`px-3 py-2 text-center font-semibold border-b border-gray-200 whitespace-nowrap ${
+                      cell.isTotal ? 'bg-gray-200' : ''
+                    }`}
+                  >
+                    {cell.label}
+                  </th>
+                ))}
+              </tr>
+            ))}
+          </thead>
+          <tbody>
+            {renderRows(rows)}
+            {(showGrandTotals || rowFields.length === 0) && (
+              <tr className="border-t-2 border-gray-300 bg-gray-100 font-semibold">
+                <td className="px-3 py-2 whitespace-nowrap sticky left-0 bg-gray-100">{grandTotal.label}</td>
+                {renderCells(grandTotal, true, true)}
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+});
+
+export default PivotTable;
@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, ChevronDown } from 'lucide-react';
+import { fileService } from '../services/fileService.js';
+
+// Issues reported per column, in the order they are shown
+const COLUMN_ISSUES = [
+  { key: 'missing', label: 'Missing' },
+  { key: 'whitespace', label: 'Whitespace' },
+  { key: 'mixedTypes', label: 'Mixed types' },
+  { key: 'invalidDates', label: 'Invalid dates' },
+  { key: 'outliers', label: 'Outliers' },
+  { key: 'inconsistentCasing', label: 'Casing' }
+];
+
+const scoreClassName = (score) => {
+  if (score >= 95) return 'text-green-600';
+  if (score >= 80) return 'text-amber-600';
+  return 'text-red-600';
+};
+
+const formatCount = (value) => (value ?? 0).toLocaleString();
+
+// Issues that don't apply to a column's type are null
+const IssueCell = ({ issue, percent }) => {
+  if (!issue) return <td className="px-3 py-2 text-center text-gray-300">—</td>;
+  return (
+    <td className={`px-3 py-2 text-center tabular-nums ${issue.count > 0 ? 'text-amber-700 font-medium' : 'text-gray-400'}`}>
+      {formatCount(issue.count)}
+      {percent !== undefined && issue.count > 0 && <span className="text-xs text-gray-400 ml-1">({percent}%)</span>}
+    </td>
+  );
+};
+
+const ColumnDetails = ({ column }) => {
+  const examples = [
+    ['Whitespace', column.whitespace?.examples],
+    ['Mixed types', column.mixedTypes?.examples],
+    ['Invalid dates', column.invalidDates?.examples],
+    ['Outliers', column.outliers?.examples]
+  ].filter(([, list]) => list?.length > 0);
+  const casingGroups = column.inconsistentCasing?.groups || [];
+
+  if (examples.length === 0 && casingGroups.length === 0) {
+    return <p className="text-sm text-gray-500">No examples to show.</p>;
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      {examples.map(([label, list]) => (
+        <div key={label}>
+          <span className="font-medium text-gray-700">{label}: </span>
+          {list.map((example, index) => (
+            <span key={index} className="inline-block mr-3 text-gray-600">
+              row {example.row}: <code className="bg-gray-100 px-1 rounded">{JSON.stringify(example.value)}</code>
+            </span>
+          ))}
+        </div>
+      ))}
+      {column.outliers?.count > 0 && (
+        <p className="text-xs text-gray-500">
+          Expected between {column.outliers.lowerFence.toLocaleString()} and {column.outliers.upperFence.toLocaleString()}
+        </p>
+      )}
+      {casingGroups.map(group => (
+        <div key={group.value}>
+          <span className="font-medium text-gray-700">Casing of “{group.value}”: </span>
+          {group.variants.map(variant => (
+            <span key={variant.value} className="inline-block mr-3 text-gray-600">
+              <code className="bg-gray-100 px-1 rounded">{variant.value}</code> × {formatCount(variant.count)}
+            </span>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const SheetReport = ({ sheet }) => {
+  const [openColumn, setOpenColumn] = useState(null);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+        <span><strong className="text-gray-800">{formatCount(sheet.rows)}</strong> rows checked</span>
+        <span><strong className="text-gray-800">{formatCount(sheet.duplicateRows.count)}</strong> duplicate rows</span>
+        <span>Score <strong className={scoreClassName(sheet.score)}>{sheet.score}%</strong></span>
+      </div>
+      {sheet.duplicateRows.examples.length > 0 && (
+        <p className="text-xs text-gray-500">
+          {sheet.duplicateRows.examples.map(example => `row ${example.row} repeats row ${example.duplicateOf}`).join('; ')}
+        </p>
+      )}
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium">Column</th>
+              <th className="px-3 py-2 text-left font-medium">Type</th>
+              {COLUMN_ISSUES.map(issue => <th key={issue.key} className="px-3 py-2 font-medium">{issue.label}</th>)}
+              <th className="px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {sheet.columns.map(column => (
+              <React.Fragment key={column.name}>
+                <tr className="border-t border-gray-100">
+                  <td className="px-3 py-2 font-medium text-gray-800 truncate max-w-xs">{column.name}</td>
+                  <td className="px-3 py-2 text-gray-500">{column.type}</td>
+                  {COLUMN_ISSUES.map(issue => (
+                    <IssueCell
+                      key={issue.key}
+                      issue={column[issue.key]}
+                      percent={issue.key === 'missing' ? column.missing.percent : undefined}
+                    />
+                  ))}
+                  <td className="px-3 py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => setOpenColumn(openColumn === column.name ? null : column.name)}
+                      className="text-gray-400 hover:text-gray-700"
+                      title="Show examples"
+                    >
+                      <ChevronDown className={`w-4 h-4 transition-transform ${openColumn === column.name ? 'rotate-180' : ''}`} />
+                    </button>
+                  </td>
+                </tr>
+                {openColumn === column.name && (
+                  <tr className="bg-gray-50/60">
+                    <td colSpan={COLUMN_ISSUES.length + 3} className="px-3 py-3">
+                      <ColumnDetails column={column} />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Data quality report of a processed file, one table of column issues per sheet
+ */
+const QualityReport = ({ fileId }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [sheetName, setSheetName] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fileService.getFileQuality(fileId)
+      .then(response => {
+        if (cancelled) return;
+        setReport(response.report);
+        setSheetName(response.report.sheets[0]?.name || '');
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load the data quality report');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [fileId]);
+
+  if (loading) {
+    return <p className="text-sm text-gray-500 py-8 text-center">Checking data quality…</p>;
+  }
+  if (error) {
+    return (
+      <div className="flex items-center text-sm text-red-600 py-8 justify-center">
+        <AlertCircle className="w-4 h-4 mr-2" />
+        {error}
+      </div>
+    );
+  }
+
+  const sheet = report.sheets.find(entry => entry.name === sheetName);
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center">
+          {report.issueCount === 0
+            ? <CheckCircle className="w-6 h-6 text-green-600 mr-2" />
+            : <AlertCircle className="w-6 h-6 text-amber-600 mr-2" />}
+          <div>
+            <p className="font-semibold text-gray-800">
+              Quality score <span className={scoreClassName(report.score)}>{report.score}%</span>
+            </p>
+            <p className="text-xs text-gray-500">
+              {formatCount(report.issueCount)} issue{report.issueCount === 1 ? '' : 's'} found · checked {new Date(report.generatedAt).toLocaleString()}
+            </p>
+          </div>
+        </div>
+        {report.sheets.length > 1 && (
+          <select
+            value={sheetName}
+            onChange={(e) => setSheetName(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {report.sheets.map(entry => <option key={entry.name} value={entry.name}>{entry.name}</option>)}
+          </select>
+        )}
+      </div>
+      {sheet ? <SheetReport sheet={sheet} /> : <p className="text-sm text-gray-500">This file has no sheets to check.</p>}
+    </div>
+  );
+};
+
+export default QualityReport;
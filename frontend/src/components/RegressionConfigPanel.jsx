@@ -0,0 +1,105 @@
+import React from 'react';
+import { ChevronDown } from 'lucide-react';
+import ColumnPicker from './ColumnPicker';
+
+export const REGRESSION_MODELS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'multiple', label: 'Multiple Linear' },
+  { value: 'polynomial', label: 'Polynomial' },
+  { value: 'logarithmic', label: 'Logarithmic' },
+  { value: 'exponential', label: 'Exponential' }
+];
+
+export const CONFIDENCE_LEVELS = [0.9, 0.95, 0.99];
+
+// An empty model means "no trendline" on scatter charts and linear for regressions
+export const DEFAULT_REGRESSION_CONFIG = {
+  model: '',
+  predictors: [],
+  degree: 2,
+  confidenceLevel: 0.95
+};
+
+const selectClassName = 'w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none disabled:opacity-50';
+
+/**
+ * Model settings for regression analyses, or the optional trendline of a scatter chart
+ * (`optional`), which fits a single X column and can be switched off.
+ */
+const RegressionConfigPanel = ({ config, availableColumns, optional = false, disabled, onChange }) => {
+  const update = (changes) => onChange({ ...config, ...changes });
+  const model = config.model || (optional ? '' : 'linear');
+  const models = optional ? REGRESSION_MODELS.filter(option => option.value !== 'multiple') : REGRESSION_MODELS;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {optional ? 'Trendline' : 'Regression Model'}
+          </label>
+          <div className="relative">
+            <select
+              value={model}
+              onChange={(e) => update({ model: e.target.value })}
+              disabled={disabled}
+              className={selectClassName}
+            >
+              {optional && <option value="">None</option>}
+              {models.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+          </div>
+        </div>
+        {model === 'polynomial' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Degree</label>
+            <input
+              type="number"
+              min={1}
+              max={6}
+              value={config.degree}
+              onChange={(e) => update({ degree: Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 6) })}
+              disabled={disabled}
+              className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+            />
+          </div>
+        )}
+        {model && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Confidence Band</label>
+            <div className="relative">
+              <select
+                value={config.confidenceLevel}
+                onChange={(e) => update({ confidenceLevel: parseFloat(e.target.value) })}
+                disabled={disabled}
+                className={selectClassName}
+              >
+                {CONFIDENCE_LEVELS.map((level) => (
+                  <option key={level} value={level}>{Math.round(level * 100)}%</option>
+                ))}
+              </select>
+              <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {model === 'multiple' && (
+        <ColumnPicker
+          label="Predictor Columns"
+          fields={config.predictors}
+          availableColumns={availableColumns}
+          disabled={disabled}
+          placeholder="Add predictor..."
+          emptyLabel="Pick at least one predictor"
+          onChange={(predictors) => update({ predictors })}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RegressionConfigPanel;
@@ -0,0 +1,386 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { fileService } from '../services/fileService.js';
+
+// Rows fetched per request, and the grid's geometry in pixels
+const PAGE_ROWS = 100;
+const VIEWPORT_HEIGHT = 520;
+const HEADER_HEIGHT = 24;
+const ROW_HEADER_WIDTH = 48;
+// Rows are fetched once the bottom of the loaded ones is this close
+const LOAD_AHEAD = 200;
+const GRIDLINE = '1px solid #e5e7eb';
+const FROZEN_EDGE = '#9ca3af';
+
+const BORDER_STYLES = {
+  hair: '1px dotted',
+  thin: '1px solid',
+  dotted: '1px dotted',
+  dashed: '1px dashed',
+  dashDot: '1px dashed',
+  dashDotDot: '1px dashed',
+  medium: '2px solid',
+  mediumDashed: '2px dashed',
+  mediumDashDot: '2px dashed',
+  mediumDashDotDot: '2px dashed',
+  slantDashDot: '2px dashed',
+  thick: '3px solid',
+  double: '3px double'
+};
+
+const HORIZONTAL_ALIGNMENTS = {
+  left: 'left',
+  center: 'center',
+  centerContinuous: 'center',
+  right: 'right',
+  justify: 'justify',
+  distributed: 'justify',
+  fill: 'left'
+};
+
+const VERTICAL_ALIGNMENTS = { top: 'top', center: 'middle', justify: 'middle', distributed: 'middle', bottom: 'bottom' };
+
+const ERROR_VALUES = new Set(['#NULL!', '#DIV/0!', '#VALUE!', '#REF!', '#NAME?', '#NUM!', '#N/A', '#GETTING_DATA']);
+
+const FORMATTING_NOTES = {
+  partial: 'Only fill colours are kept for this file type; fonts, borders and frozen panes are not shown.',
+  none: 'This file type holds values only, so there is no formatting to show.'
+};
+
+// "A", "B", ..., "Z", "AA", ...
+const columnName = (index) => {
+  let name = '';
+  for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+    name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Inline CSS for a cell's style; cells aligned "general" go by their value as in Excel
+const cellCss = (style = {}, value) => {
+  let textAlign = HORIZONTAL_ALIGNMENTS[style.horizontal];
+  if (!textAlign) {
+    if (typeof value === 'number') textAlign = 'right';
+    else if (typeof value === 'boolean' || ERROR_VALUES.has(value)) textAlign = 'center';
+    else textAlign = 'left';
+  }
+  const css = {
+    fontWeight: style.bold ? 700 : undefined,
+    fontStyle: style.italic ? 'italic' : undefined,
+    textDecoration: [style.underline && 'underline', style.strike && 'line-through'].filter(Boolean).join(' ') || undefined,
+    fontSize: style.fontSize ? `${style.fontSize}pt` : undefined,
+    fontFamily: style.fontName,
+    color: style.color,
+    backgroundColor: style.fill || '#ffffff',
+    textAlign,
+    verticalAlign: VERTICAL_ALIGNMENTS[style.vertical] || 'bottom',
+    whiteSpace: style.wrap ? 'pre-wrap' : 'pre',
+    paddingLeft: style.indent ? style.indent * 9 + 4 : 4,
+    borderRight: GRIDLINE,
+    borderBottom: GRIDLINE
+  };
+  Object.entries(style.borders || {}).forEach(([side, border]) => {
+    const key = `border${side[0].toUpperCase()}${side.slice(1)}`;
+    css[key] = `${BORDER_STYLES[border.style] || '1px solid'} ${border.color}`;
+  });
+  return css;
+};
+
+// Where the frozen rows and columns stick: below the headers and the frozen rows
+// above, right of the row numbers and the frozen columns before
+const frozenOffsets = (sizes, count, start) => {
+  const offsets = [];
+  let offset = start;
+  for (let index = 0; index < count; index += 1) {
+    offsets.push(offset);
+    offset += sizes[index] || 0;
+  }
+  return offsets;
+};
+
+// The loaded rows of one sheet; another sheet mounts a new one, which starts from the top
+const SheetGrid = ({ fileId, sheet, selected, onSelect }) => {
+  const [view, setView] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const loadingRef = useRef(false);
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => { mounted.current = false; };
+  }, []);
+
+  // Each window picks up after the last one; rows without cells come back as
+  // blanks, so a gap in the sheet is paged through like any other rows
+  const loadMore = useCallback(async () => {
+    if (loadingRef.current || (view && view.nextRow === null)) return;
+    loadingRef.current = true;
+    setLoading(true);
+    const startRow = view ? view.loadedThrough + 1 : 1;
+    try {
+      const page = await fileService.getSheetView(fileId, { sheet, startRow, limit: PAGE_ROWS });
+      if (!mounted.current) return;
+      setView(current => {
+        const merges = new Map((current?.merges || []).map(merge => [
+          `${merge.firstRow}:${merge.firstColumn}`, merge
+        ]));
+        page.merges.forEach(merge => merges.set(`${merge.firstRow}:${merge.firstColumn}`, merge));
+        // The last rows of a sheet may be blank but merged
+        const lastRow = [...page.rows.map(row => row.number), ...page.merges.map(merge => merge.lastRow)]
+          .reduce((last, number) => Math.max(last, number), startRow - 1);
+        // Sheets without a recorded size can have wider rows further down
+        const columns = current && current.columns.length > page.columns.length ? current.columns : page.columns;
+        return {
+          ...page,
+          columns,
+          rows: [...(current?.rows || []), ...page.rows],
+          merges: [...merges.values()],
+          styles: { ...(current?.styles || {}), ...page.styles },
+          loadedThrough: page.nextRow === null ? lastRow : startRow + PAGE_ROWS - 1
+        };
+      });
+    } catch (requestError) {
+      if (!mounted.current) return;
+      setError(requestError.response?.data?.message || 'Failed to load the sheet.');
+    } finally {
+      loadingRef.current = false;
+      if (mounted.current) setLoading(false);
+    }
+  }, [fileId, sheet, view]);
+
+  useEffect(() => {
+    if (!view && !error) loadMore();
+  }, [view, error, loadMore]);
+
+  const handleScroll = (e) => {
+    const { scrollTop, clientHeight, scrollHeight } = e.currentTarget;
+    if (!error && scrollTop + clientHeight >= scrollHeight - LOAD_AHEAD) loadMore();
+  };
+
+  if (!view) {
+    return error
+      ? <p className="text-sm text-red-600">{error}</p>
+      : <p className="text-sm text-gray-500">Loading sheet...</p>;
+  }
+
+  const { columns, frozen, styles, defaultFont, defaultRowHeight } = view;
+  const rowsByNumber = new Map(view.rows.map(row => [row.number, row]));
+  const rowNumbers = Array.from({ length: view.loadedThrough }, (unused, index) => index + 1);
+  const heights = rowNumbers.map(number => rowsByNumber.get(number)?.height || defaultRowHeight);
+  const frozenTops = frozenOffsets(heights, frozen.rows, HEADER_HEIGHT);
+  const frozenLefts = frozenOffsets(columns.map(column => column.width), frozen.columns, ROW_HEADER_WIDTH);
+  const width = ROW_HEADER_WIDTH + columns.reduce((total, column) => total + column.width, 0);
+
+  // Merged ranges show as their first cell spanning the rest, cut off at the loaded rows
+  const spans = new Map();
+  const covered = new Set();
+  view.merges.forEach(merge => {
+    const lastRow = Math.min(merge.lastRow, view.loadedThrough);
+    spans.set(`${merge.firstRow}:${merge.firstColumn}`, {
+      rowSpan: lastRow - merge.firstRow + 1,
+      colSpan: merge.lastColumn - merge.firstColumn + 1
+    });
+    for (let row = merge.firstRow; row <= lastRow; row += 1) {
+      for (let column = merge.firstColumn; column <= merge.lastColumn; column += 1) {
+        if (row !== merge.firstRow || column !== merge.firstColumn) covered.add(`${row}:${column}`);
+      }
+    }
+  });
+
+  // Frozen cells stick to the top and left, and a line marks where the panes split
+  const stickyCss = (rowNumber, column) => {
+    const css = {};
+    const shadows = [];
+    if (rowNumber !== null && rowNumber <= frozen.rows) {
+      css.position = 'sticky';
+      css.top = frozenTops[rowNumber - 1];
+      if (rowNumber === frozen.rows) shadows.push(`inset 0 -2px 0 ${FROZEN_EDGE}`);
+    }
+    if (column !== null && column < frozen.columns) {
+      css.position = 'sticky';
+      css.left = frozenLefts[column];
+      if (column === frozen.columns - 1) shadows.push(`inset -2px 0 0 ${FROZEN_EDGE}`);
+    }
+    if (css.position) css.zIndex = (css.top !== undefined ? 2 : 0) + (css.left !== undefined ? 1 : 0);
+    if (shadows.length > 0) css.boxShadow = shadows.join(', ');
+    return css;
+  };
+
+  const headerCss = 'bg-gray-100 text-gray-500 font-normal text-xs text-center select-none';
+
+  return (
+    <>
+      {(FORMATTING_NOTES[view.formatting] || view.truncatedColumns) && (
+        <p className="text-xs text-gray-500">
+          {FORMATTING_NOTES[view.formatting]}
+          {view.truncatedColumns && ` Only the first ${columns.length} columns are shown.`}
+        </p>
+      )}
+      <div
+        onScroll={handleScroll}
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        className="overflow-auto border border-gray-300"
+      >
+        <table
+          style={{
+            width,
+            tableLayout: 'fixed',
+            borderCollapse: 'separate',
+            borderSpacing: 0,
+            fontFamily: defaultFont?.name || undefined,
+            fontSize: defaultFont?.size ? `${defaultFont.size}pt` : '11pt'
+          }}
+        >
+          <colgroup>
+            <col style={{ width: ROW_HEADER_WIDTH }} />
+            {columns.map((column, index) => <col key={index} style={{ width: column.width }} />)}
+          </colgroup>
+          <thead>
+            <tr style={{ height: HEADER_HEIGHT }}>
+              <th
+                className={headerCss}
+                style={{ position: 'sticky', top: 0, left: 0, zIndex: 5, borderRight: GRIDLINE, borderBottom: GRIDLINE }}
+              />
+              {columns.map((column, index) => (
+                <th
+                  key={index}
+                  className={`${headerCss} ${selected?.column === index ? 'bg-blue-100 text-blue-700' : ''}`}
+                  style={{
+                    position: 'sticky',
+                    top: 0,
+                    zIndex: index < frozen.columns ? 5 : 4,
+                    ...(index < frozen.columns && { left: frozenLefts[index] }),
+                    borderRight: GRIDLINE,
+                    borderBottom: GRIDLINE
+                  }}
+                >
+                  {columnName(index)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rowNumbers.map((number, rowIndex) => {
+              const cells = new Map((rowsByNumber.get(number)?.cells || []).map(cell => [cell.column, cell]));
+              return (
+                <tr key={number} style={{ height: heights[rowIndex] }}>
+                  <th
+                    className={`${headerCss} ${selected?.row === number ? 'bg-blue-100 text-blue-700' : ''}`}
+                    style={{
+                      ...stickyCss(number, null),
+                      position: 'sticky',
+                      left: 0,
+                      zIndex: number <= frozen.rows ? 4 : 3,
+                      borderRight: GRIDLINE,
+                      borderBottom: GRIDLINE
+                    }}
+                  >
+                    {number}
+                  </th>
+                  {columns.map((column, index) => {
+                    const key = `${number}:${index}`;
+                    if (covered.has(key)) return null;
+                    const cell = cells.get(index);
+                    const isSelected = selected?.row === number && selected?.column === index;
+                    return (
+                      <td
+                        key={index}
+                        {...spans.get(key)}
+                        title={cell?.formula ? `=${cell.formula}` : undefined}
+                        onClick={() => onSelect({ row: number, column: index, cell })}
+                        style={{
+                          ...cellCss(styles[cell?.style], cell?.value),
+                          ...stickyCss(number, index),
+                          overflow: 'hidden',
+                          paddingRight: 4,
+                          cursor: 'cell',
+                          ...(isSelected && { outline: '2px solid #2563eb', outlineOffset: -2 })
+                        }}
+                      >
+                        {cell?.text}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {view.loadedThrough === 0 && <p className="text-sm text-gray-500 p-4">This sheet is empty.</p>}
+      </div>
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <span>
+          {view.totalRows
+            ? `Rows 1–${Math.min(view.loadedThrough, view.totalRows).toLocaleString()} of ${view.totalRows.toLocaleString()}`
+            : `${view.loadedThrough.toLocaleString()} rows`}
+          {loading && ' · loading...'}
+        </span>
+        {error && (
+          <button
+            type="button"
+            onClick={() => {
+              setError(null);
+              loadMore();
+            }}
+            className="text-red-600 hover:text-red-800"
+          >
+            {error} Retry
+          </button>
+        )}
+      </div>
+    </>
+  );
+};
+
+/**
+ * Read-only view of a processed file as its workbook shows it: sheet tabs,
+ * cell text in its number format, fonts, fills, borders, merged cells and
+ * frozen panes, with the formula behind a computed value in the formula bar
+ * when its cell is selected. Rows are read from GET /api/files/:id/sheet a
+ * window at a time as the sheet is scrolled.
+ */
+const SpreadsheetViewer = ({ file }) => {
+  const sheetNames = file.sheetNames || [];
+  const [sheet, setSheet] = useState(sheetNames[0] || '');
+  const [selected, setSelected] = useState(null);
+
+  let barText = '';
+  if (selected?.cell?.formula) barText = `=${selected.cell.formula}`;
+  else if (selected?.cell) barText = selected.cell.text;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-stretch border border-gray-300 rounded text-sm">
+        <div className="w-20 px-2 py-1 border-r border-gray-300 text-gray-600 font-mono">
+          {selected ? `${columnName(selected.column)}${selected.row}` : ''}
+        </div>
+        <div className="px-2 py-1 text-gray-400 italic border-r border-gray-300">fx</div>
+        <div className="flex-1 px-2 py-1 font-mono text-gray-800 truncate" title={barText}>{barText}</div>
+      </div>
+
+      <SheetGrid key={sheet} fileId={file.id} sheet={sheet} selected={selected} onSelect={setSelected} />
+
+      {sheetNames.length > 0 && (
+        <div className="flex overflow-x-auto border-t border-gray-300 -mt-px">
+          {sheetNames.map(name => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => {
+                setSheet(name);
+                setSelected(null);
+              }}
+              className={`px-4 py-1.5 text-sm border-r border-gray-300 whitespace-nowrap ${
+                name === sheet ? 'bg-white text-green-700 font-medium border-b-2 border-b-green-600' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SpreadsheetViewer;
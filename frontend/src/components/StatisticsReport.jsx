@@ -0,0 +1,135 @@
+import React, { forwardRef, useImperativeHandle } from 'react';
+import { Hash, Type } from 'lucide-react';
+import { analyticsService } from '../services/analyticsService';
+
+const NUMERIC_STATS = [
+  { key: 'count', label: 'Count' },
+  { key: 'nulls', label: 'Nulls' },
+  { key: 'unique', label: 'Unique' },
+  { key: 'mean', label: 'Mean' },
+  { key: 'median', label: 'Median' },
+  { key: 'mode', label: 'Mode' },
+  { key: 'stdDev', label: 'Std. Dev' },
+  { key: 'variance', label: 'Variance' },
+  { key: 'min', label: 'Min' },
+  { key: 'q1', label: 'Q1' },
+  { key: 'q3', label: 'Q3' },
+  { key: 'max', label: 'Max' },
+  { key: 'iqr', label: 'IQR' },
+  { key: 'range', label: 'Range' },
+  { key: 'skewness', label: 'Skewness' },
+  { key: 'kurtosis', label: 'Kurtosis' }
+];
+
+const CATEGORICAL_STATS = [
+  { key: 'count', label: 'Count' },
+  { key: 'nulls', label: 'Nulls' },
+  { key: 'unique', label: 'Unique' },
+  { key: 'mode', label: 'Mode' }
+];
+
+const formatStat = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value !== 'number') return String(value);
+  return value.toLocaleString(undefined, { maximumFractionDigits: 4 });
+};
+
+const StatGrid = ({ profile, stats }) => (
+  <dl className="grid grid-cols-2 sm:grid-cols-4 gap-x-4 gap-y-2 text-sm">
+    {stats.map(({ key, label }) => (
+      <div key={key} className="flex justify-between border-b border-gray-100 py-1">
+        <dt className="text-gray-500">{label}</dt>
+        <dd className="font-medium text-gray-800 tabular-nums truncate ml-2" title={formatStat(profile[key])}>
+          {formatStat(profile[key])}
+        </dd>
+      </div>
+    ))}
+  </dl>
+);
+
+// Horizontal bars scaled to the largest count
+const Bars = ({ items }) => {
+  const maxCount = Math.max(1, ...items.map(item => item.count));
+  return (
+    <div className="space-y-1">
+      {items.map((item, index) => (
+        <div key={index} className="flex items-center text-xs" title={`${item.label}: ${item.count}`}>
+          <span className="w-32 truncate text-gray-600 mr-2">{item.label}</span>
+          <div className="flex-1 bg-gray-100 rounded h-3">
+            <div className="bg-blue-500/80 h-3 rounded" style={{ width: `${(item.count / maxCount) * 100}%` }} />
+          </div>
+          <span className="w-12 text-right text-gray-500 tabular-nums ml-2">{item.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ColumnProfile = ({ profile }) => {
+  const isNumeric = profile.type === 'numeric';
+  const distribution = isNumeric
+    ? (profile.histogram || []).map(bin => ({ label: bin.bin, count: bin.count }))
+    : (profile.topValues || []).map(entry => ({ label: entry.value, count: entry.count }));
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold text-gray-800 truncate">{profile.name}</h4>
+        <span className="inline-flex items-center text-xs px-2 py-1 rounded-full bg-blue-500/10 text-blue-700">
+          {isNumeric ? <Hash className="w-3 h-3 mr-1" /> : <Type className="w-3 h-3 mr-1" />}
+          {profile.type}
+        </span>
+      </div>
+      <StatGrid profile={profile} stats={isNumeric ? NUMERIC_STATS : CATEGORICAL_STATS} />
+      {isNumeric && profile.nonNumeric > 0 && (
+        <p className="text-xs text-amber-600">
+          {profile.nonNumeric} non-numeric value{profile.nonNumeric === 1 ? '' : 's'} ignored
+        </p>
+      )}
+      {distribution.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-2">
+            {isNumeric ? 'Histogram' : 'Top values'}
+          </p>
+          <Bars items={distribution} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const StatisticsReport = forwardRef(({ analysis }, ref) => {
+  const statistics = analysis?.data?.statistics;
+
+  // The profile downloads as a CSV summary, one row per column
+  useImperativeHandle(ref, () => ({
+    downloadImage: () => {
+      analyticsService.downloadCsv(analysis?.data?.processedData, analysis?.name || 'statistics');
+    }
+  }));
+
+  if (!statistics?.columns?.length) {
+    return (
+      <div className="flex items-center justify-center h-80 bg-gray-100 rounded-lg">
+        <p className="text-gray-500">No column profile available for this analysis</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+        <span><strong className="text-gray-800">{formatStat(statistics.rowCount)}</strong> rows</span>
+        <span><strong className="text-gray-800">{formatStat(statistics.columnCount)}</strong> columns profiled</span>
+        <span><strong className="text-gray-800">{formatStat(statistics.nullValues)}</strong> empty cells</span>
+      </div>
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4 max-h-[700px] overflow-y-auto pr-1">
+        {statistics.columns.map(profile => (
+          <ColumnProfile key={profile.name} profile={profile} />
+        ))}
+      </div>
+    </div>
+  );
+});
+
+export default StatisticsReport;
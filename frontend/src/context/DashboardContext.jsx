@@ -91,7 +91,8 @@ export const DashboardProvider = ({ children }) => {
           const activities = (dashboardResponse.filesDetails || []).slice(0, 4).map(file => ({
             action: `Uploaded ${file.name}`,
             time: new Date(file.uploadedAt).toLocaleDateString(),
-            type: 'upload'
+            type: 'upload',
+            fileId: file.id
           }));
           
           setRecentActivity(activities);
@@ -154,7 +155,8 @@ export const DashboardProvider = ({ children }) => {
     const newActivity = {
       action: `Uploaded ${fileData?.originalName || 'file'}`,
       time: new Date().toLocaleDateString(),
-      type: 'upload'
+      type: 'upload',
+      fileId: fileData?.id
     };
     
     setRecentActivity(prev => [newActivity, ...prev.slice(0, 3)]);
@@ -5,6 +5,12 @@ import { analyticsService } from '../services/analyticsService';
 import toast from 'react-hot-toast';
 import { useDashboard } from '../context/DashboardContext';
 import Chart from '../components/Chart';
+import PivotConfigPanel, { DEFAULT_PIVOT_CONFIG } from '../components/PivotConfigPanel';
+import ColumnPicker from '../components/ColumnPicker';
+import RegressionConfigPanel, { DEFAULT_REGRESSION_CONFIG } from '../components/RegressionConfigPanel';
+import CalculatedColumnsPanel from '../components/CalculatedColumnsPanel';
+import FilterBuilder, { EMPTY_FILTER_GROUP, serializeFilters } from '../components/FilterBuilder';
+import DataSourcesPanel, { EMPTY_DATA_SOURCES, serializeDataSources } from '../components/DataSourcesPanel';
 import { 
   BarChart3, 
   FileText, 
@@ -19,9 +25,75 @@ import {
   BarChart,
   Filter,
   Download,
-  Zap
+  Zap,
+  RefreshCw,
+  AlertCircle
 } from 'lucide-react';
 
+// Chart types that take an optional value/weight column besides X and Y
+const VALUE_COLUMN_CHART_TYPES = ['heatmap', 'bubble', 'sankey', 'bubble3d'];
+
+// 3D chart types that can spread data along a Z (depth) column
+const Z_COLUMN_CHART_TYPES = [
+  'bar3d', 'column3d', 'cylinder3d', 'cone3d', 'pyramid3d', 'line3d', 'scatter3d', 'bubble3d',
+  'surface3d', 'wireframe3d', 'mesh3d', 'contour3d', 'volume3d'
+];
+
+// Chart types that can plot several Y columns and be split by a series column
+const SERIES_CHART_TYPES = ['bar', 'column', 'line', 'area'];
+const STACKABLE_CHART_TYPES = ['bar', 'column', 'area'];
+
+const ANALYSIS_TYPE_LABELS = {
+  chart: 'Chart',
+  pivot: 'Pivot Table',
+  statistics: 'Descriptive Statistics',
+  correlation: 'Correlation Matrix',
+  regression: 'Regression'
+};
+
+// Analysis types that work on a picked list of columns instead of X/Y axes
+const COLUMN_LIST_ANALYSIS_TYPES = {
+  statistics: { label: 'Columns to Profile', emptyLabel: 'All columns' },
+  correlation: { label: 'Columns to Correlate', emptyLabel: 'All numeric columns' }
+};
+
+// Why an analysis is being computed again
+const STALE_REASON_LABELS = {
+  version: 'new file version',
+  recipe: 'cleaning steps changed',
+  columnTypes: 'column types changed',
+  reprocessed: 'file processed again'
+};
+
+// How often a stale analysis is checked for its refreshed data
+const REFRESH_POLL_INTERVAL = 5000;
+
+// When an analysis's data was last computed, or that it is being computed again
+const RefreshStatus = ({ analysis }) => {
+  if (analysis.refreshError) {
+    return (
+      <div className="flex items-center space-x-1 text-red-600" title={analysis.refreshError.message}>
+        <AlertCircle className="w-4 h-4" />
+        <span>Refresh failed</span>
+      </div>
+    );
+  }
+  if (analysis.stale) {
+    return (
+      <div className="flex items-center space-x-1 text-amber-600" title={STALE_REASON_LABELS[analysis.staleReason]}>
+        <RefreshCw className="w-4 h-4 animate-spin" />
+        <span>Refreshing</span>
+      </div>
+    );
+  }
+  return (
+    <div className="flex items-center space-x-1">
+      <RefreshCw className="w-4 h-4" />
+      <span>Refreshed {new Date(analysis.refreshedAt || analysis.createdAt).toLocaleString()}</span>
+    </div>
+  );
+};
+
 const AnalyticsPage = () => {
   const chartRef = useRef();
   const { notifyAnalysisCreated } = useDashboard();
@@ -36,11 +108,27 @@ const AnalyticsPage = () => {
   const [analysisConfig, setAnalysisConfig] = useState({
     type: 'chart',
     chartType: 'bar',
-    sheet: 'Sheet1'
+    // Empty until a file is picked; the API reads the first sheet when empty
+    sheet: '',
+    // 'latest' follows new uploads of the file; a version number pins the analysis to it
+    fileVersion: 'latest'
   });
   const [availableColumns, setAvailableColumns] = useState([]);
   const [xAxisColumn, setXAxisColumn] = useState('');
   const [yAxisColumn, setYAxisColumn] = useState('');
+  const [valueColumn, setValueColumn] = useState('');
+  const [zAxisColumn, setZAxisColumn] = useState('');
+  const [extraYColumns, setExtraYColumns] = useState([]);
+  const [seriesColumn, setSeriesColumn] = useState('');
+  const [stacked, setStacked] = useState(false);
+  const [pivotConfig, setPivotConfig] = useState(DEFAULT_PIVOT_CONFIG);
+  const [analysisColumns, setAnalysisColumns] = useState([]);
+  const [regressionConfig, setRegressionConfig] = useState(DEFAULT_REGRESSION_CONFIG);
+  const [calculatedColumns, setCalculatedColumns] = useState([]);
+  const [filterGroup, setFilterGroup] = useState(EMPTY_FILTER_GROUP);
+  const [dataSources, setDataSources] = useState(EMPTY_DATA_SOURCES);
+  // Column names of other files used in joins, by file ID
+  const [sourceColumns, setSourceColumns] = useState({});
   const [loadingColumns, setLoadingColumns] = useState(false);
 
   useEffect(() => {
@@ -48,6 +136,40 @@ const AnalyticsPage = () => {
     fetchAnalyses();
   }, []);
 
+  // Stale analyses are computed again in the background; pick up the new data once it is in
+  useEffect(() => {
+    if (!selectedAnalysis?.stale || selectedAnalysis.refreshError) return undefined;
+    const timer = setInterval(async () => {
+      try {
+        const response = await analyticsService.getAnalyses();
+        setAnalyses(response.analyses || []);
+        const current = (response.analyses || []).find(entry => entry.id === selectedAnalysis.id);
+        if (!current || !current.stale || current.refreshError) {
+          const detail = await analyticsService.getAnalysis(selectedAnalysis.id);
+          setSelectedAnalysis(detail.analysis);
+        }
+      } catch (error) {
+        console.error('Error checking analysis refresh:', error);
+      }
+    }, REFRESH_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [selectedAnalysis]);
+
+  // Fetch the columns of joined files so their key and value columns can be picked
+  useEffect(() => {
+    const missing = [...new Set(dataSources.joins.map(join => join.fileId))]
+      .filter(fileId => fileId && !sourceColumns[fileId]);
+    missing.forEach(async (fileId) => {
+      try {
+        const response = await fileService.getFileColumns(fileId);
+        setSourceColumns(previous => ({ ...previous, [fileId]: response.columns || [] }));
+      } catch (error) {
+        console.error('Error fetching joined file columns:', error);
+        setSourceColumns(previous => ({ ...previous, [fileId]: [] }));
+      }
+    });
+  }, [dataSources.joins, sourceColumns]);
+
   const fetchFiles = async () => {
     try {
       const response = await fileService.getFiles();
@@ -81,11 +203,22 @@ const AnalyticsPage = () => {
     }
   };
 
-  const fetchFileColumns = async (fileId) => {
+  const fetchFileColumns = async (fileId, sheet) => {
     setLoadingColumns(true);
     try {
-      const response = await fileService.getFileColumns(fileId);
+      const response = await fileService.getFileColumns(fileId, sheet);
       setAvailableColumns(response.columns || []);
+      setValueColumn('');
+      setZAxisColumn('');
+      setExtraYColumns([]);
+      setSeriesColumn('');
+      setPivotConfig(DEFAULT_PIVOT_CONFIG);
+      setAnalysisColumns([]);
+      setRegressionConfig(DEFAULT_REGRESSION_CONFIG);
+      setCalculatedColumns([]);
+      setFilterGroup(EMPTY_FILTER_GROUP);
+      setDataSources(EMPTY_DATA_SOURCES);
+      setSourceColumns(previous => ({ ...previous, [fileId]: response.columns || [] }));
       
       // Auto-select first two columns if available
       if (response.columns && response.columns.length >= 2) {
@@ -102,22 +235,85 @@ const AnalyticsPage = () => {
   };
 
 
+  // Joined sheets add their columns; names already present are prefixed with the sheet name
+  const joinedColumns = serializeDataSources(dataSources).joins.reduce((columns, join) => {
+    const joinedFile = files.find(file => file.id === (join.fileId || selectedFile?.id));
+    const sheet = join.sheet || joinedFile?.sheetNames?.[0] || '';
+    const added = (sourceColumns[join.fileId || selectedFile?.id] || [])
+      .filter(column => !join.on.some(pair => pair.left === column && pair.right === column))
+      .map(column => (columns.includes(column) ? `${sheet}.${column}` : column));
+    return [...columns, ...added];
+  }, availableColumns);
+
+  // Calculated columns can be picked like any other column once named
+  const completeCalculatedColumns = calculatedColumns
+    .map(column => ({ name: column.name.trim(), formula: column.formula.trim() }))
+    .filter(column => column.name && column.formula);
+  const columnOptions = [
+    ...joinedColumns,
+    ...completeCalculatedColumns.map(column => column.name).filter(name => !joinedColumns.includes(name))
+  ];
+
   const createAnalysis = async () => {
     if (!selectedFile) return;
 
     setCreating(true);
     try {
+      const isChart = analysisConfig.type === 'chart';
+      const isRegression = analysisConfig.type === 'regression';
+      // Scatter charts only send a regression config when a trendline is picked
+      const regressionModel = regressionConfig.model || (isRegression ? 'linear' : '');
+      const fitsRegression = isRegression || (isChart && analysisConfig.chartType === 'scatter' && regressionModel);
+      const isSeriesChart = isChart && SERIES_CHART_TYPES.includes(analysisConfig.chartType);
+      const filters = serializeFilters(filterGroup);
+      const { unions, joins } = serializeDataSources(dataSources);
+      const typeLabel = isChart
+        ? analysisConfig.chartType.charAt(0).toUpperCase() + analysisConfig.chartType.slice(1)
+        : ANALYSIS_TYPE_LABELS[analysisConfig.type];
       const analysisData = {
         fileId: selectedFile.id,
-        name: `${analysisConfig.chartType.charAt(0).toUpperCase() + analysisConfig.chartType.slice(1)} Analysis - ${selectedFile.originalName}`,
+        fileVersion: analysisConfig.fileVersion,
+        name: `${typeLabel} Analysis - ${selectedFile.originalName}`,
         type: analysisConfig.type,
-        chartType: analysisConfig.chartType,
+        ...(isChart && { chartType: analysisConfig.chartType }),
         config: {
+          ...(isSeriesChart && stacked && STACKABLE_CHART_TYPES.includes(analysisConfig.chartType) && {
+            chartConfig: { stacked: true }
+          }),
+          ...(analysisConfig.type === 'pivot' && {
+            pivotConfig: {
+              ...pivotConfig,
+              values: pivotConfig.values.filter(value => value.column)
+            }
+          }),
+          ...(fitsRegression && {
+            regressionConfig: {
+              model: regressionModel,
+              predictors: regressionModel === 'multiple' ? regressionConfig.predictors : [],
+              degree: regressionConfig.degree,
+              confidenceLevel: regressionConfig.confidenceLevel
+            }
+          }),
           dataSelection: {
             sheet: analysisConfig.sheet,
+            ...(unions.length > 0 && { unions }),
+            ...(joins.length > 0 && { joins }),
+            ...(completeCalculatedColumns.length > 0 && { calculatedColumns: completeCalculatedColumns }),
+            ...(filters.length > 0 && { filters }),
             xAxisColumn: xAxisColumn,
             yAxisColumn: yAxisColumn,
-            columns: [xAxisColumn, yAxisColumn]
+            ...(isChart && valueColumn && VALUE_COLUMN_CHART_TYPES.includes(analysisConfig.chartType) && { valueColumn }),
+            ...(isChart && zAxisColumn && Z_COLUMN_CHART_TYPES.includes(analysisConfig.chartType) && { zAxisColumn }),
+            columns: COLUMN_LIST_ANALYSIS_TYPES[analysisConfig.type]
+              ? analysisColumns.map(name => ({ name }))
+              : [
+                ...(xAxisColumn ? [{ name: xAxisColumn, role: 'x' }] : []),
+                ...[...new Set([yAxisColumn, ...(isSeriesChart ? extraYColumns : [])])]
+                  .filter(Boolean)
+                  .map(name => ({ name, role: 'y' })),
+                ...(isSeriesChart && seriesColumn ? [{ name: seriesColumn, role: 'series' }] : []),
+                ...(fitsRegression ? regressionConfig.predictors.map(name => ({ name })) : [])
+              ]
           }
         }
       };
@@ -151,10 +347,21 @@ const AnalyticsPage = () => {
     }
   };
 
+  const canCreate = {
+    pivot: pivotConfig.values.some(value => value.column),
+    statistics: true,
+    correlation: analysisColumns.length === 0 || analysisColumns.length >= 2,
+    regression: Boolean(yAxisColumn) && (regressionConfig.model === 'multiple'
+      ? regressionConfig.predictors.length > 0
+      : Boolean(xAxisColumn))
+  }[analysisConfig.type] ?? Boolean(xAxisColumn && yAxisColumn);
+
 const handleDownload = () => {
     if (chartRef.current) {
       chartRef.current.downloadImage();
-      toast.success('Chart image downloaded successfully!');
+      toast.success(selectedAnalysis?.type === 'chart'
+        ? 'Chart image downloaded successfully!'
+        : `${ANALYSIS_TYPE_LABELS[selectedAnalysis?.type] || 'Analysis'} downloaded successfully!`);
     } else {
       toast.error('No chart available to download');
     }
@@ -216,9 +423,11 @@ const handleDownload = () => {
                       whileHover={{ scale: 1.02 }}
                       whileTap={{ scale: 0.98 }}
                       onClick={() => {
+                        const sheet = file.sheetNames?.[0] || '';
                         setSelectedFileId(file.id);
                         setSelectedFile(file);
-                        fetchFileColumns(file.id);
+                        setAnalysisConfig(previous => ({ ...previous, sheet, fileVersion: 'latest' }));
+                        fetchFileColumns(file.id, sheet);
                       }}
                       className={`relative p-4 rounded-lg border-2 cursor-pointer transition-all duration-200 ${
                         selectedFileId === file.id
@@ -259,12 +468,127 @@ const handleDownload = () => {
 
               {/* Column Selection and Chart Type Selection */}
               <div className="space-y-4">
-                {/* Column Selection */}
+                {/* Sheet Selection */}
+                {selectedFile?.sheetNames?.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Sheet
+                    </label>
+                    <div className="relative">
+                      <select
+                        value={analysisConfig.sheet}
+                        onChange={(e) => {
+                          setAnalysisConfig(previous => ({ ...previous, sheet: e.target.value }));
+                          fetchFileColumns(selectedFile.id, e.target.value);
+                        }}
+                        disabled={loadingColumns}
+                        className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-3 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none disabled:opacity-50"
+                      >
+                        {selectedFile.sheetNames.map((sheet) => (
+                          <option key={sheet} value={sheet}>{sheet}</option>
+                        ))}
+                      </select>
+                      <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                    </div>
+                  </div>
+                )}
+
+                {/* File Version */}
+                {selectedFile?.version > 1 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      File Version
+                    </label>
+                    <div className="relative">
+                      <select
+                        value={analysisConfig.fileVersion}
+                        onChange={(e) => setAnalysisConfig(previous => ({ ...previous, fileVersion: e.target.value }))}
+                        className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-3 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none"
+                      >
+                        <option value="latest">Latest (follows new uploads)</option>
+                        {Array.from({ length: selectedFile.version }, (_, index) => selectedFile.version - index).map(version => (
+                          <option key={version} value={version}>Pinned to v{version}</option>
+                        ))}
+                      </select>
+                      <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                    </div>
+                  </div>
+                )}
+
+                {/* Unions and Joins */}
+                {selectedFile && (
+                  <DataSourcesPanel
+                    sources={dataSources}
+                    files={files}
+                    currentFile={selectedFile}
+                    leftColumns={joinedColumns}
+                    sourceColumns={sourceColumns}
+                    disabled={loadingColumns}
+                    onChange={setDataSources}
+                  />
+                )}
+
+                {/* Calculated Columns */}
                 {selectedFile && (
+                  <CalculatedColumnsPanel
+                    columns={calculatedColumns}
+                    disabled={loadingColumns}
+                    onChange={setCalculatedColumns}
+                  />
+                )}
+
+                {/* Filters */}
+                {selectedFile && (
+                  <FilterBuilder
+                    group={filterGroup}
+                    columns={columnOptions}
+                    disabled={loadingColumns}
+                    onChange={setFilterGroup}
+                  />
+                )}
+
+                {/* Pivot Layout */}
+                {selectedFile && analysisConfig.type === 'pivot' && (
+                  <PivotConfigPanel
+                    config={pivotConfig}
+                    availableColumns={columnOptions}
+                    disabled={loadingColumns}
+                    onChange={setPivotConfig}
+                  />
+                )}
+
+                {/* Column List Selection */}
+                {selectedFile && COLUMN_LIST_ANALYSIS_TYPES[analysisConfig.type] && (
+                  <ColumnPicker
+                    label={COLUMN_LIST_ANALYSIS_TYPES[analysisConfig.type].label}
+                    fields={analysisColumns}
+                    availableColumns={columnOptions}
+                    disabled={loadingColumns}
+                    placeholder="Add column..."
+                    emptyLabel={COLUMN_LIST_ANALYSIS_TYPES[analysisConfig.type].emptyLabel}
+                    onChange={setAnalysisColumns}
+                  />
+                )}
+
+                {/* Regression Model or Scatter Trendline */}
+                {selectedFile && (analysisConfig.type === 'regression'
+                  || (analysisConfig.type === 'chart' && analysisConfig.chartType === 'scatter')) && (
+                  <RegressionConfigPanel
+                    config={regressionConfig}
+                    availableColumns={columnOptions}
+                    optional={analysisConfig.type === 'chart'}
+                    disabled={loadingColumns}
+                    onChange={setRegressionConfig}
+                  />
+                )}
+
+                {/* Column Selection */}
+                {selectedFile && ['chart', 'regression'].includes(analysisConfig.type) && (
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {!(analysisConfig.type === 'regression' && regressionConfig.model === 'multiple') && (
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        X-Axis Column
+                        {analysisConfig.type === 'regression' ? 'Predictor (X) Column' : 'X-Axis Column'}
                       </label>
                       <div className="relative">
                         <select
@@ -274,16 +598,17 @@ const handleDownload = () => {
                           className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-3 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none disabled:opacity-50"
                         >
                           <option value="">Select X-Axis Column</option>
-                          {availableColumns.map((column) => (
+                          {columnOptions.map((column) => (
                             <option key={column} value={column}>{column}</option>
                           ))}
                         </select>
                         <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
                       </div>
                     </div>
+                    )}
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Y-Axis Column
+                        {analysisConfig.type === 'regression' ? 'Dependent (Y) Column' : 'Y-Axis Column'}
                       </label>
                       <div className="relative">
                         <select
@@ -293,18 +618,123 @@ const handleDownload = () => {
                           className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-3 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none disabled:opacity-50"
                         >
                           <option value="">Select Y-Axis Column</option>
-                          {availableColumns.map((column) => (
+                          {columnOptions.map((column) => (
                             <option key={column} value={column}>{column}</option>
                           ))}
                         </select>
                         <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
                       </div>
                     </div>
+                    {analysisConfig.type === 'chart' && SERIES_CHART_TYPES.includes(analysisConfig.chartType) && (
+                      <>
+                        <div className="md:col-span-2">
+                          <ColumnPicker
+                            label="Additional Y Columns"
+                            fields={extraYColumns}
+                            availableColumns={columnOptions}
+                            usedFields={[xAxisColumn, yAxisColumn, seriesColumn, ...extraYColumns]}
+                            disabled={loadingColumns}
+                            placeholder="Add Y column..."
+                            onChange={setExtraYColumns}
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Split by Series (optional)
+                          </label>
+                          <div className="relative">
+                            <select
+                              value={seriesColumn}
+                              onChange={(e) => setSeriesColumn(e.target.value)}
+                              disabled={loadingColumns}
+                              className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-3 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none disabled:opacity-50"
+                            >
+                              <option value="">None</option>
+                              {columnOptions.filter(column => column !== xAxisColumn).map((column) => (
+                                <option key={column} value={column}>{column}</option>
+                              ))}
+                            </select>
+                            <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                          </div>
+                        </div>
+                        {STACKABLE_CHART_TYPES.includes(analysisConfig.chartType) && (
+                          <label className="flex items-center space-x-2 text-sm text-gray-700 md:self-end md:pb-3">
+                            <input
+                              type="checkbox"
+                              checked={stacked}
+                              onChange={(e) => setStacked(e.target.checked)}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            <span>Stack series</span>
+                          </label>
+                        )}
+                      </>
+                    )}
+                    {analysisConfig.type === 'chart' && Z_COLUMN_CHART_TYPES.includes(analysisConfig.chartType) && (
+                      <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Z-Axis Column (optional)
+                        </label>
+                        <div className="relative">
+                          <select
+                            value={zAxisColumn}
+                            onChange={(e) => setZAxisColumn(e.target.value)}
+                            disabled={loadingColumns}
+                            className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-3 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none disabled:opacity-50"
+                          >
+                            <option value="">None</option>
+                            {columnOptions.map((column) => (
+                              <option key={column} value={column}>{column}</option>
+                            ))}
+                          </select>
+                          <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                        </div>
+                      </div>
+                    )}
+                    {analysisConfig.type === 'chart' && VALUE_COLUMN_CHART_TYPES.includes(analysisConfig.chartType) && (
+                      <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Value Column (optional)
+                        </label>
+                        <div className="relative">
+                          <select
+                            value={valueColumn}
+                            onChange={(e) => setValueColumn(e.target.value)}
+                            disabled={loadingColumns}
+                            className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-3 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none disabled:opacity-50"
+                          >
+                            <option value="">Count rows</option>
+                            {columnOptions.map((column) => (
+                              <option key={column} value={column}>{column}</option>
+                            ))}
+                          </select>
+                          <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                        </div>
+                      </div>
+                    )}
                   </div>
                 )}
 
-                {/* Chart Type Selection and Create Button */}
+                {/* Analysis Type, Chart Type Selection and Create Button */}
                 <div className="flex flex-col sm:flex-row items-end gap-4">
+                  <div className="sm:w-56">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Analysis Type
+                    </label>
+                    <div className="relative">
+                      <select
+                        value={analysisConfig.type}
+                        onChange={(e) => setAnalysisConfig({...analysisConfig, type: e.target.value})}
+                        className="w-full bg-white/80 border border-gray-300 rounded-lg px-4 py-3 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none"
+                      >
+                        {Object.entries(ANALYSIS_TYPE_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                    </div>
+                  </div>
+                  {analysisConfig.type === 'chart' && (
                   <div className="flex-1">
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Chart Type
@@ -317,29 +747,55 @@ const handleDownload = () => {
                       >
                       <optgroup label="2D Charts">
                         <option value="bar">Bar Chart</option>
+                        <option value="column">Column Chart</option>
                         <option value="line">Line Chart</option>
+                        <option value="area">Area Chart</option>
                         <option value="pie">Pie Chart</option>
                         <option value="doughnut">Doughnut Chart</option>
                         <option value="scatter">Scatter Plot</option>
+                        <option value="bubble">Bubble Chart</option>
+                        <option value="radar">Radar Chart</option>
+                        <option value="polar">Polar Area Chart</option>
+                        <option value="heatmap">Heatmap</option>
+                        <option value="histogram">Histogram</option>
+                        <option value="box">Box Plot</option>
+                        <option value="violin">Violin Plot</option>
+                        <option value="waterfall">Waterfall Chart</option>
+                        <option value="funnel">Funnel Chart</option>
+                        <option value="gauge">Gauge</option>
+                        <option value="treemap">Treemap</option>
+                        <option value="sunburst">Sunburst Chart</option>
+                        <option value="sankey">Sankey Diagram</option>
                       </optgroup>
                       <optgroup label="3D Charts">
                         <option value="bar3d">3D Bar Chart</option>
+                        <option value="column3d">3D Column Chart</option>
+                        <option value="cylinder3d">3D Cylinder Chart</option>
+                        <option value="cone3d">3D Cone Chart</option>
+                        <option value="pyramid3d">3D Pyramid Chart</option>
                         <option value="line3d">3D Line Chart</option>
+                        <option value="area3d">3D Area Chart</option>
+                        <option value="pie3d">3D Pie Chart</option>
                         <option value="scatter3d">3D Scatter Plot</option>
+                        <option value="bubble3d">3D Bubble Chart</option>
                         <option value="surface3d">3D Surface Plot</option>
-                        <option value="area3d">3D Area Chart</option>
+                        <option value="wireframe3d">3D Wireframe Plot</option>
+                        <option value="mesh3d">3D Mesh Plot</option>
+                        <option value="contour3d">3D Contour Plot</option>
+                        <option value="volume3d">3D Volume Plot</option>
                       </optgroup>
                     </select>
                     <ChevronDown className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
                     </div>
                   </div>
+                  )}
 
                   {/* Create Analysis Button */}
                   <motion.button
                   whileHover={{ scale: 1.02 }}
                   whileTap={{ scale: 0.98 }}
-                  onClick={() => selectedFileId && xAxisColumn && yAxisColumn && createAnalysis()}
-                  disabled={!selectedFileId || !xAxisColumn || !yAxisColumn || creating}
+                  onClick={() => selectedFileId && canCreate && createAnalysis()}
+                  disabled={!selectedFileId || !canCreate || creating}
                   className="bg-gradient-to-r from-blue-500 to-purple-500 text-white px-6 py-3 rounded-lg font-semibold hover:from-blue-600 hover:to-purple-600 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2 min-w-fit h-[50px]"
                 >
                   {creating ? (
@@ -396,6 +852,7 @@ const handleDownload = () => {
                             <Calendar className="w-4 h-4" />
                             <span>{new Date(analysis.createdAt).toLocaleDateString()}</span>
                           </div>
+                          {(analysis.stale || analysis.refreshError) && <RefreshStatus analysis={analysis} />}
                           <div className="flex items-center space-x-1">
                             {analysis.chartType === 'bar' && <BarChart className="w-4 h-4" />}
                             {analysis.chartType === 'line' && <LineChart className="w-4 h-4" />}
@@ -433,14 +890,23 @@ const handleDownload = () => {
                             <FileText className="w-4 h-4" />
                             <span>Type: {selectedAnalysis.type}</span>
                           </div>
-                          <div className="flex items-center space-x-1">
-                            <BarChart3 className="w-4 h-4" />
-                            <span>Chart: {selectedAnalysis.chartType}</span>
-                          </div>
+                          {selectedAnalysis.chartType && (
+                            <div className="flex items-center space-x-1">
+                              <BarChart3 className="w-4 h-4" />
+                              <span>Chart: {selectedAnalysis.chartType}</span>
+                            </div>
+                          )}
                           <div className="flex items-center space-x-1">
                             <Calendar className="w-4 h-4" />
                             <span>{new Date(selectedAnalysis.createdAt).toLocaleDateString()}</span>
                           </div>
+                          {selectedAnalysis.sourceVersion && (
+                            <span>
+                              File v{selectedAnalysis.sourceVersion}
+                              {selectedAnalysis.fileVersion ? ' (pinned)' : ' (latest)'}
+                            </span>
+                          )}
+                          <RefreshStatus analysis={selectedAnalysis} />
                         </div>
                       </div>
                       <div className="flex items-center space-x-2">
@@ -462,7 +928,11 @@ const handleDownload = () => {
                         <h3 className="text-lg font-semibold text-gray-800">Visualization</h3>
                         <div className="flex items-center space-x-2">
                           <Filter className="w-4 h-4 text-gray-400" />
-                          <span className="text-sm text-gray-400">Chart Type: {selectedAnalysis.chartType}</span>
+                          <span className="text-sm text-gray-400">
+                            {selectedAnalysis.chartType
+                              ? `Chart Type: ${selectedAnalysis.chartType}`
+                              : ANALYSIS_TYPE_LABELS[selectedAnalysis.type] || selectedAnalysis.type}
+                          </span>
                         </div>
                       </div>
                       
@@ -1,9 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useAuth } from '../context/AuthContext.jsx';
 import { useDashboard } from '../context/DashboardContext.jsx';
 import { useNavigate } from 'react-router-dom';
-import { fileService } from '../services/fileService.js';
+import { fileService, SUPPORTED_EXTENSIONS, DELIMITED_EXTENSIONS, fileExtension } from '../services/fileService.js';
+import LayoutReview from '../components/LayoutReview.jsx';
 import { 
   BarChart3, 
   Upload, 
@@ -15,10 +16,35 @@ import {
   X,
   File,
   Check,
-  RefreshCw
+  RefreshCw,
+  AlertCircle,
+  Table2
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// Settings of CSV uploads that can be picked by hand; '' leaves them to detection
+const NO_CSV_OPTIONS = { delimiter: '', quote: '', encoding: '' };
+const CSV_OPTION_FIELDS = [
+  {
+    key: 'delimiter',
+    label: 'Delimiter',
+    options: [['comma', 'Comma (,)'], ['semicolon', 'Semicolon (;)'], ['tab', 'Tab'], ['pipe', 'Pipe (|)']]
+  },
+  {
+    key: 'quote',
+    label: 'Quotes',
+    options: [['double', 'Double (")'], ['single', "Single (')"], ['none', 'None']]
+  },
+  {
+    key: 'encoding',
+    label: 'Encoding',
+    options: [['utf-8', 'UTF-8'], ['utf-16le', 'UTF-16 LE'], ['utf-16be', 'UTF-16 BE'], ['windows-1252', 'Windows-1252'], ['iso-8859-1', 'ISO-8859-1']]
+  }
+];
+
+// How often files still being processed are polled for progress
+const STATUS_POLL_INTERVAL = 1500;
+
 const Dashboard = () => {
   const { user, logout } = useAuth();
   const { getFormattedStats, recentActivity, loading, error, updateDashboardStats, forceUpdateStats, notifyFileUploaded, refreshDashboardWithRetry, uploadCount, resetUploadCount } = useDashboard();
@@ -29,10 +55,88 @@ const Dashboard = () => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [description, setDescription] = useState('');
   const [tags, setTags] = useState('');
+  const [csvOptions, setCsvOptions] = useState(NO_CSV_OPTIONS);
   const [dragOver, setDragOver] = useState(false);
   const [files, setFiles] = useState([]);
   const [selectedFileIds, setSelectedFileIds] = useState([]);
+  // Uploads being processed in the background: { id, originalName, status, progress, stage, error }
+  const [processingFiles, setProcessingFiles] = useState([]);
+  // Upload whose detected layout is being reviewed in the modal; once processed
+  // it drops off processingFiles
+  const [reviewFileId, setReviewFileId] = useState(null);
+
+  // Pick up files still processing from an earlier visit
+  useEffect(() => {
+    fileService.getFiles({ status: 'processing', limit: 20 })
+      .then(response => {
+        setProcessingFiles(current => [
+          ...current,
+          ...response.files
+            .filter(file => !current.some(item => item.id === file.id))
+            .map(file => ({
+              id: file.id,
+              originalName: file.originalName,
+              status: file.status,
+              progress: file.processingProgress || 0,
+              stage: file.processingStage
+            }))
+        ]);
+      })
+      .catch(error => console.error('Failed to load processing files:', error));
+  }, []);
+
+  // Poll the status of files still processing until each finishes or fails
+  const pendingIds = processingFiles.filter(file => file.status === 'processing').map(file => file.id).join(',');
+  useEffect(() => {
+    if (!pendingIds) return undefined;
+
+    let cancelled = false;
+    const timer = setInterval(async () => {
+      const statuses = (await Promise.all(pendingIds.split(',').map(id => (
+        fileService.getFileStatus(id).catch(error => {
+          console.error('Failed to fetch file status:', error);
+          return null;
+        })
+      )))).filter(Boolean);
+      if (cancelled) return;
+
+      statuses.forEach(status => {
+        if (status.status === 'processed') {
+          toast.success(`${status.originalName} is ready for analysis`);
+        } else if (status.status === 'failed') {
+          toast.error(`Processing ${status.originalName} failed`);
+        }
+      });
+      setProcessingFiles(current => current.map(file => {
+        const status = statuses.find(item => item.id === file.id);
+        return status
+          ? { ...file, status: status.status, progress: status.progress, stage: status.stage, error: status.error }
+          : file;
+      }));
+
+      if (statuses.some(status => status.status === 'processed')) {
+        await refreshDashboardWithRetry(3);
+      }
+    }, STATUS_POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [pendingIds, refreshDashboardWithRetry]);
+
+  // Processed files drop off the list shortly after finishing; failures stay until dismissed
+  useEffect(() => {
+    if (!processingFiles.some(file => file.status === 'processed')) return undefined;
+    const timer = setTimeout(() => {
+      setProcessingFiles(current => current.filter(file => file.status !== 'processed'));
+    }, 3000);
+    return () => clearTimeout(timer);
+  }, [processingFiles]);
 
+  const dismissProcessingFile = (fileId) => {
+    setProcessingFiles(current => current.filter(file => file.id !== fileId));
+  };
   
   // Handle file upload modal
   const handleFileUpload = () => {
@@ -43,7 +147,12 @@ const Dashboard = () => {
   const handleCreateAnalysis = () => {
     navigate('/analytics');
   };
-  
+
+  // Open a file in the spreadsheet viewer on the files page
+  const openSpreadsheet = (fileId) => {
+    navigate(`/files?file=${fileId}&tab=sheet`);
+  };
+
   
   // Handle file selection
   const handleFileSelect = (event) => {
@@ -97,35 +206,30 @@ const Dashboard = () => {
     setUploadLoading(true);
     
     try {
-      const uploadResponse = await fileService.uploadFile(selectedFile, { description, tags });
+      const isDelimited = DELIMITED_EXTENSIONS.includes(fileExtension(selectedFile.name));
+      const uploadResponse = await fileService.uploadFile(selectedFile, { description, tags, ...(isDelimited && csvOptions) });
       console.log('📤 File upload response:', uploadResponse);
       toast.success('File uploaded successfully!');
       
-      // Reset form
+      // Reset form and move on to reviewing the detected layout
       setSelectedFile(null);
       setDescription('');
       setTags('');
-      setShowUploadModal(false);
+      setCsvOptions(NO_CSV_OPTIONS);
+      setReviewFileId(uploadResponse.file.id);
       
       // Notify dashboard about file upload with detailed logging
       console.log('📤 Calling notifyFileUploaded with:', uploadResponse.file);
       await notifyFileUploaded(uploadResponse.file);
-      
-      // Additional refresh attempts to ensure backend processing is complete
-      setTimeout(async () => {
-        console.log('📤 First delayed refresh after file upload');
-        await refreshDashboardWithRetry(3);
-      }, 1000);
-      
-      setTimeout(async () => {
-        console.log('📤 Second delayed refresh after file upload');
-        await refreshDashboardWithRetry(3);
-      }, 3000);
-      
-      setTimeout(async () => {
-        console.log('📤 Final delayed refresh after file upload');
-        await refreshDashboardWithRetry(3);
-      }, 5000);
+
+      // Processing continues in the background; follow it until it's done
+      setProcessingFiles(current => [...current, {
+        id: uploadResponse.file.id,
+        originalName: uploadResponse.file.originalName,
+        status: uploadResponse.file.status,
+        progress: uploadResponse.file.processingProgress || 0,
+        stage: 'Queued'
+      }]);
       
     } catch (error) {
       console.error('File upload error:', error);
@@ -138,9 +242,26 @@ const Dashboard = () => {
   // Close modal
   const closeModal = () => {
     setShowUploadModal(false);
+    setReviewFileId(null);
     setSelectedFile(null);
     setDescription('');
     setTags('');
+    setCsvOptions(NO_CSV_OPTIONS);
+  };
+
+  // A changed layout sends the file back through processing
+  const handleLayoutApplied = (file) => {
+    setProcessingFiles(current => [
+      ...current.filter(item => item.id !== file.id),
+      {
+        id: file.id,
+        originalName: processingFiles.find(item => item.id === file.id)?.originalName || 'File',
+        status: file.status,
+        progress: file.processingProgress || 0,
+        stage: 'Queued'
+      }
+    ]);
+    closeModal();
   };
 
   return (
@@ -369,6 +490,71 @@ const Dashboard = () => {
         </motion.div>
 
 
+        {/* Files being processed in the background */}
+        {processingFiles.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white rounded-xl shadow-sm p-6 border mb-8"
+          >
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Processing Files</h2>
+            <div className="space-y-4">
+              {processingFiles.map(file => (
+                <div key={file.id}>
+                  <div className="flex items-center justify-between mb-1">
+                    <div className="flex items-center space-x-2 min-w-0">
+                      {file.status === 'failed' ? (
+                        <AlertCircle className="h-4 w-4 text-red-500 flex-shrink-0" />
+                      ) : file.status === 'processed' ? (
+                        <Check className="h-4 w-4 text-green-600 flex-shrink-0" />
+                      ) : (
+                        <FileSpreadsheet className="h-4 w-4 text-blue-600 flex-shrink-0" />
+                      )}
+                      <span className="text-gray-900 truncate">{file.originalName}</span>
+                    </div>
+                    <div className="flex items-center space-x-2 text-sm text-gray-500">
+                      <span>
+                        {file.status === 'failed'
+                          ? file.error || 'Processing failed'
+                          : `${file.stage ? `${file.stage} · ` : ''}${file.progress}%`}
+                      </span>
+                      {file.status === 'processed' && (
+                        <button
+                          type="button"
+                          onClick={() => openSpreadsheet(file.id)}
+                          className="p-1 rounded hover:bg-gray-100 text-blue-600"
+                          title="View as a spreadsheet"
+                        >
+                          <Table2 className="h-4 w-4" />
+                        </button>
+                      )}
+                      {file.status === 'failed' && (
+                        <button
+                          type="button"
+                          onClick={() => dismissProcessingFile(file.id)}
+                          className="p-1 rounded hover:bg-gray-100"
+                          title="Dismiss"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full rounded-full transition-all duration-500 ${
+                        file.status === 'failed' ? 'bg-red-500' :
+                        file.status === 'processed' ? 'bg-green-500' : 'bg-blue-500'
+                      }`}
+                      style={{ width: `${file.status === 'failed' ? 100 : file.progress}%` }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        )}
+
         {/* Recent Activity */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -404,6 +590,17 @@ const Dashboard = () => {
                     <p className="text-gray-900">{activity.action}</p>
                     <p className="text-sm text-gray-500">{activity.time}</p>
                   </div>
+                  {activity.type === 'upload' && activity.fileId && (
+                    <button
+                      type="button"
+                      onClick={() => openSpreadsheet(activity.fileId)}
+                      className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800"
+                      title="View as a spreadsheet"
+                    >
+                      <Table2 className="h-4 w-4" />
+                      <span>View</span>
+                    </button>
+                  )}
                 </div>
               ))
             )}
@@ -425,13 +622,13 @@ const Dashboard = () => {
             animate={{ opacity: 1, scale: 1, y: 0 }}
             exit={{ opacity: 0, scale: 0.9, y: 20 }}
             transition={{ duration: 0.3 }}
-            className="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full mx-4"
+            className={`bg-white rounded-2xl shadow-2xl p-8 w-full mx-4 ${reviewFileId ? 'max-w-4xl' : 'max-w-md'}`}
             onClick={(e) => e.stopPropagation()}
           >
             {/* Modal Header */}
             <div className="flex items-center justify-between mb-6">
               <h2 className="text-2xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
-                📁 Upload Excel File
+                {reviewFileId ? '🔎 Review Table Layout' : '📁 Upload Excel File'}
               </h2>
               <button
                 onClick={closeModal}
@@ -441,6 +638,14 @@ const Dashboard = () => {
               </button>
             </div>
             
+            {reviewFileId ? (
+              <LayoutReview
+                fileId={reviewFileId}
+                status={processingFiles.find(file => file.id === reviewFileId) || { status: 'processed', progress: 100 }}
+                onApplied={handleLayoutApplied}
+                onClose={closeModal}
+              />
+            ) : (
             <form onSubmit={handleUploadSubmit} className="space-y-6">
               {/* File Drop Zone */}
               <div
@@ -489,12 +694,12 @@ const Dashboard = () => {
                     </div>
                     <div>
                       <p className="font-semibold text-gray-900 mb-2">
-                        {dragOver ? 'Drop your file here!' : 'Drag and drop your Excel file'}
+                        {dragOver ? 'Drop your file here!' : 'Drag and drop your spreadsheet or data file'}
                       </p>
                       <p className="text-sm text-gray-500 mb-4">or</p>
                       <input
                         type="file"
-                        accept=".xlsx,.xls,.csv"
+                        accept={SUPPORTED_EXTENSIONS.join(',')}
                         onChange={handleFileSelect}
                         className="hidden"
                         id="file-upload"
@@ -507,7 +712,7 @@ const Dashboard = () => {
                       </label>
                     </div>
                     <p className="text-xs text-gray-400">
-                      Supported formats: .xlsx, .xls, .csv (Max 50MB)
+                      Supported formats: Excel (.xlsx, .xls, .xlsb), OpenDocument (.ods), CSV, TSV, JSON and Parquet (Max 50MB)
                     </p>
                   </div>
                 )}
@@ -540,6 +745,33 @@ const Dashboard = () => {
                   className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
                 />
               </div>
+
+              {/* CSV Settings */}
+              {selectedFile && DELIMITED_EXTENSIONS.includes(fileExtension(selectedFile.name)) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    CSV Settings (detected unless set)
+                  </label>
+                  <div className="grid grid-cols-3 gap-3">
+                    {CSV_OPTION_FIELDS
+                      // TSV files are always tab-separated
+                      .filter(field => field.key !== 'delimiter' || fileExtension(selectedFile.name) === '.csv')
+                      .map(field => (
+                        <div key={field.key}>
+                          <label className="block text-xs text-gray-500 mb-1">{field.label}</label>
+                          <select
+                            value={csvOptions[field.key]}
+                            onChange={(e) => setCsvOptions({ ...csvOptions, [field.key]: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                          >
+                            <option value="">Auto-detect</option>
+                            {field.options.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                          </select>
+                        </div>
+                      ))}
+                  </div>
+                </div>
+              )}
               
               {/* Action Buttons */}
               <div className="flex space-x-4">
@@ -570,6 +802,7 @@ const Dashboard = () => {
                 </button>
               </div>
             </form>
+            )}
           </motion.div>
         </motion.div>
       )}
@@ -1,9 +1,58 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { fileService } from '../services/fileService';
 import { useDashboard } from '../context/DashboardContext';
+import QualityReport from '../components/QualityReport';
+import CleaningRecipe from '../components/CleaningRecipe';
+import FileVersions from '../components/FileVersions';
+import DataGrid from '../components/DataGrid';
+import SpreadsheetViewer from '../components/SpreadsheetViewer';
 import toast from 'react-hot-toast';
 
+const DETAIL_TABS = [
+  { key: 'overview', label: 'Overview' },
+  { key: 'sheet', label: 'Spreadsheet' },
+  { key: 'data', label: 'Data' },
+  { key: 'quality', label: 'Data Quality' },
+  { key: 'cleaning', label: 'Cleaning' },
+  { key: 'versions', label: 'Versions' }
+];
+
+// Columns of the file's first sheet, as profiled when it was processed
+const FileOverview = ({ file }) => (
+  <div className="space-y-4">
+    <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+      <span><strong className="text-gray-800">{(file.totalRows || 0).toLocaleString()}</strong> rows</span>
+      <span><strong className="text-gray-800">{file.totalColumns || 0}</strong> columns</span>
+      <span><strong className="text-gray-800">{file.sheetNames?.length || 0}</strong> sheets</span>
+      <span>Status <strong className="text-gray-800">{file.status}</strong></span>
+    </div>
+    {file.columnInfo?.length > 0 && (
+      <table className="min-w-full text-sm border border-gray-200 rounded-lg">
+        <thead className="bg-gray-50 text-gray-600">
+          <tr>
+            <th className="px-3 py-2 text-left font-medium">Column</th>
+            <th className="px-3 py-2 text-left font-medium">Type</th>
+            <th className="px-3 py-2 text-left font-medium">Empty (sample)</th>
+            <th className="px-3 py-2 text-left font-medium">Sample values</th>
+          </tr>
+        </thead>
+        <tbody>
+          {file.columnInfo.map(column => (
+            <tr key={column.name} className="border-t border-gray-100">
+              <td className="px-3 py-2 font-medium text-gray-800">{column.name}</td>
+              <td className="px-3 py-2 text-gray-500">{column.type}</td>
+              <td className="px-3 py-2 text-gray-500 tabular-nums">{column.nullCount ?? 0}</td>
+              <td className="px-3 py-2 text-gray-500 truncate max-w-xs">{(column.sampleValues || []).join(', ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
 const FilesPage = () => {
   const { notifyFileUploaded } = useDashboard();
   const [files, setFiles] = useState([]);
@@ -12,11 +61,33 @@ const FilesPage = () => {
   const [description, setDescription] = useState('');
   const [tags, setTags] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [detailFile, setDetailFile] = useState(null);
+  const [detailTab, setDetailTab] = useState('overview');
+  const [searchParams] = useSearchParams();
 
   useEffect(() => {
     fetchFiles();
   }, []);
 
+  const openFile = useCallback(async (fileId, tab = 'overview') => {
+    try {
+      const response = await fileService.getFile(fileId);
+      setDetailFile(response.file);
+      setDetailTab(tab);
+    } catch (error) {
+      toast.error('Failed to load file details.');
+    }
+  }, []);
+
+  // Links such as /files?file=<id>&tab=sheet open a file's details on a tab
+  const linkedFileId = searchParams.get('file');
+  const linkedTab = searchParams.get('tab');
+  useEffect(() => {
+    if (linkedFileId) {
+      openFile(linkedFileId, DETAIL_TABS.some(tab => tab.key === linkedTab) ? linkedTab : 'overview');
+    }
+  }, [linkedFileId, linkedTab, openFile]);
+
   const fetchFiles = async () => {
     try {
       const response = await fileService.getFiles();
@@ -120,9 +191,15 @@ const FilesPage = () => {
               <ul>
                 {files.map((file) => (
                   <li key={file.id} className="mb-4">
-                    {fileService.getFileTypeIcon(file.fileType)}
-                    <span className="ml-2">{file.originalName}</span>
-                    <span className="ml-2 text-sm text-gray-500">({fileService.formatFileSize(file.fileSize)})</span>
+                    <button
+                      type="button"
+                      onClick={() => openFile(file.id)}
+                      className={`text-left hover:text-blue-600 ${detailFile?.id === file.id ? 'text-blue-600 font-medium' : ''}`}
+                    >
+                      {fileService.getFileTypeIcon(file.fileType)}
+                      <span className="ml-2">{file.originalName}</span>
+                      <span className="ml-2 text-sm text-gray-500">({fileService.formatFileSize(file.fileSize)})</span>
+                    </button>
                   </li>
                 ))}
               </ul>
@@ -131,6 +208,58 @@ const FilesPage = () => {
             <p className="text-gray-500">No files found.</p>
           )}
         </div>
+
+        {detailFile && (
+          <div className="bg-white rounded-lg p-8 shadow-sm mt-8">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-gray-900 truncate">
+                {detailFile.originalName}
+                {detailFile.version > 1 && <span className="ml-2 text-base font-normal text-gray-500">v{detailFile.version}</span>}
+              </h2>
+              <button type="button" onClick={() => setDetailFile(null)} className="text-sm text-gray-500 hover:text-gray-800">
+                Close
+              </button>
+            </div>
+            <div className="flex border-b border-gray-200 mb-6">
+              {DETAIL_TABS.map(tab => (
+                <button
+                  key={tab.key}
+                  type="button"
+                  onClick={() => setDetailTab(tab.key)}
+                  className={`px-4 py-2 -mb-px border-b-2 text-sm font-medium ${
+                    detailTab === tab.key ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-800'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            {detailTab === 'overview' && <FileOverview file={detailFile} />}
+            {detailTab === 'sheet' && (
+              detailFile.status === 'processed'
+                ? <SpreadsheetViewer key={`${detailFile.id}-${detailFile.version || 1}`} file={detailFile} />
+                : <p className="text-sm text-gray-500">The spreadsheet can be viewed once the file is processed.</p>
+            )}
+            {detailTab === 'data' && (
+              detailFile.status === 'processed'
+                ? <DataGrid key={`${detailFile.id}-${detailFile.version || 1}`} file={detailFile} />
+                : <p className="text-sm text-gray-500">The data can be browsed once the file is processed.</p>
+            )}
+            {detailTab === 'quality' && (
+              detailFile.status === 'processed'
+                ? <QualityReport fileId={detailFile.id} />
+                : <p className="text-sm text-gray-500">The quality report is ready once the file is processed.</p>
+            )}
+            {detailTab === 'cleaning' && (
+              detailFile.status === 'processed'
+                ? <CleaningRecipe file={detailFile} />
+                : <p className="text-sm text-gray-500">Cleaning steps can be added once the file is processed.</p>
+            )}
+            {detailTab === 'versions' && (
+              <FileVersions file={detailFile} onUploaded={(fileId) => openFile(fileId, 'versions')} />
+            )}
+          </div>
+        )}
       </motion.div>
     </div>
   );
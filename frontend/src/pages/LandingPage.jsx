@@ -21,7 +21,7 @@ const LandingPage = () => {
     {
       icon: Upload,
       title: "Easy Excel Upload",
-      description: "Drag and drop your .xls/.xlsx files with automatic data parsing and validation."
+      description: "Drag and drop Excel, OpenDocument, CSV, JSON or Parquet files with automatic data parsing and validation."
     },
     {
       icon: BarChart3,
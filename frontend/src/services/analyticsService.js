@@ -43,6 +43,20 @@ export const analyticsService = {
     return response.data;
   },
 
+  // Get stored exports of an analysis
+  getExports: async (analysisId) => {
+    const response = await api.get(`/analytics/${analysisId}/exports`);
+    return response.data;
+  },
+
+  // Download a stored export as a Blob
+  downloadExport: async (analysisId, exportId) => {
+    const response = await api.get(`/analytics/${analysisId}/exports/${exportId}/download`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
   // Generate insights
   generateInsights: async (analysisId) => {
     const response = await api.post(`/analytics/${analysisId}/insights`);
@@ -107,6 +121,25 @@ export const analyticsService = {
     };
   },
 
+  // Download rows (e.g. a pivot or statistics summary) as a CSV file
+  downloadCsv: (rows, fileName) => {
+    if (!rows || rows.length === 0) return;
+    const headers = Object.keys(rows[0]);
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = [headers, ...rows.map(row => headers.map(header => row[header]))]
+      .map(line => line.map(escape).join(','))
+      .join('\n');
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
   // Search analyses
   searchAnalyses: async (query, options = {}) => {
     const response = await api.get('/analytics', {
@@ -1,7 +1,20 @@
 import { api } from './api';
 
+// Extensions the server accepts uploads with; browsers report MIME types for
+// these unreliably (or not at all), so files are checked by name
+export const SUPPORTED_EXTENSIONS = [
+  '.xlsx', '.xls', '.xlsb', '.ods', '.csv', '.tsv', '.tab', '.json', '.ndjson', '.jsonl', '.parquet'
+];
+// Delimited text files, whose dialect can be set on upload
+export const DELIMITED_EXTENSIONS = ['.csv', '.tsv', '.tab'];
+
+export const fileExtension = (fileName = '') => {
+  const dot = fileName.lastIndexOf('.');
+  return dot === -1 ? '' : fileName.slice(dot).toLowerCase();
+};
+
 export const fileService = {
-  // Upload Excel file
+  // Upload a spreadsheet or data file
   uploadFile: async (file, metadata = {}) => {
     const formData = new FormData();
     formData.append('file', file);
@@ -14,6 +27,11 @@ export const fileService = {
       formData.append('tags', metadata.tags);
     }
 
+    // CSV settings picked by hand; those left out are detected
+    ['delimiter', 'quote', 'encoding'].forEach(key => {
+      if (metadata[key]) formData.append(key, metadata[key]);
+    });
+
     const response = await api.post('/files/upload', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
@@ -34,15 +52,106 @@ export const fileService = {
     return response.data;
   },
 
+  // Get processing status and progress of an uploaded file
+  getFileStatus: async (fileId) => {
+    const response = await api.get(`/files/${fileId}/status`);
+    return response.data;
+  },
+
   // Get file data
   getFileData: async (fileId, params = {}) => {
     const response = await api.get(`/files/${fileId}/data`, { params });
     return response.data;
   },
 
-  // Get columns of a specific Excel file
-  getFileColumns: async (fileId) => {
-    const response = await api.get(`/files/${fileId}/columns`);
+  // Query a page of a sheet's rows: `columns`, `sort` ([{ column, direction }]) and
+  // `filters` (as in analyses) are sent as JSON; pages go by `offset` or `cursor`
+  queryRows: async (fileId, { columns, sort, filters, ...params } = {}) => {
+    const response = await api.get(`/files/${fileId}/rows`, {
+      params: {
+        ...params,
+        ...(columns?.length > 0 && { columns: JSON.stringify(columns) }),
+        ...(sort?.length > 0 && { sort: JSON.stringify(sort) }),
+        ...(filters?.length > 0 && { filters: JSON.stringify(filters) })
+      }
+    });
+    return response.data;
+  },
+
+  // Read rows of a sheet as the workbook shows them (formatted text, formulas,
+  // styles, merges, frozen panes), from `startRow` for `limit` rows
+  getSheetView: async (fileId, params = {}) => {
+    const response = await api.get(`/files/${fileId}/sheet`, { params });
+    return response.data;
+  },
+
+  // Get columns of a sheet of an Excel file (the first sheet when none is given)
+  getFileColumns: async (fileId, sheet) => {
+    const response = await api.get(`/files/${fileId}/columns`, { params: sheet ? { sheet } : {} });
+    return response.data;
+  },
+
+  // Get the data quality report of a file, or of one of its sheets
+  getFileQuality: async (fileId, sheet) => {
+    const response = await api.get(`/files/${fileId}/quality`, { params: sheet ? { sheet } : {} });
+    return response.data;
+  },
+
+  // Get the cleaning recipe of a sheet (the first sheet when none is given)
+  getCleaningRecipe: async (fileId, sheet) => {
+    const response = await api.get(`/files/${fileId}/recipe`, { params: sheet ? { sheet } : {} });
+    return response.data;
+  },
+
+  // Add a step to the end of a sheet's cleaning recipe
+  addCleaningStep: async (fileId, step) => {
+    const response = await api.post(`/files/${fileId}/recipe`, step);
+    return response.data;
+  },
+
+  // Undo one step of a cleaning recipe
+  removeCleaningStep: async (fileId, stepId) => {
+    const response = await api.delete(`/files/${fileId}/recipe/${stepId}`);
+    return response.data;
+  },
+
+  // List every version of a file, oldest first
+  getFileVersions: async (fileId) => {
+    const response = await api.get(`/files/${fileId}/versions`);
+    return response.data;
+  },
+
+  // Upload a new version of a file; takes the same CSV settings as uploadFile
+  uploadFileVersion: async (fileId, file, settings = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    ['delimiter', 'quote', 'encoding'].forEach(key => {
+      if (settings[key]) formData.append(key, settings[key]);
+    });
+
+    const response = await api.post(`/files/${fileId}/versions`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data;
+  },
+
+  // Compare a sheet of two versions (`from`, `to`, `sheet` and `key` columns are optional)
+  getVersionDiff: async (fileId, params = {}) => {
+    const response = await api.get(`/files/${fileId}/versions/diff`, { params });
+    return response.data;
+  },
+
+  // Get the detected header row and table range of each sheet
+  getFileLayout: async (fileId) => {
+    const response = await api.get(`/files/${fileId}/layout`);
+    return response.data;
+  },
+
+  // Override the header row and table range of a sheet
+  updateFileLayout: async (fileId, layout) => {
+    const response = await api.put(`/files/${fileId}/layout`, layout);
     return response.data;
   },
 
@@ -99,12 +208,6 @@ export const fileService = {
   // Validate file before upload
   validateFile: (file) => {
     const maxSize = 50 * 1024 * 1024; // 50MB
-    const allowedTypes = [
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'text/csv',
-      'application/csv'
-    ];
 
     if (!file) {
       return { valid: false, error: 'No file selected' };
@@ -114,8 +217,8 @@ export const fileService = {
       return { valid: false, error: 'File size exceeds 50MB limit' };
     }
 
-    if (!allowedTypes.includes(file.type)) {
-      return { valid: false, error: 'Invalid file type. Only Excel (.xlsx, .xls) and CSV files are allowed.' };
+    if (!SUPPORTED_EXTENSIONS.includes(fileExtension(file.name))) {
+      return { valid: false, error: `Invalid file type. Supported formats: ${SUPPORTED_EXTENSIONS.join(', ')}` };
     }
 
     return { valid: true };
@@ -135,9 +238,15 @@ export const fileService = {
     switch (fileType?.toLowerCase()) {
       case 'xlsx':
       case 'xls':
+      case 'xlsb':
+      case 'ods':
         return '📊';
       case 'csv':
+      case 'tsv':
         return '📋';
+      case 'json':
+      case 'parquet':
+        return '🗂️';
       default:
         return '📄';
     }